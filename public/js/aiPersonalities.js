@@ -0,0 +1,255 @@
+/**
+ * AI Personalities
+ * How a computer tank plays. Each personality is a strategy that plans an enemy's turn
+ * as a list of steps the Game carries out in order; the difficulty preset still decides
+ * how well they are carried out (aim scatter, reaction time, fuel efficiency), and a
+ * personality may retune those knobs for its tanks.
+ *
+ * Strategy interface:
+ *  - tune(config)       : difficulty settings for this personality's tanks
+ *  - planTurn(context)  : [{ type: 'shoot'|'move'|'aim', action, accuracy?, target?, weaponId? }]
+ *
+ * Weapons with limited rounds (see inventory.js) fall back to the standard shell once
+ * they run out, and the Game puts a repair step in front of a badly damaged tank's plan
+ * while it still has a repair kit.
+ *
+ * The planning context (see Game.createAIContext) holds the enemy tank, its target, the
+ * distance between them, line-of-sight / cover facts, the tuned config, the seeded AI
+ * random source and the Game for its movement and cover helpers.
+ *
+ * When several tanks are fair game, a personality's `targeting` strategy (targeting.js)
+ * decides which one it goes after.
+ */
+import { DEFAULT_TARGETING_ID } from './targeting.js';
+
+export const DEFAULT_PERSONALITY_ID = 'soldier';
+export const RANDOM_PERSONALITY_ID = 'random';
+
+const SNIPER_MIN_RANGE = 40;        // Closer than this, snipers back off before shooting
+const SNIPER_RETREAT_DISTANCE = 15;
+const BRUISER_STRIKE_RANGE = 10;    // Bruisers charge until this close
+const COWARD_HIDE_DISTANCE = 6;     // Distance behind a building's center to hide
+const DIGGER_WEAPON_ID = 'digger';
+const BRUISER_WEAPON_ID = 'heavyShell';
+const BRUISER_HEAVY_RANGE = 30;     // Heavy shells only when close enough to land them
+
+const clamp01 = value => Math.max(0, Math.min(1, value));
+
+/**
+ * Base strategy: shoot at the target every turn
+ */
+export class AIPersonality {
+    /**
+     * @param {Object} definition - { id, name, icon, description, labelColor, targeting }
+     */
+    constructor(definition) {
+        this.id = definition.id;
+        this.name = definition.name;
+        this.icon = definition.icon;
+        this.description = definition.description;
+        this.labelColor = definition.labelColor || '#ff5544';
+        this.targeting = definition.targeting || DEFAULT_TARGETING_ID;
+    }
+
+    /**
+     * Difficulty settings for tanks with this personality
+     * @param {Object} config - Difficulty preset
+     * @returns {Object} Tuned copy of the preset
+     */
+    tune(config) {
+        return { ...config };
+    }
+
+    /**
+     * Plan an enemy's turn
+     * @param {Object} context - Planning context
+     * @returns {Array<Object>} Steps to carry out, in order
+     */
+    planTurn(context) {
+        return [this.shoot(context.config.aimAccuracy, 'engaging target')];
+    }
+
+    shoot(accuracy, action, weaponId = null) {
+        return { type: 'shoot', action, accuracy: Math.max(0.2, clamp01(accuracy)), weaponId };
+    }
+
+    move(target, action) {
+        return { type: 'move', action, target };
+    }
+}
+
+/**
+ * The classic enemy: the original difficulty-driven decision matrix (Game.makeAIDecision)
+ */
+class SoldierPersonality extends AIPersonality {
+    planTurn(context) {
+        return [context.game.makeAIDecision(context.enemy, context.targetPosition, context.distance)];
+    }
+}
+
+/**
+ * Keeps its distance and takes carefully calculated shots
+ */
+class SniperPersonality extends AIPersonality {
+    tune(config) {
+        return {
+            ...config,
+            aimAccuracy: clamp01(config.aimAccuracy + 0.25),
+            aggressiveness: Math.min(config.aggressiveness, 0.3)
+        };
+    }
+
+    planTurn(context) {
+        const { enemy, targetPosition, distance, config } = context;
+        const steps = [];
+
+        if (distance < SNIPER_MIN_RANGE && enemy.currentFuel > 0) {
+            const away = enemy.mesh.position.clone().sub(targetPosition).setY(0).normalize();
+            steps.push(this.move(enemy.mesh.position.clone().addScaledVector(away, SNIPER_RETREAT_DISTANCE), 'falling back to a firing position'));
+        }
+
+        steps.push(this.shoot(config.aimAccuracy, 'lining up a precise shot'));
+        return steps;
+    }
+}
+
+/**
+ * Charges straight at its target and hits hard up close
+ */
+class BruiserPersonality extends AIPersonality {
+    tune(config) {
+        return { ...config, aggressiveness: 1.0, coverUsage: 0 };
+    }
+
+    planTurn(context) {
+        const { enemy, targetPosition, distance, config } = context;
+        const steps = [];
+
+        if (distance > BRUISER_STRIKE_RANGE && enemy.currentFuel > 0) {
+            const toward = targetPosition.clone().sub(enemy.mesh.position).setY(0).normalize();
+            steps.push(this.move(targetPosition.clone().addScaledVector(toward, -BRUISER_STRIKE_RANGE), 'charging'));
+        }
+
+        // Heavy shells once the charge has closed the gap (distance is from before the move)
+        const weaponId = distance <= BRUISER_HEAVY_RANGE + BRUISER_STRIKE_RANGE ? BRUISER_WEAPON_ID : null;
+        steps.push(this.shoot(config.aimAccuracy * 0.9, 'smashing the target', weaponId));
+        return steps;
+    }
+}
+
+/**
+ * Tunnels through hills that block its shots with digger rounds
+ */
+class DiggerPersonality extends AIPersonality {
+    planTurn(context) {
+        const { config, terrainBlocked } = context;
+        if (terrainBlocked) {
+            return [this.shoot(config.aimAccuracy, 'tunneling through the hill', DIGGER_WEAPON_ID)];
+        }
+        return [this.shoot(config.aimAccuracy, 'engaging target')];
+    }
+}
+
+/**
+ * Fires a nervous shot, then scurries behind the nearest building
+ */
+class CowardPersonality extends AIPersonality {
+    tune(config) {
+        return { ...config, aggressiveness: Math.min(config.aggressiveness, 0.1), coverUsage: 1.0 };
+    }
+
+    planTurn(context) {
+        const { game, enemy, targetPosition, config, inCover } = context;
+        const steps = [this.shoot(config.aimAccuracy * 0.6, 'taking a nervous shot')];
+
+        if (!inCover && enemy.currentFuel > 0) {
+            const cover = game.findBestCover(enemy.mesh.position, targetPosition);
+            if (cover) {
+                // The far side of the building, away from the threat
+                const behind = cover.clone().sub(targetPosition).setY(0).normalize();
+                steps.push(this.move(cover.clone().addScaledVector(behind, COWARD_HIDE_DISTANCE), 'hiding behind a building'));
+            }
+        }
+        return steps;
+    }
+}
+
+export const AI_PERSONALITIES = {
+    soldier: new SoldierPersonality({
+        id: 'soldier',
+        name: 'Soldier',
+        icon: '🪖',
+        description: 'Follows the difficulty preset by the book',
+        labelColor: '#ff5544',
+        targeting: 'lastAttacker'
+    }),
+    sniper: new SniperPersonality({
+        id: 'sniper',
+        name: 'Sniper',
+        icon: '🎯',
+        description: 'Stays far away and calculates exact shots',
+        labelColor: '#66ccff',
+        targeting: 'weakest'
+    }),
+    bruiser: new BruiserPersonality({
+        id: 'bruiser',
+        name: 'Bruiser',
+        icon: '🦏',
+        description: 'Charges in and hits hard up close',
+        labelColor: '#ff8800',
+        targeting: 'nearest'
+    }),
+    digger: new DiggerPersonality({
+        id: 'digger',
+        name: 'Digger',
+        icon: '⛏️',
+        description: 'Tunnels through hills with digger rounds',
+        labelColor: '#c8a165',
+        targeting: 'nearest'
+    }),
+    coward: new CowardPersonality({
+        id: 'coward',
+        name: 'Coward',
+        icon: '🐔',
+        description: 'Shoots, then hides behind buildings',
+        labelColor: '#dddd55',
+        targeting: 'threat'
+    })
+};
+
+/**
+ * Get a personality by id, falling back to the soldier
+ * @param {string} personalityId - Personality identifier
+ * @returns {AIPersonality} Personality
+ */
+export function getPersonality(personalityId) {
+    return AI_PERSONALITIES[personalityId] || AI_PERSONALITIES[DEFAULT_PERSONALITY_ID];
+}
+
+/**
+ * Check whether a personality id exists in the registry
+ * @param {string} personalityId - Personality identifier
+ * @returns {boolean} Whether the personality is known
+ */
+export function isValidPersonality(personalityId) {
+    return Object.prototype.hasOwnProperty.call(AI_PERSONALITIES, personalityId);
+}
+
+/**
+ * Personality for each enemy of a match
+ * @param {string|Array<string>} setting - One id for every enemy, 'random' for a random mix,
+ *   or one id per enemy
+ * @param {number} count - Number of enemies
+ * @param {Function} random - Random source in [0, 1) (only used by the random mix)
+ * @returns {Array<string>} Personality ids in enemy order
+ */
+export function resolvePersonalityIds(setting, count, random = Math.random) {
+    const ids = Object.keys(AI_PERSONALITIES);
+    return Array.from({ length: count }, (_, index) => {
+        const choice = Array.isArray(setting) ? setting[index] : setting;
+        if (choice === RANDOM_PERSONALITY_ID) {
+            return ids[Math.floor(random() * ids.length)];
+        }
+        return isValidPersonality(choice) ? choice : DEFAULT_PERSONALITY_ID;
+    });
+}
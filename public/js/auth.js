@@ -16,6 +16,9 @@ import {
   getDoc, 
   updateDoc 
 } from 'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js';
+import { TankShop } from './shop.js';
+import { MultiplayerLobby } from './multiplayerLobby.js';
+import { loadUserRecord, saveUserRecord } from './progression.js';
 
 export class AuthManager {
   constructor(onAuthStateChanged = null) {
@@ -100,8 +103,9 @@ export class AuthManager {
           lastLogin: Date.now()
         };
         
-        // Update user record in Firestore
-        await this.updateUserRecord(userData);
+        // Update user record in Firestore and keep a local copy for the game
+        const userRecord = await this.updateUserRecord(userData);
+        this.cacheUserRecord(userRecord);
         
         // Update local state
         this.currentUser = userData;
@@ -198,8 +202,8 @@ export class AuthManager {
       const existingData = localStorage.getItem('tankGame_userData');
       let userRecord = existingData ? JSON.parse(existingData) : {};
       
-      // Merge with existing data or create new
-      if (!userRecord.uid) {
+      // Merge with existing data or create new (a record of another user is replaced)
+      if (!userRecord.uid || userRecord.uid !== userData.uid) {
         userRecord = {
           ...userData,
           createdAt: Date.now(),
@@ -241,6 +245,85 @@ export class AuthManager {
     }
   }
   
+  // Keep a local copy of the Firestore record; the game reads and updates it locally
+  cacheUserRecord(userRecord) {
+    if (!userRecord?.uid) return;
+
+    const localRecord = loadUserRecord();
+    if (localRecord?.uid === userRecord.uid) {
+      // Local progress is newer than the server copy, only refresh profile fields
+      saveUserRecord({
+        ...localRecord,
+        displayName: userRecord.displayName,
+        photoURL: userRecord.photoURL,
+        lastLogin: userRecord.lastLogin
+      });
+    } else if (userRecord.resources) {
+      saveUserRecord(userRecord);
+    } else {
+      this.saveUserDataToLocalStorage(userRecord);
+    }
+  }
+
+  // Local user record for the signed-in user (created on demand, e.g. for guests)
+  getLocalUserRecord() {
+    const user = this.getCurrentUser();
+    if (!user) return null;
+
+    let record = loadUserRecord();
+    if (!record || record.uid !== user.uid || !record.resources) {
+      this.saveUserDataToLocalStorage({
+        uid: user.uid,
+        displayName: user.displayName || 'Player',
+        photoURL: user.photoURL || null,
+        lastLogin: Date.now()
+      });
+      record = loadUserRecord();
+    }
+    return record;
+  }
+
+  // Save progress locally and mirror it to Firestore for signed-in players
+  async syncUserProgress(userRecord) {
+    saveUserRecord(userRecord);
+
+    if (!userRecord?.uid || this.currentUser?.isGuest) return;
+    try {
+      await updateDoc(doc(this.db, 'users', userRecord.uid), {
+        resources: userRecord.resources,
+        upgrades: userRecord.upgrades || {},
+        equipment: userRecord.equipment || {},
+        campaign: userRecord.campaign || {}
+      });
+    } catch (error) {
+      console.warn('Could not sync progress to Firebase, kept locally:', error);
+    }
+  }
+
+  getShop() {
+    if (!this.shop) {
+      this.shop = new TankShop(window.mainAppInstance?.audioManager, {
+        getRecord: () => this.getLocalUserRecord(),
+        onPurchase: (record, message) => {
+          this.syncUserProgress(record);
+          this.showToast(message);
+        }
+      });
+    }
+    return this.shop;
+  }
+
+  // Lobby for networked matches (created on first use)
+  getLobby() {
+    if (!this.lobby) {
+      this.lobby = new MultiplayerLobby(window.mainAppInstance?.audioManager, {
+        getPlayerName: () => this.currentUser?.displayName || window.mainAppInstance?.ui?.getPlayerName() || 'Commander',
+        onMatchStarted: (synchronizer, message) => window.mainAppInstance?.startNetworkMatch(synchronizer, message)
+      });
+    }
+    return this.lobby;
+  }
+  
   async fetchUserData(uid) {
     try {
       const userRef = doc(this.db, 'users', uid);
@@ -534,7 +617,7 @@ export class AuthManager {
   }
   
   showUpgrades() {
-    alert('Upgrades feature coming soon!');
+    this.getShop().show('upgrades');
   }
   
   showStats() {
@@ -542,11 +625,11 @@ export class AuthManager {
   }
 
   showShop() {
-    alert('Tank Shop feature coming soon!');
+    this.getShop().show('weapons');
   }
 
   showMultiplayer() {
-    alert('Multiplayer feature coming soon!');
+    this.getLobby().show();
   }
   
   updateProfileUI(user) {
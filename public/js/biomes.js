@@ -0,0 +1,154 @@
+/**
+ * Biomes
+ * The kinds of battlefield a match can be fought on. A biome picks the terrain
+ * generator (see sim/terrainGenerator.js) with its default parameters, and the mix of
+ * buildings and trees generateBuildings / generateTrees scatter over it.
+ *
+ * Every generator takes the same parameters:
+ *  - roughness   : share of fine detail on top of the large landforms (0 smooth .. 1 jagged)
+ *  - heightScale : multiplier on every elevation
+ *  - waterLevel  : height the sea floods up to; ground below it sinks under the ocean
+ *                  and the rest is lowered by the same amount (0 keeps the land dry)
+ *
+ * Prop mixes are relative weights per type; props gives how many of each to place.
+ */
+
+export const DEFAULT_BIOME_ID = 'island';
+
+export const TERRAIN_PARAMETERS = {
+    roughness: { name: 'Roughness', min: 0, max: 1, step: 0.05 },
+    heightScale: { name: 'Height', min: 0.25, max: 2, step: 0.05 },
+    waterLevel: { name: 'Water Level', min: 0, max: 8, step: 0.25 }
+};
+
+export const BIOMES = {
+    island: {
+        id: 'island',
+        name: 'Volcanic Island',
+        icon: '🌋',
+        description: 'Peaks and ridges falling away to sandy beaches',
+        generator: 'island',
+        terrain: { roughness: 0.5, heightScale: 1, waterLevel: 0 },
+        props: { buildings: 15, trees: 30 },
+        buildings: { house: 0.25, warehouse: 0.15, tower: 0.12, mosque: 0.12, ruins: 0.15, fortress: 0.08, lighthouse: 0.13 },
+        trees: { oak: 1, pine: 1, palm: 1, dead: 1 }
+    },
+    hills: {
+        id: 'hills',
+        name: 'Rolling Hills',
+        icon: '🌳',
+        description: 'Gentle green hills with farms and woods',
+        generator: 'hills',
+        terrain: { roughness: 0.45, heightScale: 1, waterLevel: 0 },
+        props: { buildings: 14, trees: 45 },
+        buildings: { house: 0.45, warehouse: 0.2, tower: 0.1, ruins: 0.15, fortress: 0.1 },
+        trees: { oak: 0.6, pine: 0.3, dead: 0.1 }
+    },
+    canyon: {
+        id: 'canyon',
+        name: 'Canyon',
+        icon: '🏜️',
+        description: 'A winding gorge cut deep into a high plateau',
+        generator: 'canyon',
+        terrain: { roughness: 0.4, heightScale: 1, waterLevel: 0 },
+        props: { buildings: 12, trees: 16 },
+        buildings: { ruins: 0.35, fortress: 0.2, tower: 0.2, house: 0.15, mosque: 0.1 },
+        trees: { dead: 0.6, pine: 0.25, palm: 0.15 }
+    },
+    ridge: {
+        id: 'ridge',
+        name: 'Mountain Ridge',
+        icon: '🏔️',
+        description: 'A high ridge splits the field; shells must clear the crest',
+        generator: 'ridge',
+        terrain: { roughness: 0.55, heightScale: 1, waterLevel: 0 },
+        props: { buildings: 10, trees: 40 },
+        buildings: { fortress: 0.25, tower: 0.3, ruins: 0.2, house: 0.25 },
+        trees: { pine: 0.75, dead: 0.15, oak: 0.1 }
+    },
+    desert: {
+        id: 'desert',
+        name: 'Flat Desert',
+        icon: '🐪',
+        description: 'Open sand with low dunes and little cover',
+        generator: 'desert',
+        terrain: { roughness: 0.3, heightScale: 1, waterLevel: 0 },
+        props: { buildings: 10, trees: 8 },
+        buildings: { mosque: 0.3, house: 0.25, ruins: 0.3, fortress: 0.15 },
+        trees: { palm: 0.7, dead: 0.3 }
+    },
+    archipelago: {
+        id: 'archipelago',
+        name: 'Archipelago',
+        icon: '🏝️',
+        description: 'A scatter of islands with channels of sea between them',
+        generator: 'archipelago',
+        terrain: { roughness: 0.5, heightScale: 1, waterLevel: 2 },
+        props: { buildings: 12, trees: 30 },
+        buildings: { lighthouse: 0.3, house: 0.3, warehouse: 0.15, ruins: 0.15, tower: 0.1 },
+        trees: { palm: 0.75, oak: 0.15, dead: 0.1 }
+    },
+    city: {
+        id: 'city',
+        name: 'City Grid',
+        icon: '🏙️',
+        description: 'Terraced blocks between flat streets, packed with buildings',
+        generator: 'city',
+        terrain: { roughness: 0.2, heightScale: 1, waterLevel: 0 },
+        props: { buildings: 28, trees: 10 },
+        buildings: { house: 0.3, warehouse: 0.25, tower: 0.25, mosque: 0.1, ruins: 0.1 },
+        trees: { oak: 0.7, palm: 0.3 }
+    }
+};
+
+/**
+ * Get a biome by id
+ * @param {string} biomeId - Biome identifier
+ * @returns {Object|null} Biome definition
+ */
+export function getBiome(biomeId) {
+    return BIOMES[biomeId] || null;
+}
+
+/**
+ * Check whether a biome id exists in the registry
+ * @param {string} biomeId - Biome identifier
+ * @returns {boolean} Whether the biome is known
+ */
+export function isValidBiome(biomeId) {
+    return Object.prototype.hasOwnProperty.call(BIOMES, biomeId);
+}
+
+/**
+ * Terrain settings for a match: the biome's defaults with any parameters the player
+ * changed, clamped to their ranges
+ * @param {string} biomeId - Biome identifier (unknown ids fall back to the default biome)
+ * @param {Object} overrides - { roughness, heightScale, waterLevel } (any subset)
+ * @returns {Object} { biome, roughness, heightScale, waterLevel }
+ */
+export function createTerrainSettings(biomeId = DEFAULT_BIOME_ID, overrides = {}) {
+    const biome = getBiome(biomeId) || getBiome(DEFAULT_BIOME_ID);
+    const settings = { biome: biome.id };
+    Object.entries(TERRAIN_PARAMETERS).forEach(([key, range]) => {
+        const value = Number.isFinite(overrides[key]) ? overrides[key] : biome.terrain[key];
+        settings[key] = Math.max(range.min, Math.min(range.max, value));
+    });
+    return settings;
+}
+
+/**
+ * Check terrain settings read from a file (replays)
+ * @param {Object} data - { biome, roughness, heightScale, waterLevel }
+ * @returns {string|null} Readable error message, or null when valid
+ */
+export function validateTerrainSettings(data) {
+    if (!data || typeof data !== 'object') return 'terrain settings must be an object';
+    if (!isValidBiome(data.biome)) return `unknown biome "${data.biome}"`;
+    for (const [key, range] of Object.entries(TERRAIN_PARAMETERS)) {
+        const value = data[key];
+        if (!Number.isFinite(value) || value < range.min || value > range.max) {
+            return `${key}: must be a number from ${range.min} to ${range.max}`;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,152 @@
+/**
+ * Campaign
+ * Five stages played in order, each a hand-tuned battlefield: fixed seed and prop
+ * density, its own enemy line-up, difficulty and weather. Clearing a stage unlocks the
+ * next; progress is kept on the user record ('tankGame_userData') next to the credits
+ * and upgrades.
+ *
+ * Stage fields:
+ *  - seed       : battlefield seed (terrain, props and spawns)
+ *  - difficulty : key of the Game's DIFFICULTY_SETTINGS
+ *  - enemies    : one AI personality id per enemy tank
+ *  - terrain    : { buildings, trees } props generated on the island
+ *  - weather    : { wind (key of WIND_PRESETS), fogDensity }
+ *  - objectives : what clears the stage (see objectives.js)
+ */
+
+export const CAMPAIGN_STAGES = [
+    {
+        id: 'beachhead',
+        number: 1,
+        name: 'Beachhead',
+        image: 'assets/images/1stStage.png',
+        description: 'A lone patrol guards the landing zone. Learn the ropes.',
+        seed: 'beachhead',
+        difficulty: 'sargent',
+        enemies: ['soldier'],
+        terrain: { buildings: 8, trees: 20 },
+        weather: { wind: 'calm', fogDensity: 0.004 },
+        objectives: [{ type: 'destroyAll' }]
+    },
+    {
+        id: 'crossroads',
+        number: 2,
+        name: 'Crossroads',
+        image: 'assets/images/2ndStage.png',
+        description: 'Two tanks hold the village. Clear them out without losing the lighthouse.',
+        seed: 'crossroads',
+        difficulty: 'sargent',
+        enemies: ['soldier', 'coward'],
+        terrain: { buildings: 18, trees: 25 },
+        weather: { wind: 'variable', fogDensity: 0.0055 },
+        objectives: [{ type: 'destroyAll' }, { type: 'protectBuilding', building: 'lighthouse' }]
+    },
+    {
+        id: 'ridgeline',
+        number: 3,
+        name: 'Ridgeline',
+        image: 'assets/images/3rdStage.png',
+        description: 'A sniper watches from the hills while a digger tunnels in. Twelve shells, no more.',
+        seed: 'ridgeline',
+        difficulty: 'lieutenant',
+        enemies: ['sniper', 'digger'],
+        terrain: { buildings: 10, trees: 40 },
+        weather: { wind: 'variable', fogDensity: 0.007 },
+        objectives: [{ type: 'destroyAll' }, { type: 'shotLimit', shots: 12 }]
+    },
+    {
+        id: 'stormfront',
+        number: 4,
+        name: 'Storm Front',
+        image: 'assets/images/4thStage.png',
+        description: 'Gale-force winds and three tanks closing in. Hold out for eight turns.',
+        seed: 'stormfront',
+        difficulty: 'lieutenant',
+        enemies: ['bruiser', 'sniper', 'soldier'],
+        terrain: { buildings: 15, trees: 30 },
+        weather: { wind: 'gusty', fogDensity: 0.009 },
+        objectives: [{ type: 'surviveTurns', turns: 8 }]
+    },
+    {
+        id: 'fortress',
+        number: 5,
+        name: 'The Fortress',
+        image: 'assets/images/5thStage.png',
+        description: 'The enemy command makes its last stand. Raze the fortress and everything in it.',
+        seed: 'fortress',
+        difficulty: 'colonel',
+        enemies: ['sniper', 'bruiser', 'digger', 'coward'],
+        terrain: { buildings: 22, trees: 25 },
+        weather: { wind: 'gusty', fogDensity: 0.0055 },
+        objectives: [{ type: 'destroyBuilding', building: 'fortress' }, { type: 'destroyAll' }]
+    }
+];
+
+/**
+ * Get a stage by id
+ * @param {string} stageId - Stage identifier
+ * @returns {Object|null} Stage definition
+ */
+export function getStage(stageId) {
+    return CAMPAIGN_STAGES.find(stage => stage.id === stageId) || null;
+}
+
+/**
+ * Check whether a stage id exists in the campaign
+ * @param {string} stageId - Stage identifier
+ * @returns {boolean} Whether the stage is known
+ */
+export function isValidStage(stageId) {
+    return getStage(stageId) !== null;
+}
+
+/**
+ * Stage after this one
+ * @param {string} stageId - Stage identifier
+ * @returns {Object|null} Next stage, or null after the last one
+ */
+export function getNextStage(stageId) {
+    const index = CAMPAIGN_STAGES.findIndex(stage => stage.id === stageId);
+    return index === -1 ? null : CAMPAIGN_STAGES[index + 1] || null;
+}
+
+/**
+ * Stages the player has cleared
+ * @param {Object} record - User record
+ * @returns {Array<string>} Stage ids in campaign order
+ */
+export function getCompletedStageIds(record) {
+    const completed = record?.campaign?.completedStages || [];
+    return CAMPAIGN_STAGES.filter(stage => completed.includes(stage.id)).map(stage => stage.id);
+}
+
+/**
+ * A stage is open once every stage before it has been cleared
+ * @param {Object} record - User record
+ * @param {string} stageId - Stage identifier
+ * @returns {boolean} Whether the stage can be played
+ */
+export function isStageUnlocked(record, stageId) {
+    const index = CAMPAIGN_STAGES.findIndex(stage => stage.id === stageId);
+    if (index === -1) return false;
+    const completed = getCompletedStageIds(record);
+    return CAMPAIGN_STAGES.slice(0, index).every(stage => completed.includes(stage.id));
+}
+
+/**
+ * Mark a stage as cleared
+ * @param {Object} record - User record (modified in place)
+ * @param {string} stageId - Stage identifier
+ * @returns {Object|null} Stage unlocked by this win, or null if none was
+ */
+export function completeStage(record, stageId) {
+    if (!isValidStage(stageId) || !isStageUnlocked(record, stageId)) return null;
+
+    const nextStage = getNextStage(stageId);
+    const wasLocked = nextStage && !isStageUnlocked(record, nextStage.id);
+    const completed = getCompletedStageIds(record);
+    if (!completed.includes(stageId)) {
+        record.campaign = { ...(record.campaign || {}), completedStages: [...completed, stageId] };
+    }
+    return wasLocked && isStageUnlocked(record, nextStage.id) ? nextStage : null;
+}
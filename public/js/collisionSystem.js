@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import { TANK_RADIUS, PROJECTILE_HIT_RADIUS, EXPLOSION_SETTINGS, calculateImpactDamage } from './sim/damage.js';
+import { findShellHit, resolveShellHit, resolveBlast } from './sim/impact.js';
+import { MAX_DRIVE_SLOPE, MIN_DRIVE_HEIGHT, findMoveBlocker, isWithinMoveLimit, isStableGround } from './sim/movement.js';
+import { igniteFire, burnFire, digTunnel } from './sim/weaponBehaviors.js';
 
 /**
  * Comprehensive Collision Detection System
@@ -12,20 +16,22 @@ export class CollisionSystem {
         
         // Collision configuration
         this.config = {
-            tank: { radius: 1.5, height: 1.8 },
-            projectile: { radius: 0.35 },
-            terrain: { margin: 0.15, maxSlope: 1.5, minDepth: -2.5 },
+            tank: { radius: TANK_RADIUS, height: 1.8 },
+            projectile: { radius: PROJECTILE_HIT_RADIUS },
+            terrain: { margin: 0.15, maxSlopeAngle: MAX_DRIVE_SLOPE, maxSpawnSlopeAngle: Math.PI / 4, minDepth: MIN_DRIVE_HEIGHT }, // Angles in radians
             building: { margin: 0.5 },
             tree: { margin: 0.3 },
+            explosion: { ...EXPLOSION_SETTINGS },
             spawn: { minClearance: 3.0, sampleRadius: 1.5 }
         };
         
         // Collision groups for optimization
         this.staticObjects = [];
         this.dynamicObjects = [];
+        this.activeFires = [];
         
         // Performance optimization
-        this.lastStaticUpdate = 0;
+        this.timeSinceStaticUpdate = 0;
         this.staticUpdateInterval = 1000; // Update every second
         
         this.initialize();
@@ -72,7 +78,7 @@ export class CollisionSystem {
             }
         });
         
-        this.lastStaticUpdate = Date.now();
+        this.timeSinceStaticUpdate = 0;
     }
     
     // ========================================
@@ -80,50 +86,29 @@ export class CollisionSystem {
     // ========================================
     
     /**
-     * Check if a tank can move to a new position
+     * Check if a tank can move to a new position: the shared driving rules (sim/movement.js,
+     * as in the headless SimWorld) decide, the track contact points place the tank
      * @param {Tank} tank - The tank attempting to move
      * @param {THREE.Vector3} newPosition - The desired new position
      * @param {THREE.Vector3} moveVector - The movement vector
      * @returns {Object} Movement validation result
      */
     checkTankMovement(tank, newPosition, moveVector) {
-        const result = {
-            canMove: true,
-            collisionInfo: null,
-            adjustedPosition: newPosition.clone(),
-            terrainHeight: 0,
-            terrainData: null
-        };
-        
-        // 1. Boundary check
-        if (!this.isWithinBoundaries(newPosition)) {
-            return this.createCollisionResult(false, 'boundary', newPosition);
+        const blocker = findMoveBlocker(tank, newPosition, this.getImpactWorld(this.getAllTanks()));
+        if (blocker) {
+            return this.createCollisionResult(false, blocker.type, newPosition, blocker);
         }
         
-        // 2. Terrain collision and positioning
         const terrainData = this.getTerrainCollisionData(newPosition, tank);
-        result.adjustedPosition.y = terrainData.groundY;
-        result.terrainHeight = terrainData.terrainHeight;
-        result.terrainData = terrainData;
-        
-        // 3. Static object collision
-        const staticCollision = this.checkStaticCollisions(newPosition, this.config.tank.radius);
-        if (staticCollision.hasCollision) {
-            return this.createCollisionResult(false, 'static', newPosition, staticCollision);
-        }
-        
-        // 4. Tank-to-tank collision
-        const tankCollision = this.checkTankCollisions(tank, newPosition);
-        if (tankCollision.hasCollision) {
-            return this.createCollisionResult(false, 'tank', newPosition, tankCollision);
-        }
-        
-        // 5. Stability check
-        if (!this.isTankStable(result.adjustedPosition, tank)) {
-            return this.createCollisionResult(false, 'unstable', newPosition);
-        }
-        
-        return result;
+        const adjustedPosition = newPosition.clone();
+        adjustedPosition.y = terrainData.groundY;
+        return {
+            canMove: true,
+            collisionInfo: null,
+            adjustedPosition,
+            terrainHeight: terrainData.terrainHeight,
+            terrainData
+        };
     }
     
     /**
@@ -160,7 +145,7 @@ export class CollisionSystem {
      */
     checkSpawnSuitability(position, tankRadius = 1.5, minClearance = 3.0) {
         // Boundary check
-        if (!this.isWithinBoundaries(position)) {
+        if (!isWithinMoveLimit(position)) {
             return { suitable: false, reason: 'boundary' };
         }
         
@@ -170,8 +155,8 @@ export class CollisionSystem {
             return { suitable: false, reason: 'underwater' };
         }
         
-        const slope = this.calculateTerrainSlope(position);
-        if (slope > 1.0) {
+        const slope = this.getTerrainSlope(position);
+        if (slope > this.config.terrain.maxSpawnSlopeAngle) {
             return { suitable: false, reason: 'too_steep', slope };
         }
         
@@ -253,7 +238,7 @@ export class CollisionSystem {
         
         // Calculate final position
         const groundY = centerHeight + 0.4 + this.config.terrain.margin;
-        const slope = this.calculateSlopeFromHeights(leftHeights, rightHeights);
+        const slope = this.getTerrainSlope(position);
         
         return {
             terrainHeight: centerHeight,
@@ -298,24 +283,12 @@ export class CollisionSystem {
     }
     
     /**
-     * Calculate terrain slope at position
+     * Terrain slope at position
      * @param {THREE.Vector3} position - Position to check
-     * @returns {number} Maximum slope value
+     * @returns {number} Angle between the ground and the horizontal, in radians
      */
-    calculateTerrainSlope(position) {
-        if (!this.scene.userData.terrain) return 0;
-        
-        const sampleDistance = 1.0;
-        const center = this.getTerrainHeight(position.x, position.z);
-        const north = this.getTerrainHeight(position.x, position.z + sampleDistance);
-        const east = this.getTerrainHeight(position.x + sampleDistance, position.z);
-        const south = this.getTerrainHeight(position.x, position.z - sampleDistance);
-        const west = this.getTerrainHeight(position.x - sampleDistance, position.z);
-        
-        const slopeX = Math.abs(east - west) / (sampleDistance * 2);
-        const slopeZ = Math.abs(north - south) / (sampleDistance * 2);
-        
-        return Math.max(slopeX, slopeZ);
+    getTerrainSlope(position) {
+        return this.scene.userData.terrain?.getSlopeAt(position.x, position.z) ?? 0;
     }
     
     // ========================================
@@ -323,114 +296,146 @@ export class CollisionSystem {
     // ========================================
     
     /**
-     * Check projectile collisions with all possible targets
+     * Check projectile collisions with all possible targets: tanks first, then buildings and
+     * trees, then the terrain (the same rules as the headless SimWorld, see sim/impact.js)
      * @param {Projectile} projectile - The projectile to check
      * @returns {Object} Collision result
      */
     checkProjectileCollisions(projectile) {
-        // Check tank collisions first (most important)
-        const tankCollision = this.checkProjectileTankCollisions(projectile);
-        if (tankCollision.hasCollision) {
-            return { type: 'tank', hasCollision: true, ...tankCollision };
+        const pos = projectile.mesh.position;
+        
+        // A fast shell moves a couple of meters per step, so the whole step is swept against
+        // the terrain. Rollers ride along the ground and only explode once they stop.
+        let hit = findShellHit(pos, projectile.isRolling ? null : projectile.previousPosition, {
+            ...this.getImpactWorld(this.getValidTargets(projectile)),
+            ignoreTerrain: projectile.isRolling
+        });
+        if (!hit && projectile.detonateNow) {
+            hit = { type: 'terrain', position: pos.clone(), terrainHeight: this.getTerrainHeight(pos.x, pos.z) };
         }
+        if (!hit) return { hasCollision: false };
         
-        // Check static object collisions
-        const staticCollision = this.checkProjectileStaticCollisions(projectile);
-        if (staticCollision.hasCollision) {
-            return { type: 'static', hasCollision: true, ...staticCollision };
+        // Carry on from the point of contact (a step that went into a ridge is pulled back)
+        pos.set(hit.position.x, hit.position.y, hit.position.z);
+        
+        if (hit.type === 'terrain' && projectile.weapon?.behavior === 'roller' && !projectile.isRolling) {
+            projectile.startRolling(hit.terrainHeight);
+            return { hasCollision: false };
         }
         
-        // Check terrain collision
-        const terrainCollision = this.checkProjectileTerrainCollision(projectile);
-        if (terrainCollision.hasCollision) {
-            return { type: 'terrain', hasCollision: true, ...terrainCollision };
+        if (hit.type === 'terrain' && projectile.weapon?.behavior === 'tunnel' && !projectile.hasTunneled) {
+            hit = this.boreTunnel(hit, projectile);
+            if (!hit) return { hasCollision: false };
         }
         
-        return { hasCollision: false };
+        return this.describeProjectileHit(hit, projectile);
     }
     
     /**
-     * Check projectile collision with tanks
-     * @param {Projectile} projectile - Projectile to check
-     * @returns {Object} Tank collision result
+     * Bore a digger on through the ground from its first touchdown, digging the trench as it
+     * goes (sim/weaponBehaviors.js, as in the headless SimWorld)
+     * @param {Object} hit - Terrain hit where it struck
+     * @param {Projectile} projectile - The digger
+     * @returns {Object|null} Hit where it explodes, or null when it came out of the hill and flies on
      */
-    checkProjectileTankCollisions(projectile) {
-        const validTargets = this.getValidTargets(projectile);
+    boreTunnel(hit, projectile) {
+        const pos = projectile.mesh.position;
+        const entry = { x: hit.position.x, y: hit.terrainHeight, z: hit.position.z }; // On the ground, like a terrain impact
+        const tunnel = digTunnel(entry, projectile.velocity, projectile.weapon, this.getImpactWorld(this.getValidTargets(projectile)));
+        projectile.hasTunneled = true;
         
-        for (const tank of validTargets) {
-            if (tank.isDestroyed) continue;
-            
-            const distance = projectile.mesh.position.distanceTo(tank.mesh.position);
-            const combinedRadius = this.config.tank.radius + this.config.projectile.radius;
-            
-            if (distance < combinedRadius) {
-                const impactData = this.calculateImpactData(projectile, tank);
-                return {
-                    hasCollision: true,
-                    tank,
-                    distance,
-                    penetration: combinedRadius - distance,
-                    ...impactData
-                };
-            }
-        }
+        tunnel.craters.forEach(crater => {
+            const { x, y, z } = crater.position;
+            this.deformTerrain({ ...crater, position: new THREE.Vector3(x, y, z) });
+        });
+        pos.set(tunnel.position.x, tunnel.position.y, tunnel.position.z);
+        console.log(`DIGGER tunneled to (${pos.x.toFixed(1)}, ${pos.y.toFixed(1)}, ${pos.z.toFixed(1)}), ${tunnel.craters.length} trench craters${tunnel.emerged ? ', broke out' : ''}`);
         
-        return { hasCollision: false };
+        if (tunnel.hit) return tunnel.hit;
+        if (tunnel.emerged) return null;
+        return { type: 'terrain', position: pos.clone(), terrainHeight: this.getTerrainHeight(pos.x, pos.z) };
     }
     
     /**
-     * Check projectile collision with static objects
-     * @param {Projectile} projectile - Projectile to check
-     * @returns {Object} Static collision result
+     * Turn a shared hit into the collision result the effects and network code use
+     * @param {Object} hit - Hit from findShellHit
+     * @param {Projectile} projectile - Projectile that hit
+     * @returns {Object} Collision result
      */
-    checkProjectileStaticCollisions(projectile) {
-        const projectilePos = projectile.mesh.position;
+    describeProjectileHit(hit, projectile) {
+        const { impactPoint, impactAngle, damage, crater } = resolveShellHit(hit, projectile, tank => tank.mesh.position);
+        const toVector = v => new THREE.Vector3(v.x, v.y, v.z);
         
-        for (const obj of this.staticObjects) {
-            const distance = projectilePos.distanceTo(obj.position);
-            const combinedRadius = obj.radius + this.config.projectile.radius;
-            
-            if (distance < combinedRadius) {
-                return {
-                    hasCollision: true,
-                    objectType: obj.type,
-                    object: obj.object,
-                    impactPoint: projectilePos.clone(),
-                    distance,
-                    penetration: combinedRadius - distance,
-                    damage: projectile.damage
-                };
-            }
+        if (hit.type === 'tank') {
+            return {
+                type: 'tank',
+                hasCollision: true,
+                tank: hit.tank,
+                distance: hit.distance,
+                penetration: this.config.tank.radius + this.config.projectile.radius - hit.distance,
+                impactPoint: toVector(impactPoint),
+                impactAngle,
+                damage
+            };
         }
         
-        return { hasCollision: false };
-    }
-    
-    /**
-     * Check projectile collision with terrain
-     * @param {Projectile} projectile - Projectile to check
-     * @returns {Object} Terrain collision result
-     */
-    checkProjectileTerrainCollision(projectile) {
-        const pos = projectile.mesh.position;
-        const terrainHeight = this.getTerrainHeight(pos.x, pos.z);
-        
-        if (pos.y <= terrainHeight + this.config.projectile.radius) {
+        if (hit.type === 'static') {
             return {
+                type: 'static',
                 hasCollision: true,
-                impactPoint: new THREE.Vector3(pos.x, terrainHeight, pos.z),
-                terrainHeight,
-                crater: {
-                    position: new THREE.Vector3(pos.x, terrainHeight, pos.z),
-                    radius: 4,
-                    depth: 1.5
-                }
+                objectType: hit.obstacle.type,
+                object: hit.obstacle.object,
+                impactPoint: toVector(impactPoint),
+                distance: hit.distance,
+                penetration: hit.obstacle.radius + this.config.projectile.radius - hit.distance,
+                damage
             };
         }
         
-        return { hasCollision: false };
+        return {
+            type: 'terrain',
+            hasCollision: true,
+            impactPoint: toVector(impactPoint),
+            terrainHeight: hit.terrainHeight,
+            crater: { ...crater, position: toVector(crater.position) }
+        };
+    }
+
+    /**
+     * First terrain or building/tree contact of a predicted shell (aiming guide, AI fire solutions).
+     * Uses the same rules as the live projectile checks; tanks are ignored.
+     * @param {Object} position - Point on the predicted path ({ x, y, z } or THREE.Vector3)
+     * @param {Object} previous - Previous point on the path, if any; the step between the two is
+     *   swept against the terrain like a live shell's
+     * @returns {THREE.Vector3|null} Impact point, or null if the path is clear here
+     */
+    checkTrajectoryObstruction(position, previous = null) {
+        const hit = findShellHit(position, previous, this.getImpactWorld([]));
+        if (!hit) return null;
+
+        const { x, y, z } = hit.position;
+        return new THREE.Vector3(x, hit.type === 'terrain' ? hit.terrainHeight : y, z);
     }
     
+    /**
+     * The match as the shared impact and movement rules (sim/impact.js, sim/movement.js) see it
+     * @param {Array} tanks - Tanks the shell or blast can hurt (or the moving tank can run into)
+     * @returns {Object} { terrain, tanks, obstacles, getPosition, settings }
+     */
+    getImpactWorld(tanks) {
+        return {
+            terrain: {
+                getHeightAt: (x, z) => this.getTerrainHeight(x, z),
+                getSlopeAt: (x, z) => this.getTerrainSlope({ x, z }),
+                intersectSegment: (from, to, clearance) => this.scene.userData.terrain?.intersectSegment(from, to, clearance) ?? null
+            },
+            tanks,
+            obstacles: this.staticObjects.filter(obj => !obj.object.userData?.isDestroyed),
+            getPosition: tank => tank.mesh.position,
+            settings: this.config.explosion
+        };
+    }
+
     // ========================================
     // COLLISION EFFECTS & HANDLING
     // ========================================
@@ -473,6 +478,67 @@ export class CollisionSystem {
         } else {
             console.warn(`Unknown collision type: ${collisionResult.type}`);
         }
+        
+        // Splash damage to everything else inside the blast radius
+        const impactPoint = collisionResult.impactPoint || projectile.mesh.position.clone();
+        const directTarget = collisionResult.tank || collisionResult.object || null;
+        this.resolveExplosion(impactPoint, projectile, directTarget);
+        
+        this.applyWeaponBehavior(collisionResult, projectile);
+    }
+    
+    /**
+     * Apply weapon-specific after effects (fires, etc.) at the impact point
+     * @param {Object} collisionResult - Collision data
+     * @param {Projectile} projectile - The projectile
+     */
+    applyWeaponBehavior(collisionResult, projectile) {
+        const weapon = projectile.weapon;
+        if (!weapon) return;
+        
+        const impactPoint = collisionResult.impactPoint || projectile.mesh.position.clone();
+        
+        if (weapon.behavior === 'napalm') {
+            this.igniteFire(impactPoint, weapon, projectile);
+        }
+    }
+    
+    /**
+     * Start a napalm fire that burns nearby tanks for a few seconds
+     * @param {THREE.Vector3} position - Fire center
+     * @param {Object} weapon - Weapon definition
+     * @param {Projectile} projectile - The projectile that started the fire
+     */
+    igniteFire(position, weapon, projectile) {
+        this.activeFires.push(igniteFire(position, weapon, projectile.shootingTank));
+        
+        this.game.particleSystem?.createExplosionFlash(position, 0.6);
+        console.log(`NAPALM FIRE started at (${position.x.toFixed(1)}, ${position.z.toFixed(1)}), radius ${weapon.blastRadius}`);
+    }
+    
+    /**
+     * Tick active fires: damage tanks inside them and expire old ones (sim/weaponBehaviors.js).
+     * Runs on simulation time so replays burn exactly like the live match.
+     * @param {number} deltaTime - Simulation step in seconds
+     */
+    updateFires(deltaTime) {
+        if (this.activeFires.length === 0) return;
+        
+        this.activeFires = this.activeFires.filter(fire => {
+            const flammable = this.getAllTanks().filter(tank => !tank.isDestroyed && this.game.canDamage?.(fire.shooter, tank) !== false);
+            const { burns, ticked, isOut } = burnFire(fire, deltaTime, flammable, tank => tank.mesh.position);
+            
+            burns.forEach(({ tank, damage }) => {
+                tank.takeDamage?.(damage, fire.shooter);
+                this.game.ui?.updateHealth(tank.id, tank.currentHealth, tank.maxHealth);
+            });
+            if (ticked) {
+                this.game.particleSystem?.createSmoke(fire.position, 0.4);
+                this.game.particleSystem?.createSparks(fire.position, 0.5);
+            }
+            
+            return !isOut;
+        });
     }
     
     /**
@@ -493,7 +559,7 @@ export class CollisionSystem {
         });
         
         // Apply damage
-        tank.takeDamage?.(damage);
+        tank.takeDamage?.(damage, projectile.shootingTank);
         
         // Create effects
         this.createHitEffects(impactPoint, 'tank', tank.currentHealth / tank.maxHealth);
@@ -516,7 +582,7 @@ export class CollisionSystem {
         const effectMap = {
             building: () => {
                 this.createHitEffects(impactPoint, 'building');
-                this.game.damageBuilding?.(object, projectile);
+                this.game.damageBuilding?.(object, projectile, projectile.damage);
             },
             tree: () => {
                 this.createHitEffects(impactPoint, 'tree');
@@ -549,6 +615,78 @@ export class CollisionSystem {
         this.playCollisionSounds(['groundHit']);
     }
     
+    // ========================================
+    // EXPLOSION RESOLUTION
+    // ========================================
+    
+    /**
+     * Apply blast damage to every tank, building and tree within the blast radius.
+     * Damage falls off with distance and is reduced by terrain or buildings in between.
+     * @param {THREE.Vector3} center - Explosion center
+     * @param {Projectile} projectile - The exploding projectile
+     * @param {Object} directTarget - Object already damaged by the direct hit (skipped)
+     * @returns {Object} Summary of what the blast damaged
+     */
+    resolveExplosion(center, projectile, directTarget = null) {
+        const summary = { tanks: [], buildings: [], trees: [] };
+        
+        // The shared rules know buildings and trees by their collision entry
+        const direct = this.staticObjects.find(obj => obj.object === directTarget) || directTarget;
+        const blast = resolveBlast(center, projectile, this.getImpactWorld(this.getSplashTargets(projectile)), direct);
+        
+        // Tanks
+        blast.tanks.forEach(({ tank, damage, distance }) => {
+            this.logHit('TANK (SPLASH)', projectile, {
+                target: tank.isPlayer ? 'PLAYER' : tank.id,
+                damage,
+                distance: distance.toFixed(2)
+            });
+            
+            tank.takeDamage?.(damage, projectile.shootingTank);
+            this.game.ui?.updateHealth(tank.id, tank.currentHealth, tank.maxHealth);
+            summary.tanks.push({ tank, damage, distance });
+        });
+        
+        // Buildings and trees
+        blast.obstacles.forEach(({ obstacle, damage, distance }) => {
+            const object = obstacle.object;
+            if (obstacle.type === 'building') {
+                this.game.damageBuilding?.(object, projectile, damage);
+                summary.buildings.push({ building: object, damage, distance });
+            } else if (obstacle.type === 'tree') {
+                object.userData.health = (object.userData.health ?? 50) - damage;
+                if (object.userData.health <= 0) {
+                    this.game.destroyTree?.(object, projectile);
+                }
+                summary.trees.push({ tree: object, damage, distance });
+            }
+        });
+        
+        if (summary.tanks.length || summary.buildings.length || summary.trees.length) {
+            console.log(`EXPLOSION (${projectile.weapon?.name || 'shell'}, r=${projectile.blastRadius}m):`, {
+                tanks: summary.tanks.length,
+                buildings: summary.buildings.length,
+                trees: summary.trees.length
+            });
+        }
+        
+        return summary;
+    }
+    
+    /**
+     * Tanks that can be hurt by a blast: the valid targets plus the shooter itself
+     * @param {Projectile} projectile - The exploding projectile
+     * @returns {Array} Tanks exposed to splash damage
+     */
+    getSplashTargets(projectile) {
+        const targets = this.getValidTargets(projectile);
+        const shooter = projectile.shootingTank;
+        if (shooter && !targets.includes(shooter)) {
+            targets.push(shooter);
+        }
+        return targets;
+    }
+    
     // ========================================
     // UTILITY METHODS
     // ========================================
@@ -560,9 +698,13 @@ export class CollisionSystem {
     getAllTanks() {
         const tanks = [];
         
-        // Single-player tanks
-        if (this.game.playerTank) tanks.push(this.game.playerTank);
-        if (this.game.enemyTanks) tanks.push(...this.game.enemyTanks);
+        // Local tanks (hot-seat matches have several human tanks, all in turn order)
+        if (this.game.turnOrder?.length) {
+            tanks.push(...this.game.turnOrder);
+        } else {
+            if (this.game.playerTank) tanks.push(this.game.playerTank);
+            if (this.game.enemyTanks) tanks.push(...this.game.enemyTanks);
+        }
         
         // Multiplayer tanks
         if (this.game.multiplayerTanks) {
@@ -575,32 +717,21 @@ export class CollisionSystem {
     }
     
     /**
-     * Get valid targets for projectile (excluding shooter)
+     * Get valid targets for projectile (excluding shooter, and teammates unless friendly fire is on)
      * @param {Projectile} projectile - The projectile
      * @returns {Array} Valid target tanks
      */
     getValidTargets(projectile) {
-        const allTanks = this.getAllTanks();
+        const shooter = projectile.shootingTank;
         
-        // Single-player mode fallback
-        if (!this.isMultiplayer() && projectile.firedByPlayer !== undefined) {
+        // Single-player fallback for shells without a known shooter
+        if (!shooter && !this.isMultiplayer() && !this.game.isHotSeat?.() && projectile.firedByPlayer !== undefined) {
             return projectile.firedByPlayer ? 
                 (this.game.enemyTanks || []) : 
                 [this.game.playerTank].filter(Boolean);
         }
         
-        // Exclude shooting tank
-        return allTanks.filter(tank => tank !== projectile.shootingTank);
-    }
-    
-    /**
-     * Check if position is within game boundaries
-     * @param {THREE.Vector3} position - Position to check
-     * @returns {boolean} Whether position is valid
-     */
-    isWithinBoundaries(position) {
-        const maxDistance = 60;
-        return Math.abs(position.x) <= maxDistance && Math.abs(position.z) <= maxDistance;
+        return this.getAllTanks().filter(tank => tank !== shooter && this.game.canDamage?.(shooter, tank) !== false);
     }
     
     /**
@@ -708,15 +839,6 @@ export class CollisionSystem {
         return weightedSum / totalWeight;
     }
     
-    calculateSlopeFromHeights(leftHeights, rightHeights) {
-        const allHeights = [...leftHeights, ...rightHeights];
-        if (allHeights.length < 2) return 0;
-        
-        const min = Math.min(...allHeights);
-        const max = Math.max(...allHeights);
-        return (max - min) / 3.25; // Normalize by track length
-    }
-    
     getHorizontalDistance(pos1, pos2) {
         return Math.sqrt(
             Math.pow(pos1.x - pos2.x, 2) + 
@@ -780,75 +902,13 @@ export class CollisionSystem {
         return { hasCollision: false };
     }
     
-    checkTankCollisions(movingTank, newPosition) {
-        const allTanks = this.getAllTanks();
-        
-        for (const tank of allTanks) {
-            if (tank === movingTank || tank.isDestroyed) continue;
-            
-            const distance = newPosition.distanceTo(tank.mesh.position);
-            const combinedRadius = this.config.tank.radius * 2;
-            
-            if (distance < combinedRadius) {
-                return {
-                    hasCollision: true,
-                    type: 'tank',
-                    tank,
-                    distance,
-                    penetration: combinedRadius - distance,
-                    direction: newPosition.clone().sub(tank.mesh.position).normalize()
-                };
-            }
-        }
-        
-        return { hasCollision: false };
-    }
-    
     isTankStable(position, tank) {
-        const slope = this.calculateTerrainSlope(position);
-        if (slope > this.config.terrain.maxSlope) return false;
-        
-        const terrainHeight = this.getTerrainHeight(position.x, position.z);
-        if (terrainHeight < this.config.terrain.minDepth) return false;
-        
-        return true;
-    }
-    
-    calculateImpactData(projectile, tank) {
-        const impactPoint = this.calculateImpactPoint(projectile, tank);
-        const impactAngle = this.calculateImpactAngle(projectile, tank);
-        const damage = this.calculateDamage(projectile, tank, impactAngle);
-        
-        return { impactPoint, impactAngle, damage };
-    }
-    
-    calculateImpactPoint(projectile, target) {
-        const projectilePos = projectile.mesh.position.clone();
-        const targetPos = target.mesh.position.clone();
-        targetPos.y += 0.8; // Tank center height
-        
-        const direction = projectilePos.clone().sub(targetPos).normalize();
-        return targetPos.clone().add(direction.multiplyScalar(this.config.tank.radius));
-    }
-    
-    calculateImpactAngle(projectile, target) {
-        const velocity = projectile.velocity.clone().normalize();
-        const toTarget = target.mesh.position.clone().sub(projectile.mesh.position).normalize();
-        const dotProduct = velocity.dot(toTarget);
-        return Math.acos(Math.max(-1, Math.min(1, dotProduct)));
+        const terrain = this.scene.userData.terrain;
+        return !terrain || isStableGround(terrain, position);
     }
     
     calculateDamage(projectile, target, impactAngle) {
-        let damage = projectile.damage;
-        
-        // Angle modifier
-        damage *= (0.7 + 0.3 * Math.cos(impactAngle));
-        
-        // Speed modifier
-        const speed = projectile.velocity.length();
-        damage *= Math.min(1.5, speed / 50);
-        
-        return Math.round(damage);
+        return calculateImpactDamage(projectile.damage, projectile.velocity.length(), impactAngle);
     }
     
     // Multiplayer helpers
@@ -872,8 +932,9 @@ export class CollisionSystem {
     prepareCollisionData(collision, projectile) {
         return {
             collisionPoint: collision.impactPoint || projectile.mesh.position.clone(),
-            explosionRadius: 4,
+            explosionRadius: projectile.blastRadius ?? 4,
             damage: collision.damage || projectile.damage,
+            weaponId: projectile.weapon?.id,
             type: collision.type
         };
     }
@@ -915,12 +976,16 @@ export class CollisionSystem {
             crater.depth
         );
         
+        // Tanks near the crater may have lost their footing (or been buried)
+        this.game.onTerrainDeformed?.(crater);
+        
         // Sync in multiplayer
         if (this.isMultiplayer() && this.isHost()) {
             this.game.gameSynchronizer.syncTerrainDestruction(
                 crater.position,
                 crater.radius,
-                Date.now()
+                Date.now(),
+                crater.depth
             );
         }
     }
@@ -937,16 +1002,21 @@ export class CollisionSystem {
     // ========================================
     
     /**
-     * Update collision system (call every frame)
+     * Update collision system (call every physics step)
+     * @param {number} deltaTime - Simulation step in seconds
      */
-    update() {
-        // Update static objects periodically
-        if (Date.now() - this.lastStaticUpdate > this.staticUpdateInterval) {
+    update(deltaTime) {
+        // Update static objects periodically (in simulation time, so replays stay in sync)
+        this.timeSinceStaticUpdate += deltaTime * 1000;
+        if (this.timeSinceStaticUpdate > this.staticUpdateInterval) {
             this.updateStaticObjects();
         }
         
         // Update dynamic objects
         this.updateDynamicObjects();
+        
+        // Burn napalm fires
+        this.updateFires(deltaTime);
     }
     
     updateDynamicObjects() {
@@ -989,7 +1059,7 @@ export class CollisionSystem {
                 bounds: this.scene.userData.terrain ? 'Available' : 'Not Available'
             },
             performance: {
-                lastStaticUpdate: this.lastStaticUpdate,
+                timeSinceStaticUpdate: this.timeSinceStaticUpdate,
                 updateInterval: this.staticUpdateInterval
             }
         };
@@ -0,0 +1,179 @@
+/**
+ * Custom Maps
+ * Battlefields built in the map editor and shared as JSON files. A map replaces the
+ * procedural island and its generated props: the match loads the map's terrain,
+ * buildings, trees, spawn points and weather instead, while AI decisions and wind
+ * shifts still come from the match seed.
+ *
+ * Format (version 2):
+ *  - version   : MAP_FORMAT_VERSION
+ *  - name      : shown in the menu
+ *  - terrain   : { size, segments } (always TERRAIN_SIZE and TERRAIN_SEGMENTS: world bounds,
+ *                spawn padding and shell limits are tuned to that field) plus either
+ *                  heights   : the whole heightfield (Heightfield.toBase64), or
+ *                  seed      : island seed (see generateIslandHeightfield) and
+ *                  overrides : [[vertex index, height], ...] edits on top of the island
+ *  - buildings : [{ type, x, z, scale, rotation, health }]
+ *  - trees     : [{ type, x, z, scale, rotation }]
+ *  - spawns    : [{ side: 'player' | 'enemy', x, z }]
+ *  - weather   : { wind (key of WIND_PRESETS), fogDensity }, or null for the match defaults
+ * Rotations are radians around the vertical axis. Heights are stored as exact float32
+ * values and everything else as plain JSON numbers, so a map survives save and load
+ * unchanged. Water is part of the heights: ground below 0 is under the ocean surface.
+ */
+import { BUILDING_TYPES, TREE_TYPES } from './sceneSetup.js';
+import { WIND_PRESETS } from './wind.js';
+import { TERRAIN_SIZE, TERRAIN_SEGMENTS } from './sim/heightfield.js';
+import { generateIslandHeightfield, createTerrainHeightfield } from './sim/terrainGenerator.js';
+
+export const MAP_FORMAT_VERSION = 2;
+export const SPAWN_SIDES = ['player', 'enemy'];
+export const DEFAULT_MAP_NAME = 'Custom Map';
+export const DEFAULT_BUILDING_HEALTH = 100;
+
+// Seeded maps list their edits while that is smaller than storing every height
+const MAX_OVERRIDE_SHARE = 0.25;
+
+/**
+ * Build the saved form of a map
+ * @param {Object} map - { name, heightfield, baseSeed, buildings, trees, spawns, weather };
+ *   baseSeed is the island the heights were sculpted from, if any
+ * @returns {Object} Map data, ready for JSON.stringify
+ */
+export function createMapData({ name = DEFAULT_MAP_NAME, heightfield, baseSeed = null, buildings = [], trees = [], spawns = [], weather = null }) {
+    return {
+        version: MAP_FORMAT_VERSION,
+        name: name.trim() || DEFAULT_MAP_NAME,
+        terrain: describeTerrain(heightfield, baseSeed),
+        buildings: buildings.map(({ type, x, z, scale, rotation, health }) => ({
+            type, x, z, scale: scale ?? 1, rotation: rotation ?? 0, health: health ?? DEFAULT_BUILDING_HEALTH
+        })),
+        trees: trees.map(({ type, x, z, scale, rotation }) => ({ type, x, z, scale: scale ?? 1, rotation: rotation ?? 0 })),
+        spawns: spawns.map(({ side, x, z }) => ({ side, x, z })),
+        weather: weather ? { wind: weather.wind, fogDensity: weather.fogDensity } : null
+    };
+}
+
+/**
+ * Heightfield of a map
+ * @param {Object} map - Map data (validated)
+ * @returns {Heightfield} Terrain heights
+ */
+export function createMapHeightfield(map) {
+    return createTerrainHeightfield(map.terrain);
+}
+
+/**
+ * Spawn points of one side
+ * @param {Object} map - Map data
+ * @param {string} side - 'player' or 'enemy'
+ * @returns {Array<Object>} Spawn points ({ x, z }) in the order they were placed
+ */
+export function getMapSpawns(map, side) {
+    return (map?.spawns || []).filter(spawn => spawn.side === side).map(({ x, z }) => ({ x, z }));
+}
+
+/**
+ * Check that parsed JSON is a map this version can load
+ * @param {Object} data - Parsed map
+ * @returns {string|null} Readable error message, or null when valid
+ */
+export function validateMap(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return 'Not a map file';
+    if (data.version !== MAP_FORMAT_VERSION) return `Unsupported map version: ${data.version}`;
+    if (typeof data.name !== 'string') return 'name: must be text';
+
+    const terrainError = validateTerrain(data.terrain);
+    if (terrainError) return terrainError;
+    const half = data.terrain.size / 2;
+
+    const listError = validateList(data.buildings, 'buildings', (building, path) => {
+        if (!BUILDING_TYPES.includes(building.type)) return `${path}.type: unknown building type "${building.type}"`;
+        return validatePlacement(building, path, half) || validateProp(building, path)
+            || (isPositive(building.health) ? null : `${path}.health: must be a number above 0`);
+    }) || validateList(data.trees, 'trees', (tree, path) => {
+        if (!TREE_TYPES.includes(tree.type)) return `${path}.type: unknown tree type "${tree.type}"`;
+        return validatePlacement(tree, path, half) || validateProp(tree, path);
+    }) || validateList(data.spawns, 'spawns', (spawn, path) => {
+        if (!SPAWN_SIDES.includes(spawn.side)) return `${path}.side: must be one of ${SPAWN_SIDES.join(', ')}`;
+        return validatePlacement(spawn, path, half);
+    });
+    if (listError) return listError;
+
+    return validateWeather(data.weather);
+}
+
+function describeTerrain(heightfield, baseSeed) {
+    const terrain = { size: heightfield.size, segments: heightfield.segments };
+    if (baseSeed !== null) {
+        const island = generateIslandHeightfield(baseSeed, heightfield.size, heightfield.segments);
+        const overrides = [];
+        heightfield.heights.forEach((height, index) => {
+            if (height !== island.heights[index]) {
+                overrides.push([index, height]);
+            }
+        });
+        if (overrides.length <= heightfield.vertexCount * MAX_OVERRIDE_SHARE) {
+            return { ...terrain, seed: baseSeed, overrides };
+        }
+    }
+    return { ...terrain, heights: heightfield.toBase64() };
+}
+
+function validateTerrain(terrain) {
+    if (!terrain || typeof terrain !== 'object') return 'terrain: missing';
+    if (terrain.size !== TERRAIN_SIZE) return `terrain.size: must be ${TERRAIN_SIZE}`;
+    if (terrain.segments !== TERRAIN_SEGMENTS) return `terrain.segments: must be ${TERRAIN_SEGMENTS}`;
+
+    const vertexCount = (terrain.segments + 1) * (terrain.segments + 1);
+    if (terrain.heights !== undefined) {
+        const heightfield = typeof terrain.heights === 'string' ? createTerrainHeightfield(terrain) : null;
+        if (!heightfield) return `terrain.heights: must encode ${vertexCount} heights`;
+        if (!heightfield.heights.every(Number.isFinite)) return 'terrain.heights: contains invalid heights';
+        return null;
+    }
+
+    if (!Number.isFinite(terrain.seed)) return 'terrain: needs either heights or a seed';
+    if (!Array.isArray(terrain.overrides)) return 'terrain.overrides: must be a list';
+    const badOverride = terrain.overrides.findIndex(override => !Array.isArray(override) || override.length !== 2
+        || !Number.isInteger(override[0]) || override[0] < 0 || override[0] >= vertexCount || !Number.isFinite(override[1]));
+    if (badOverride !== -1) return `terrain.overrides[${badOverride}]: must be [vertex index, height]`;
+    return null;
+}
+
+function validateList(list, name, validateItem) {
+    if (!Array.isArray(list)) return `${name}: must be a list`;
+    for (let i = 0; i < list.length; i++) {
+        const path = `${name}[${i}]`;
+        if (!list[i] || typeof list[i] !== 'object') return `${path}: must be an object`;
+        const error = validateItem(list[i], path);
+        if (error) return error;
+    }
+    return null;
+}
+
+function validatePlacement(item, path, half) {
+    if (!Number.isFinite(item.x) || !Number.isFinite(item.z)) return `${path}: needs numeric x and z`;
+    if (Math.abs(item.x) > half || Math.abs(item.z) > half) return `${path}: lies outside the terrain`;
+    return null;
+}
+
+function validateProp(prop, path) {
+    if (!isPositive(prop.scale)) return `${path}.scale: must be a number above 0`;
+    if (!Number.isFinite(prop.rotation)) return `${path}.rotation: must be a number (radians)`;
+    return null;
+}
+
+function validateWeather(weather) {
+    if (weather === null || weather === undefined) return null;
+    if (typeof weather !== 'object') return 'weather: must be an object or null';
+    if (!Object.prototype.hasOwnProperty.call(WIND_PRESETS, weather.wind)) {
+        return `weather.wind: unknown wind preset "${weather.wind}" (use ${Object.keys(WIND_PRESETS).join(', ')})`;
+    }
+    if (!Number.isFinite(weather.fogDensity) || weather.fogDensity < 0) return 'weather.fogDensity: must be a number of 0 or more';
+    return null;
+}
+
+function isPositive(value) {
+    return Number.isFinite(value) && value > 0;
+}
@@ -1,16 +1,66 @@
 import * as THREE from 'three';
 import { Tank } from './tank.js';
 import { Projectile } from './projectile.js';
-import { generateTrees, generateBuildings } from './sceneSetup.js';
+import { generateTrees, generateBuildings, rebuildTerrain, createBuilding, placeMapBuildings, placeMapTrees, DEFAULT_FOG_DENSITY } from './sceneSetup.js';
 import { ParticleSystem } from './particleSystem.js';
 import { MobileControls } from './mobileControls.js';
 import { CollisionSystem } from './collisionSystem.js'; // Import the new collision system
 import { UI } from './ui.js';
 import { AudioManager } from './audioManager.js';
+import { DEFAULT_WEAPON_ID, isValidWeapon } from './weapons.js';
+import { WindSystem } from './wind.js';
+import { SeededRandom, createRandomSeed, normalizeSeed } from './random.js';
+import { ReplayRecorder, ReplayPlayer, ReplayControls, compactPose, expandPose } from './replay.js';
+import { loadUserRecord, saveUserRecord, getUpgradeModifiers, getOwnedWeaponIds, calculateMatchCredits } from './progression.js';
+import { SEAT_COLORS, validateMatchConfig, createNetworkConfig } from './matchSetup.js';
+import { TrajectoryPreview } from './trajectoryPreview.js';
+import { findNextTurnIndex, getLastTeamStanding } from './sim/turns.js';
+import { solveFireSolution } from './sim/fireSolution.js';
+import { GunneryMemory } from './sim/gunnery.js';
+import { isNearCrater } from './sim/groundSupport.js';
+import { DEFAULT_PERSONALITY_ID, getPersonality, resolvePersonalityIds } from './aiPersonalities.js';
+import { chooseTarget } from './targeting.js';
+import { getStage, completeStage } from './campaign.js';
+import { createObjectives, evaluateObjectives } from './objectives.js';
+import { ITEM_TYPES, createInventory, getItemCount, getItemType } from './inventory.js';
+import { createMapHeightfield, getMapSpawns } from './customMap.js';
+import { getBiome, createTerrainSettings } from './biomes.js';
+import { generateTerrainHeightfield } from './sim/terrainGenerator.js';
 
 
 const PLAYER_ID = 'player';
 const ENEMY_ID_PREFIX = 'enemy_';
+const ALLY_ID_PREFIX = 'ally_';
+const HOTSEAT_PLAYER_ID_PREFIX = 'player_';
+const NETWORK_PLAYER_ID_PREFIX = 'net_';
+const NUM_SINGLE_PLAYER_ENEMIES = 3;
+
+// Classic single player: the player against an allied enemy force
+const PLAYER_TEAM = 'player';
+const ENEMY_TEAM = 'enemies';
+
+// Team battles spawn each team in its own half of the map, this far from the middle line
+const TEAM_SPAWN_GAP = 10;
+
+// Objective buildings missing from the generated map are placed this far from other buildings
+const OBJECTIVE_BUILDING_CLEARANCE = 12;
+const OBJECTIVE_MARKER_COLORS = { goal: 0xff4444, constraint: 0x00ff41 };
+
+// World simulation runs in fixed steps so recorded matches replay identically
+const PHYSICS_STEP = 1 / 60;
+const MAX_FRAME_TIME = 0.25;
+
+// Local and host craters closer than this are the same impact (networked matches)
+const CRATER_MATCH_DISTANCE = 0.5;
+
+// Largest AI aiming errors (at zero accuracy) around the solved fire solution
+const AI_POWER_ERROR = 25;         // Power points
+const AI_ELEVATION_ERROR = 0.15;   // Radians (~8.6°)
+const AI_HEADING_ERROR = 0.08;     // Radians (~4.6°)
+// Share of that error drawn fresh for every shot; the rest is a bias the AI corrects over turns
+const AI_SHOT_JITTER = 0.2;
+// Item AI tanks use when badly damaged
+const AI_REPAIR_ITEM_ID = 'repairKit';
 
 // Difficulty configurations
 const DIFFICULTY_SETTINGS = {
@@ -18,34 +68,43 @@ const DIFFICULTY_SETTINGS = {
         name: "Sargent",
         aiReactionTime: 600,  // Slowest - gives player more time to think
         aimAccuracy: 0.3,
+        shotCorrection: 0.35, // Share of its last miss the AI corrects on the next shot
         strategicThinking: 0.2,
         aggressiveness: 0.3,
         fuelEfficiency: 0.6,
         coverUsage: 0.3,
         playerHealthBonus: 50,
-        playerFuelBonus: 50
+        playerFuelBonus: 50,
+        windPreset: 'calm',
+        trajectoryPreviewLength: Infinity // Aiming guide: meters of predicted arc shown
     },
     lieutenant: {
         name: "Lieutenant",
         aiReactionTime: 1200,  // Medium speed
         aimAccuracy: 0.7,
+        shotCorrection: 0.6,
         strategicThinking: 0.6,
         aggressiveness: 0.6,
         fuelEfficiency: 0.8,
         coverUsage: 0.7,
         playerHealthBonus: 0,
-        playerFuelBonus: 0
+        playerFuelBonus: 0,
+        windPreset: 'variable',
+        trajectoryPreviewLength: 30
     },
     colonel: {
         name: "Colonel",
         aiReactionTime: 2000,   // Fastest - creates pressure and challenge
         aimAccuracy: 0.95,
+        shotCorrection: 0.9,
         strategicThinking: 0.9,
         aggressiveness: 1.0,  // Maximum aggressiveness
         fuelEfficiency: 0.95,
         coverUsage: 0.9,      
         playerHealthBonus: -15, // Even more challenging for player
-        playerFuelBonus: -15
+        playerFuelBonus: -15,
+        windPreset: 'gusty',
+        trajectoryPreviewLength: 8
     }
 };
 
@@ -67,11 +126,23 @@ export class Game {
         this.ui = ui;
         this.audioManager = audioManager;
 
-        this.playerTank = null;
-        this.enemyTanks = [];
+        this.playerTank = null; // Human tank currently in control
+        this.enemyTanks = []; // AI-driven tanks
+        this.humanTanks = [];
+        this.turnOrder = []; // Every tank in seat order
         this.projectiles = [];
         this.buildings = [];
-        this.trees = []; this.currentPlayerIndex = -1;
+        this.trees = []; this.turnIndex = 0;
+        this.matchConfig = null; // Hot-seat seat layout, null for single player
+        this.friendlyFire = false; // Whether shells hurt tanks on the shooter's team
+        this.killLog = []; // [{ killer, victim, step }] in order of destruction
+        this.objectives = []; // Mission objectives of the match (see objectives.js)
+        this.customObjectives = null; // Objective definitions picked in the menu, null for the default mission
+        this.customMap = null; // Map loaded in the menu (see customMap.js), null for the seeded island
+        this.terrainSettings = null; // Biome and terrain parameters picked in the menu (see biomes.js), null for the island
+        this.objectiveMarkers = [];
+        this.round = 1; // One turn for every tank per round
+        this.matchWinner = null;
         this.activeTank = null;
         this.cameraController = null;
         this.difficulty = 'lieutenant'; // Default to medium if not set properly
@@ -84,6 +155,42 @@ export class Game {
         // Initialize collision system (WILL BE SET AFTER SCENE SETUP)
         this.collisionSystem = null;
 
+        // Match wind, rolled at the start of each match
+        this.wind = new WindSystem(this.difficultyConfig.windPreset);
+
+        // Aiming guide (length set by difficulty, off in hardcore matches, G toggles it)
+        this.trajectoryPreview = new TrajectoryPreview(this.scene);
+        this.trajectoryPreviewEnabled = true;
+        this.hardcore = false;
+
+        // Enemy personality setting: one id, 'random' for a mix, or one id per enemy
+        this.aiPersonality = DEFAULT_PERSONALITY_ID;
+
+        // Match seed and the random streams derived from it
+        this.matchSeed = null;
+        this.rng = null;
+
+        // Fixed-step simulation clock
+        this.matchStep = 0;
+        this.physicsAccumulator = 0;
+
+        // Match recording and replay playback
+        this.replayRecorder = new ReplayRecorder();
+        this.lastReplay = null;
+        this.replayPlayer = null;
+        this.replayControls = null;
+
+        // Player upgrades/weapons for the current match (from the user record, or from a replay)
+        this.playerLoadout = null;
+        this.replayLoadout = null;
+
+        // Networked matches (CollisionSystem checks gameSynchronizer.isMultiplayer / isHost)
+        this.gameSynchronizer = null;
+        this.networkListeners = [];
+        this.networkTanks = new Map(); // server player id -> Tank
+        this.pendingCraters = { local: [], remote: [] };
+        this.reportedEliminations = new Set();
+
         // Game statistics tracking
         this.gameStats = {
             shotsFired: 0,
@@ -114,22 +221,41 @@ export class Game {
             this.endPlayerTurn();
         });
 
-        this.ui.onDifficultyChange = (difficulty) => this.setDifficulty(difficulty);
+        this.ui.onDifficultyChange = (difficulty, seed) => this.setDifficulty(difficulty, seed);
+        this.ui.onWeaponCycle = () => this.cyclePlayerWeapon(1);
+        this.ui.onItemUse = (itemId) => this.usePlayerItem(itemId);
         this.setupControlsInfo();
     }
 
     setCameraController(controller) {
         this.cameraController = controller;
-    } setDifficulty(difficulty) {
+    } setDifficulty(difficulty, seed = null, matchConfig = null, options = {}) {
         console.log(`Game: Setting difficulty to: ${difficulty}`);
         if (!DIFFICULTY_SETTINGS[difficulty]) {
             console.error(`Invalid difficulty: ${difficulty}. Using default.`);
             difficulty = 'lieutenant'; // Fallback to medium difficulty
         }
 
+        this.leaveNetworkMatch();
         this.difficulty = difficulty;
         this.difficultyConfig = DIFFICULTY_SETTINGS[difficulty];
         console.log(`Game: Difficulty set to: ${this.difficultyConfig.name}`);
+        this.matchSeed = normalizeSeed(seed) || createRandomSeed();
+        this.replayLoadout = null;
+        this.hardcore = !!options.hardcore;
+        if (this.hardcore) {
+            console.log('Game: Hardcore match - no aiming guide');
+        }
+        this.aiPersonality = options.aiPersonality ?? DEFAULT_PERSONALITY_ID;
+        this.customObjectives = options.objectives ?? null;
+        this.customMap = options.map ?? null;
+        this.terrainSettings = options.terrain ?? null;
+
+        const configError = validateMatchConfig(matchConfig);
+        if (configError) {
+            console.error(`Invalid match config (${configError}). Starting single player.`);
+        }
+        this.matchConfig = configError ? null : matchConfig;
         this.startGameInitialization();
     }
 
@@ -137,15 +263,57 @@ export class Game {
         this.gameState = 'INITIALIZING';
         await this.initGame();
         this.startGame();
-    }    async initGame() {
+    }
+
+    /**
+     * Build the battlefield and the tanks for a new match
+     * @param {Object|null} map - Parsed custom map (see customMap.js) to fight on instead of the seeded island
+     */
+    async initGame(map = this.getCustomMap()) {
         // Perform comprehensive cleanup before generating new map
         this.cleanupExistingGame();
 
-        // Generate buildings first
-        this.buildings = generateBuildings(this.scene, [], 15);
+        // Seed every random stream of the match so it can be recreated exactly
+        this.setupMatchRandom(this.matchSeed || createRandomSeed());
+        this.matchStep = 0;
+
+        // Classic enemies never hurt each other; other matches default to friendly fire on
+        this.friendlyFire = this.matchConfig?.friendlyFire ?? !!this.matchConfig;
+        this.killLog = [];
+        this.physicsAccumulator = 0;
+
+        // Fresh terrain for this seed and biome, or the custom map (also clears craters from the last match)
+        const terrain = this.getTerrainSettings();
+        const biome = getBiome(terrain.biome);
+        const mapSeed = this.rng.terrain.next() * 1000;
+        const heightfield = map ? createMapHeightfield(map) : generateTerrainHeightfield(mapSeed, biome.generator, terrain);
+        rebuildTerrain(this.scene, mapSeed, this.rng.terrain.next, heightfield);
+
+        // Campaign stages bring their own weather and prop density; custom maps may set the weather
+        const stage = this.getCampaignStage();
+        const weather = stage?.weather ?? map?.weather;
+        if (this.scene.fog) {
+            this.scene.fog.density = weather?.fogDensity ?? DEFAULT_FOG_DENSITY;
+        }
+
+        // Roll the match wind for this difficulty (or stage / map)
+        this.wind.reset(weather?.wind ?? this.difficultyConfig.windPreset, this.rng.wind.next);
+        this.ui.updateWindIndicator(this.wind.strength, this.wind.preset.name);
+
+        // Generate buildings first, in the biome's mix (custom maps list their own)
+        this.buildings = map
+            ? placeMapBuildings(this.scene, map.buildings)
+            : generateBuildings(this.scene, [], stage?.terrain.buildings ?? biome.props.buildings, this.rng.props.next, biome.buildings);
+
+        // Mission objectives (matches played with the player's own tank), and the buildings they name
+        this.objectives = this.usesPlayerProfile() ? createObjectives(stage?.objectives ?? this.customObjectives) : [];
+        this.round = 1;
+        this.placeObjectiveTargets();
 
         // Generate trees after buildings
-        this.trees = generateTrees(this.scene, this.buildings, 30);
+        this.trees = map
+            ? placeMapTrees(this.scene, map.trees, this.rng.props.next)
+            : generateTrees(this.scene, this.buildings, stage?.terrain.trees ?? biome.props.trees, this.rng.props.next, biome.trees);
 
         // INITIALIZE COLLISION SYSTEM AFTER SCENE SETUP
         this.collisionSystem = new CollisionSystem(this);
@@ -160,14 +328,17 @@ export class Game {
 
         const tankCollisionRadius = 1.5;
 
-        const getRandomPosition = () => {
+        // side: -1 / 1 keeps the tank in the south / north half (team battles), 0 anywhere
+        const getRandomPosition = (side = 0) => {
+            const minZ = side > 0 ? TEAM_SPAWN_GAP : -terrainSize / 2 + padding;
+            const maxZ = side < 0 ? -TEAM_SPAWN_GAP : terrainSize / 2 - padding;
             let position;
             let tooClose;
             let attempts = 0;
             do {
                 tooClose = false;
-                const x = THREE.MathUtils.randFloat(-terrainSize / 2 + padding, terrainSize / 2 - padding);
-                const z = THREE.MathUtils.randFloat(-terrainSize / 2 + padding, terrainSize / 2 - padding);
+                const x = this.rng.spawns.range(-terrainSize / 2 + padding, terrainSize / 2 - padding);
+                const z = this.rng.spawns.range(minZ, maxZ);
                 position = new THREE.Vector3(x, 0, z);
 
                 // Check against other tanks
@@ -205,60 +376,212 @@ export class Game {
             return position;
         };
 
-        // Create player tank with difficulty bonuses
-        const playerInitialPosition = getRandomPosition();
-        this.playerTank = new Tank(PLAYER_ID, true, this.scene, playerInitialPosition, 0x00ff00, this);
+        // Custom maps mark where the player's side and the enemies start; once a side runs
+        // out of marked spawn points its tanks are placed at random
+        const mapSpawns = {
+            player: getMapSpawns(map, 'player').map(spawn => new THREE.Vector3(spawn.x, 0, spawn.z)),
+            enemy: getMapSpawns(map, 'enemy').map(spawn => new THREE.Vector3(spawn.x, 0, spawn.z))
+        };
+        occupiedPositions.push(...mapSpawns.player, ...mapSpawns.enemy);
+        const getSpawnPosition = (seat, side) => {
+            const marked = mapSpawns[seat.isHuman || seat.isAlly ? 'player' : 'enemy'].shift();
+            return marked ? marked.clone() : getRandomPosition(side);
+        };
+
+        // Create every tank in seat order
+        const seats = this.getMatchSeats();
+        const personalityIds = resolvePersonalityIds(
+            stage?.enemies ?? this.aiPersonality,
+            seats.filter(seat => !seat.isHuman && !seat.isRemote).length,
+            this.rng.personalities.next
+        );
+        const playerTeam = seats.find(seat => seat.isHuman)?.team;
+        seats.forEach(seat => {
+            const side = this.isTeamBattle() ? (seat.team === playerTeam ? -1 : 1) : 0;
+            const tank = new Tank(seat.id, seat.isHuman, this.scene, getSpawnPosition(seat, side), seat.color, this, seat.name);
+            tank.team = seat.team;
+            tank.isAlly = !!seat.isAlly;
+            if (tank.isAlly) {
+                tank.updateHealthBarVisual(); // Redraw in the player's team colors
+            }
 
-        // Apply difficulty modifiers to player
-        const originalPlayerHealth = this.playerTank.currentHealth;
-        this.playerTank.maxHealth += this.difficultyConfig.playerHealthBonus;
+            if (seat.isHuman || seat.isRemote) {
+                // Apply difficulty modifiers to human players
+                tank.maxHealth += this.difficultyConfig.playerHealthBonus;
+                tank.currentHealth = tank.maxHealth;
+                tank.maxFuel += this.difficultyConfig.playerFuelBonus;
+                tank.currentFuel = tank.maxFuel;
+            }
 
-        // Only reset health if it's at full health (initial state)
-        if (originalPlayerHealth === this.playerTank.maxHealth - this.difficultyConfig.playerHealthBonus) {
-            this.playerTank.currentHealth = this.playerTank.maxHealth;
-        } else {
-            // Health was already modified, adjust proportionally
-            const healthRatio = originalPlayerHealth / (this.playerTank.maxHealth - this.difficultyConfig.playerHealthBonus);
-            this.playerTank.currentHealth = Math.floor(this.playerTank.maxHealth * healthRatio);
-        }
+            if (seat.playerId) {
+                tank.networkPlayerId = seat.playerId;
+                this.networkTanks.set(seat.playerId, tank);
+            }
+
+            if (seat.isHuman) {
+                this.humanTanks.push(tank);
+            } else if (seat.isRemote) {
+                // Driven by another client through the game server
+                tank.isRemote = true;
+            } else {
+                // Personality and its take on the difficulty settings
+                this.assignPersonality(tank, personalityIds[this.enemyTanks.length]);
+                tank.lastKnownPlayerPosition = null;
+                tank.gunnery = new GunneryMemory(tank.aiDifficulty.shotCorrection);
+                tank.strategicState = 'seeking';
+                tank.coverPosition = null;
+                tank.turnsSinceLastShot = 0;
+                this.enemyTanks.push(tank);
+            }
+
+            this.turnOrder.push(tank);
+            this.scene.add(tank.mesh);
+        });
+
+        this.playerTank = this.humanTanks[0];
 
-        this.playerTank.maxFuel += this.difficultyConfig.playerFuelBonus;
-        this.playerTank.currentFuel = this.playerTank.maxFuel;
+        // Apply shop upgrades and equip the player's weapons (hot-seat and network tanks stay stock)
+        if (this.usesPlayerProfile()) {
+            this.applyPlayerLoadout();
+        }
 
-        // Update health bar after applying bonuses
+        // Update health bars after applying bonuses
         if (this.camera) {
-            this.playerTank.updateHealthBar(this.camera);
-        }
-
-        this.scene.add(this.playerTank.mesh);
-
-        // Create enemy tanks
-        const numEnemies = 3;
-        for (let i = 0; i < numEnemies; i++) {
-            const enemyInitialPosition = getRandomPosition();
-            const enemy = new Tank(ENEMY_ID_PREFIX + i, false, this.scene, enemyInitialPosition, 0xff0000, this);
-
-            // Set AI difficulty properties
-            enemy.aiDifficulty = this.difficultyConfig;
-            enemy.lastKnownPlayerPosition = null;
-            enemy.strategicState = 'seeking';
-            enemy.coverPosition = null;
-            enemy.turnsSinceLastShot = 0;
-            this.enemyTanks.push(enemy);
-            this.scene.add(enemy.mesh);
-        }
-    } startGame() {
-        this.gameState = 'PLAYER_TURN';
-        this.currentPlayerIndex = -1;
-        this.activeTank = this.playerTank;
-        this.activeTank.resetTurnStats();
+            this.humanTanks.forEach(tank => tank.updateHealthBar(this.camera));
+        }
+
+        // Allied AI tanks get a health panel in the HUD
+        this.ui.showAllyRoster(this.getAllyTanks().map(tank => ({
+            id: tank.id,
+            name: this.getTankName(tank),
+            current: tank.currentHealth,
+            max: tank.maxHealth
+        })));
+    }
+
+    /**
+     * Tanks taking part in this match, in turn order
+     * @returns {Array<{id: string, name: string, isHuman: boolean, color: number}>} Seats
+     */
+    getMatchSeats() {
+        if (this.isNetworkMatch()) {
+            return this.matchConfig.seats.map(seat => ({
+                id: NETWORK_PLAYER_ID_PREFIX + seat.playerId,
+                name: seat.name,
+                isHuman: seat.type === 'human',
+                isRemote: seat.type === 'remote',
+                playerId: seat.playerId,
+                color: SEAT_COLORS[seat.color].hex,
+                team: NETWORK_PLAYER_ID_PREFIX + seat.playerId
+            }));
+        }
+
+        if (!this.matchConfig) {
+            const seats = [{ id: PLAYER_ID, name: null, isHuman: true, color: 0x00ff00, team: PLAYER_TEAM }];
+            for (let i = 0; i < NUM_SINGLE_PLAYER_ENEMIES; i++) {
+                seats.push({ id: ENEMY_ID_PREFIX + i, name: `Enemy ${i + 1}`, isHuman: false, color: 0xff0000, team: ENEMY_TEAM });
+            }
+            return seats;
+        }
+
+        // Hot-seat, free-for-all and team battles; seats without a team fight alone
+        let humans = 0;
+        let ais = 0;
+        let allies = 0;
+        const playerTeam = this.matchConfig.seats.find(seat => seat.type === 'human').team;
+        return this.matchConfig.seats.map(seat => {
+            const isHuman = seat.type === 'human';
+            const isAlly = !isHuman && this.isTeamBattle() && seat.team === playerTeam;
+            const humanId = this.usesPlayerProfile() ? PLAYER_ID : HOTSEAT_PLAYER_ID_PREFIX + (++humans);
+            const aiId = isAlly ? ALLY_ID_PREFIX + (allies++) : ENEMY_ID_PREFIX + (ais++);
+            const id = isHuman ? humanId : aiId;
+            return { id, name: seat.name, isHuman, isAlly, color: SEAT_COLORS[seat.color].hex, team: seat.team ?? id };
+        });
+    }
+
+    /**
+     * @returns {boolean} True when several humans share this device
+     */
+    isHotSeat() {
+        return this.matchConfig?.mode === 'hotseat';
+    }
+
+    /**
+     * @returns {boolean} True when every AI tank fights for itself alongside the player
+     */
+    isFreeForAll() {
+        return this.matchConfig?.mode === 'ffa';
+    }
+
+    /**
+     * @returns {boolean} True when the player and AI allies fight an AI team
+     */
+    isTeamBattle() {
+        return this.matchConfig?.mode === 'team';
+    }
+
+    /**
+     * Stage being played in a campaign match
+     * @returns {Object|null} Campaign stage, or null outside the campaign
+     */
+    getCampaignStage() {
+        return this.matchConfig?.mode === 'campaign' ? getStage(this.matchConfig.stageId) : null;
+    }
+
+    /**
+     * Custom map for this match; campaign stages always fight on their own island
+     * @returns {Object|null} Map data, or null for the seeded island
+     */
+    getCustomMap() {
+        return this.getCampaignStage() ? null : this.customMap;
+    }
+
+    /**
+     * Terrain generator settings for this match; campaign stages keep the volcanic island
+     * @returns {Object} { biome, roughness, heightScale, waterLevel } (see biomes.js)
+     */
+    getTerrainSettings() {
+        if (this.getCampaignStage() || !this.terrainSettings) return createTerrainSettings();
+        return this.terrainSettings;
+    }
+
+    /**
+     * Classic, free-for-all, team battle and campaign matches are played with the player's
+     * own upgraded tank and pay out credits; hot-seat and network tanks are stock
+     * @returns {boolean} True when the match uses the player's profile
+     */
+    usesPlayerProfile() {
+        return !this.matchConfig || this.isFreeForAll() || this.isTeamBattle() || !!this.getCampaignStage();
+    }
+
+    /**
+     * AI tanks fighting on the player's side (team battles)
+     * @returns {Array<Tank>} Allied tanks in turn order
+     */
+    getAllyTanks() {
+        return this.turnOrder.filter(tank => tank.isAlly);
+    }
+
+    /**
+     * @returns {boolean} True when playing against other clients through the game server
+     */
+    isNetworkMatch() {
+        return this.matchConfig?.mode === 'network';
+    }
+
+    /**
+     * Display name of a tank for turn indicators and the win screen
+     * @param {Tank} tank - Tank to name
+     * @returns {string} Name
+     */
+    getTankName(tank) {
+        if (!tank) return 'Nobody';
+        return tank.displayName || this.ui.getPlayerName() || 'Player';
+    }
+
+    startGame() {
         const playerName = this.ui.getPlayerName() || 'Player';
-        this.ui.updateTurnIndicator(`${this.difficultyConfig.name} ${playerName}'s Turn`);
-        this.ui.setTurnStatus(true); // Player turn = green light
-        this.ui.updateFuel(this.activeTank.currentFuel, this.activeTank.maxFuel);
-        this.ui.updateHealth(this.activeTank.id, this.activeTank.currentHealth, this.activeTank.maxHealth);
-        this.ui.toggleEndTurnButton(true); this.ui.updateActionIndicator("Fire / Adjust Power");
-        this.ui.updatePowerIndicator(this.playerTank.currentPower, this.playerTank.minPower, this.playerTank.maxPower);
+        this.matchWinner = null;
 
         // Initialize game statistics
         this.gameStats = {
@@ -267,6 +590,27 @@ export class Game {
             gameStartTime: Date.now()
         };
 
+        // Record the match so it can be replayed
+        this.replayRecorder.start({
+            seed: this.matchSeed,
+            difficulty: this.difficulty,
+            playerName: playerName,
+            stepSize: PHYSICS_STEP,
+            loadout: this.usesPlayerProfile() ? this.playerLoadout : null,
+            match: this.matchConfig,
+            aiPersonality: this.aiPersonality,
+            objectives: this.customObjectives,
+            map: this.getCustomMap(),
+            terrain: this.getCustomMap() ? null : this.getTerrainSettings()
+        });
+
+        // First seat opens the match
+        this.turnIndex = 0;
+        this.beginTurn(this.turnOrder[0]);
+        if (this.gameState === 'PLAYER_TURN') {
+            this.ui.updateActionIndicator("Fire / Adjust Power");
+        }
+
         // Play enter tank sound
         if (this.audioManager) {
             this.audioManager.playEnterTankSound();
@@ -297,61 +641,228 @@ export class Game {
 
         if (this.gameState === 'GAME_OVER') return;
 
+        // In networked matches the server hands out turns (see handleNetworkTurn)
+        if (this.isNetworkMatch()) {
+            if (this.activeTank === this.playerTank) {
+                this.gameSynchronizer?.sendPose(compactPose(this.playerTank.getPose()), true);
+                this.gameSynchronizer?.endTurn();
+                this.gameState = 'ENEMY_TURN';
+                this.ui.toggleEndTurnButton(false);
+            }
+            return;
+        }
+
+        this.prepareTurnChange();
+
+        // Wrapping back to the first tank still in the fight starts a new round
+        const nextIndex = findNextTurnIndex(this.turnOrder, this.turnIndex);
+        if (nextIndex !== -1 && nextIndex <= this.turnIndex) {
+            this.round++;
+        }
+
+        // End the match before handing over if the last shot decided it
+        this.checkWinCondition();
+        if (this.gameState === 'GAME_OVER') return;
+
+        // Advance to the next tank still in the fight
+        if (nextIndex !== -1) {
+            this.turnIndex = nextIndex;
+            this.beginTurn(this.turnOrder[nextIndex]);
+        }
+    }
+
+    /**
+     * Between turns: silence continuous sounds and let the wind shift
+     */
+    prepareTurnChange() {
         // Stop any continuous sounds when turn changes
         if (this.audioManager) {
             this.audioManager.stopAllContinuousSounds();
         }
 
-        this.currentPlayerIndex++;
-        if (this.currentPlayerIndex >= this.enemyTanks.length) {
-            this.currentPlayerIndex = -1;
-        } if (this.currentPlayerIndex === -1) {
-            this.activeTank = this.playerTank;
-            if (this.activeTank.isDestroyed) {
-                // Player loses - pass current game statistics
-                const gameStats = {
-                    shotsFired: this.gameStats?.shotsFired || 0,
-                    tanksDestroyed: this.gameStats?.tanksDestroyed || 0,
-                    gameStartTime: this.gameStats?.gameStartTime || null
-                };
-                this.gameOver(false, gameStats);
-                return;
-            }
+        // Wind may shift between turns depending on the preset
+        if (this.wind.advanceTurn()) {
+            this.ui.updateWindIndicator(this.wind.strength, this.wind.preset.name);
+        }
+    }
+
+    /**
+     * Hand control to a tank: humans take the keyboard/touch controls, AI tanks start thinking
+     * @param {Tank} tank - Tank whose turn starts
+     */
+    beginTurn(tank) {
+        this.activeTank = tank;
+        this.activeTank.resetTurnStats();
+        this.recordTurn();
+
+        if (tank.isPlayer) {
+            // Input always drives `playerTank`, so pass it to whoever is up
+            this.playerTank = tank;
             this.gameState = 'PLAYER_TURN';
-            this.activeTank.resetTurnStats();
-            const playerName = this.ui.getPlayerName() || 'Player';
-            this.ui.updateTurnIndicator(`${this.difficultyConfig.name} - ${playerName} Turn`);
+            const name = this.getTankName(tank);
+            this.ui.updateTurnIndicator(this.isHotSeat() ? `${name}'s Turn` : `${this.difficultyConfig.name} - ${name} Turn`);
             this.ui.setTurnStatus(true); // Player turn = green light
             this.ui.toggleEndTurnButton(true);
-        } else {
-            this.activeTank = this.enemyTanks[this.currentPlayerIndex];
-            if (this.activeTank.isDestroyed) {
-                this.nextTurn();
-                return;
+            this.ui.updatePowerIndicator(tank.currentPower, tank.minPower, tank.maxPower);
+
+            // The camera follows the active tank; announce the handover so the device gets passed
+            if (this.isHotSeat()) {
+                this.ui.showMessage(`🎮 ${name}, take the controls!`, 2000);
             }
+        } else if (tank.isRemote) {
+            // Another client plays this turn; its poses and shot arrive from the server
+            this.gameState = 'ENEMY_TURN';
+            this.ui.updateTurnIndicator(`${this.getTankName(tank)}'s Turn`);
+            this.ui.setTurnStatus(false);
+            this.ui.updateActionIndicator(`Waiting for ${this.getTankName(tank)}...`);
+            this.ui.toggleEndTurnButton(false);
+        } else {
             this.gameState = 'ENEMY_TURN';
-            this.activeTank.resetTurnStats();
-            this.ui.updateTurnIndicator(`Enemy ${this.currentPlayerIndex + 1}'s Turn`);
-            this.ui.setTurnStatus(false); // Enemy turn = red light            
-            this.ui.updateActionIndicator("Enemy is analyzing battlefield...");
+            this.ui.updateTurnIndicator(`${this.getTankName(tank)}'s Turn`);
+            this.ui.setTurnStatus(false); // Enemy turn = red light
+            this.ui.updateActionIndicator(`${tank.isAlly ? 'Ally' : 'Enemy'} is analyzing battlefield...`);
             this.ui.toggleEndTurnButton(false);
 
             // AI reaction time based on difficulty
-            setTimeout(() => this.executeEnemyTurn(this.activeTank), this.difficultyConfig.aiReactionTime);
+            setTimeout(() => this.executeEnemyTurn(tank), this.difficultyConfig.aiReactionTime);
         }
         this.ui.updateFuel(this.activeTank.currentFuel, this.activeTank.maxFuel);
         this.ui.updateHealth(this.activeTank.id, this.activeTank.currentHealth, this.activeTank.maxHealth);
+        this.updateObjectives();
+    }
+
+    /**
+     * Team of a tank (tanks without one fight alone, except classic single player
+     * where every enemy is on one side)
+     * @param {Tank} tank - Tank
+     * @returns {string} Team key
+     */
+    getTeam(tank) {
+        if (tank.team) return tank.team;
+        if (this.matchConfig) return tank.id;
+        return tank.isPlayer ? PLAYER_TEAM : ENEMY_TEAM;
+    }
+
+    /**
+     * @param {Tank} tank - Tank
+     * @param {Tank} other - Another tank
+     * @returns {boolean} True when both are different tanks on the same team
+     */
+    isTeammate(tank, other) {
+        return tank !== other && this.getTeam(tank) === this.getTeam(other);
+    }
+
+    /**
+     * Whether a tank's shells, blasts and fires hurt another tank: always itself and
+     * opponents, teammates only with friendly fire on
+     * @param {Tank|null} shooter - Tank that fired (null for unowned damage)
+     * @param {Tank} tank - Tank in the way
+     * @returns {boolean} True when the tank takes damage
+     */
+    canDamage(shooter, tank) {
+        return !shooter || this.friendlyFire || !this.isTeammate(shooter, tank);
+    }
+
+    /**
+     * Pick the tank an AI tank goes after, among every living tank of another team,
+     * with its personality's targeting strategy
+     * @param {Tank} enemy - AI tank
+     * @returns {Tank|null} Target
+     */
+    getAITarget(enemy) {
+        return chooseTarget(enemy.aiPersonality?.targeting, this.getAITargetCandidates(enemy));
+    }
+
+    /**
+     * Tanks an AI tank may shoot at, described for the targeting strategies
+     * @param {Tank} enemy - AI tank
+     * @returns {Array<Object>} Candidates (see targeting.js)
+     */
+    getAITargetCandidates(enemy) {
+        return this.turnOrder
+            .filter(tank => tank !== enemy && !tank.isDestroyed && !this.isTeammate(enemy, tank))
+            .map(tank => ({
+                tank,
+                distance: enemy.mesh.position.distanceTo(tank.mesh.position),
+                health: tank.currentHealth,
+                damageDealt: tank.damageDealt ?? 0,
+                isLastAttacker: enemy.lastAttacker === tank
+            }));
+    }
+
+    /**
+     * Credit a destroyed tank to whoever finished it off. Only AI tanks of another team
+     * destroyed by a player count towards the match statistics (and the credits and XP
+     * they earn); teammates lost to friendly fire and unexplained deaths don't.
+     * @param {Tank} victim - Destroyed tank
+     * @param {Tank|null} killer - Tank whose damage destroyed it (itself for self-inflicted, null if unknown)
+     */
+    recordKill(victim, killer) {
+        this.killLog.push({ killer, victim, step: this.matchStep });
+        if (killer && killer !== victim) {
+            killer.kills = (killer.kills ?? 0) + 1;
+        }
+        if (this.gameStats && !victim.isPlayer && killer?.isPlayer && !this.isTeammate(killer, victim)) {
+            this.gameStats.tanksDestroyed++;
+        }
+        console.log(`KILL: ${killer ? this.getTankName(killer) : 'Unknown'} destroyed ${killer === victim ? 'itself' : this.getTankName(victim)}`);
+    }
+
+    /**
+     * Give an AI tank its personality: tuned difficulty settings and a labelled name tag
+     * @param {Tank} tank - AI tank
+     * @param {string} personalityId - Personality identifier
+     */
+    assignPersonality(tank, personalityId) {
+        const personality = getPersonality(personalityId);
+        tank.aiPersonality = personality;
+        tank.aiDifficulty = personality.tune(this.difficultyConfig);
+        tank.createNameLabel(`${tank.displayName} · ${personality.icon} ${personality.name}`, personality.labelColor);
+        console.log(`AI ${tank.id}: ${personality.name} personality`);
+    }
+
+    /**
+     * What an AI personality knows when planning a turn
+     * @param {Tank} enemy - AI tank
+     * @param {THREE.Vector3} targetPosition - Position of its target
+     * @param {number} distance - Distance to the target
+     * @returns {Object} Planning context
+     */
+    createAIContext(enemy, targetPosition, distance) {
+        const enemyPos = enemy.mesh.position;
+        return {
+            game: this,
+            enemy,
+            target: enemy.aiTarget,
+            targetPosition,
+            distance,
+            config: enemy.aiDifficulty,
+            lineOfSight: this.hasLineOfSight(enemyPos, targetPosition),
+            terrainBlocked: this.isTerrainBetween(enemyPos, targetPosition),
+            inCover: this.isInCover(enemyPos),
+            lowHealth: enemy.currentHealth < enemy.maxHealth * 0.4,
+            random: this.rng.ai.next
+        };
     }
 
     executeEnemyTurn(enemy) {
-        if (enemy.isDestroyed || this.gameState === 'GAME_OVER') {
+        // Ignore timers left over from an abandoned match or a replay
+        if (this.gameState !== 'ENEMY_TURN' || enemy !== this.activeTank) return;
+
+        if (enemy.isDestroyed) {
             this.nextTurn();
             return;
         }
 
         console.log(`${this.difficultyConfig.name} AI: Enemy ${enemy.id} executing turn`);
 
-        const playerPos = this.playerTank.mesh.position.clone();
+        enemy.aiTarget = this.getAITarget(enemy);
+        if (!enemy.aiTarget) {
+            this.nextTurn();
+            return;
+        }
+
+        const playerPos = enemy.aiTarget.mesh.position.clone();
         const enemyPos = enemy.mesh.position.clone();
         const distanceToPlayer = enemyPos.distanceTo(playerPos);
 
@@ -359,11 +870,24 @@ export class Game {
         enemy.lastKnownPlayerPosition = playerPos.clone();
         enemy.turnsSinceLastShot++;
 
-        // Advanced AI decision making
-        const aiDecision = this.makeAIDecision(enemy, playerPos, distanceToPlayer);
+        // The tank's personality plans the turn; carry out its steps in order
+        const context = this.createAIContext(enemy, playerPos, distanceToPlayer);
+        const plan = enemy.aiPersonality.planTurn(context);
+
+        // Badly damaged tanks patch themselves up first when they carry a repair kit
+        if (context.lowHealth && getItemCount(enemy.inventory, AI_REPAIR_ITEM_ID) > 0) {
+            plan.unshift({ type: 'item', action: 'patching up', itemId: AI_REPAIR_ITEM_ID });
+        }
+        const adjustment = this.describeAIAdjustment(enemy);
+        if (adjustment) {
+            plan.filter(step => step.type === 'shoot').forEach(step => {
+                step.action = `${step.action} (${adjustment})`;
+            });
+        }
+        console.log(`AI ${enemy.id} (${enemy.aiPersonality.name}): ${plan.map(step => step.action).join(' -> ')}`);
 
-        this.ui.updateActionIndicator(`Enemy is ${aiDecision.action}...`);        // Execute AI decision
-        this.executeAIDecision(enemy, aiDecision);
+        this.ui.updateActionIndicator(`${enemy.aiPersonality.icon} ${enemy.isAlly ? 'Ally' : 'Enemy'} is ${plan.map(step => step.action).join(', then ')}...`);
+        plan.forEach(step => this.executeAIDecision(enemy, step));
 
         // End turn with appropriate delay - aggressive AI acts faster
         const baseDelay = Math.max(800, 2000 - (this.difficultyConfig.strategicThinking * 1200));
@@ -373,7 +897,7 @@ export class Game {
         setTimeout(() => {
             // Check for win condition before proceeding to next turn
             this.checkWinCondition();
-            if (this.gameState !== 'GAME_OVER') {
+            if (this.gameState === 'ENEMY_TURN') {
                 this.nextTurn();
             }
         }, turnDelay);
@@ -386,7 +910,7 @@ export class Game {
         const lineOfSight = this.hasLineOfSight(enemyPos, playerPos);
         const inCover = this.isInCover(enemyPos);
         const playerInRange = distanceToPlayer <= 60;
-        const hasAmmo = !enemy.hasFiredThisTurn;
+        const hasAmmo = enemy.canFire();
         const lowHealth = enemy.currentHealth < enemy.maxHealth * 0.4;
         const lowFuel = enemy.currentFuel < enemy.maxFuel * 0.3;
 
@@ -398,7 +922,7 @@ export class Game {
         // HIGHEST PRIORITY: Always shoot at player if ammo is available
         if (hasAmmo) {
             // Tanks will always attempt to shoot at the player every turn
-            const baseAccuracy = Math.max(0.2, config.aimAccuracy * 0.8);
+            const baseAccuracy = Math.max(0.2, config.aimAccuracy);
             decision = {
                 action: 'engaging target',
                 type: 'shoot',
@@ -409,7 +933,7 @@ export class Game {
         if (!hasAmmo && lowHealth && config.strategicThinking > 0.5 && decision.priority < 8) {
             const retreatChance = isVeryAggressive ? 0.3 : (isAggressive ? 0.6 : 1.0);
             
-            if (Math.random() < retreatChance) {
+            if (this.rng.ai.next() < retreatChance) {
                 const coverPosition = this.findBestCover(enemyPos, playerPos);
                 if (coverPosition && !inCover) {
                     decision = {
@@ -437,7 +961,7 @@ export class Game {
         if (!hasAmmo && config.strategicThinking > 0.6 && decision.priority < 7) {
             const seekCoverChance = Math.max(0.2, config.coverUsage - (config.aggressiveness * 0.5));
             
-            if (!inCover && seekCoverChance > Math.random()) {
+            if (!inCover && seekCoverChance > this.rng.ai.next()) {
                 const coverPosition = this.findBestCover(enemyPos, playerPos);
                 if (coverPosition) {
                     decision = {
@@ -509,9 +1033,17 @@ export class Game {
 
         switch (decision.type) {
             case 'shoot':
+                // Out of the planned weapon's rounds: the standard shell never runs out
+                if (!enemy.selectWeapon(decision.weaponId || DEFAULT_WEAPON_ID)) {
+                    enemy.selectWeapon(DEFAULT_WEAPON_ID);
+                }
                 this.executeAIShoot(enemy, decision.accuracy);
                 break;
 
+            case 'item':
+                this.useTankItem(enemy, decision.itemId);
+                break;
+
             case 'move':
                 this.executeAIMove(enemy, decision.target);
                 break;
@@ -526,179 +1058,128 @@ export class Game {
                 break;
         }
     }executeAIShoot(enemy, baseAccuracy) {
-        const playerPos = this.playerTank.mesh.position.clone();
-        const enemyPos = enemy.mesh.position.clone();
-        const config = enemy.aiDifficulty;
-
-        // Aim at target horizontally
-        enemy.aimTowards(playerPos);
-
-        // Calculate proper ballistics
-        const distance = enemyPos.distanceTo(playerPos);
-        const heightDiff = playerPos.y - enemyPos.y;
-
-        // Aggressive AI uses higher power for more devastating shots
-        const powerMultiplier = config.aggressiveness >= 1.0 ? 1.2 : 1.0;
-        
-        // Start with a reasonable power estimate based on distance
-        let estimatedPower = Math.min(enemy.maxPower, Math.max(enemy.minPower, distance * 1.5 * powerMultiplier + 20));
-        enemy.currentPower = estimatedPower;
-
-        // Calculate physics-based elevation with current power
-        const optimalElevation = this.calculatePhysicsBasedElevation(distance, heightDiff, enemy);
-
-        // Now recalculate optimal power for this elevation and distance
-        const optimalPower = this.calculateOptimalPower(distance, optimalElevation, enemy);
-        enemy.currentPower = optimalPower;
-
-        // Apply accuracy scatter based on difficulty
-        const accuracyFactor = baseAccuracy;
-        const maxScatter = (1 - accuracyFactor) * 0.15;
-
-        // Add scatter to elevation
-        const elevationScatter = (Math.random() - 0.5) * maxScatter;
-        const finalElevation = optimalElevation + elevationScatter;
-
-        // Set barrel elevation
-        const targetElevation = Math.max(
-            enemy.minBarrelElevation,
-            Math.min(enemy.maxBarrelElevation, finalElevation)
-        );
-
-        const elevationDifference = targetElevation - enemy.barrelElevation;
-        enemy.elevateBarrel(elevationDifference);
-
-        // Add horizontal scatter for turret aiming
-        if (accuracyFactor < 1.0) {
-            const horizontalScatter = (Math.random() - 0.5) * maxScatter * 0.3;
-            enemy.rotateTurret(horizontalScatter);
-        }
-
-        // Add small power variation for realism
-        const powerVariation = (Math.random() - 0.5) * maxScatter * 10;
-        enemy.currentPower = Math.max(enemy.minPower, Math.min(enemy.maxPower, enemy.currentPower + powerVariation));
+        const target = enemy.aiTarget || this.playerTank;
+        const origin = enemy.mesh.position;
+        enemy.aimTowards(target.mesh.position);
+
+        // Most of the difficulty error is a bias kept for the whole engagement, which the
+        // gunner walks off by spotting where its shells land; the rest changes every shot
+        const error = 1 - baseAccuracy;
+        const scatter = () => (this.rng.ai.next() - 0.5) * 2 * error;
+        const gunnery = enemy.gunnery;
+        if (gunnery.engage(target.id, origin, target.mesh.position)) {
+            gunnery.sightError = { heading: scatter(), elevation: scatter(), power: scatter() };
+        }
+        const jitter = () => scatter() * AI_SHOT_JITTER;
+        const bias = gunnery.sightError;
+        const aimPoint = gunnery.getAimPoint(origin, target.mesh.position);
+
+        // Fly candidate shots through the real physics at the corrected aim point
+        const solution = this.solveAIFireSolution(enemy, target, new THREE.Vector3(aimPoint.x, aimPoint.y, aimPoint.z));
+        enemy.setAim({
+            turretRotation: solution.heading + (bias.heading * (1 - AI_SHOT_JITTER) + jitter()) * AI_HEADING_ERROR,
+            elevation: solution.elevation + (bias.elevation * (1 - AI_SHOT_JITTER) + jitter()) * AI_ELEVATION_ERROR,
+            power: solution.power + (bias.power * (1 - AI_SHOT_JITTER) + jitter()) * AI_POWER_ERROR
+        });
 
         // Shoot
         enemy.shoot();
         enemy.turnsSinceLastShot = 0;
+        gunnery.fired(origin, target.mesh.position);
 
-        console.log(`AI ${enemy.id}: Distance ${distance.toFixed(1)}m, Elevation ${(targetElevation * 180 / Math.PI).toFixed(1)}°, Power ${enemy.currentPower.toFixed(1)}, Accuracy ${(accuracyFactor * 100).toFixed(1)}%`);
-    }    // Enhanced Physics-based ballistics calculation
-    calculatePhysicsBasedElevation(distance, heightDiff, tank) {
-        const g = 9.81 * 2; // Match projectile gravity
-        const v0 = this.calculateProjectileSpeed(tank.currentPower || 50, tank);
-
-        // Account for air resistance in calculations
-        const effectiveV0 = v0 * 0.95; // Reduce effective velocity due to air resistance
-
-        const horizontalDistance = Math.sqrt(Math.max(1, distance * distance - heightDiff * heightDiff));
-
-        // Enhanced ballistic equation accounting for air resistance and wind
-        const a = g * horizontalDistance * horizontalDistance;
-        const b = -2 * effectiveV0 * effectiveV0 * horizontalDistance;
-        const c = g * horizontalDistance * horizontalDistance + 2 * effectiveV0 * effectiveV0 * heightDiff;
+        const distance = origin.distanceTo(target.mesh.position);
+        console.log(`AI ${enemy.id}: Distance ${distance.toFixed(1)}m, shot ${gunnery.shots + 1} at this target, solution ${(solution.elevation * 180 / Math.PI).toFixed(1)}° @ ${solution.power.toFixed(1)} (${solution.hitsTarget ? 'on target' : `misses by ${solution.miss.toFixed(1)}m`}), fired ${(enemy.barrelElevation * 180 / Math.PI).toFixed(1)}° @ ${enemy.currentPower.toFixed(1)}, Accuracy ${(baseAccuracy * 100).toFixed(1)}%`);
+    }
 
-        const discriminant = b * b - 4 * a * c;
+    /**
+     * Let an AI gunner see where its shell came down (first impact of the shot)
+     * @param {Projectile} projectile - Shell that landed or left the world
+     * @param {Object} collisionResult - Collision that ended it, or null
+     */
+    spotAIShot(projectile, collisionResult = null) {
+        const gunnery = projectile.shootingTank?.gunnery;
+        if (!gunnery?.pendingShot) return;
 
-        if (discriminant < 0) {
-            // Fallback to empirical elevation based on distance
-            return this.getEmpiricalElevation(distance, heightDiff);
+        // A building or tree in the way says nothing about where the aim is off
+        if (collisionResult?.type === 'static') {
+            gunnery.discardShot();
+            return;
         }
 
-        const tan1 = (-b + Math.sqrt(discriminant)) / (2 * a);
-        const tan2 = (-b - Math.sqrt(discriminant)) / (2 * a);
-
-        const angle1 = Math.atan(tan1);
-        const angle2 = Math.atan(tan2);
-
-        // Choose the lower trajectory for better accuracy
-        let preferredAngle = (Math.abs(angle1) < Math.abs(angle2)) ? angle1 : angle2;
+        const miss = gunnery.spot(collisionResult?.impactPoint || projectile.mesh.position);
+        console.log(`AI ${projectile.shootingTank.id}: shot landed ${this.describeMiss(miss)}, correcting ${(gunnery.correctionRate * 100).toFixed(0)}%`);
+    }
 
-        // Apply range-based adjustments
-        if (distance > 40) {
-            preferredAngle += Math.PI / 36; // Add slight elevation for long range
+    /**
+     * Miss in spotter terms, e.g. "6 m long, 2 m left"
+     * @param {Object} miss - { rangeError, lateralError }
+     * @returns {string} Description
+     */
+    describeMiss(miss) {
+        const parts = [];
+        if (Math.abs(miss.rangeError) >= 1) {
+            parts.push(`${Math.abs(miss.rangeError).toFixed(0)} m ${miss.rangeError > 0 ? 'long' : 'short'}`);
         }
-
-        // Terrain consideration - add elevation if shooting uphill
-        if (heightDiff > 2) {
-            preferredAngle += heightDiff * 0.01;
+        // Larger headings turn the turret to the gunner's left
+        if (Math.abs(miss.lateralError) >= 1) {
+            parts.push(`${Math.abs(miss.lateralError).toFixed(0)} m ${miss.lateralError > 0 ? 'left' : 'right'}`);
         }
-
-        // Clamp to realistic limits
-        preferredAngle = Math.max(-Math.PI / 12, Math.min(Math.PI / 3, preferredAngle));
-
-        return preferredAngle;
+        return parts.length ? parts.join(', ') : 'on target';
     }
 
-    getEmpiricalElevation(distance, heightDiff) {
-        // Improved empirical elevation table
-        let baseElevation;
-
-        if (distance < 8) baseElevation = Math.PI / 72;      // 2.5°
-        else if (distance < 15) baseElevation = Math.PI / 36; // 5°
-        else if (distance < 25) baseElevation = Math.PI / 24; // 7.5°
-        else if (distance < 35) baseElevation = Math.PI / 18; // 10°
-        else if (distance < 45) baseElevation = Math.PI / 15; // 12°
-        else if (distance < 55) baseElevation = Math.PI / 12; // 15°
-        else baseElevation = Math.PI / 9;                     // 20°
-
-        // Height difference adjustment
-        const heightAdjustment = Math.atan2(heightDiff, distance);
-
-        return baseElevation + heightAdjustment;
+    /**
+     * What an AI gunner is correcting this turn, for the action indicator
+     * @param {Tank} enemy - AI tank
+     * @returns {string|null} e.g. "last shot 6 m long" or null when not bracketing
+     */
+    describeAIAdjustment(enemy) {
+        const gunnery = enemy.gunnery;
+        if (!gunnery?.lastMiss || gunnery.targetId !== enemy.aiTarget?.id) return null;
+        return `last shot ${this.describeMiss(gunnery.lastMiss)}`;
     }
 
-    calculateProjectileSpeed(power, tank) {
-        const powerRatio = (power - tank.minPower) / (tank.maxPower - tank.minPower);
-        return tank.minProjectileSpeed + powerRatio * (tank.maxProjectileSpeed - tank.minProjectileSpeed);
-    } calculateOptimalPower(distance, elevation, tank) {
-        const g = 9.81 * 2; // Match projectile gravity
-        const airResistanceFactor = 0.95; // Account for air resistance
-
-        // Enhanced power calculation considering air resistance and terrain
-        const horizontalDistance = distance * Math.cos(Math.atan2(Math.abs(elevation * distance * 0.1), distance));
-
-        let requiredV0;
-
-        if (Math.abs(elevation) < 0.1) {
-            // Flat trajectory calculation
-            const effectiveAngle = Math.max(0.05, Math.abs(elevation));
-            requiredV0 = Math.sqrt((g * horizontalDistance) / Math.sin(2 * effectiveAngle));
-        } else {
-            // Angled trajectory calculation with enhanced physics
-            const cosElevation = Math.cos(elevation);
-            const sinElevation = Math.sin(elevation);
-
-            // Improved ballistic formula
-            const term1 = g * horizontalDistance / (cosElevation * cosElevation);
-            const term2 = 2 * (sinElevation + Math.sqrt(sinElevation * sinElevation + (g * horizontalDistance) / (2 * cosElevation * cosElevation)));
-
-            requiredV0 = Math.sqrt(term1 / term2);
-        }
-
-        // Adjust for air resistance - projectiles need more initial speed
-        requiredV0 = requiredV0 / airResistanceFactor;
-
-        // Distance-based power boost for long range shots
-        if (distance > 40) {
-            requiredV0 *= 1.1;
-        }
-
-        // Clamp to tank's velocity limits
-        requiredV0 = Math.max(tank.minProjectileSpeed, Math.min(tank.maxProjectileSpeed * 1.15, requiredV0));
-
-        // Convert velocity back to power percentage
-        const powerRange = tank.maxPower - tank.minPower;
-        const velocityRange = tank.maxProjectileSpeed - tank.minProjectileSpeed;
-        const powerRatio = (requiredV0 - tank.minProjectileSpeed) / velocityRange;
-        const calculatedPower = tank.minPower + powerRatio * powerRange;
-
-        // Ensure minimum power for the distance
-        const minPowerForDistance = Math.min(tank.maxPower, Math.max(tank.minPower, distance * 1.0 + 10));
-        const finalPower = Math.max(minPowerForDistance, calculatedPower);
+    /**
+     * Heading, elevation and power that land the enemy's selected weapon on its target,
+     * found by simulating shots with this turn's wind against terrain, buildings, trees
+     * and the other tanks
+     * @param {Tank} enemy - Shooting tank
+     * @param {Tank} target - Tank to hit
+     * @param {THREE.Vector3} aimPoint - Where to land the shell (defaults to the target's position)
+     * @returns {Object} Fire solution (see solveFireSolution)
+     */
+    solveAIFireSolution(enemy, target, aimPoint = target.mesh.position) {
+        const shellRadius = this.collisionSystem.config.projectile.radius;
+        const hitRadius = this.collisionSystem.config.tank.radius + shellRadius;
+        const bystanders = this.collisionSystem.getAllTanks()
+            .filter(tank => tank !== enemy && tank !== target && !tank.isDestroyed && this.canDamage(enemy, tank));
+
+        return solveFireSolution({
+            launch: (heading, elevation, power) => {
+                const { barrelTip, initialVelocity } = enemy.getLaunchState({ turretRotation: heading, elevation, power });
+                return { origin: barrelTip, velocity: initialVelocity };
+            },
+            heading: enemy.turretGroup.rotation.y,
+            target: aimPoint,
+            targetRadius: hitRadius,
+            limits: {
+                minElevation: enemy.minBarrelElevation,
+                maxElevation: enemy.maxBarrelElevation,
+                minPower: enemy.minPower,
+                maxPower: enemy.maxPower
+            },
+            weapon: enemy.getSelectedWeapon(),
+            windVector: this.wind.getVector().multiplyScalar(enemy.windSensitivity ?? 1),
+            step: PHYSICS_STEP,
+            hitTest: (position, velocity, previous) => {
+                const tank = bystanders.find(other => other.mesh.position.distanceTo(position) < hitRadius);
+                if (tank) return { type: 'tank', position: { ...position } };
+                const obstruction = this.collisionSystem.checkTrajectoryObstruction(position, previous);
+                return obstruction ? { type: 'obstacle', position: obstruction } : null;
+            }
+        });
+    }
 
-        return Math.max(tank.minPower, Math.min(tank.maxPower, finalPower));
-    }    executeAIMove(enemy, targetPosition) {
+    executeAIMove(enemy, targetPosition) {
         if (!targetPosition || enemy.currentFuel <= 0) return;
 
         const enemyPos = enemy.mesh.position.clone();
@@ -720,7 +1201,7 @@ export class Game {
             enemy.move(direction, actualMoveDistance / 5);
         }
     }    executeAIAim(enemy) {
-        const playerPos = this.playerTank.mesh.position.clone();
+        const playerPos = (enemy.aiTarget || this.playerTank).mesh.position.clone();
         const config = enemy.aiDifficulty;
         
         // Aggressive AI aims with predictive targeting
@@ -743,22 +1224,11 @@ export class Game {
         
         enemy.aimTowards(targetPos);
 
-        const distance = enemy.mesh.position.distanceTo(targetPos);
-        const heightDiff = targetPos.y - enemy.mesh.position.y;
-
-        // Aggressive AI uses higher power multipliers for more devastating shots
-        const powerMultiplier = config.aggressiveness >= 1.0 ? 1.2 : (config.aggressiveness > 0.7 ? 1.1 : 1.0);
-        const estimatedPower = Math.min(enemy.maxPower, Math.max(enemy.minPower, distance * 1.5 * powerMultiplier + 20));
-        enemy.currentPower = estimatedPower;
-
-        const optimalElevation = this.calculatePhysicsBasedElevation(distance, heightDiff, enemy);
-
-        const targetElevation = Math.max(
-            enemy.minBarrelElevation,
-            Math.min(enemy.maxBarrelElevation, optimalElevation)
-        );
+        // Work towards the solution for the (predicted) target position
+        const solution = this.solveAIFireSolution(enemy, enemy.aiTarget || this.playerTank, targetPos);
+        enemy.setAim({ power: solution.power });
 
-        const elevationDiff = targetElevation - enemy.barrelElevation;
+        const elevationDiff = solution.elevation - enemy.barrelElevation;
         
         // Aggressive AI aims faster and more decisively
         const aimSpeed = config.aggressiveness >= 1.0 ? 0.35 : (config.aggressiveness > 0.7 ? 0.25 : 0.2);
@@ -802,6 +1272,30 @@ export class Game {
         return true;
     }
 
+    /**
+     * Whether a hill rises above the straight line between two tanks
+     * @param {THREE.Vector3} fromPos - Shooter position
+     * @param {THREE.Vector3} toPos - Target position
+     * @returns {boolean} True if the terrain is in the way
+     */
+    isTerrainBetween(fromPos, toPos) {
+        if (!this.collisionSystem) return false;
+
+        const from = fromPos.clone();
+        const to = toPos.clone();
+        from.y += 1; // Barrel height
+        to.y += 0.8; // Hull center
+        const steps = Math.ceil(from.distanceTo(to) / 2); // Check every 2 units
+
+        for (let i = 1; i < steps; i++) {
+            const checkPos = from.clone().lerp(to, i / steps);
+            if (this.collisionSystem.getTerrainHeight(checkPos.x, checkPos.z) > checkPos.y) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     isInCover(position) {
         if (!this.collisionSystem) {
             // Fallback
@@ -940,141 +1434,755 @@ export class Game {
                 this.mobileControls.exitMobileScope();
             }
 
-            this.nextTurn();
+            this.nextTurn();
+        }
+    }
+
+    handlePlayerInput(deltaTime) {
+        // Check if we have any turret rotation input for audio handling
+        const isRotatingTurret = this.inputStates.turretLeft || this.inputStates.turretRight;
+
+        // Handle turret rotation sounds
+        if (isRotatingTurret) {
+            if (!this.audioManager.isContinuousSoundPlaying('turretRotate')) {
+                console.log('DEBUG: Starting turretRotate sound');
+                this.audioManager.playContinuousSound('turretRotate', 0.4);
+            }
+        } else {
+            if (this.audioManager.isContinuousSoundPlaying('turretRotate')) {
+                console.log('DEBUG: Stopping turretRotate sound');
+                this.audioManager.stopContinuousSound('turretRotate');
+            }
+        }
+
+        // Movement input handling
+        if (this.inputStates.moveForward) {
+            const forward = new THREE.Vector3(0, 0, 1);
+            forward.applyQuaternion(this.playerTank.mesh.quaternion);
+            this.playerTank.move(forward, deltaTime);
+        }
+        if (this.inputStates.moveBackward) {
+            const backward = new THREE.Vector3(0, 0, -1);
+            backward.applyQuaternion(this.playerTank.mesh.quaternion);
+            this.playerTank.move(backward, deltaTime);
+        }
+        if (this.inputStates.rotateLeft) this.playerTank.rotateBody(this.playerTank.rotateSpeed * deltaTime);
+        if (this.inputStates.rotateRight) this.playerTank.rotateBody(-this.playerTank.rotateSpeed * deltaTime);
+        if (this.inputStates.turretLeft) this.playerTank.rotateTurret(this.playerTank.turretRotateSpeed * deltaTime);
+        if (this.inputStates.turretRight) this.playerTank.rotateTurret(-this.playerTank.turretRotateSpeed * deltaTime);
+
+        if (this.inputStates.fire) {
+            this.playerTank.shoot();
+            this.inputStates.fire = false;
+        }
+        if (this.inputStates.increasePower) {
+            this.playerTank.adjustPower(this.playerTank.powerIncrement);
+        }
+        if (this.inputStates.decreasePower) {
+            this.playerTank.adjustPower(-this.playerTank.powerIncrement);
+        }
+        if (this.inputStates.barrelUp) {
+            const angleChange = this.playerTank.barrelElevateSpeed * deltaTime;
+            console.log(`BARREL UP pressed: angleChange = ${(angleChange * 180 / Math.PI).toFixed(3)}°, deltaTime = ${deltaTime.toFixed(4)}`);
+            this.playerTank.elevateBarrel(angleChange);
+        }
+        if (this.inputStates.barrelDown) {
+            const angleChange = -this.playerTank.barrelElevateSpeed * deltaTime;
+            console.log(`BARREL DOWN pressed: angleChange = ${(angleChange * 180 / Math.PI).toFixed(3)}°, deltaTime = ${deltaTime.toFixed(4)}`);
+            this.playerTank.elevateBarrel(angleChange);
+        }
+    }
+
+    update(deltaTime) {
+        if (this.gameState === 'GAME_OVER' || this.gameState === 'DIFFICULTY_SELECTION' || this.gameState === 'MAP_EDITOR') return;
+
+        // Keep the wind arrow relative to the current view
+        if (this.camera) {
+            this.ui.updateWindArrow(this.wind.getScreenAngle(this.camera));
+        }
+
+        // Replays drive the world themselves
+        if (this.gameState === 'REPLAY') {
+            this.replayPlayer?.update(deltaTime);
+            return;
+        }
+
+        // Update mobile controls
+        if (this.mobileControls) {
+            this.mobileControls.update(deltaTime);
+        }
+
+        if (this.gameState === 'PLAYER_TURN' && this.activeTank === this.playerTank && !this.playerTank.isDestroyed) {
+            this.handlePlayerInput(deltaTime);
+            this.ui.updateFuel(this.playerTank.currentFuel, this.playerTank.maxFuel);
+        }
+
+        // Sample the active tank for the replay log (and for the other clients in network matches)
+        this.replayRecorder.recordPose(this.matchStep, this.activeTank);
+        if (this.isNetworkMatch() && this.activeTank === this.playerTank && this.gameState === 'PLAYER_TURN') {
+            this.gameSynchronizer?.sendPose(compactPose(this.playerTank.getPose()));
+        }
+
+        this.updateWorld(Math.min(deltaTime, MAX_FRAME_TIME));
+        this.updateTrajectoryPreview();
+
+        // Handle tank movement audio
+        const isMoving = this.inputStates.moveForward || this.inputStates.moveBackward;
+        if (isMoving && this.gameState === 'PLAYER_TURN') {
+            if (!this.audioManager.isContinuousSoundPlaying('tankMove')) {
+                this.audioManager.playContinuousSound('tankMove', 0.3);
+            }
+        } else {
+            if (this.audioManager.isContinuousSoundPlaying('tankMove')) {
+                this.audioManager.stopContinuousSound('tankMove');
+            }
+        }
+        // Input handling is now done in handlePlayerInput method
+    }
+
+    getPhysicsStep() {
+        return PHYSICS_STEP;
+    }
+
+    /**
+     * Length of the aiming guide for this match
+     * @returns {number} Meters of predicted arc (0 = no guide, Infinity = full arc)
+     */
+    getTrajectoryPreviewLength() {
+        if (this.hardcore || !this.trajectoryPreviewEnabled) return 0;
+        return this.difficultyConfig.trajectoryPreviewLength ?? 0;
+    }
+
+    /**
+     * Draw the predicted arc of the controlled tank's next shot while it can still fire
+     */
+    updateTrajectoryPreview() {
+        const tank = this.playerTank;
+        const maxDistance = this.getTrajectoryPreviewLength();
+        const canFire = this.gameState === 'PLAYER_TURN' && tank && this.activeTank === tank && tank.canFire();
+
+        if (!canFire || maxDistance <= 0 || !this.collisionSystem) {
+            this.trajectoryPreview.hide();
+            return;
+        }
+
+        // Same launch state and wind the shell would get from shoot() / addProjectile()
+        const { barrelTip, initialVelocity } = tank.getLaunchState();
+        this.trajectoryPreview.show(barrelTip, initialVelocity, {
+            weapon: tank.getSelectedWeapon(),
+            windVector: this.wind.getVector().multiplyScalar(tank.windSensitivity ?? 1),
+            maxDistance,
+            step: PHYSICS_STEP,
+            hitTest: (position, previous) => this.collisionSystem.checkTrajectoryObstruction(position, previous)
+        });
+    }
+
+    toggleTrajectoryPreview() {
+        if (this.hardcore) {
+            this.ui.updateActionIndicator('Hardcore: no aiming guide');
+            return;
+        }
+        this.trajectoryPreviewEnabled = !this.trajectoryPreviewEnabled;
+        console.log(`Aiming guide ${this.trajectoryPreviewEnabled ? 'on' : 'off'}`);
+        this.ui.updateActionIndicator(`Aiming guide ${this.trajectoryPreviewEnabled ? 'on' : 'off'}`);
+    }
+
+    /**
+     * Advance the simulated world (projectiles, collisions, tank physics)
+     * by whole fixed steps
+     * @param {number} deltaTime - Elapsed time in seconds
+     */
+    updateWorld(deltaTime) {
+        this.physicsAccumulator += deltaTime;
+        while (this.physicsAccumulator >= PHYSICS_STEP) {
+            this.physicsAccumulator -= PHYSICS_STEP;
+            this.stepWorld(PHYSICS_STEP);
+        }
+    }
+
+    /**
+     * Run a single physics step
+     * @param {number} step - Step length in seconds
+     */
+    stepWorld(step) {
+        if (this.gameState === 'REPLAY') {
+            this.replayPlayer?.applyDueEvents(this.matchStep);
+        }
+
+        // Update collision system
+        if (this.collisionSystem) {
+            this.collisionSystem.update(step);
+        }
+
+        this.updateProjectiles(step);
+
+        // Update all tanks
+        this.turnOrder.forEach(tank => tank.update(step, this.camera));
+
+        if (this.gameSynchronizer && this.isNetworkMatch() && this.projectiles.length === 0) {
+            this.settlePendingCraters();
+        }
+
+        this.matchStep++;
+    }
+
+    updateProjectiles(deltaTime) {
+        // Update projectiles using collision system
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const p = this.projectiles[i];
+            p.update(deltaTime);
+
+            // MIRV rounds split into warheads at the apex
+            if (p.readyToSplit) {
+                const warheads = p.splitWarheads();
+                warheads.forEach(warhead => this.addProjectile(warhead, false));
+            }
+
+            if (p.shouldBeRemoved) {
+                if (!p.hasSplit) this.spotAIShot(p); // Timed out or left the world
+                this.scene.remove(p.mesh);
+                this.projectiles.splice(i, 1);
+            } else {
+                // USE COLLISION SYSTEM INSTEAD OF OLD METHOD
+                if (this.collisionSystem) {
+                    const collisionResult = this.collisionSystem.checkProjectileCollisions(p); if (collisionResult.hasCollision) {
+                        this.collisionSystem.applyCollisionEffects(collisionResult, p);
+                        this.scene.remove(p.mesh);
+                        this.projectiles.splice(i, 1);
+                        this.recordHit(collisionResult);
+                        this.spotAIShot(p, collisionResult);
+
+                        // Update UI if tank was hit
+                        if (collisionResult.type === 'tank') {
+                            this.ui.updateHealth(collisionResult.tank.id, collisionResult.tank.currentHealth, collisionResult.tank.maxHealth);
+
+                            // Check if this hit caused a tank to be destroyed
+                            if (collisionResult.tank.isDestroyed) {
+                                // Delay the check to let destruction animations play
+                                setTimeout(() => {
+                                    this.checkWinCondition();
+                                }, 1000);
+                            }
+                        }
+                    }
+                } else {
+                    // Fallback to old collision detection if collision system not available
+                    this.checkProjectileCollision(p);
+                }
+            }
+        }
+    }
+
+    addProjectile(projectile, countAsShot = true) {
+        const windSensitivity = projectile.shootingTank?.windSensitivity ?? 1;
+        projectile.setWind(this.wind.getVector().multiplyScalar(windSensitivity));
+        this.projectiles.push(projectile);
+        this.scene.add(projectile.mesh);
+
+        // Track shots fired for statistics (MIRV warheads are not separate shots)
+        if (countAsShot && this.gameStats) {
+            this.gameStats.shotsFired++;
+        }
+        if (countAsShot && projectile.shootingTank) {
+            projectile.shootingTank.shotsFired++;
+            projectile.shootingTank.spendShot(projectile.weapon.id);
+        }
+
+        // Warheads are re-created by the simulation, only launches are recorded
+        if (countAsShot && this.gameState !== 'REPLAY') {
+            this.replayRecorder.recordShot(this.matchStep, projectile);
+        }
+
+        // Other clients re-simulate our launch from its exact state
+        if (countAsShot && this.isNetworkMatch() && projectile.shootingTank === this.playerTank) {
+            this.gameSynchronizer?.sendShot({
+                origin: projectile.mesh.position,
+                velocity: projectile.velocity,
+                weaponId: projectile.weapon.id,
+                pose: compactPose(this.playerTank.getPose())
+            });
+        }
+    }
+
+    /**
+     * Log the start of the active tank's turn (with the wind it plays in)
+     */
+    recordTurn() {
+        if (!this.activeTank) return;
+        this.replayRecorder.record(this.matchStep, 'turn', {
+            tank: this.activeTank.id,
+            wind: [this.wind.direction, this.wind.strength]
+        });
+    }
+
+    /**
+     * Log a resolved collision, or check it against the recording during a replay
+     * @param {Object} collisionResult - Result from CollisionSystem
+     */
+    recordHit(collisionResult) {
+        if (this.gameState === 'REPLAY') {
+            this.replayPlayer?.verifyHit(collisionResult);
+        } else {
+            this.replayRecorder.recordHit(this.matchStep, collisionResult);
+        }
+    }
+
+    /**
+     * Start watching a recorded match
+     * @param {Object} data - Replay data (already validated)
+     */
+    startReplay(data) {
+        console.log(`Starting replay of seed "${data.seed}" (${data.events.length} events)`);
+        this.exitReplay(false);
+        this.leaveNetworkMatch();
+
+        this.loadReplayMatch(data);
+        this.replayPlayer = new ReplayPlayer(this, data);
+        this.replayControls = new ReplayControls(this.replayPlayer, () => this.exitReplay());
+
+        this.ui.toggleEndTurnButton(false);
+        this.ui.setTurnStatus(false);
+        this.ui.updateActionIndicator(`Replay: ${data.playerName || 'Player'} (${this.difficultyConfig.name})`);
+    }
+
+    /**
+     * Rebuild the recorded battlefield from its seed (also used when seeking backwards)
+     * @param {Object} data - Replay data
+     */
+    loadReplayMatch(data) {
+        this.difficulty = DIFFICULTY_SETTINGS[data.difficulty] ? data.difficulty : 'lieutenant';
+        this.difficultyConfig = DIFFICULTY_SETTINGS[this.difficulty];
+        this.matchSeed = data.seed;
+        this.replayLoadout = data.loadout || { upgrades: {}, weapons: null };
+        this.matchConfig = validateMatchConfig(data.match) ? null : (data.match || null);
+        this.aiPersonality = data.aiPersonality ?? DEFAULT_PERSONALITY_ID;
+        this.customObjectives = data.objectives ?? null;
+        this.customMap = data.map ?? null;
+        this.terrainSettings = data.terrain ?? null;
+        this.gameState = 'INITIALIZING';
+        this.initGame();
+        this.gameStats = { shotsFired: 0, tanksDestroyed: 0, gameStartTime: Date.now() };
+        this.activeTank = this.turnOrder[0];
+        this.turnIndex = 0;
+        this.gameState = 'REPLAY';
+    }
+
+    /**
+     * Apply a recorded turn change during a replay
+     * @param {Tank} tank - Tank whose turn starts
+     * @param {Array<number>} wind - [direction, strength]
+     */
+    setReplayTurn(tank, wind) {
+        if (wind) {
+            this.wind.setState(wind[0], wind[1]);
+            this.ui.updateWindIndicator(this.wind.strength, this.wind.preset.name);
+        }
+        if (!tank) return;
+
+        this.activeTank = tank;
+        this.turnIndex = this.turnOrder.indexOf(tank);
+        if (tank.isPlayer) {
+            this.playerTank = tank;
+        }
+        tank.resetTurnStats();
+        const name = tank.displayName || this.replayPlayer?.data.playerName || 'Player';
+        this.ui.updateTurnIndicator(`Replay - ${name}'s Turn`);
+        this.ui.updateHealth(tank.id, tank.currentHealth, tank.maxHealth);
+    }
+
+    /**
+     * Leave replay mode
+     * @param {boolean} showMenu - Return to the difficulty menu
+     */
+    exitReplay(showMenu = true) {
+        this.replayControls?.dispose();
+        this.replayControls = null;
+        this.replayPlayer = null;
+
+        if (showMenu) {
+            this.gameState = 'DIFFICULTY_SELECTION';
+            this.ui.showDifficultySelector();
+        }
+    }
+
+    /**
+     * Clear the battlefield for the map editor (see MapEditor), which takes over the scene
+     */
+    enterMapEditor() {
+        this.exitReplay(false);
+        this.leaveNetworkMatch();
+        this.cleanupExistingGame();
+        this.ui.toggleEndTurnButton(false);
+        this.ui.showAllyRoster([]);
+        this.ui.showObjectives([]);
+        this.gameState = 'MAP_EDITOR';
+    }
+
+    /**
+     * Save the last finished match as a JSON replay file
+     */
+    exportReplay() {
+        if (!this.lastReplay) {
+            console.warn('No recorded match to export');
+            return;
+        }
+        ReplayRecorder.download(this.lastReplay);
+    }
+
+    /**
+     * Start a networked match announced by the game server
+     * @param {GameSynchronizer} synchronizer - Connected synchronizer
+     * @param {Object} message - match_started message ({ seed, difficulty, room, turn })
+     */
+    startNetworkMatch(synchronizer, message) {
+        this.exitReplay(false);
+        this.attachSynchronizer(synchronizer);
+
+        this.difficulty = DIFFICULTY_SETTINGS[message.difficulty] ? message.difficulty : 'lieutenant';
+        this.difficultyConfig = DIFFICULTY_SETTINGS[this.difficulty];
+        this.matchSeed = message.seed;
+        this.replayLoadout = null;
+        this.hardcore = false;
+        this.matchConfig = createNetworkConfig(message.room, synchronizer.playerId);
+        this.customMap = null; // Every client builds the battlefield from the shared seed
+        this.terrainSettings = null;
+        console.log(`Game: Network match in room ${message.room.roomId} (seed "${this.matchSeed}")`);
+        this.startGameInitialization();
+    }
+
+    /**
+     * Route game server messages to this game
+     * @param {GameSynchronizer} synchronizer - Connected synchronizer
+     */
+    attachSynchronizer(synchronizer) {
+        if (this.gameSynchronizer === synchronizer) return;
+        this.leaveNetworkMatch();
+        this.gameSynchronizer = synchronizer;
+
+        const handlers = {
+            turn: (message) => this.handleNetworkTurn(message.playerId),
+            pose: (message) => this.handleNetworkPose(message.playerId, message.pose),
+            shot: (message) => this.handleNetworkShot(message.playerId, message.shot),
+            item: (message) => this.handleNetworkItem(message.playerId, message.itemId),
+            terrain: (message) => this.handleNetworkCrater(message.crater),
+            collision: (message) => console.log('Network: host collision', message.projectileId, message.data?.type),
+            player_left: (message) => this.handleNetworkPlayerLeft(message.playerId),
+            match_over: (message) => this.handleNetworkMatchOver(message.winnerId),
+            disconnected: () => this.handleNetworkDisconnect()
+        };
+        this.networkListeners = Object.entries(handlers).map(([type, handler]) =>
+            synchronizer.on(type, (message) => {
+                if (this.isNetworkMatch() && this.gameSynchronizer === synchronizer) handler(message);
+            })
+        );
+    }
+
+    /**
+     * Drop the server connection (when a local or replay match starts)
+     */
+    leaveNetworkMatch() {
+        if (!this.gameSynchronizer) return;
+        this.networkListeners.forEach(unsubscribe => unsubscribe());
+        this.networkListeners = [];
+        this.gameSynchronizer.disconnect();
+        this.gameSynchronizer = null;
+    }
+
+    /**
+     * The server handed the turn to a player
+     * @param {string} playerId - Server player id
+     */
+    handleNetworkTurn(playerId) {
+        const tank = this.networkTanks.get(playerId);
+        if (!tank || this.gameState === 'GAME_OVER' || this.gameState === 'INITIALIZING') return;
+
+        if (this.activeTank) this.activeTank.hasFired = false;
+        this.prepareTurnChange();
+        this.turnIndex = this.turnOrder.indexOf(tank);
+        this.beginTurn(tank);
+    }
+
+    handleNetworkPose(playerId, pose) {
+        const tank = this.networkTanks.get(playerId);
+        if (tank?.isRemote && pose) {
+            tank.applyPose(expandPose(pose));
+        }
+    }
+
+    /**
+     * Launch another player's shot with the exact state they fired it with
+     * @param {string} playerId - Shooter
+     * @param {Object} shot - { origin, velocity, weaponId, pose }
+     */
+    handleNetworkShot(playerId, shot) {
+        const tank = this.networkTanks.get(playerId);
+        if (!tank?.isRemote || tank.isDestroyed) return;
+
+        if (shot.pose) {
+            tank.applyPose(expandPose(shot.pose));
+        }
+
+        const projectile = new Projectile(
+            new THREE.Vector3().fromArray(shot.origin),
+            new THREE.Vector3().fromArray(shot.velocity),
+            false,
+            this.scene,
+            tank,
+            shot.weaponId
+        );
+        this.addProjectile(projectile);
+        this.audioManager?.playSound('shoot');
+    }
+
+    /**
+     * Another player used an item on their turn
+     * @param {string} playerId - Player
+     * @param {string} itemId - Item identifier
+     */
+    handleNetworkItem(playerId, itemId) {
+        const tank = this.networkTanks.get(playerId);
+        if (tank?.isRemote && !tank.isDestroyed) {
+            this.useTankItem(tank, itemId);
+        }
+    }
+
+    handleNetworkCrater(crater) {
+        if (this.gameSynchronizer?.isHost) return;
+        this.reconcileCrater('remote', {
+            position: new THREE.Vector3().fromArray(crater.position),
+            radius: crater.radius,
+            depth: crater.depth ?? crater.radius * 0.5
+        });
+    }
+
+    /**
+     * Pair a crater with its counterpart from the other side (local simulation vs host).
+     * Unpaired ones are settled in settlePendingCraters.
+     * @param {string} source - 'local' or 'remote'
+     * @param {Object} crater - { position, radius, depth }
+     */
+    reconcileCrater(source, crater) {
+        const other = source === 'local' ? 'remote' : 'local';
+        const index = this.pendingCraters[other].findIndex(pending =>
+            pending.position.distanceTo(crater.position) <= CRATER_MATCH_DISTANCE
+        );
+        if (index !== -1) {
+            this.pendingCraters[other].splice(index, 1);
+            return;
+        }
+        this.pendingCraters[source].push({ ...crater, position: crater.position.clone(), step: this.matchStep });
+    }
+
+    /**
+     * Once nothing is in flight, apply host craters this client never produced and
+     * forget local craters the host never confirmed
+     */
+    settlePendingCraters() {
+        const settleAfter = Math.round(1 / PHYSICS_STEP);
+        const isSettled = (crater) => this.matchStep - crater.step >= settleAfter;
+
+        this.pendingCraters.remote.filter(isSettled).forEach(crater => {
+            console.warn('Network: applying host crater missing from local simulation', crater.position);
+            this.applyingHostCrater = true;
+            this.scene.userData.terrain?.deformTerrain(crater.position, crater.radius, crater.depth);
+            this.onTerrainDeformed(crater);
+            this.applyingHostCrater = false;
+        });
+        this.pendingCraters.remote = this.pendingCraters.remote.filter(crater => !isSettled(crater));
+
+        // The host's report can trail our own simulation by the network latency
+        const staleLocal = this.pendingCraters.local.filter(crater => this.matchStep - crater.step >= settleAfter * 5);
+        if (staleLocal.length > 0) {
+            console.warn(`Network: ${staleLocal.length} local crater(s) never confirmed by the host`);
+            this.pendingCraters.local = this.pendingCraters.local.filter(crater => !staleLocal.includes(crater));
+        }
+    }
+
+    /**
+     * Host only: tell the server which tanks were destroyed
+     */
+    reportNetworkEliminations() {
+        if (!this.gameSynchronizer?.isHost) return;
+
+        const destroyed = [];
+        this.networkTanks.forEach((tank, playerId) => {
+            if (tank.isDestroyed && !this.reportedEliminations.has(playerId)) {
+                this.reportedEliminations.add(playerId);
+                destroyed.push(playerId);
+            }
+        });
+        this.gameSynchronizer.reportEliminations(destroyed);
+    }
+
+    handleNetworkPlayerLeft(playerId) {
+        const tank = this.networkTanks.get(playerId);
+        this.reportedEliminations.add(playerId);
+        if (!tank || tank.isDestroyed || this.gameState === 'GAME_OVER') return;
+
+        this.ui.showMessage(`📡 ${this.getTankName(tank)} left the match`, 3000);
+        tank.shield = 0;
+        tank.takeDamage(tank.currentHealth);
+    }
+
+    handleNetworkMatchOver(winnerId) {
+        const winner = winnerId ? this.networkTanks.get(winnerId) || null : null;
+        this.gameOver(!!winner && winner === this.playerTank, {}, winner);
+    }
+
+    handleNetworkDisconnect() {
+        if (this.gameState === 'GAME_OVER') return;
+        console.warn('Network: lost connection to the game server');
+        this.gameOver(false, { reason: 'disconnected' });
+    }
+
+    /**
+     * Create the seeded random streams for a match. Each system gets its own
+     * stream so that, e.g., extra AI decisions never shift spawn positions.
+     * @param {string} seed - Match seed string
+     */
+    setupMatchRandom(seed) {
+        this.matchSeed = seed;
+        const root = new SeededRandom(seed);
+        this.rng = {
+            terrain: root.fork('terrain'),
+            props: root.fork('props'),
+            spawns: root.fork('spawns'),
+            wind: root.fork('wind'),
+            ai: root.fork('ai'),
+            personalities: root.fork('personalities')
+        };
+        console.log(`Match seed: "${seed}"`);
+    }
+
+    /**
+     * Let tanks near a fresh crater re-check their support
+     * @param {Object} crater - Crater data ({ position, radius, depth })
+     */
+    onTerrainDeformed(crater) {
+        this.trajectoryPreview.invalidate();
+        if (!this.collisionSystem) return;
+
+        // Non-host clients check their own craters against the host's
+        if (this.isNetworkMatch() && this.gameSynchronizer && !this.gameSynchronizer.isHost && !this.applyingHostCrater) {
+            this.reconcileCrater('local', crater);
         }
+
+        this.collisionSystem.getAllTanks().forEach(tank => {
+            if (tank.isDestroyed) return;
+            if (isNearCrater(tank.mesh.position, crater)) {
+                tank.checkGroundSupport();
+            }
+        });
     }
 
-    handlePlayerInput(deltaTime) {
-        // Check if we have any turret rotation input for audio handling
-        const isRotatingTurret = this.inputStates.turretLeft || this.inputStates.turretRight;
+    /**
+     * Apply the player's shop upgrades and equip their owned weapons
+     * (taken from the user record, or from the replay being watched)
+     */
+    applyPlayerLoadout() {
+        if (!this.playerTank) return;
 
-        // Handle turret rotation sounds
-        if (isRotatingTurret) {
-            if (!this.audioManager.isContinuousSoundPlaying('turretRotate')) {
-                console.log('DEBUG: Starting turretRotate sound');
-                this.audioManager.playContinuousSound('turretRotate', 0.4);
-            }
-        } else {
-            if (this.audioManager.isContinuousSoundPlaying('turretRotate')) {
-                console.log('DEBUG: Stopping turretRotate sound');
-                this.audioManager.stopContinuousSound('turretRotate');
-            }
-        }
+        const userRecord = this.replayLoadout ? null : loadUserRecord();
+        const loadout = this.replayLoadout || {
+            upgrades: userRecord?.upgrades || {},
+            weapons: getOwnedWeaponIds(userRecord)
+        };
+        this.playerLoadout = loadout;
 
-        // Movement input handling
-        if (this.inputStates.moveForward) {
-            const forward = new THREE.Vector3(0, 0, 1);
-            forward.applyQuaternion(this.playerTank.mesh.quaternion);
-            this.playerTank.move(forward, deltaTime);
-        }
-        if (this.inputStates.moveBackward) {
-            const backward = new THREE.Vector3(0, 0, -1);
-            backward.applyQuaternion(this.playerTank.mesh.quaternion);
-            this.playerTank.move(backward, deltaTime);
-        }
-        if (this.inputStates.rotateLeft) this.playerTank.rotateBody(this.playerTank.rotateSpeed * deltaTime);
-        if (this.inputStates.rotateRight) this.playerTank.rotateBody(-this.playerTank.rotateSpeed * deltaTime);
-        if (this.inputStates.turretLeft) this.playerTank.rotateTurret(this.playerTank.turretRotateSpeed * deltaTime);
-        if (this.inputStates.turretRight) this.playerTank.rotateTurret(-this.playerTank.turretRotateSpeed * deltaTime);
+        const tank = this.playerTank;
+        const modifiers = getUpgradeModifiers(loadout.upgrades);
+        tank.maxHealth += modifiers.maxHealthBonus;
+        tank.currentHealth = tank.maxHealth;
+        tank.maxFuel += modifiers.maxFuelBonus;
+        tank.currentFuel = tank.maxFuel;
+        tank.turretRotateSpeed *= modifiers.turretSpeedMultiplier;
+        tank.damageMultiplier = modifiers.damageMultiplier;
+        tank.windSensitivity = modifiers.windSensitivity;
 
-        if (this.inputStates.fire) {
-            this.playerTank.shoot();
-            this.inputStates.fire = false;
-        }
-        if (this.inputStates.increasePower) {
-            this.playerTank.adjustPower(this.playerTank.powerIncrement);
-        }
-        if (this.inputStates.decreasePower) {
-            this.playerTank.adjustPower(-this.playerTank.powerIncrement);
+        if (loadout.weapons?.length) {
+            tank.availableWeaponIds = [...loadout.weapons];
+            tank.inventory = createInventory(tank.availableWeaponIds);
         }
-        if (this.inputStates.barrelUp) {
-            const angleChange = this.playerTank.barrelElevateSpeed * deltaTime;
-            console.log(`BARREL UP pressed: angleChange = ${(angleChange * 180 / Math.PI).toFixed(3)}°, deltaTime = ${deltaTime.toFixed(4)}`);
-            this.playerTank.elevateBarrel(angleChange);
+
+        const projectileType = userRecord?.equipment?.projectileType;
+        if (projectileType && isValidWeapon(projectileType)) {
+            tank.selectWeapon(projectileType);
         }
-        if (this.inputStates.barrelDown) {
-            const angleChange = -this.playerTank.barrelElevateSpeed * deltaTime;
-            console.log(`BARREL DOWN pressed: angleChange = ${(angleChange * 180 / Math.PI).toFixed(3)}°, deltaTime = ${deltaTime.toFixed(4)}`);
-            this.playerTank.elevateBarrel(angleChange);
+
+        console.log('Player loadout applied:', { upgrades: loadout.upgrades, weapons: tank.availableWeaponIds, modifiers });
+        tank.updateInventoryHud();
+    }
+
+    /**
+     * Use one of the controlled tank's items (repair kit, shield)
+     * @param {string} itemId - Item identifier
+     */
+    usePlayerItem(itemId) {
+        if (this.gameState !== 'PLAYER_TURN' || this.activeTank !== this.playerTank) return;
+        if (!this.useTankItem(this.playerTank, itemId)) {
+            const item = getItemType(itemId);
+            this.ui.showMessage(this.playerTank.actionsLeft > 0 ? `No ${item?.name ?? 'item'} left` : 'No actions left this turn', 1500);
         }
     }
 
-    update(deltaTime) {
-        if (this.gameState === 'GAME_OVER' || this.gameState === 'DIFFICULTY_SELECTION') return;
+    /**
+     * Use an item for a tank and log it for the replay (and the other clients)
+     * @param {Tank} tank - Tank using the item
+     * @param {string} itemId - Item identifier
+     * @returns {boolean} Whether the item was used
+     */
+    useTankItem(tank, itemId) {
+        if (!tank?.useItem(itemId)) return false;
 
-        // Update collision system
-        if (this.collisionSystem) {
-            this.collisionSystem.update();
+        this.ui.updateHealth(tank.id, tank.currentHealth, tank.maxHealth);
+        if (this.gameState !== 'REPLAY') {
+            this.replayRecorder.record(this.matchStep, 'item', { tank: tank.id, item: itemId });
         }
-
-        // Update mobile controls
-        if (this.mobileControls) {
-            this.mobileControls.update(deltaTime);
+        if (this.isNetworkMatch() && tank === this.playerTank) {
+            this.gameSynchronizer?.sendItem(itemId);
         }
+        return true;
+    }
 
-        // Update projectiles using collision system
-        for (let i = this.projectiles.length - 1; i >= 0; i--) {
-            const p = this.projectiles[i];
-            p.update(deltaTime);
-            if (p.shouldBeRemoved) {
-                this.scene.remove(p.mesh);
-                this.projectiles.splice(i, 1);
-            } else {
-                // USE COLLISION SYSTEM INSTEAD OF OLD METHOD
-                if (this.collisionSystem) {
-                    const collisionResult = this.collisionSystem.checkProjectileCollisions(p); if (collisionResult.hasCollision) {
-                        this.collisionSystem.applyCollisionEffects(collisionResult, p);
-                        this.scene.remove(p.mesh);
-                        this.projectiles.splice(i, 1);
-
-                        // Update UI if tank was hit
-                        if (collisionResult.type === 'tank') {
-                            this.ui.updateHealth(collisionResult.tank.id, collisionResult.tank.currentHealth, collisionResult.tank.maxHealth);
+    /**
+     * Cycle the player's weapon (only before firing this turn)
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    cyclePlayerWeapon(direction = 1) {
+        if (!this.canPlayerChangeWeapon()) return;
+        const weapon = this.playerTank.cycleWeapon(direction);
+        this.savePlayerWeapon(weapon.id);
+    }
 
-                            // Check if this hit caused a tank to be destroyed
-                            if (collisionResult.tank.isDestroyed) {
-                                // Delay the check to let destruction animations play
-                                setTimeout(() => {
-                                    this.checkWinCondition();
-                                }, 1000);
-                            }
-                        }
-                    }
-                } else {
-                    // Fallback to old collision detection if collision system not available
-                    this.checkProjectileCollision(p);
-                }
-            }
+    /**
+     * Select a player weapon by its position in the loadout (1-based)
+     * @param {number} slot - Loadout slot
+     */
+    selectPlayerWeaponSlot(slot) {
+        if (!this.canPlayerChangeWeapon()) return;
+        const weaponId = this.playerTank.availableWeaponIds[slot - 1];
+        if (weaponId && this.playerTank.selectWeapon(weaponId)) {
+            this.savePlayerWeapon(weaponId);
         }
+    }
 
-        if (this.gameState === 'PLAYER_TURN' && this.activeTank === this.playerTank && !this.playerTank.isDestroyed) {
-            this.handlePlayerInput(deltaTime);
-            this.ui.updateFuel(this.playerTank.currentFuel, this.playerTank.maxFuel);
-        }
-        // Update all tanks
-        this.playerTank.update(deltaTime, this.camera);
-        this.enemyTanks.forEach(enemy => enemy.update(deltaTime, this.camera));
+    canPlayerChangeWeapon() {
+        return this.gameState === 'PLAYER_TURN' &&
+            this.playerTank &&
+            !this.playerTank.isDestroyed &&
+            !this.playerTank.hasFiredThisTurn;
+    }
 
-        // Handle tank movement audio
-        const isMoving = this.inputStates.moveForward || this.inputStates.moveBackward;
-        if (isMoving && this.gameState === 'PLAYER_TURN') {
-            if (!this.audioManager.isContinuousSoundPlaying('tankMove')) {
-                this.audioManager.playContinuousSound('tankMove', 0.3);
-            }
-        } else {
-            if (this.audioManager.isContinuousSoundPlaying('tankMove')) {
-                this.audioManager.stopContinuousSound('tankMove');
-            }
-        }
-        // Input handling is now done in handlePlayerInput method
-    } addProjectile(projectile) {
-        this.projectiles.push(projectile);
-        this.scene.add(projectile.mesh);
+    /**
+     * Persist the selected weapon as the user's equipped projectile type
+     * @param {string} weaponId - Weapon identifier
+     */
+    savePlayerWeapon(weaponId) {
+        const userRecord = loadUserRecord();
+        if (!userRecord) return;
 
-        // Track shots fired for statistics
-        if (this.gameStats) {
-            this.gameStats.shotsFired++;
-        }
+        userRecord.equipment = { ...(userRecord.equipment || {}), projectileType: weaponId };
+        saveUserRecord(userRecord);
     }
 
     /**
@@ -1084,7 +2192,10 @@ export class Game {
     checkProjectileCollision(projectile) {
         console.warn('Using legacy collision detection - collision system not available');
 
-        const targets = projectile.firedByPlayer ? this.enemyTanks : [this.playerTank];
+        const shooter = projectile.shootingTank;
+        const targets = shooter ?
+            this.turnOrder.filter(tank => tank !== shooter && this.canDamage(shooter, tank)) :
+            (projectile.firedByPlayer ? this.enemyTanks : [this.playerTank]);
 
         // Check tank collisions
         for (const tank of targets) {
@@ -1095,7 +2206,7 @@ export class Game {
                 hitPosition.y = tank.mesh.position.y + 0.8;
 
                 // Apply damage
-                tank.takeDamage(projectile.damage);
+                tank.takeDamage(projectile.damage, shooter);
                 this.ui.updateHealth(tank.id, tank.currentHealth, tank.maxHealth);
                 projectile.shouldBeRemoved = true;
 
@@ -1214,10 +2325,10 @@ export class Game {
     }
 
     // Building and Tree destruction methods (these can be called by collision system)
-    damageBuilding(building, projectile) {
+    damageBuilding(building, projectile, damage = projectile.damage) {
         if (building.userData.isDestroyed) return;
 
-        building.userData.health -= projectile.damage;
+        building.userData.health -= damage;
 
         if (this.audioManager) {
             this.audioManager.playSound('hitBuilding');
@@ -1239,6 +2350,11 @@ export class Game {
             }
             this.destroyBuilding(building);
         }
+
+        // Objective buildings show their health in the HUD
+        if (this.objectives.some(objective => objective.target === building)) {
+            this.updateObjectives();
+        }
     }
 
     destroyBuilding(building) {
@@ -1428,22 +2544,42 @@ export class Game {
 
         fadeAnimation();
     }
-    gameOver(playerWon, gameStats = {}) {
-        if (this.gameState === 'GAME_OVER') return;
+    /**
+     * End the match
+     * @param {boolean} playerWon - A human won (in hot-seat: the last tank standing is human)
+     * @param {Object} gameStats - Match statistics
+     * @param {Tank|null} winner - Winning tank in hot-seat matches
+     */
+    gameOver(playerWon, gameStats = {}, winner = null) {
+        if (this.gameState === 'GAME_OVER' || this.gameState === 'REPLAY') return;
         this.gameState = 'GAME_OVER';
+        this.matchWinner = winner;
+        this.trajectoryPreview.hide();
 
-        console.log(`Game over! ${playerWon ? 'Player won' : 'Player lost'}`);
+        // Close the recording so it can be exported from the game over screen
+        this.lastReplay = this.replayRecorder.finish(this.matchStep, playerWon);
+
+        console.log(`Game over! ${winner ? `${this.getTankName(winner)} won` : (playerWon ? 'Player won' : 'Player lost')}`);
 
         // Merge provided gameStats with collected game statistics
         const finalGameStats = {
             ...gameStats,
             shotsFired: this.gameStats?.shotsFired || 0,
             tanksDestroyed: this.gameStats?.tanksDestroyed || 0,
-            gameStartTime: this.gameStats?.gameStartTime || null
+            gameStartTime: this.gameStats?.gameStartTime || null,
+            kills: this.killLog.map(kill => ({
+                killer: kill.killer ? this.getTankName(kill.killer) : null,
+                victim: this.getTankName(kill.victim),
+                selfInflicted: kill.killer === kill.victim
+            }))
         };
 
-        // Update user statistics if user is logged in
-        this.updateUserStats(playerWon, finalGameStats);
+        // A won campaign stage opens the next one (saved with the stats below)
+        finalGameStats.unlockedStage = playerWon ? this.recordCampaignProgress() : null;
+
+        // Update user statistics (and pay out credits) if user is logged in;
+        // hot-seat and network matches are played with stock tanks and don't count
+        finalGameStats.creditsEarned = this.usesPlayerProfile() ? this.updateUserStats(playerWon, finalGameStats) : 0;
 
         // Enhanced camera sequence with multiple phases
         if (this.cameraController) {
@@ -1709,7 +2845,21 @@ export class Game {
     `;
 
         const title = document.createElement('h1');
-        title.textContent = playerWon ? '🏆 VICTORY!' : '💥 DEFEAT';
+        if (this.isNetworkMatch()) {
+            if (this.matchWinner) {
+                title.textContent = `🏆 ${this.getTankName(this.matchWinner).toUpperCase()} WINS!`;
+            } else {
+                title.textContent = gameStats.reason === 'disconnected' ? '📡 CONNECTION LOST' : '💥 NO SURVIVORS';
+            }
+        } else if (this.isHotSeat()) {
+            if (this.matchWinner?.isPlayer) {
+                title.textContent = `🏆 ${this.getTankName(this.matchWinner).toUpperCase()} WINS!`;
+            } else {
+                title.textContent = this.matchWinner ? '💥 THE MACHINES WIN' : '💥 NO SURVIVORS';
+            }
+        } else {
+            title.textContent = playerWon ? '🏆 VICTORY!' : '💥 DEFEAT';
+        }
         title.style.cssText = `
         font-family: 'Arial Black', Arial, sans-serif;
         font-size: 3.5rem;
@@ -1721,9 +2871,26 @@ export class Game {
 
         const subtitle = document.createElement('h2');
         const difficultyText = this.difficultyConfig?.name || 'Unknown';
-        subtitle.textContent = playerWon ?
-            `All Enemies Destroyed!` :
-            `Your Tank Was Destroyed!`;
+        if (this.isNetworkMatch()) {
+            if (gameStats.reason === 'disconnected') {
+                subtitle.textContent = 'The game server closed the connection';
+            } else {
+                subtitle.textContent = playerWon ? 'Last Tank Standing!' : 'Your Tank Was Destroyed!';
+            }
+        } else if (this.isHotSeat()) {
+            subtitle.textContent = playerWon ? 'Last Tank Standing!' :
+                (this.matchWinner ? 'Every Commander Was Destroyed!' : 'Mutual Destruction!');
+        } else {
+            const failedObjective = gameStats.objectives?.find(objective => objective.status === 'failed');
+            const isDefaultMission = !gameStats.objectives || gameStats.objectives.every(objective => objective.type === 'destroyAll');
+            if (failedObjective) {
+                subtitle.textContent = `Mission Failed: ${failedObjective.text}`;
+            } else if (playerWon) {
+                subtitle.textContent = isDefaultMission ? 'All Enemies Destroyed!' : 'Mission Accomplished!';
+            } else {
+                subtitle.textContent = 'Your Tank Was Destroyed!';
+            }
+        }
         subtitle.style.cssText = `
         font-family: Arial, sans-serif;
         font-size: 1.4rem;
@@ -1733,7 +2900,10 @@ export class Game {
     `;
 
         const difficultyBadge = document.createElement('div');
-        difficultyBadge.textContent = `${difficultyText} Difficulty`;
+        const stage = this.getCampaignStage();
+        difficultyBadge.textContent = stage ?
+            `Stage ${stage.number}: ${stage.name} · ${difficultyText}` :
+            `${difficultyText} Difficulty`;
         difficultyBadge.style.cssText = `
         display: inline-block;
         background: ${playerWon ? 'rgba(255, 215, 0, 0.2)' : 'rgba(255, 68, 68, 0.2)'};
@@ -1771,8 +2941,15 @@ export class Game {
                 { label: 'Enemies Destroyed', value: gameStats.enemiesDestroyed || 0 },
                 { label: 'Shots Fired', value: gameStats.shotsFired || 0 },
                 { label: 'Accuracy', value: gameStats.accuracy || '0%' },
-                { label: 'Survival Time', value: gameStats.survivalTime || '0:00' }
+                { label: 'Survival Time', value: gameStats.survivalTime || '0:00' },
+                { label: 'Battlefield Seed', value: this.matchSeed || '-' }
             ];
+            if (gameStats.creditsEarned) {
+                statsList.push({ label: 'Credits Earned', value: `+${gameStats.creditsEarned} 💰` });
+            }
+            if (gameStats.unlockedStage) {
+                statsList.push({ label: 'Stage Unlocked', value: `🔓 ${gameStats.unlockedStage.name}` });
+            }
 
             statsList.forEach(stat => {
                 const statRow = document.createElement('div');
@@ -1792,6 +2969,7 @@ export class Game {
         buttonContainer.style.cssText = `
         margin-top: 30px;
         display: flex;
+        flex-wrap: wrap;
         gap: 15px;
         justify-content: center;
     `; const userMenu = this.createStyledButton('User Menu', '#4CAF50', () => {
@@ -1809,8 +2987,15 @@ export class Game {
             this.ui.showDifficultySelector();
         });
 
+        const replayBtn = this.createStyledButton('Export Replay', '#9C27B0', () => {
+            this.exportReplay();
+        });
+
         buttonContainer.appendChild(userMenu);
         buttonContainer.appendChild(menuBtn);
+        if (this.lastReplay) {
+            buttonContainer.appendChild(replayBtn);
+        }
 
         content.appendChild(title);
         content.appendChild(subtitle);
@@ -1818,6 +3003,12 @@ export class Game {
         if (statsContainer.children.length > 0) {
             content.appendChild(statsContainer);
         }
+        if (gameStats?.objectives?.length) {
+            content.appendChild(this.createObjectiveList(gameStats.objectives));
+        }
+        if (gameStats?.kills?.length) {
+            content.appendChild(this.createKillLog(gameStats.kills));
+        }
         content.appendChild(buttonContainer);
         modal.appendChild(content);
         document.body.appendChild(modal);
@@ -1859,33 +3050,155 @@ export class Game {
         button.addEventListener('click', onClick);
         return button;
     } checkWinCondition() {
-        // Return early if the game is already in GAME_OVER state
-        if (this.gameState === 'GAME_OVER') return;
+        // Return early if the game is already in GAME_OVER state (replays never end the game)
+        if (this.gameState === 'GAME_OVER' || this.gameState === 'REPLAY') return;
 
-        // Check if player's tank is destroyed
-        if (this.playerTank.isDestroyed) {
-            // Player loses - pass current game statistics
-            const gameStats = {
-                shotsFired: this.gameStats?.shotsFired || 0,
-                tanksDestroyed: this.gameStats?.tanksDestroyed || 0,
-                gameStartTime: this.gameStats?.gameStartTime || null
-            };
-            this.gameOver(false, gameStats);
+        if (this.isHotSeat()) {
+            this.checkHotSeatWinCondition();
+            return;
+        }
+
+        // The server ends network matches (match_over) once the host reports eliminations
+        if (this.isNetworkMatch()) {
+            this.reportNetworkEliminations();
             return;
         }
 
-        // Check if all enemy tanks are destroyed
-        const allEnemiesDestroyed = this.enemyTanks.every(tank => tank.isDestroyed);
-        if (allEnemiesDestroyed) {
-            // Player wins - pass current game statistics
+        // Player loses once their whole team is destroyed (in team battles allies fight on)
+        // or a mission constraint fails, and wins once every objective is complete
+        // (by default: every other team destroyed, in free-for-all every other tank)
+        const playerTeam = this.getTeam(this.playerTank);
+        const teamAlive = this.turnOrder.some(tank => !tank.isDestroyed && this.getTeam(tank) === playerTeam);
+        const mission = this.updateObjectives();
+        if (!teamAlive || mission.lost || mission.won) {
             const gameStats = {
                 shotsFired: this.gameStats?.shotsFired || 0,
                 tanksDestroyed: this.gameStats?.tanksDestroyed || 0,
-                gameStartTime: this.gameStats?.gameStartTime || null
+                gameStartTime: this.gameStats?.gameStartTime || null,
+                objectives: mission.results
             };
-            this.gameOver(true, gameStats);
-            return;
+            this.gameOver(teamAlive && mission.won, gameStats);
+        }
+    }
+
+    /**
+     * What the objectives are judged on (see objectives.js)
+     * @returns {Object} Match snapshot
+     */
+    getObjectiveState() {
+        const playerTeam = this.getTeam(this.playerTank);
+        const enemies = this.turnOrder.filter(tank => this.getTeam(tank) !== playerTeam);
+        const player = this.playerTank;
+        return {
+            round: this.round,
+            shotsFired: player.shotsFired ?? 0,
+            shellsInFlight: this.projectiles.length > 0,
+            enemiesTotal: enemies.length,
+            enemiesLeft: enemies.filter(tank => !tank.isDestroyed).length,
+            playerPosition: player.isDestroyed ? null : { x: player.mesh.position.x, z: player.mesh.position.z }
+        };
+    }
+
+    /**
+     * Evaluate the mission objectives and show them in the HUD
+     * @returns {Object} { won, lost, results } (see evaluateObjectives)
+     */
+    updateObjectives() {
+        const mission = this.objectives.length > 0
+            ? evaluateObjectives(this.objectives, this.getObjectiveState())
+            : { won: false, lost: false, results: [] };
+        this.ui.showObjectives(mission.results);
+        return mission;
+    }
+
+    /**
+     * Find (or build) the buildings the objectives are about, and mark them and any
+     * zones on the battlefield
+     */
+    placeObjectiveTargets() {
+        this.objectives.forEach(objective => {
+            const { definition, type } = objective;
+            let position = null;
+            let radius = 0;
+
+            if (type.needsBuilding) {
+                objective.target = this.buildings.find(building => building.userData.type === definition.building) ||
+                    this.placeObjectiveBuilding(definition.building);
+                if (!objective.target) return;
+                position = objective.target.position;
+                radius = objective.target.userData.collisionRadius + 1;
+            } else if (definition.type === 'reachZone') {
+                position = new THREE.Vector3(definition.x, 0, definition.z);
+                radius = definition.radius;
+            } else {
+                return;
+            }
+
+            const terrain = this.scene.userData.terrain;
+            const marker = new THREE.Mesh(
+                new THREE.RingGeometry(radius - 0.4, radius, 48),
+                new THREE.MeshBasicMaterial({
+                    color: OBJECTIVE_MARKER_COLORS[type.kind],
+                    transparent: true,
+                    opacity: 0.7,
+                    side: THREE.DoubleSide,
+                    depthWrite: false
+                })
+            );
+            marker.rotation.x = -Math.PI / 2;
+            marker.position.set(position.x, (terrain ? terrain.getHeightAt(position.x, position.z) : 0) + 0.3, position.z);
+            this.scene.add(marker);
+            this.objectiveMarkers.push(marker);
+        });
+    }
+
+    /**
+     * Build an objective building the map generator didn't place
+     * @param {string} buildingType - Building type (see createBuilding)
+     * @returns {THREE.Group|null} Building, or null when there was no room
+     */
+    placeObjectiveBuilding(buildingType) {
+        const terrain = this.scene.userData.terrain;
+        const halfSize = (terrain ? terrain.size : 150) / 2 - 25;
+
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const position = new THREE.Vector3(
+                this.rng.props.range(-halfSize, halfSize),
+                0,
+                this.rng.props.range(-halfSize, halfSize)
+            );
+            const terrainHeight = terrain ? terrain.getHeightAt(position.x, position.z) : 0;
+            const crowded = this.buildings.some(building =>
+                building.position.distanceTo(position) < building.userData.collisionRadius + OBJECTIVE_BUILDING_CLEARANCE
+            );
+            if (terrainHeight < 0.8 || crowded) continue;
+
+            const building = createBuilding(position, buildingType, 1.2, terrainHeight);
+            this.scene.add(building);
+            this.buildings.push(building);
+            console.log(`Objective: placed a ${buildingType} at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`);
+            return building;
         }
+        console.warn(`Objective: no room for a ${buildingType}`);
+        return null;
+    }
+
+    /**
+     * Hot-seat matches end when one team is left, or when no human is left
+     */
+    checkHotSeatWinCondition() {
+        const survivors = this.turnOrder.filter(tank => !tank.isDestroyed);
+        const humanSurvivors = survivors.filter(tank => tank.isPlayer);
+        const { isOver, winningTeam } = getLastTeamStanding(this.turnOrder, tank => this.getTeam(tank));
+        if (!isOver && humanSurvivors.length > 0) return;
+
+        const gameStats = {
+            shotsFired: this.gameStats?.shotsFired || 0,
+            tanksDestroyed: this.gameStats?.tanksDestroyed || 0,
+            gameStartTime: this.gameStats?.gameStartTime || null
+        };
+        const winner = isOver ? humanSurvivors.find(tank => this.getTeam(tank) === winningTeam) || null : null;
+        this.gameOver(!!winner, gameStats, winner || survivors[0] || null);
     }
 
     setupInputListeners() {
@@ -1899,10 +3212,10 @@ export class Game {
                 case 'KeyQ': this.inputStates.turretLeft = true; break;
                 case 'KeyE': this.inputStates.turretRight = true; break;
                 case 'Space':
-                    if (!this.playerTank.hasFiredThisTurn) {
+                    if (this.playerTank.canFire()) {
                         this.inputStates.fire = true;
                     } else {
-                        // If player has already fired, spacebar ends the turn
+                        // Once the player has fired (or spent every action), spacebar ends the turn
                         this.endPlayerTurn();
                     }
                     break;
@@ -1917,6 +3230,17 @@ export class Game {
                     this.inputStates.barrelDown = true;
                     break;
                 case 'KeyH': this.toggleControlsInfo(); break;
+                case 'KeyG': this.toggleTrajectoryPreview(); break;
+                case 'KeyR': this.cyclePlayerWeapon(event.shiftKey ? -1 : 1); break;
+                case 'Digit1': case 'Digit2': case 'Digit3':
+                case 'Digit4': case 'Digit5': case 'Digit6':
+                case 'Digit7': case 'Digit8': case 'Digit9':
+                    this.selectPlayerWeaponSlot(Number(event.code.slice(5)));
+                    break;
+                default: {
+                    const item = Object.values(ITEM_TYPES).find(type => type.key === event.code);
+                    if (item) this.usePlayerItem(item.id);
+                }
             }
         });
 
@@ -1968,23 +3292,119 @@ export class Game {
         controlsInfo.classList.remove('hidden');
     }
 
+    /**
+     * Who destroyed whom, in order, for the game over screen
+     * @param {Array<Object>} kills - [{ killer, victim, selfInflicted }] (tank names)
+     * @returns {HTMLElement} Kill log
+     */
+    createKillLog(kills) {
+        const container = document.createElement('div');
+        container.style.cssText = `
+        background: rgba(0, 0, 0, 0.3);
+        border-radius: 10px;
+        padding: 15px 20px;
+        margin: 0 0 20px 0;
+        text-align: left;
+        max-height: 160px;
+        overflow-y: auto;
+    `;
+
+        const title = document.createElement('h3');
+        title.textContent = '💀 Kill Log';
+        title.style.cssText = `
+        color: #FFFFFF;
+        margin: 0 0 10px 0;
+        text-align: center;
+        font-size: 1.1rem;
+    `;
+        container.appendChild(title);
+
+        kills.forEach(kill => {
+            const row = document.createElement('div');
+            row.style.cssText = 'margin: 4px 0; color: #CCCCCC; font-size: 0.95rem;';
+            if (kill.selfInflicted) {
+                row.textContent = `💥 ${kill.victim} destroyed itself`;
+            } else {
+                row.textContent = kill.killer ? `🎯 ${kill.killer} destroyed ${kill.victim}` : `💥 ${kill.victim} was destroyed`;
+            }
+            container.appendChild(row);
+        });
+        return container;
+    }
+
+    /**
+     * Mission objectives and how each one ended, for the game over screen
+     * @param {Array<Object>} objectives - [{ type, icon, text, progress, status }]
+     * @returns {HTMLElement} Objective list
+     */
+    createObjectiveList(objectives) {
+        const container = document.createElement('div');
+        container.style.cssText = `
+        background: rgba(0, 0, 0, 0.3);
+        border-radius: 10px;
+        padding: 15px 20px;
+        margin: 0 0 20px 0;
+        text-align: left;
+    `;
+
+        const title = document.createElement('h3');
+        title.textContent = '📋 Objectives';
+        title.style.cssText = `
+        color: #FFFFFF;
+        margin: 0 0 10px 0;
+        text-align: center;
+        font-size: 1.1rem;
+    `;
+        container.appendChild(title);
+
+        const statusIcons = { complete: '✅', failed: '❌', active: '⬜' };
+        objectives.forEach(objective => {
+            const row = document.createElement('div');
+            row.style.cssText = 'margin: 4px 0; color: #CCCCCC; font-size: 0.95rem;';
+            row.textContent = `${statusIcons[objective.status]} ${objective.icon} ${objective.text} (${objective.progress})`;
+            container.appendChild(row);
+        });
+        return container;
+    }
+
+    /**
+     * Mark the current campaign stage as cleared on the local user record
+     * @returns {Object|null} Stage unlocked by the win, or null
+     */
+    recordCampaignProgress() {
+        const stage = this.getCampaignStage();
+        const authManager = window.mainAppInstance?.authManager;
+        if (!stage || !authManager?.getCurrentUser()) return null;
+
+        const userRecord = authManager.getLocalUserRecord?.() ?? loadUserRecord();
+        if (!userRecord) return null;
+
+        const unlockedStage = completeStage(userRecord, stage.id);
+        saveUserRecord(userRecord);
+        console.log(`Campaign: stage ${stage.number} (${stage.name}) cleared${unlockedStage ? `, ${unlockedStage.name} unlocked` : ''}`);
+        return unlockedStage;
+    }
+
+    /**
+     * Save match results to the user record
+     * @returns {number} Credits earned this match (0 when nothing was saved)
+     */
     updateUserStats(playerWon, gameStats = {}) {
         const authManager = window.mainAppInstance?.authManager;
         const currentUser = authManager?.getCurrentUser();
 
         if (!currentUser) {
             console.warn('No user logged in, stats not saved');
-            return;
+            return 0;
         }
 
         try {
-            // Get current user data
-            let userData = localStorage.getItem('tankGame_userData');
-            let userRecord = userData ? JSON.parse(userData) : null;
+            // Get current user data (created on demand so guests earn credits too)
+            const userRecord = authManager.getLocalUserRecord?.() ?? loadUserRecord();
 
             if (!userRecord || userRecord.uid !== currentUser.uid) {
                 console.warn('User data not found or mismatch');
-                return;
+                return 0;
             }
 
             // Update statistics
@@ -2022,6 +3442,10 @@ export class Game {
                 userRecord.resources.experience += gameStats.tanksDestroyed * 50; // 50 exp per tank destroyed
             }
 
+            // Credits to spend in the Tank Shop
+            const creditsEarned = calculateMatchCredits(playerWon, gameStats);
+            userRecord.resources.credits = (userRecord.resources.credits || 0) + creditsEarned;
+
             // Level up calculation
             const newLevel = Math.floor(userRecord.resources.experience / 1000) + 1;
             if (newLevel > userRecord.resources.level) {
@@ -2029,12 +3453,18 @@ export class Game {
                 this.showLevelUpNotification(newLevel);
             }
 
-            // Save updated data
-            localStorage.setItem('tankGame_userData', JSON.stringify(userRecord));
+            // Save updated data (and mirror it to Firebase when signed in)
+            if (authManager?.syncUserProgress) {
+                authManager.syncUserProgress(userRecord);
+            } else {
+                localStorage.setItem('tankGame_userData', JSON.stringify(userRecord));
+            }
             console.log('User stats updated:', userRecord.resources);
+            return creditsEarned;
 
         } catch (error) {
             console.error('Failed to update user stats:', error);
+            return 0;
         }
     }
 
@@ -2090,7 +3520,7 @@ export class Game {
         
         // Try to get closer but with some variation to avoid predictability
         const aggressiveDistance = Math.max(10, distance * 0.6); // Get significantly closer
-        const sideOffset = (Math.random() - 0.5) * 10; // Add some lateral movement
+        const sideOffset = (this.rng.ai.next() - 0.5) * 10; // Add some lateral movement
         
         // Create perpendicular vector for side movement
         const perpendicular = new THREE.Vector3(-direction.z, 0, direction.x);
@@ -2115,6 +3545,7 @@ export class Game {
      */
     cleanupExistingGame() {
         console.log('Performing comprehensive game cleanup for restart...');
+        this.trajectoryPreview.hide();
 
         // Stop all audio
         if (this.audioManager) {
@@ -2122,19 +3553,19 @@ export class Game {
             this.audioManager.stopAllMusic();
         }
 
-        // Remove player tank from scene
-        if (this.playerTank && this.playerTank.mesh) {
-            this.scene.remove(this.playerTank.mesh);
-            this.playerTank = null;
-        }
-
-        // Remove all enemy tanks from scene
-        this.enemyTanks.forEach(tank => {
+        // Remove every tank (human and AI) from scene
+        new Set([this.playerTank, ...this.turnOrder, ...this.enemyTanks]).forEach(tank => {
             if (tank && tank.mesh) {
                 this.scene.remove(tank.mesh);
             }
         });
+        this.playerTank = null;
         this.enemyTanks = [];
+        this.humanTanks = [];
+        this.turnOrder = [];
+        this.networkTanks.clear();
+        this.pendingCraters = { local: [], remote: [] };
+        this.reportedEliminations.clear();
 
         // Remove all projectiles from scene
         this.projectiles.forEach(projectile => {
@@ -2160,6 +3591,15 @@ export class Game {
         });
         this.trees = [];
 
+        // Remove objective markers
+        this.objectiveMarkers.forEach(marker => {
+            this.scene.remove(marker);
+            marker.geometry.dispose();
+            marker.material.dispose();
+        });
+        this.objectiveMarkers = [];
+        this.objectives = [];
+
         // Clear any debris or temporary objects (search for objects with specific userData)
         const objectsToRemove = [];
         this.scene.traverse((child) => {
@@ -2187,7 +3627,7 @@ export class Game {
         }
 
         // Reset game state variables
-        this.currentPlayerIndex = -1;
+        this.turnIndex = 0;
         this.activeTank = null;
         this.gameState = 'INITIALIZING';
         
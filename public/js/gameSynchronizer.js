@@ -0,0 +1,309 @@
+/**
+ * Game Synchronizer
+ * Client side of networked matches. Talks to the WebSocket game server in `server/`,
+ * keeps track of the room and whose turn it is, and passes server messages on to
+ * listeners (the Game, the lobby). Has no scene dependencies, so it also runs headless.
+ *
+ * Every client simulates shots itself from the broadcast launch state; the room host
+ * additionally syncs collisions, craters and eliminations (see CollisionSystem).
+ */
+
+export const DEFAULT_SERVER_URL = 'ws://localhost:8080';
+
+const POSE_SEND_INTERVAL = 100; // ms between pose updates while moving/aiming
+const REQUEST_TIMEOUT = 5000;
+
+const toArray = (vector) => Array.isArray(vector) ? vector : [vector.x, vector.y, vector.z];
+
+export class GameSynchronizer {
+    /**
+     * @param {Object} options - { WebSocket } implementation (defaults to the browser's)
+     */
+    constructor(options = {}) {
+        this.WebSocketImpl = options.WebSocket || globalThis.WebSocket;
+        this.socket = null;
+        this.playerId = null;
+        this.room = null;
+        this.currentTurnId = null;
+        this.isMultiplayer = false; // True while a networked match is running
+        this.listeners = new Map(); // message type -> Set of handlers
+        this.lastPoseSentAt = 0;
+    }
+
+    get isConnected() {
+        return !!this.socket && this.socket.readyState === this.WebSocketImpl.OPEN;
+    }
+
+    get isHost() {
+        return !!this.room && this.room.hostId === this.playerId;
+    }
+
+    get roomId() {
+        return this.room?.roomId || null;
+    }
+
+    isOurTurn() {
+        return this.isMultiplayer && this.currentTurnId === this.playerId;
+    }
+
+    /**
+     * Connect to a game server
+     * @param {string} url - Server address (ws:// or wss://)
+     * @returns {Promise<string>} Player id assigned by the server
+     */
+    connect(url = DEFAULT_SERVER_URL) {
+        this.disconnect();
+        if (!this.WebSocketImpl) {
+            return Promise.reject(new Error('WebSocket is not available'));
+        }
+
+        return new Promise((resolve, reject) => {
+            let socket;
+            try {
+                socket = new this.WebSocketImpl(url);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+            this.socket = socket;
+
+            const timer = setTimeout(() => {
+                reject(new Error('Game server did not respond'));
+                this.disconnect();
+            }, REQUEST_TIMEOUT);
+
+            socket.onmessage = (event) => {
+                let message;
+                try {
+                    message = JSON.parse(typeof event.data === 'string' ? event.data : event.data.toString());
+                } catch (error) {
+                    console.warn('Ignoring malformed server message');
+                    return;
+                }
+                if (message.type === 'welcome') {
+                    clearTimeout(timer);
+                    resolve(message.playerId);
+                }
+                this.handleMessage(message);
+            };
+
+            socket.onerror = () => {
+                clearTimeout(timer);
+                reject(new Error(`Could not connect to ${url}`));
+            };
+
+            socket.onclose = () => {
+                clearTimeout(timer);
+                if (this.socket !== socket) return;
+                const wasInMatch = this.isMultiplayer;
+                this.resetState();
+                this.socket = null;
+                this.emit('disconnected', { wasInMatch });
+            };
+        });
+    }
+
+    disconnect() {
+        const socket = this.socket;
+        this.socket = null;
+        this.resetState();
+        if (socket) {
+            socket.onmessage = null;
+            socket.onclose = null;
+            socket.close();
+        }
+    }
+
+    resetState() {
+        this.playerId = null;
+        this.room = null;
+        this.currentTurnId = null;
+        this.isMultiplayer = false;
+    }
+
+    /**
+     * Listen for a server message type (or 'disconnected')
+     * @param {string} type - Message type
+     * @param {Function} handler - Called with the message
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+        return () => this.listeners.get(type)?.delete(handler);
+    }
+
+    emit(type, message) {
+        this.listeners.get(type)?.forEach(handler => {
+            try {
+                handler(message);
+            } catch (error) {
+                console.error(`Multiplayer handler for "${type}" failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Wait for the next message of a type (rejects on a server error first)
+     * @param {string} type - Message type
+     * @param {number} timeout - Milliseconds
+     * @returns {Promise<Object>} Message
+     */
+    waitFor(type, timeout = REQUEST_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                offMessage();
+                offError();
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`Timed out waiting for ${type}`));
+            }, timeout);
+            const offMessage = this.on(type, message => {
+                cleanup();
+                resolve(message);
+            });
+            const offError = this.on('error', message => {
+                cleanup();
+                reject(new Error(message.message));
+            });
+        });
+    }
+
+    send(type, payload = {}) {
+        if (!this.isConnected) {
+            console.warn(`Multiplayer: not connected, dropping "${type}"`);
+            return false;
+        }
+        this.socket.send(JSON.stringify({ type, ...payload }));
+        return true;
+    }
+
+    /**
+     * Keep local state in step with the server, then notify listeners
+     * @param {Object} message - Server message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.playerId = message.playerId;
+                break;
+            case 'room_joined':
+                this.playerId = message.playerId;
+                this.room = message.room;
+                break;
+            case 'room_update':
+            case 'player_left':
+                this.room = message.room;
+                break;
+            case 'match_started':
+                this.room = message.room;
+                this.currentTurnId = message.turn;
+                this.isMultiplayer = true;
+                break;
+            case 'turn':
+                this.currentTurnId = message.playerId;
+                break;
+            case 'match_over':
+                this.currentTurnId = null;
+                this.isMultiplayer = false;
+                break;
+            case 'error':
+                console.warn(`Game server: ${message.message}`);
+                break;
+        }
+        this.emit(message.type, message);
+    }
+
+    // Lobby
+
+    createRoom(name) {
+        const reply = this.waitFor('room_joined');
+        this.send('create_room', { name });
+        return reply;
+    }
+
+    joinRoom(roomId, name) {
+        const reply = this.waitFor('room_joined');
+        this.send('join_room', { roomId, name });
+        return reply;
+    }
+
+    leaveRoom() {
+        this.send('leave_room');
+        this.room = null;
+        this.currentTurnId = null;
+        this.isMultiplayer = false;
+    }
+
+    /**
+     * Ask the server to start the match (host only)
+     * @param {Object} options - { difficulty, seed }
+     */
+    startMatch(options = {}) {
+        this.send('start_match', options);
+    }
+
+    // Turn actions of the local player
+
+    /**
+     * Share the local tank's pose (rate limited unless forced)
+     * @param {Object} pose - Compact pose ({ p, r, tr, el, pw, w })
+     * @param {boolean} force - Send even if one went out recently
+     */
+    sendPose(pose, force = false) {
+        if (!this.isOurTurn()) return;
+        const now = Date.now();
+        if (!force && now - this.lastPoseSentAt < POSE_SEND_INTERVAL) return;
+        this.lastPoseSentAt = now;
+        this.send('pose', { pose });
+    }
+
+    /**
+     * Broadcast a launch so every client simulates the same projectile
+     * @param {Object} shot - { origin, velocity, weaponId, pose }
+     */
+    sendShot(shot) {
+        if (!this.isOurTurn()) return;
+        this.send('shot', {
+            shot: { ...shot, origin: toArray(shot.origin), velocity: toArray(shot.velocity) }
+        });
+    }
+
+    /**
+     * Tell the other clients we used an item (repair kit, shield) this turn
+     * @param {string} itemId - Item identifier
+     */
+    sendItem(itemId) {
+        if (!this.isOurTurn()) return;
+        this.send('item', { itemId });
+    }
+
+    endTurn() {
+        if (!this.isOurTurn()) return;
+        this.send('end_turn');
+    }
+
+    // Host-authoritative results (called by Game / CollisionSystem on the host)
+
+    async syncProjectileCollision(projectileId, data) {
+        if (!this.isHost) return;
+        this.send('collision', {
+            projectileId: projectileId ?? null,
+            data: { ...data, collisionPoint: data.collisionPoint ? toArray(data.collisionPoint) : null }
+        });
+    }
+
+    syncTerrainDestruction(position, radius, timestamp, depth = null) {
+        if (!this.isHost) return;
+        this.send('terrain', { crater: { position: toArray(position), radius, depth, timestamp } });
+    }
+
+    reportEliminations(playerIds) {
+        if (!this.isHost || playerIds.length === 0) return;
+        this.send('eliminated', { playerIds });
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * Tank Inventory
+ * What a tank carries into a match and spends turn by turn: rounds for each weapon
+ * (see the weapons' `ammo`), fuel that only partly refills between turns, and items
+ * such as repair kits and shields.
+ *
+ * Every turn gives a tank ACTIONS_PER_TURN actions. Firing and using an item each
+ * spend one, and a tank still fires at most once per turn. Moving costs fuel, not
+ * actions.
+ *
+ * Inventory shape (see createInventory):
+ *  - ammo  : { weaponId: rounds left, null for unlimited }
+ *  - items : { itemId: count }
+ */
+import { getWeapon } from './weapons.js';
+
+export const ACTIONS_PER_TURN = 2;
+export const FUEL_REFILL_FRACTION = 0.5; // Share of max fuel added back at the start of each turn
+
+export const ITEM_TYPES = {
+    repairKit: {
+        id: 'repairKit',
+        name: 'Repair Kit',
+        icon: '🔧',
+        key: 'KeyF',
+        keyLabel: 'F',
+        description: 'Restores 35 health',
+        stock: 2,       // Carried into every match
+        heal: 35
+    },
+    shield: {
+        id: 'shield',
+        name: 'Shield',
+        icon: '🛡️',
+        key: 'KeyB',
+        keyLabel: 'B',
+        description: 'Absorbs up to 40 damage until your next turn',
+        stock: 1,
+        shield: 40
+    }
+};
+
+/**
+ * Get an item type by id
+ * @param {string} itemId - Item identifier
+ * @returns {Object|null} Item definition
+ */
+export function getItemType(itemId) {
+    return ITEM_TYPES[itemId] || null;
+}
+
+/**
+ * Check whether an item id exists in the registry
+ * @param {string} itemId - Item identifier
+ * @returns {boolean} Whether the item is known
+ */
+export function isValidItem(itemId) {
+    return Object.prototype.hasOwnProperty.call(ITEM_TYPES, itemId);
+}
+
+/**
+ * Starting inventory for a tank
+ * @param {Array<string>} weaponIds - The tank's loadout
+ * @returns {Object} Inventory ({ ammo, items })
+ */
+export function createInventory(weaponIds) {
+    return {
+        ammo: Object.fromEntries(weaponIds.map(weaponId => [weaponId, getWeapon(weaponId).ammo ?? null])),
+        items: Object.fromEntries(Object.values(ITEM_TYPES).map(item => [item.id, item.stock]))
+    };
+}
+
+/**
+ * Rounds left for a weapon
+ * @param {Object} inventory - Tank inventory
+ * @param {string} weaponId - Weapon identifier
+ * @returns {number} Rounds (Infinity when unlimited, 0 for weapons not in the loadout)
+ */
+export function getAmmo(inventory, weaponId) {
+    if (!Object.prototype.hasOwnProperty.call(inventory.ammo, weaponId)) return 0;
+    return inventory.ammo[weaponId] ?? Infinity;
+}
+
+/**
+ * Take one round of a weapon
+ * @param {Object} inventory - Tank inventory (modified in place)
+ * @param {string} weaponId - Weapon identifier
+ * @returns {boolean} Whether there was a round to take
+ */
+export function consumeAmmo(inventory, weaponId) {
+    const rounds = getAmmo(inventory, weaponId);
+    if (rounds <= 0) return false;
+    if (Number.isFinite(rounds)) {
+        inventory.ammo[weaponId] = rounds - 1;
+    }
+    return true;
+}
+
+/**
+ * Number of an item left
+ * @param {Object} inventory - Tank inventory
+ * @param {string} itemId - Item identifier
+ * @returns {number} Count
+ */
+export function getItemCount(inventory, itemId) {
+    return inventory.items[itemId] ?? 0;
+}
+
+/**
+ * Take one of an item
+ * @param {Object} inventory - Tank inventory (modified in place)
+ * @param {string} itemId - Item identifier
+ * @returns {boolean} Whether there was one to take
+ */
+export function consumeItem(inventory, itemId) {
+    const count = getItemCount(inventory, itemId);
+    if (count <= 0) return false;
+    inventory.items[itemId] = count - 1;
+    return true;
+}
+
+/**
+ * Fuel at the start of a tank's turn: what was left plus a partial refill
+ * @param {number} currentFuel - Fuel left from the last turn
+ * @param {number} maxFuel - Tank capacity
+ * @returns {number} Fuel
+ */
+export function refuel(currentFuel, maxFuel) {
+    return Math.min(maxFuel, currentFuel + maxFuel * FUEL_REFILL_FRACTION);
+}
+
+/**
+ * Short label for a round count in the HUD
+ * @param {number} rounds - Rounds left (Infinity when unlimited)
+ * @returns {string} '∞' or '×N'
+ */
+export function formatAmmo(rounds) {
+    return Number.isFinite(rounds) ? `×${rounds}` : '∞';
+}
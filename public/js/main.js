@@ -5,6 +5,7 @@ import { setupScene } from './sceneSetup.js';
 import { UI } from './ui.js';
 import { AudioManager } from './audioManager.js';
 import { AuthManager } from './auth.js';
+import { MapEditor } from './mapEditor.js';
 
 class MainApp {
     constructor() {
@@ -23,6 +24,7 @@ class MainApp {
         this.orientation = window.orientation || 0;
 
         this.game = null;
+        this.mapEditor = null;
         
         // Initialize authentication system
         this.authManager = new AuthManager((user) => this.onAuthStateChanged(user));
@@ -65,35 +67,24 @@ class MainApp {
         // Initialize audio on first user interaction
         this.initializeAudio();
           // Set up difficulty selection handler (called after login)
-        this.ui.onDifficultyChange = async (difficulty) => {
-            console.log(`Main: Difficulty selected: ${difficulty}`);
+        this.ui.onDifficultyChange = async (difficulty, seed = null, matchConfig = null, options = {}) => {
+            console.log(`Main: Difficulty selected: ${difficulty}${seed ? ` (seed "${seed}")` : ''}`);
             // Let the game handle initialization with the proper difficulty
-            this.game.setDifficulty(difficulty); 
-            
-            // Wait for game initialization to complete and verify playerTank exists
-            if (this.game.playerTank && this.game.playerTank.mesh) {
-                // After game initializes, set up camera and controls
-                this.activeCameraTarget = this.game.playerTank.mesh;
-                this.setupControllers();
-                this.setupCameraControls();
-                this.game.setCameraController(this.thirdPersonController);
-                this.animate();
-            } else {
-                console.error('PlayerTank not properly initialized - retrying in 100ms');
-                // Retry after a short delay
-                setTimeout(() => {
-                    if (this.game.playerTank && this.game.playerTank.mesh) {
-                        this.activeCameraTarget = this.game.playerTank.mesh;
-                        this.setupControllers();
-                        this.setupCameraControls();
-                        this.game.setCameraController(this.thirdPersonController);
-                        this.animate();
-                    } else {
-                        console.error('PlayerTank still not available after retry');
-                    }
-                }, 100);
-            }
-        };window.addEventListener('resize', this.onWindowResize.bind(this), false);
+            this.game.setDifficulty(difficulty, seed, matchConfig, options); 
+            this.startMatchView();
+        };
+
+        // Replays are loaded from the difficulty menu
+        this.ui.onReplayImport = (replayData) => {
+            console.log(`Main: Replay loaded (seed "${replayData.seed}")`);
+            this.game.startReplay(replayData);
+            this.startMatchView();
+        };
+
+        // The map editor is opened from the difficulty menu too
+        this.ui.onMapEditorOpen = (map) => this.startMapEditor(map);
+
+        window.addEventListener('resize', this.onWindowResize.bind(this), false);
         
         if (this.isMobile) {
             this.initializeMobileOptimizations();
@@ -130,7 +121,86 @@ class MainApp {
         document.addEventListener('click', initAudio);
         document.addEventListener('touchstart', initAudio);
         document.addEventListener('keydown', initAudio);
-    }    setupControllers() {
+    }
+
+    /**
+     * Start a networked match from the multiplayer lobby
+     * @param {GameSynchronizer} synchronizer - Connected synchronizer
+     * @param {Object} message - match_started message from the game server
+     */
+    startNetworkMatch(synchronizer, message) {
+        console.log(`Main: Network match starting (room ${message.room.roomId})`);
+        this.ui.difficultyOverlay.style.display = 'none';
+        this.game.startNetworkMatch(synchronizer, message);
+        this.startMatchView();
+    }
+
+    /**
+     * Clear the battlefield and hand the scene and camera to the map editor
+     * @param {Object|null} map - Map to edit, or null for a fresh island
+     */
+    startMapEditor(map = null) {
+        console.log('Main: Opening the map editor');
+        this.game.enterMapEditor();
+        if (this.currentCameraMode === 'barrel-scope') {
+            this.exitBarrelScope();
+        }
+        this.thirdPersonController?.disable();
+        this.firstPersonController?.disable();
+
+        this.mapEditor = new MapEditor(this.scene, this.camera, this.renderer, {
+            onExit: () => this.closeMapEditor(),
+            onPlay: (mapData) => this.closeMapEditor(mapData)
+        });
+        this.mapEditor.start(map);
+        this.animate();
+    }
+
+    /**
+     * Leave the map editor for the difficulty menu
+     * @param {Object|null} map - Edited map to play next, or null to keep the current choice
+     */
+    closeMapEditor(map = null) {
+        this.mapEditor?.dispose();
+        this.mapEditor = null;
+        this.game.gameState = 'DIFFICULTY_SELECTION';
+        if (map) {
+            this.ui.setCustomMap(map);
+        }
+        this.ui.showDifficultySelector();
+    }
+
+    /**
+     * Attach cameras and controls to the freshly initialized match and
+     * make sure the render loop is running
+     */
+    startMatchView() {
+        // Wait for game initialization to complete and verify playerTank exists
+        if (this.game.playerTank && this.game.playerTank.mesh) {
+            // After game initializes, set up camera and controls
+            this.activeCameraTarget = this.game.playerTank.mesh;
+            this.setupControllers();
+            this.setupCameraControls();
+            this.game.setCameraController(this.thirdPersonController);
+            this.animate();
+        } else {
+            console.error('PlayerTank not properly initialized - retrying in 100ms');
+            // Retry after a short delay
+            setTimeout(() => {
+                if (this.game.playerTank && this.game.playerTank.mesh) {
+                    this.activeCameraTarget = this.game.playerTank.mesh;
+                    this.setupControllers();
+                    this.setupCameraControls();
+                    this.game.setCameraController(this.thirdPersonController);
+                    this.animate();
+                } else {
+                    console.error('PlayerTank still not available after retry');
+                }
+            }, 100);
+        }
+    }
+
+    setupControllers() {
         if (!this.activeCameraTarget) {
             console.error("Cannot setup ThirdPersonCameraController without an active target.");
             return;
@@ -171,13 +241,23 @@ class MainApp {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-    }    animate() {
-        requestAnimationFrame(this.animate.bind(this));
+    }
+
+    animate() {
+        // Only one render loop, even when several matches are started
+        if (this.isAnimating) return;
+        this.isAnimating = true;
+        this.renderFrame();
+    }
+
+    renderFrame() {
+        requestAnimationFrame(this.renderFrame.bind(this));
         const deltaTime = this.clock.getDelta();
 
         if (this.game) {
             this.game.update(deltaTime);
         }
+        this.mapEditor?.update(deltaTime);
         
         // Update the appropriate camera controller based on current mode
         if (this.currentCameraMode === 'third-person' && this.thirdPersonController && this.thirdPersonController.enabled) {
@@ -189,7 +269,12 @@ class MainApp {
         } else if (this.currentCameraMode === 'first-person' && this.firstPersonController && this.firstPersonController.enabled) {
             this.firstPersonController.update();
         } else if (this.currentCameraMode === 'barrel-scope' && this.barrelScopeController && this.barrelScopeController.enabled) {
-            this.barrelScopeController.update();
+            // Hot-seat handover: the next player starts back in the third-person view
+            if (this.game && this.game.playerTank && this.barrelScopeController.tank !== this.game.playerTank) {
+                this.exitBarrelScope();
+            } else {
+                this.barrelScopeController.update();
+            }
         }
 
         this.renderer.render(this.scene, this.camera);
@@ -569,6 +654,9 @@ class MainApp {
             );
         }
 
+        // Look down the barrel of whichever tank is in control (changes in hot-seat matches)
+        this.barrelScopeController.tank = this.game.playerTank;
+
         // Enable barrel scope controller
         this.barrelScopeController.enable();
         this.game.setCameraController(this.barrelScopeController);
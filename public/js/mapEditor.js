@@ -0,0 +1,649 @@
+import * as THREE from 'three';
+import { rebuildTerrain, placeMapBuildings, placeMapTrees, BUILDING_TYPES, TREE_TYPES, DEFAULT_FOG_DENSITY } from './sceneSetup.js';
+import { TERRAIN_BRUSHES, DEFAULT_BRUSH_ID, applyBrush } from './sim/terrainBrushes.js';
+import { createMapData, createMapHeightfield, SPAWN_SIDES, DEFAULT_MAP_NAME, DEFAULT_BUILDING_HEALTH } from './customMap.js';
+import { WIND_PRESETS } from './wind.js';
+
+/**
+ * Map Editor
+ * In-browser editor for custom battlefields: sculpt the heightfield with the terrain
+ * brushes (including water), place buildings and trees, mark where the player's side
+ * and the enemies start, pick the weather, then save the map as JSON (see customMap.js)
+ * or play it.
+ *
+ * Mouse: left button uses the current tool, right drag orbits the camera, the wheel
+ * zooms. WASD / arrow keys pan.
+ */
+
+export const EDITOR_TOOLS = {
+    sculpt: { id: 'sculpt', name: 'Sculpt', icon: '⛰️' },
+    building: { id: 'building', name: 'Building', icon: '🏠' },
+    tree: { id: 'tree', name: 'Tree', icon: '🌳' },
+    spawn: { id: 'spawn', name: 'Spawn', icon: '🚩' },
+    erase: { id: 'erase', name: 'Erase', icon: '🧹' }
+};
+
+const SPAWN_COLORS = { player: 0x4CAF50, enemy: 0xF44336 };
+const DEFAULT_BRUSH_RADIUS = 10;
+const DEFAULT_BRUSH_STRENGTH = 6;   // Height units per second at the brush center
+const ERASE_PICK_RADIUS = 4;        // Smallest reach of the erase tool around the cursor
+const CAMERA_PAN_SPEED = 80;        // World units per second
+const CAMERA_ROTATE_SPEED = 0.005;  // Radians per pixel dragged
+const CAMERA_MIN_DISTANCE = 30;
+const CAMERA_MAX_DISTANCE = 320;
+const PAN_KEYS = {
+    KeyW: [0, -1], ArrowUp: [0, -1],
+    KeyS: [0, 1], ArrowDown: [0, 1],
+    KeyA: [-1, 0], ArrowLeft: [-1, 0],
+    KeyD: [1, 0], ArrowRight: [1, 0]
+};
+
+export class MapEditor {
+    /**
+     * @param {THREE.Scene} scene - The scene (the editor takes over its terrain)
+     * @param {THREE.Camera} camera - Camera the editor orbits
+     * @param {THREE.WebGLRenderer} renderer - Renderer (its canvas receives the mouse input)
+     * @param {Object} callbacks - { onExit(), onPlay(mapData) }
+     */
+    constructor(scene, camera, renderer, callbacks = {}) {
+        this.scene = scene;
+        this.camera = camera;
+        this.renderer = renderer;
+        this.onExit = callbacks.onExit;
+        this.onPlay = callbacks.onPlay;
+
+        this.tool = EDITOR_TOOLS.sculpt.id;
+        this.brushId = DEFAULT_BRUSH_ID;
+        this.brushRadius = DEFAULT_BRUSH_RADIUS;
+        this.brushStrength = DEFAULT_BRUSH_STRENGTH;
+        this.buildingType = BUILDING_TYPES[0];
+        this.treeType = TREE_TYPES[0];
+        this.spawnSide = SPAWN_SIDES[0];
+        this.propScale = 1.0;
+        this.propRotation = 0;      // Degrees
+        this.buildingHealth = DEFAULT_BUILDING_HEALTH;
+        this.mapName = DEFAULT_MAP_NAME;
+        this.weather = null;        // { wind, fogDensity }, null for the match defaults
+        this.baseSeed = null;       // Island the terrain was sculpted from (saved as seed + edits)
+
+        // Everything placed on the map
+        this.buildings = [];
+        this.trees = [];
+        this.spawnMarkers = [];
+
+        // Pointer and brush stroke state
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pointerOnCanvas = false;
+        this.hoverPoint = null;
+        this.isPainting = false;
+        this.strokeHeight = 0;
+
+        // Orbit camera around a point on the ground
+        this.orbit = { target: new THREE.Vector3(), yaw: 0, pitch: 0.9, distance: 180 };
+        this.rotateDrag = null;
+        this.pressedKeys = new Set();
+        this.listeners = [];
+    }
+
+    /**
+     * Open the editor on a blank island or on an existing map
+     * @param {Object|null} map - Map data to edit (already validated)
+     */
+    start(map = null) {
+        this.baseSeed = map ? (map.terrain.seed ?? null) : Math.random() * 1000;
+        rebuildTerrain(this.scene, this.baseSeed ?? 0, Math.random, map ? createMapHeightfield(map) : null);
+        this.terrain = this.scene.userData.terrain;
+        // Rocks and grass don't follow the brushes, so they stay hidden while editing
+        if (this.scene.userData.terrainDetails) {
+            this.scene.userData.terrainDetails.visible = false;
+        }
+
+        if (map) {
+            this.mapName = map.name || DEFAULT_MAP_NAME;
+            this.weather = map.weather ? { ...map.weather } : null;
+            this.buildings = placeMapBuildings(this.scene, map.buildings);
+            this.trees = placeMapTrees(this.scene, map.trees);
+            map.spawns.forEach(spawn => this.addSpawn(spawn.x, spawn.z, spawn.side));
+        }
+
+        this.createCursor();
+        this.createPanel();
+        this.attachListeners();
+        this.updateCamera();
+        this.refreshStatus();
+        console.log(`Map editor opened${map ? ` on "${this.mapName}"` : ''}`);
+    }
+
+    /**
+     * Per-frame update: camera panning, cursor, and painting while the mouse is held
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        this.panCamera(deltaTime);
+        this.updateCamera();
+        this.hoverPoint = this.pickTerrain();
+        this.updateCursor();
+
+        if (this.isPainting && this.hoverPoint && this.tool === EDITOR_TOOLS.sculpt.id) {
+            const region = applyBrush(
+                this.terrain.heightfield, this.brushId, this.hoverPoint.x, this.hoverPoint.z,
+                this.brushRadius, this.brushStrength * deltaTime, { targetHeight: this.strokeHeight }
+            );
+            if (region) {
+                this.terrain.updateRegion(region);
+                this.settleObjects();
+            }
+        }
+    }
+
+    /**
+     * The map as it stands, in its saved form
+     * @returns {Object} Map data
+     */
+    getMapData() {
+        const prop = object => ({
+            type: object.userData.type,
+            x: object.position.x,
+            z: object.position.z,
+            scale: object.userData.scale,
+            rotation: object.rotation.y
+        });
+        return createMapData({
+            name: this.mapName,
+            heightfield: this.terrain.heightfield,
+            baseSeed: this.baseSeed,
+            buildings: this.buildings.map(building => ({ ...prop(building), health: building.userData.maxHealth })),
+            trees: this.trees.map(prop),
+            spawns: this.spawnMarkers.map(marker => ({ side: marker.userData.side, x: marker.position.x, z: marker.position.z })),
+            weather: this.weather
+        });
+    }
+
+    /**
+     * Save map data as a JSON file
+     * @param {Object} map - Map data
+     */
+    static download(map) {
+        const blob = new Blob([JSON.stringify(map)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `scorched-earth-map-${map.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    addBuilding(x, z) {
+        const rotation = THREE.MathUtils.degToRad(this.propRotation);
+        const [building] = placeMapBuildings(this.scene, [{ type: this.buildingType, x, z, scale: this.propScale, rotation, health: this.buildingHealth }]);
+        this.buildings.push(building);
+    }
+
+    addTree(x, z) {
+        const rotation = THREE.MathUtils.degToRad(this.propRotation);
+        const [tree] = placeMapTrees(this.scene, [{ type: this.treeType, x, z, scale: this.propScale, rotation }]);
+        this.trees.push(tree);
+    }
+
+    addSpawn(x, z, side) {
+        const marker = new THREE.Group();
+        const material = new THREE.MeshBasicMaterial({ color: SPAWN_COLORS[side] });
+        const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 5, 8), material);
+        pole.position.y = 2.5;
+        const flag = new THREE.Mesh(new THREE.ConeGeometry(1.2, 2.4, 12), material);
+        flag.position.y = 5.5;
+        flag.rotation.x = Math.PI;
+        marker.add(pole, flag);
+        marker.position.set(x, this.terrain.getHeightAt(x, z), z);
+        marker.userData = { isSpawnMarker: true, side, collisionRadius: 1.5 };
+        this.scene.add(marker);
+        this.spawnMarkers.push(marker);
+    }
+
+    /**
+     * Use the current tool where the mouse was pressed
+     */
+    useTool() {
+        if (!this.hoverPoint) return;
+        const { x, z } = this.hoverPoint;
+
+        switch (this.tool) {
+            case EDITOR_TOOLS.sculpt.id:
+                this.isPainting = true;
+                this.strokeHeight = this.terrain.getHeightAt(x, z);
+                return;
+            case EDITOR_TOOLS.building.id:
+                this.addBuilding(x, z);
+                break;
+            case EDITOR_TOOLS.tree.id:
+                this.addTree(x, z);
+                break;
+            case EDITOR_TOOLS.spawn.id:
+                this.addSpawn(x, z, this.spawnSide);
+                break;
+            case EDITOR_TOOLS.erase.id:
+                this.eraseAt(x, z);
+                break;
+        }
+        this.refreshStatus();
+    }
+
+    /**
+     * Remove the building, tree or spawn marker closest to a point, if one is in reach
+     */
+    eraseAt(x, z) {
+        let closest = null;
+        let closestDistance = Infinity;
+        [this.buildings, this.trees, this.spawnMarkers].forEach(list => {
+            list.forEach(object => {
+                const distance = Math.hypot(object.position.x - x, object.position.z - z);
+                const reach = Math.max(ERASE_PICK_RADIUS, this.brushRadius, object.userData.collisionRadius);
+                if (distance <= reach && distance < closestDistance) {
+                    closest = { object, list };
+                    closestDistance = distance;
+                }
+            });
+        });
+        if (!closest) return;
+
+        closest.list.splice(closest.list.indexOf(closest.object), 1);
+        this.scene.remove(closest.object);
+    }
+
+    /**
+     * Keep everything standing on the ground after the terrain changes
+     */
+    settleObjects() {
+        [...this.buildings, ...this.trees, ...this.spawnMarkers].forEach(object => {
+            object.position.y = this.terrain.getHeightAt(object.position.x, object.position.z);
+        });
+    }
+
+    /**
+     * Point of the terrain under the mouse
+     * @returns {THREE.Vector3|null} World position, or null when the mouse is off the terrain
+     */
+    pickTerrain() {
+        if (!this.pointerOnCanvas || !this.terrain) return null;
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        const { origin, direction } = this.raycaster.ray;
+        const hit = this.terrain.raycast(origin, direction);
+        const half = this.terrain.size / 2;
+        if (!hit || Math.abs(hit.point.x) > half || Math.abs(hit.point.z) > half) return null;
+        return new THREE.Vector3(hit.point.x, hit.point.y, hit.point.z);
+    }
+
+    createCursor() {
+        const geometry = new THREE.RingGeometry(0.92, 1, 48);
+        geometry.rotateX(-Math.PI / 2);
+        this.cursor = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color: 0xFFFFFF,
+            transparent: true,
+            opacity: 0.8,
+            depthTest: false
+        }));
+        this.cursor.renderOrder = 999;
+        this.cursor.visible = false;
+        this.scene.add(this.cursor);
+    }
+
+    updateCursor() {
+        this.cursor.visible = !!this.hoverPoint;
+        if (!this.hoverPoint) return;
+
+        const usesBrush = this.tool === EDITOR_TOOLS.sculpt.id || this.tool === EDITOR_TOOLS.erase.id;
+        const radius = usesBrush ? this.brushRadius : 4 * this.propScale;
+        this.cursor.position.set(this.hoverPoint.x, this.hoverPoint.y + 0.3, this.hoverPoint.z);
+        this.cursor.scale.setScalar(radius);
+        this.cursor.material.color.set(this.tool === EDITOR_TOOLS.erase.id ? 0xFF5252 : 0xFFFFFF);
+    }
+
+    panCamera(deltaTime) {
+        let right = 0;
+        let forward = 0;
+        this.pressedKeys.forEach(code => {
+            right += PAN_KEYS[code][0];
+            forward += PAN_KEYS[code][1];
+        });
+        if (right === 0 && forward === 0) return;
+
+        // Pan relative to where the camera looks
+        const step = CAMERA_PAN_SPEED * deltaTime;
+        const sin = Math.sin(this.orbit.yaw);
+        const cos = Math.cos(this.orbit.yaw);
+        const half = this.terrain.size / 2;
+        this.orbit.target.x = THREE.MathUtils.clamp(this.orbit.target.x + (right * cos + forward * sin) * step, -half, half);
+        this.orbit.target.z = THREE.MathUtils.clamp(this.orbit.target.z + (forward * cos - right * sin) * step, -half, half);
+    }
+
+    updateCamera() {
+        const { target, yaw, pitch, distance } = this.orbit;
+        this.camera.position.set(
+            target.x + Math.sin(yaw) * Math.cos(pitch) * distance,
+            target.y + Math.sin(pitch) * distance,
+            target.z + Math.cos(yaw) * Math.cos(pitch) * distance
+        );
+        this.camera.lookAt(target);
+    }
+
+    attachListeners() {
+        const canvas = this.renderer.domElement;
+        const listen = (element, type, handler, options) => {
+            element.addEventListener(type, handler, options);
+            this.listeners.push(() => element.removeEventListener(type, handler, options));
+        };
+
+        listen(canvas, 'pointermove', (event) => {
+            const rect = canvas.getBoundingClientRect();
+            this.pointer.set(
+                ((event.clientX - rect.left) / rect.width) * 2 - 1,
+                -((event.clientY - rect.top) / rect.height) * 2 + 1
+            );
+            this.pointerOnCanvas = true;
+
+            if (this.rotateDrag) {
+                this.orbit.yaw -= (event.clientX - this.rotateDrag.x) * CAMERA_ROTATE_SPEED;
+                this.orbit.pitch = THREE.MathUtils.clamp(this.orbit.pitch + (event.clientY - this.rotateDrag.y) * CAMERA_ROTATE_SPEED, 0.2, 1.5);
+                this.rotateDrag = { x: event.clientX, y: event.clientY };
+            }
+        });
+        listen(canvas, 'pointerleave', () => {
+            this.pointerOnCanvas = false;
+        });
+        listen(canvas, 'pointerdown', (event) => {
+            if (event.button === 2) {
+                this.rotateDrag = { x: event.clientX, y: event.clientY };
+            } else if (event.button === 0) {
+                this.hoverPoint = this.pickTerrain();
+                this.useTool();
+            }
+        });
+        listen(window, 'pointerup', () => {
+            if (this.isPainting) {
+                // Keep raycasts working on terrain raised beyond the original bounds
+                this.terrain.geometry.computeBoundingSphere();
+            }
+            this.isPainting = false;
+            this.rotateDrag = null;
+        });
+        listen(canvas, 'contextmenu', (event) => event.preventDefault());
+        listen(canvas, 'wheel', (event) => {
+            event.preventDefault();
+            this.orbit.distance = THREE.MathUtils.clamp(this.orbit.distance * (1 + event.deltaY * 0.001), CAMERA_MIN_DISTANCE, CAMERA_MAX_DISTANCE);
+        }, { passive: false });
+        listen(document, 'keydown', (event) => {
+            if (PAN_KEYS[event.code] && !['INPUT', 'SELECT'].includes(event.target.tagName)) {
+                this.pressedKeys.add(event.code);
+            }
+        });
+        listen(document, 'keyup', (event) => {
+            this.pressedKeys.delete(event.code);
+        });
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'map-editor-panel';
+        this.panel.style.cssText = `
+        position: fixed;
+        top: 20px;
+        left: 20px;
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+        padding: 12px 16px;
+        background: rgba(20, 20, 30, 0.9);
+        border: 1px solid #FF9800;
+        border-radius: 12px;
+        color: #FFFFFF;
+        font-family: Arial, sans-serif;
+        font-size: 0.9rem;
+        z-index: 90;
+        width: 260px;
+        box-sizing: border-box;
+    `;
+
+        const title = document.createElement('span');
+        title.textContent = '🛠️ MAP EDITOR';
+        title.style.cssText = 'font-weight: bold; color: #FF9800;';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.maxLength = 32;
+        nameInput.value = this.mapName;
+        nameInput.placeholder = DEFAULT_MAP_NAME;
+        nameInput.addEventListener('input', () => {
+            this.mapName = nameInput.value;
+        });
+
+        const toolRow = document.createElement('div');
+        toolRow.style.cssText = 'display: flex; gap: 6px;';
+        this.toolButtons = Object.values(EDITOR_TOOLS).map(tool => {
+            const button = this.createButton(tool.icon, () => this.selectTool(tool.id));
+            button.title = tool.name;
+            button.dataset.tool = tool.id;
+            toolRow.appendChild(button);
+            return button;
+        });
+
+        this.toolOptions = document.createElement('div');
+        this.toolOptions.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+
+        const weatherOptions = this.createWeatherOptions();
+
+        const hint = document.createElement('small');
+        hint.textContent = 'Left click: use tool · Right drag: rotate · Wheel: zoom · WASD: pan';
+        hint.style.cssText = 'color: #BBBBBB;';
+
+        this.statusLabel = document.createElement('small');
+
+        const actionRow = document.createElement('div');
+        actionRow.style.cssText = 'display: flex; gap: 6px;';
+        const saveButton = this.createButton('💾 Save', () => MapEditor.download(this.getMapData()));
+        const playButton = this.createButton('▶ Play', () => this.onPlay?.(this.getMapData()));
+        const exitButton = this.createButton('✕', () => this.onExit?.());
+        exitButton.title = 'Exit the map editor';
+        [saveButton, playButton].forEach(button => {
+            button.style.width = 'auto';
+            button.style.flex = '1';
+        });
+        actionRow.append(saveButton, playButton, exitButton);
+
+        this.panel.append(title, nameInput, toolRow, this.toolOptions, weatherOptions, hint, this.statusLabel, actionRow);
+        document.body.appendChild(this.panel);
+        this.selectTool(this.tool);
+    }
+
+    /**
+     * Switch tools and show that tool's options
+     * @param {string} toolId - Key of EDITOR_TOOLS
+     */
+    selectTool(toolId) {
+        this.tool = toolId;
+        this.isPainting = false;
+        this.toolButtons.forEach(button => {
+            button.style.background = button.dataset.tool === toolId ? '#FF9800' : '#2196F3';
+        });
+
+        this.toolOptions.replaceChildren();
+        switch (toolId) {
+            case EDITOR_TOOLS.sculpt.id:
+                this.toolOptions.append(
+                    this.createSelect(Object.values(TERRAIN_BRUSHES).map(brush => [brush.id, `${brush.icon} ${brush.name}`]), this.brushId, value => {
+                        this.brushId = value;
+                    }),
+                    this.createSlider('Radius', 2, 40, 1, this.brushRadius, value => {
+                        this.brushRadius = value;
+                    }),
+                    this.createSlider('Strength', 1, 20, 1, this.brushStrength, value => {
+                        this.brushStrength = value;
+                    })
+                );
+                break;
+            case EDITOR_TOOLS.building.id:
+                this.toolOptions.append(
+                    this.createSelect(BUILDING_TYPES.map(type => [type, capitalize(type)]), this.buildingType, value => {
+                        this.buildingType = value;
+                    }),
+                    this.createScaleSlider(),
+                    this.createRotationSlider(),
+                    this.createSlider('Health', 25, 300, 25, this.buildingHealth, value => {
+                        this.buildingHealth = value;
+                    })
+                );
+                break;
+            case EDITOR_TOOLS.tree.id:
+                this.toolOptions.append(
+                    this.createSelect(TREE_TYPES.map(type => [type, capitalize(type)]), this.treeType, value => {
+                        this.treeType = value;
+                    }),
+                    this.createScaleSlider(),
+                    this.createRotationSlider()
+                );
+                break;
+            case EDITOR_TOOLS.spawn.id:
+                this.toolOptions.append(this.createSelect(SPAWN_SIDES.map(side => [side, `${capitalize(side)} spawn`]), this.spawnSide, value => {
+                    this.spawnSide = value;
+                }));
+                break;
+            case EDITOR_TOOLS.erase.id:
+                this.toolOptions.append(this.createSlider('Radius', 2, 40, 1, this.brushRadius, value => {
+                    this.brushRadius = value;
+                }));
+                break;
+        }
+    }
+
+    refreshStatus() {
+        const count = side => this.spawnMarkers.filter(marker => marker.userData.side === side).length;
+        this.statusLabel.textContent = `${this.buildings.length} buildings · ${this.trees.length} trees · `
+            + `${count('player')} player / ${count('enemy')} enemy spawns`;
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.style.cssText = `
+        background: #2196F3;
+        border: none;
+        color: white;
+        width: 36px;
+        height: 36px;
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 1rem;
+    `;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    createSelect(options, selected, onChange) {
+        const select = document.createElement('select');
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === selected;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    createSlider(text, min, max, step, value, onInput) {
+        const label = document.createElement('label');
+        label.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+        const name = document.createElement('span');
+        name.style.cssText = 'width: 64px;';
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = String(min);
+        slider.max = String(max);
+        slider.step = String(step);
+        slider.value = String(value);
+        slider.style.cssText = 'flex: 1;';
+        const show = () => {
+            name.textContent = `${text} ${slider.value}`;
+        };
+        slider.addEventListener('input', () => {
+            show();
+            onInput(Number(slider.value));
+        });
+        show();
+        label.append(name, slider);
+        return label;
+    }
+
+    createScaleSlider() {
+        return this.createSlider('Scale', 0.5, 2, 0.1, this.propScale, value => {
+            this.propScale = value;
+        });
+    }
+
+    createRotationSlider() {
+        return this.createSlider('Turn', 0, 345, 15, this.propRotation, value => {
+            this.propRotation = value;
+        });
+    }
+
+    /**
+     * Wind preset and fog for the map; "Match default" leaves both to the match settings
+     */
+    createWeatherOptions() {
+        const container = document.createElement('div');
+        container.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+
+        // Preview the fog on the editor view
+        const showWeather = () => {
+            fogSlider.style.display = this.weather ? 'flex' : 'none';
+            if (this.scene.fog) {
+                this.scene.fog.density = this.weather?.fogDensity ?? DEFAULT_FOG_DENSITY;
+            }
+        };
+        const fogSlider = this.createSlider('Fog', 0, 0.015, 0.0005, this.weather?.fogDensity ?? DEFAULT_FOG_DENSITY, value => {
+            this.weather.fogDensity = value;
+            showWeather();
+        });
+        const windOptions = [['', '🌤️ Match default'], ...Object.entries(WIND_PRESETS).map(([id, preset]) => [id, `🌬️ ${preset.name} wind`])];
+        const windSelect = this.createSelect(windOptions, this.weather?.wind ?? '', value => {
+            this.weather = value ? { wind: value, fogDensity: this.weather?.fogDensity ?? DEFAULT_FOG_DENSITY } : null;
+            showWeather();
+        });
+        showWeather();
+
+        container.append(windSelect, fogSlider);
+        return container;
+    }
+
+    /**
+     * Close the editor and take everything it placed out of the scene
+     */
+    dispose() {
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        this.panel?.remove();
+
+        [...this.buildings, ...this.trees, ...this.spawnMarkers].forEach(object => this.scene.remove(object));
+        this.buildings = [];
+        this.trees = [];
+        this.spawnMarkers = [];
+
+        if (this.cursor) {
+            this.scene.remove(this.cursor);
+            this.cursor.geometry.dispose();
+            this.cursor.material.dispose();
+        }
+        if (this.scene.userData.terrainDetails) {
+            this.scene.userData.terrainDetails.visible = true;
+        }
+        console.log('Map editor closed');
+    }
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,172 @@
+/**
+ * Match Setup
+ * Seat layout for multi-tank matches. Hot-seat: two to four tanks sharing one device,
+ * each seat driven by a human or by the AI. Network: one seat per connected player,
+ * only the local one driven from this device. Free-for-all: the player against AI tanks
+ * that also fight each other. Team battle: the player and AI allies against an AI team.
+ * Campaign: the player against the enemy line-up of a campaign stage (see campaign.js).
+ * Classic single-player matches have no config.
+ *
+ * Seats may name a team (tanks on the same team don't target each other) and a config may
+ * set friendlyFire to decide whether shells hurt teammates. Seats without a team fight alone.
+ */
+import { isValidStage } from './campaign.js';
+
+export const MAX_HOTSEAT_SEATS = 4;
+export const MIN_HOTSEAT_HUMANS = 2;
+
+// One color per seat, in turn order
+export const SEAT_COLORS = [
+    { name: 'Green', hex: 0x00ff00, css: '#00ff41' },
+    { name: 'Blue', hex: 0x2196f3, css: '#2196f3' },
+    { name: 'Yellow', hex: 0xffd700, css: '#ffd700' },
+    { name: 'Purple', hex: 0xb040ff, css: '#b040ff' },
+    { name: 'Red', hex: 0xff0000, css: '#ff4444' }
+];
+
+export const SEAT_TYPES = ['human', 'ai', 'off'];
+export const TEAM_IDS = ['A', 'B', 'C', 'D'];
+export const FREE_FOR_ALL_ENEMIES = MAX_HOTSEAT_SEATS - 1;
+
+// Team battles: the player's team (green) against the enemy team (red)
+export const MAX_TEAM_SIZE = 3;
+export const PLAYER_TEAM_ID = 'A';
+export const ENEMY_TEAM_ID = 'B';
+const PLAYER_TEAM_COLOR = 0;
+const ENEMY_TEAM_COLOR = 4;
+
+const MAX_SEAT_NAME_LENGTH = 16;
+
+/**
+ * Build a hot-seat config from the menu's seat rows
+ * @param {Array<{name: string, type: string, team?: string}>} seats - One entry per seat ('off' seats are dropped)
+ * @param {Object} options - { friendlyFire } (defaults to on)
+ * @returns {Object} Match config ({ mode: 'hotseat', seats, friendlyFire })
+ */
+export function createHotSeatConfig(seats, options = {}) {
+    const activeSeats = [];
+    seats.slice(0, MAX_HOTSEAT_SEATS).forEach((seat, index) => {
+        if (seat.type === 'off') return;
+        const fallbackName = seat.type === 'ai' ? `AI ${index + 1}` : `Player ${index + 1}`;
+        const name = String(seat.name || '').trim().slice(0, MAX_SEAT_NAME_LENGTH) || fallbackName;
+        const activeSeat = { name, type: seat.type === 'ai' ? 'ai' : 'human', color: index };
+        if (TEAM_IDS.includes(seat.team)) {
+            activeSeat.team = seat.team;
+        }
+        activeSeats.push(activeSeat);
+    });
+    return { mode: 'hotseat', seats: activeSeats, friendlyFire: options.friendlyFire ?? true };
+}
+
+/**
+ * Build a free-for-all config: the player against AI tanks that fight each other too
+ * @param {Object} options - { playerName, enemies, friendlyFire }
+ * @returns {Object} Match config ({ mode: 'ffa', seats, friendlyFire })
+ */
+export function createFreeForAllConfig(options = {}) {
+    const enemies = Math.max(1, Math.min(FREE_FOR_ALL_ENEMIES, options.enemies ?? FREE_FOR_ALL_ENEMIES));
+    const playerName = String(options.playerName || '').trim().slice(0, MAX_SEAT_NAME_LENGTH) || 'Player';
+    const seats = [{ name: playerName, type: 'human', color: 0 }];
+    for (let i = 1; i <= enemies; i++) {
+        seats.push({ name: `Enemy ${i}`, type: 'ai', color: i });
+    }
+    return { mode: 'ffa', seats, friendlyFire: options.friendlyFire ?? true };
+}
+
+/**
+ * Build a team battle config: the player and AI allies against an AI team
+ * @param {Object} options - { playerName, allies, enemies, friendlyFire }
+ * @returns {Object} Match config ({ mode: 'team', seats, friendlyFire })
+ */
+export function createTeamBattleConfig(options = {}) {
+    const allies = Math.max(1, Math.min(MAX_TEAM_SIZE - 1, options.allies ?? 1));
+    const enemies = Math.max(1, Math.min(MAX_TEAM_SIZE, options.enemies ?? allies + 1));
+    const playerName = String(options.playerName || '').trim().slice(0, MAX_SEAT_NAME_LENGTH) || 'Player';
+    const seats = [{ name: playerName, type: 'human', color: PLAYER_TEAM_COLOR, team: PLAYER_TEAM_ID }];
+    for (let i = 1; i <= allies; i++) {
+        seats.push({ name: `Ally ${i}`, type: 'ai', color: PLAYER_TEAM_COLOR, team: PLAYER_TEAM_ID });
+    }
+    for (let i = 1; i <= enemies; i++) {
+        seats.push({ name: `Enemy ${i}`, type: 'ai', color: ENEMY_TEAM_COLOR, team: ENEMY_TEAM_ID });
+    }
+    return { mode: 'team', seats, friendlyFire: options.friendlyFire ?? true };
+}
+
+/**
+ * Build a campaign config: the player against the stage's enemies
+ * @param {Object} stage - Campaign stage (see campaign.js)
+ * @param {Object} options - { playerName }
+ * @returns {Object} Match config ({ mode: 'campaign', stageId, seats, friendlyFire })
+ */
+export function createCampaignConfig(stage, options = {}) {
+    const playerName = String(options.playerName || '').trim().slice(0, MAX_SEAT_NAME_LENGTH) || 'Player';
+    const seats = [{ name: playerName, type: 'human', color: PLAYER_TEAM_COLOR, team: PLAYER_TEAM_ID }];
+    for (let i = 1; i <= stage.enemies.length; i++) {
+        seats.push({ name: `Enemy ${i}`, type: 'ai', color: ENEMY_TEAM_COLOR, team: ENEMY_TEAM_ID });
+    }
+    return { mode: 'campaign', stageId: stage.id, seats, friendlyFire: false };
+}
+
+/**
+ * Build a network config from the server's room (seat order = turn order)
+ * @param {Object} room - Room summary from the game server
+ * @param {string} localPlayerId - This client's player id
+ * @returns {Object} Match config ({ mode: 'network', localPlayerId, seats })
+ */
+export function createNetworkConfig(room, localPlayerId) {
+    return {
+        mode: 'network',
+        localPlayerId,
+        seats: room.players.slice(0, MAX_HOTSEAT_SEATS).map((player, index) => ({
+            name: String(player.name || `Player ${index + 1}`).slice(0, MAX_SEAT_NAME_LENGTH),
+            type: player.id === localPlayerId ? 'human' : 'remote',
+            color: index,
+            playerId: player.id
+        }))
+    };
+}
+
+/**
+ * Check a match config before starting (or replaying) a match
+ * @param {Object|null} config - Match config, null for single player
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateMatchConfig(config) {
+    if (config === null || config === undefined) return null;
+    if (!['hotseat', 'network', 'ffa', 'team', 'campaign'].includes(config.mode) || !Array.isArray(config.seats)) {
+        return 'Unknown match mode';
+    }
+    if (config.mode === 'campaign' && !isValidStage(config.stageId)) return 'Unknown campaign stage';
+    const isTeamMatch = config.mode === 'team' || config.mode === 'campaign';
+    const maxSeats = isTeamMatch ? MAX_TEAM_SIZE * 2 : MAX_HOTSEAT_SEATS;
+    if (config.seats.length < 2 || config.seats.length > maxSeats) {
+        return `Matches need 2-${maxSeats} tanks`;
+    }
+
+    const seatTypes = config.mode === 'network' ? ['human', 'remote'] : ['human', 'ai'];
+    const invalidSeat = config.seats.find(seat =>
+        !seatTypes.includes(seat.type) || typeof seat.name !== 'string' || !SEAT_COLORS[seat.color] ||
+        (config.mode === 'network' && typeof seat.playerId !== 'string') ||
+        (seat.team !== undefined && !TEAM_IDS.includes(seat.team))
+    );
+    if (invalidSeat) return 'Invalid seat in match config';
+    if (config.friendlyFire !== undefined && typeof config.friendlyFire !== 'boolean') {
+        return 'Invalid friendly fire setting';
+    }
+
+    const humans = config.seats.filter(seat => seat.type === 'human').length;
+    if (config.mode === 'network') {
+        return humans === 1 ? null : 'Network matches need exactly one local player';
+    }
+    if (config.mode === 'ffa') {
+        return humans === 1 ? null : 'Free-for-all matches need exactly one player';
+    }
+    if (isTeamMatch) {
+        if (humans !== 1) return 'Team battles need exactly one player';
+        if (config.seats.some(seat => seat.team === undefined)) return 'Every tank in a team battle needs a team';
+    }
+    const teams = new Set(config.seats.map((seat, index) => seat.team ?? `seat${index}`));
+    if (teams.size < 2) return 'Every tank is on the same team';
+    if (isTeamMatch) return null;
+    return humans < MIN_HOTSEAT_HUMANS ? `Hot-seat needs at least ${MIN_HOTSEAT_HUMANS} human players` : null;
+}
@@ -134,6 +134,24 @@ export class MobileControls {
         this.setupButton('fire-btn', 'fire');
         // Scope button - special handling for toggle
         this.setupScopeButton('scope-btn');
+        // Item buttons (repair kit, shield)
+        this.setupItemButtons();
+    }
+
+    /**
+     * Item buttons use their item once per tap (the Game checks actions and stock)
+     */
+    setupItemButtons() {
+        document.querySelectorAll('#mobile-controls .item-btn').forEach(button => {
+            const useItem = (e) => {
+                e.preventDefault();
+                if (button.disabled) return;
+                console.log(`Item button tapped: ${button.dataset.itemId}`);
+                this.game.usePlayerItem(button.dataset.itemId);
+            };
+            button.addEventListener('touchstart', useItem);
+            button.addEventListener('mousedown', useItem);
+        });
     }
     setupButton(buttonId, actionName) {
         const button = document.getElementById(buttonId);
@@ -234,7 +252,7 @@ export class MobileControls {
                 this.game.inputStates.decreasePower = active;
                 break;
             case 'fire':
-                if (active && !this.game.playerTank.hasFiredThisTurn) {
+                if (active && this.game.playerTank.canFire()) {
                     this.game.inputStates.fire = true;
                     console.log('Fire button pressed, setting fire state to true');
                 }
@@ -0,0 +1,226 @@
+// Multiplayer Lobby UI Component
+import { GameSynchronizer, DEFAULT_SERVER_URL } from './gameSynchronizer.js';
+
+const SERVER_URL_KEY = 'tankGame_serverUrl';
+
+export class MultiplayerLobby {
+    /**
+     * @param {AudioManager} audioManager - For UI sounds
+     * @param {Object} options - { getPlayerName: () => string, onMatchStarted: (synchronizer, message) => void }
+     */
+    constructor(audioManager, options = {}) {
+        this.audioManager = audioManager;
+        this.getPlayerName = options.getPlayerName || (() => '');
+        this.onMatchStarted = options.onMatchStarted || null;
+        this.synchronizer = null;
+        this.isVisible = false;
+
+        this.createLobbyPanel();
+        this.setupEventListeners();
+    }
+
+    createLobbyPanel() {
+        this.lobbyPanel = document.createElement('div');
+        this.lobbyPanel.id = 'multiplayer-lobby-panel';
+        this.lobbyPanel.className = 'multiplayer-lobby-panel hidden';
+
+        this.lobbyPanel.innerHTML = `
+            <div class="settings-content lobby-content">
+                <div class="settings-header">
+                    <h3>🌐 Multiplayer</h3>
+                    <button class="close-btn" id="close-multiplayer-lobby">✕</button>
+                </div>
+                <div class="lobby-section" id="lobby-connect-section">
+                    <label for="lobby-server-url">Game Server</label>
+                    <input id="lobby-server-url" type="text" autocomplete="off" spellcheck="false">
+                    <button class="lobby-btn" id="lobby-connect">Connect</button>
+                </div>
+                <div class="lobby-section" id="lobby-join-section">
+                    <button class="lobby-btn" id="lobby-create">➕ Create Room</button>
+                    <input id="lobby-room-code" type="text" maxlength="4" placeholder="CODE" autocomplete="off" spellcheck="false">
+                    <button class="lobby-btn" id="lobby-join">Join</button>
+                </div>
+                <div class="lobby-section lobby-room" id="lobby-room-section">
+                    <div class="lobby-room-code">Room <strong id="lobby-room-id"></strong></div>
+                    <ul class="lobby-players" id="lobby-players"></ul>
+                    <div class="lobby-room-actions">
+                        <select id="lobby-difficulty">
+                            <option value="sargent">🟢 Sargent</option>
+                            <option value="lieutenant" selected>🟡 Lieutenant</option>
+                            <option value="colonel">🔴 Colonel</option>
+                        </select>
+                        <button class="lobby-btn" id="lobby-start">🚀 Start Match</button>
+                        <button class="lobby-btn" id="lobby-leave">Leave</button>
+                    </div>
+                </div>
+                <div class="lobby-message" id="lobby-message"></div>
+            </div>
+        `;
+
+        document.body.appendChild(this.lobbyPanel);
+
+        this.serverUrlInput = this.lobbyPanel.querySelector('#lobby-server-url');
+        this.serverUrlInput.value = localStorage.getItem(SERVER_URL_KEY) || DEFAULT_SERVER_URL;
+        this.roomCodeInput = this.lobbyPanel.querySelector('#lobby-room-code');
+        this.difficultySelect = this.lobbyPanel.querySelector('#lobby-difficulty');
+        this.playersList = this.lobbyPanel.querySelector('#lobby-players');
+        this.messageLabel = this.lobbyPanel.querySelector('#lobby-message');
+    }
+
+    setupEventListeners() {
+        const bind = (id, handler) => {
+            this.lobbyPanel.querySelector(id).addEventListener('click', () => {
+                if (this.audioManager) {
+                    this.audioManager.playSound('click', 0.3);
+                }
+                handler();
+            });
+        };
+
+        bind('#close-multiplayer-lobby', () => this.hide());
+        bind('#lobby-connect', () => this.connect());
+        bind('#lobby-create', () => this.createRoom());
+        bind('#lobby-join', () => this.joinRoom());
+        bind('#lobby-start', () => this.startMatch());
+        bind('#lobby-leave', () => this.leaveRoom());
+
+        // Click outside to close
+        this.lobbyPanel.addEventListener('click', (e) => {
+            if (e.target === this.lobbyPanel) {
+                this.hide();
+            }
+        });
+
+        // Keyboard shortcut to close (ESC)
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible) {
+                this.hide();
+            }
+        });
+    }
+
+    show() {
+        this.isVisible = true;
+        this.render();
+        this.lobbyPanel.classList.remove('hidden');
+        this.lobbyPanel.classList.add('visible');
+
+        if (this.audioManager) {
+            this.audioManager.playSound('click', 0.3);
+        }
+    }
+
+    hide() {
+        this.isVisible = false;
+        this.lobbyPanel.classList.remove('visible');
+        this.lobbyPanel.classList.add('hidden');
+    }
+
+    setMessage(text, isError = false) {
+        this.messageLabel.textContent = text;
+        this.messageLabel.classList.toggle('error', isError);
+    }
+
+    async connect() {
+        const url = this.serverUrlInput.value.trim() || DEFAULT_SERVER_URL;
+        localStorage.setItem(SERVER_URL_KEY, url);
+
+        this.synchronizer?.disconnect();
+        this.synchronizer = new GameSynchronizer();
+        this.listenToSynchronizer(this.synchronizer);
+        this.setMessage(`Connecting to ${url}...`);
+
+        try {
+            await this.synchronizer.connect(url);
+            this.setMessage('Connected. Create a room or join one with its code.');
+        } catch (error) {
+            console.error('Multiplayer connection failed:', error);
+            this.setMessage(error.message, true);
+        }
+        this.render();
+    }
+
+    listenToSynchronizer(synchronizer) {
+        ['room_joined', 'room_update', 'player_left', 'match_over'].forEach(type => {
+            synchronizer.on(type, () => this.render());
+        });
+
+        synchronizer.on('error', (message) => this.setMessage(message.message, true));
+
+        synchronizer.on('disconnected', () => {
+            this.setMessage('Disconnected from the game server', true);
+            this.render();
+        });
+
+        synchronizer.on('match_started', (message) => {
+            console.log(`Lobby: match starting in room ${message.room.roomId}`);
+            this.hide();
+            if (this.onMatchStarted) {
+                this.onMatchStarted(synchronizer, message);
+            }
+        });
+    }
+
+    async createRoom() {
+        try {
+            await this.synchronizer.createRoom(this.getPlayerName());
+            this.setMessage('Share the room code with your opponents.');
+        } catch (error) {
+            this.setMessage(error.message, true);
+        }
+    }
+
+    async joinRoom() {
+        const code = this.roomCodeInput.value.trim().toUpperCase();
+        if (!code) {
+            this.setMessage('Enter a room code', true);
+            return;
+        }
+
+        try {
+            await this.synchronizer.joinRoom(code, this.getPlayerName());
+            this.setMessage('Waiting for the host to start the match...');
+        } catch (error) {
+            this.setMessage(error.message, true);
+        }
+    }
+
+    startMatch() {
+        this.synchronizer?.startMatch({ difficulty: this.difficultySelect.value });
+    }
+
+    leaveRoom() {
+        this.synchronizer?.leaveRoom();
+        this.setMessage('');
+        this.render();
+    }
+
+    render() {
+        const synchronizer = this.synchronizer;
+        const connected = !!synchronizer?.isConnected;
+        const room = connected ? synchronizer.room : null;
+
+        this.lobbyPanel.querySelector('#lobby-connect-section').hidden = !!room;
+        this.lobbyPanel.querySelector('#lobby-join-section').hidden = !connected || !!room;
+        this.lobbyPanel.querySelector('#lobby-room-section').hidden = !room;
+        if (!room) return;
+
+        this.lobbyPanel.querySelector('#lobby-room-id').textContent = room.roomId;
+        this.playersList.innerHTML = room.players.map(player => `
+            <li${player.id === synchronizer.playerId ? ' class="self"' : ''}>
+                ${player.id === room.hostId ? '👑' : '🎖️'} ${escapeHtml(player.name)}
+                ${player.id === synchronizer.playerId ? '<small>(you)</small>' : ''}
+            </li>
+        `).join('');
+
+        const isHost = synchronizer.isHost;
+        this.difficultySelect.disabled = !isHost;
+        this.lobbyPanel.querySelector('#lobby-start').disabled = !isHost || room.players.length < 2 || room.state === 'playing';
+    }
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
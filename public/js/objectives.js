@@ -0,0 +1,214 @@
+/**
+ * Mission Objectives
+ * What the player must do to win a match played with their own tank (classic,
+ * free-for-all, team battle, campaign). Goals must all be completed; constraints
+ * lose the match when they fail. Matches without objectives play the classic
+ * "destroy every enemy" mission.
+ *
+ * Each objective type evaluates a plain snapshot the Game builds (see
+ * Game.getObjectiveState):
+ *  - round         : current round (1-based; a round is one turn for every tank)
+ *  - shotsFired    : shells the player has fired
+ *  - shellsInFlight: whether any shell is still flying
+ *  - enemiesTotal  : enemy tanks at the start of the match
+ *  - enemiesLeft   : enemy tanks still in the fight
+ *  - playerPosition: { x, z } of the player's tank, null once it is destroyed
+ *  - goalsComplete : (constraints only) whether every goal is complete
+ * Building objectives also get their target building's userData ({ health, maxHealth, isDestroyed }).
+ */
+
+export const DEFAULT_OBJECTIVES = [{ type: 'destroyAll' }];
+
+export const OBJECTIVE_TYPES = {
+    destroyAll: {
+        id: 'destroyAll',
+        kind: 'goal',
+        icon: '💥',
+        describe: () => 'Destroy every enemy tank',
+        evaluate: (objective, state) => ({
+            complete: state.enemiesLeft === 0,
+            failed: false,
+            progress: `${state.enemiesTotal - state.enemiesLeft}/${state.enemiesTotal}`
+        })
+    },
+    destroyBuilding: {
+        id: 'destroyBuilding',
+        kind: 'goal',
+        icon: '🏰',
+        needsBuilding: true,
+        describe: objective => `Destroy the ${objective.building}`,
+        evaluate: (objective, state, target) => ({
+            complete: !target || target.isDestroyed, // No such building on the map: nothing to do
+            failed: false,
+            progress: describeHealth(target)
+        })
+    },
+    surviveTurns: {
+        id: 'surviveTurns',
+        kind: 'goal',
+        icon: '⏳',
+        describe: objective => `Survive ${objective.turns} turns`,
+        evaluate: (objective, state) => ({
+            complete: state.round > objective.turns || state.enemiesLeft === 0,
+            failed: false,
+            progress: `Turn ${Math.min(state.round, objective.turns)}/${objective.turns}`
+        })
+    },
+    reachZone: {
+        id: 'reachZone',
+        kind: 'goal',
+        icon: '🚩',
+        latches: true, // Reaching the zone once is enough
+        describe: objective => `Reach ${objective.name || 'the marked zone'}`,
+        evaluate: (objective, state) => {
+            if (!state.playerPosition) return { complete: false, failed: false, progress: '-' };
+            const distance = Math.hypot(state.playerPosition.x - objective.x, state.playerPosition.z - objective.z);
+            const complete = distance <= objective.radius;
+            return { complete, failed: false, progress: complete ? 'Reached' : `${Math.round(distance - objective.radius)} m` };
+        }
+    },
+    shotLimit: {
+        id: 'shotLimit',
+        kind: 'constraint',
+        icon: '🎯',
+        describe: objective => `Win within ${objective.shots} shots`,
+        evaluate: (objective, state) => {
+            const failed = state.shotsFired >= objective.shots && !state.shellsInFlight && !state.goalsComplete;
+            return { complete: !failed, failed, progress: `${state.shotsFired}/${objective.shots} shots` };
+        }
+    },
+    protectBuilding: {
+        id: 'protectBuilding',
+        kind: 'constraint',
+        icon: '🛡️',
+        needsBuilding: true,
+        describe: objective => `Protect the ${objective.building}`,
+        evaluate: (objective, state, target) => {
+            const failed = !!target?.isDestroyed;
+            return { complete: !failed, failed, progress: describeHealth(target) };
+        }
+    }
+};
+
+// Ready-made missions for custom games
+export const CUSTOM_MISSIONS = {
+    destroyAll: {
+        id: 'destroyAll',
+        name: 'Destroy All Enemies',
+        objectives: DEFAULT_OBJECTIVES
+    },
+    fortress: {
+        id: 'fortress',
+        name: 'Raze the Fortress',
+        objectives: [{ type: 'destroyBuilding', building: 'fortress' }]
+    },
+    survive: {
+        id: 'survive',
+        name: 'Hold Out for 8 Turns',
+        objectives: [{ type: 'surviveTurns', turns: 8 }]
+    },
+    sharpshooter: {
+        id: 'sharpshooter',
+        name: 'Sharpshooter (10 shots)',
+        objectives: [{ type: 'destroyAll' }, { type: 'shotLimit', shots: 10 }]
+    },
+    lighthouse: {
+        id: 'lighthouse',
+        name: 'Guard the Lighthouse',
+        objectives: [{ type: 'destroyAll' }, { type: 'protectBuilding', building: 'lighthouse' }]
+    },
+    beacon: {
+        id: 'beacon',
+        name: 'Reach the Beacon',
+        objectives: [{ type: 'reachZone', name: 'the beacon', x: 0, z: 0, radius: 8 }]
+    }
+};
+
+export const DEFAULT_MISSION_ID = 'destroyAll';
+
+/**
+ * Get an objective type by id
+ * @param {string} typeId - Objective type identifier
+ * @returns {Object|null} Objective type
+ */
+export function getObjectiveType(typeId) {
+    return OBJECTIVE_TYPES[typeId] || null;
+}
+
+/**
+ * Check an objective definition (from a stage, a custom mission or a replay file)
+ * @param {Object} objective - Objective definition
+ * @returns {boolean} Whether it can be played
+ */
+export function isValidObjective(objective) {
+    const type = getObjectiveType(objective?.type);
+    if (!type) return false;
+    if (type.needsBuilding) return typeof objective.building === 'string';
+    if (objective.type === 'surviveTurns') return Number.isInteger(objective.turns) && objective.turns > 0;
+    if (objective.type === 'shotLimit') return Number.isInteger(objective.shots) && objective.shots > 0;
+    if (objective.type === 'reachZone') {
+        return [objective.x, objective.z, objective.radius].every(Number.isFinite) && objective.radius > 0;
+    }
+    return true;
+}
+
+/**
+ * Runtime objectives for a match; invalid definitions are dropped and an empty list
+ * falls back to the default mission
+ * @param {Array<Object>} definitions - Objective definitions
+ * @returns {Array<Object>} Objectives ({ definition, type, target, reached })
+ */
+export function createObjectives(definitions) {
+    const valid = Array.isArray(definitions) ? definitions.filter(isValidObjective) : [];
+    return (valid.length > 0 ? valid : DEFAULT_OBJECTIVES).map(definition => ({
+        definition,
+        type: getObjectiveType(definition.type),
+        target: null,   // Building the objective is about (set by the Game)
+        reached: false  // Latched completion (reachZone)
+    }));
+}
+
+/**
+ * Evaluate every objective against the match state
+ * @param {Array<Object>} objectives - Runtime objectives (see createObjectives)
+ * @param {Object} state - Match snapshot (see above)
+ * @returns {Object} { won, lost, results: [{ type, icon, text, progress, status }] }
+ */
+export function evaluateObjectives(objectives, state) {
+    const evaluate = (objective, objectiveState) => {
+        const result = objective.type.evaluate(objective.definition, objectiveState, objective.target?.userData);
+        if (objective.type.latches && (objective.reached || result.complete)) {
+            objective.reached = true;
+            return { ...result, complete: true, progress: 'Reached' };
+        }
+        return result;
+    };
+
+    const goals = objectives.filter(objective => objective.type.kind === 'goal');
+    const goalResults = new Map(goals.map(objective => [objective, evaluate(objective, state)]));
+    const goalsComplete = [...goalResults.values()].every(result => result.complete);
+    const constraintState = { ...state, goalsComplete };
+
+    const results = objectives.map(objective => {
+        const result = goalResults.get(objective) || evaluate(objective, constraintState);
+        return {
+            type: objective.type.id,
+            icon: objective.type.icon,
+            text: objective.type.describe(objective.definition),
+            progress: result.progress,
+            status: result.failed ? 'failed' : (result.complete ? 'complete' : 'active')
+        };
+    });
+
+    const lost = results.some(result => result.status === 'failed');
+    return { won: !lost && results.every(result => result.status === 'complete'), lost, results };
+}
+
+/**
+ * Remaining health of an objective building, as a percentage
+ */
+function describeHealth(target) {
+    if (!target) return '-';
+    if (target.isDestroyed) return 'Destroyed';
+    return `${Math.max(0, Math.round(target.health / target.maxHealth * 100))}%`;
+}
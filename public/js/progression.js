@@ -0,0 +1,197 @@
+/**
+ * Player Progression
+ * Credits, tank upgrades and owned weapons stored on the user record
+ * (localStorage 'tankGame_userData', mirrored to Firestore by the AuthManager).
+ */
+import { getSelectableWeaponIds, getWeapon, isValidWeapon } from './weapons.js';
+
+export const USER_DATA_KEY = 'tankGame_userData';
+export const MAX_UPGRADE_LEVEL = 5;
+
+// Upgrade levels start at 1 (stock tank); each level above 1 adds `perLevel`
+export const UPGRADE_TYPES = {
+    armorLevel: {
+        id: 'armorLevel',
+        name: 'Armor Plating',
+        icon: '🛡️',
+        description: '+20 max health per level',
+        baseCost: 300,
+        perLevel: 20
+    },
+    firepower: {
+        id: 'firepower',
+        name: 'Firepower',
+        icon: '💥',
+        description: '+10% shell damage per level',
+        baseCost: 400,
+        perLevel: 0.10
+    },
+    fuelEfficiency: {
+        id: 'fuelEfficiency',
+        name: 'Fuel Efficiency',
+        icon: '⛽',
+        description: '+15 max fuel per level',
+        baseCost: 250,
+        perLevel: 15
+    },
+    turretSpeed: {
+        id: 'turretSpeed',
+        name: 'Turret Motors',
+        icon: '🔄',
+        description: '+20% turret rotation speed per level',
+        baseCost: 200,
+        perLevel: 0.20
+    },
+    windResistance: {
+        id: 'windResistance',
+        name: 'Stabilized Shells',
+        icon: '🌬️',
+        description: '-15% wind drift per level',
+        baseCost: 350,
+        perLevel: 0.15
+    }
+    // radarRange is kept on the user record but has no gameplay effect yet, so it is not sold
+};
+
+// Credits paid out at the end of a match
+export const MATCH_REWARDS = {
+    victory: 250,
+    defeat: 75,
+    perTankDestroyed: 100
+};
+
+/**
+ * Read the locally stored user record
+ * @returns {Object|null} User record
+ */
+export function loadUserRecord() {
+    try {
+        const userData = localStorage.getItem(USER_DATA_KEY);
+        return userData ? JSON.parse(userData) : null;
+    } catch (error) {
+        console.error('Failed to load user record:', error);
+        return null;
+    }
+}
+
+/**
+ * Write the user record back to localStorage
+ * @param {Object} record - User record
+ */
+export function saveUserRecord(record) {
+    try {
+        localStorage.setItem(USER_DATA_KEY, JSON.stringify(record));
+    } catch (error) {
+        console.error('Failed to save user record:', error);
+    }
+}
+
+/**
+ * Current level of an upgrade (1 when never bought)
+ * @param {Object} upgrades - User record `upgrades`
+ * @param {string} upgradeId - Key of UPGRADE_TYPES
+ * @returns {number} Level between 1 and MAX_UPGRADE_LEVEL
+ */
+export function getUpgradeLevel(upgrades, upgradeId) {
+    const level = Math.floor(Number(upgrades?.[upgradeId]) || 1);
+    return Math.min(MAX_UPGRADE_LEVEL, Math.max(1, level));
+}
+
+/**
+ * Price of the next level of an upgrade
+ * @param {string} upgradeId - Key of UPGRADE_TYPES
+ * @param {number} currentLevel - Level the player has now
+ * @returns {number|null} Credits, or null when already maxed
+ */
+export function getUpgradeCost(upgradeId, currentLevel) {
+    const upgrade = UPGRADE_TYPES[upgradeId];
+    if (!upgrade || currentLevel >= MAX_UPGRADE_LEVEL) return null;
+    return upgrade.baseCost * currentLevel;
+}
+
+/**
+ * Translate upgrade levels into tank stat modifiers
+ * @param {Object} upgrades - User record `upgrades`
+ * @returns {Object} Modifiers applied to the player tank
+ */
+export function getUpgradeModifiers(upgrades = {}) {
+    const bonus = (upgradeId) => (getUpgradeLevel(upgrades, upgradeId) - 1) * UPGRADE_TYPES[upgradeId].perLevel;
+
+    return {
+        maxHealthBonus: bonus('armorLevel'),
+        damageMultiplier: 1 + bonus('firepower'),
+        maxFuelBonus: bonus('fuelEfficiency'),
+        turretSpeedMultiplier: 1 + bonus('turretSpeed'),
+        windSensitivity: Math.max(0, 1 - bonus('windResistance'))
+    };
+}
+
+/**
+ * Weapons the player may fire: every free weapon plus those bought in the shop
+ * @param {Object} record - User record
+ * @returns {Array<string>} Weapon ids in registry order
+ */
+export function getOwnedWeaponIds(record) {
+    const purchased = record?.equipment?.ownedWeapons || [];
+    return getSelectableWeaponIds().filter(weaponId =>
+        getWeapon(weaponId).price === 0 || purchased.includes(weaponId)
+    );
+}
+
+/**
+ * Buy the next level of an upgrade
+ * @param {Object} record - User record (modified in place)
+ * @param {string} upgradeId - Key of UPGRADE_TYPES
+ * @returns {{success: boolean, message: string}} Result
+ */
+export function purchaseUpgrade(record, upgradeId) {
+    const upgrade = UPGRADE_TYPES[upgradeId];
+    if (!upgrade) return { success: false, message: 'Unknown upgrade' };
+
+    const level = getUpgradeLevel(record.upgrades, upgradeId);
+    const cost = getUpgradeCost(upgradeId, level);
+    if (cost === null) return { success: false, message: `${upgrade.name} is already at max level` };
+
+    const credits = record.resources?.credits || 0;
+    if (credits < cost) return { success: false, message: `Not enough credits (${cost} needed)` };
+
+    record.resources = { ...(record.resources || {}), credits: credits - cost };
+    record.upgrades = { ...(record.upgrades || {}), [upgradeId]: level + 1 };
+    return { success: true, message: `${upgrade.name} upgraded to level ${level + 1}` };
+}
+
+/**
+ * Buy a weapon for the player's loadout
+ * @param {Object} record - User record (modified in place)
+ * @param {string} weaponId - Weapon identifier
+ * @returns {{success: boolean, message: string}} Result
+ */
+export function purchaseWeapon(record, weaponId) {
+    if (!isValidWeapon(weaponId) || getWeapon(weaponId).hidden) {
+        return { success: false, message: 'Unknown weapon' };
+    }
+
+    const weapon = getWeapon(weaponId);
+    if (getOwnedWeaponIds(record).includes(weaponId)) {
+        return { success: false, message: `${weapon.name} is already owned` };
+    }
+
+    const credits = record.resources?.credits || 0;
+    if (credits < weapon.price) return { success: false, message: `Not enough credits (${weapon.price} needed)` };
+
+    const owned = record.equipment?.ownedWeapons || [];
+    record.resources = { ...(record.resources || {}), credits: credits - weapon.price };
+    record.equipment = { ...(record.equipment || {}), ownedWeapons: [...owned, weaponId] };
+    return { success: true, message: `${weapon.name} added to your arsenal` };
+}
+
+/**
+ * Credits earned for a finished match
+ * @param {boolean} playerWon - Match result
+ * @param {Object} gameStats - Match statistics ({ tanksDestroyed })
+ * @returns {number} Credits
+ */
+export function calculateMatchCredits(playerWon, gameStats = {}) {
+    const base = playerWon ? MATCH_REWARDS.victory : MATCH_REWARDS.defeat;
+    return base + (gameStats.tanksDestroyed || 0) * MATCH_REWARDS.perTankDestroyed;
+}
@@ -1,21 +1,20 @@
 import * as THREE from 'three';
+import { getWeapon } from './weapons.js';
 
-// Enhanced physics constants
-const GRAVITY = 9.81 * 2; // Slightly exaggerated gravity for game feel
-const AIR_RESISTANCE = 0.98; // Air resistance coefficient (0.98 = 2% resistance per second)
-const WIND_STRENGTH = 0.5; // Base wind strength
-const TERMINAL_VELOCITY = 60; // Maximum falling speed
+import { PROJECTILE_LIFESPAN, applyFlightForces, integratePosition, isOutOfBounds, simulateFlight } from './sim/ballistics.js';
+import { hasReachedApex, splitWarheads, startRolling, rollShell } from './sim/weaponBehaviors.js';
 
 export class Projectile {
-    constructor(startPosition, initialVelocity, firedByPlayer, scene, shootingTank = null) {
+    constructor(startPosition, initialVelocity, firedByPlayer, scene, shootingTank = null, weapon = null) {
         this.scene = scene;
         this.firedByPlayer = firedByPlayer;
         this.shootingTank = shootingTank;
+        this.weapon = typeof weapon === 'string' ? getWeapon(weapon) : (weapon || getWeapon());
         
         // Enhanced visual representation
-        const geo = new THREE.SphereGeometry(0.25, 8, 8);
+        const geo = new THREE.SphereGeometry(this.weapon.radius, 8, 8);
         const mat = new THREE.MeshBasicMaterial({ 
-            color: firedByPlayer ? 0x00ffff : 0xff8800,
+            color: this.weapon.color ?? (firedByPlayer ? 0x00ffff : 0xff8800),
             transparent: true,
             opacity: 0.9
         });
@@ -25,20 +24,33 @@ export class Projectile {
         // Enhanced physics properties
         this.velocity = initialVelocity.clone();
         this.originalVelocity = initialVelocity.clone(); // Store for calculations
-        this.mass = 5.0; // Projectile mass (kg)
-        this.dragCoefficient = 0.47; // Sphere drag coefficient
-        this.crossSectionalArea = Math.PI * (0.25 * 0.25); // Projectile cross-section
+        this.mass = this.weapon.mass; // Projectile mass (kg)
+        this.dragCoefficient = this.weapon.dragCoefficient;
+        this.crossSectionalArea = Math.PI * (this.weapon.radius * this.weapon.radius); // Projectile cross-section
         
-        // Environmental effects
-        this.windVector = this.generateWindVector();
+        // Environmental effects (match wind is applied by the Game via setWind)
+        this.windVector = new THREE.Vector3();
         
-        this.lifespan = 8; // Increased for longer range shots
+        this.lifespan = PROJECTILE_LIFESPAN;
         this.age = 0;
         this.shouldBeRemoved = false;
-        this.damage = 55;
-        this.collisionRadius = 0.35;        
+        this.damage = this.weapon.damage * (shootingTank?.damageMultiplier ?? 1); // Firepower upgrade
+        this.blastRadius = this.weapon.blastRadius;
+        this.craterRadius = this.weapon.craterRadius;
+        this.craterDepth = this.weapon.craterDepth;
+        this.collisionRadius = this.weapon.radius + 0.1;
+        
+        // Special behavior state (MIRV split, roller, digger)
+        this.hasSplit = false;
+        this.readyToSplit = false;
+        this.isRolling = false;
+        this.rollAge = 0;
+        this.detonateNow = false;
+        this.hasTunneled = false;
+
         // Enhanced trajectory tracking
         this.startPosition = startPosition.clone();
+        this.previousPosition = startPosition.clone(); // Start of the last step; collisions sweep from here
         this.startHeight = startPosition.y;
         this.maxHeight = startPosition.y;
         this.maxHeightReached = false;
@@ -55,34 +67,38 @@ export class Projectile {
             startPos: `(${startPosition.x.toFixed(2)}, ${startPosition.y.toFixed(2)}, ${startPosition.z.toFixed(2)})`,
             velocity: `(${initialVelocity.x.toFixed(1)}, ${initialVelocity.y.toFixed(1)}, ${initialVelocity.z.toFixed(1)})`,
             speed: `${initialVelocity.length().toFixed(1)} m/s`,
+            weapon: this.weapon.name,
             mass: `${this.mass} kg`,
-            windVector: `(${this.windVector.x.toFixed(2)}, ${this.windVector.z.toFixed(2)})`,
             firedByPlayer: firedByPlayer
         });
     }
     
-    generateWindVector() {
-        // Generate realistic wind pattern
-        const windDirection = Math.random() * Math.PI * 2;
-        const windMagnitude = WIND_STRENGTH * (0.5 + Math.random() * 0.5);
-        
-        return new THREE.Vector3(
-            Math.cos(windDirection) * windMagnitude,
-            0,
-            Math.sin(windDirection) * windMagnitude
-        );
-    }    update(deltaTime) {
+    /**
+     * Set the wind acting on this projectile
+     * @param {THREE.Vector3} windVector - Horizontal wind acceleration
+     */
+    setWind(windVector) {
+        this.windVector.copy(windVector);
+    }
+    
+    update(deltaTime) {
         if (this.shouldBeRemoved) return;
         
-        // Store previous position for trajectory tracking
-        const previousPosition = this.mesh.position.clone();
-        const previousY = this.mesh.position.y;
+        // Store previous position for trajectory tracking and the swept terrain check
+        const previousPosition = this.previousPosition.copy(this.mesh.position);
+        
+        // Rolling rounds follow the ground instead of flying
+        if (this.isRolling) {
+            this.updateRolling(deltaTime);
+            this.age += deltaTime;
+            return;
+        }
         
         // Enhanced physics simulation
         this.updatePhysics(deltaTime);
         
         // Update position
-        this.mesh.position.add(this.velocity.clone().multiplyScalar(deltaTime));
+        integratePosition(this.mesh.position, this.velocity, deltaTime);
         this.age += deltaTime;
         
         // Track trajectory for visualization
@@ -105,10 +121,15 @@ export class Projectile {
         }
         
         // Detect when projectile starts falling (reached max height)
-        if (!this.maxHeightReached && this.velocity.y <= 0 && this.mesh.position.y <= previousY) {
+        if (!this.maxHeightReached && hasReachedApex(this.velocity, this.mesh.position, previousPosition)) {
             this.maxHeightReached = true;
             this.impactVelocity = this.velocity.clone();
             
+            // MIRVs release their warheads at the top of the arc
+            if (this.weapon.behavior === 'mirv' && !this.hasSplit) {
+                this.readyToSplit = true;
+            }
+            
             const heightGain = this.maxHeight - this.startHeight;
             const shooterType = this.firedByPlayer ? 'PLAYER' : 'AI';
             console.log(`${shooterType} PROJECTILE MAX HEIGHT REACHED:`, {
@@ -129,37 +150,74 @@ export class Projectile {
         }
         
         // Remove if it goes too far or too low
-        if (Math.abs(this.mesh.position.x) > 100 || Math.abs(this.mesh.position.z) > 100 || this.mesh.position.y < -10) {
+        if (isOutOfBounds(this.mesh.position)) {
             this.shouldBeRemoved = true;
             this.logFlightStatistics('OUT_OF_BOUNDS');
         }
     }
     
     updatePhysics(deltaTime) {
-        // Apply gravity
-        this.velocity.y -= GRAVITY * deltaTime;
-        
-        // Apply air resistance
-        const speed = this.velocity.length();
-        if (speed > 0) {
-            // Calculate air resistance force
-            const airDensity = 1.225; // kg/m³ at sea level
-            const dragForce = 0.5 * airDensity * this.dragCoefficient * this.crossSectionalArea * speed * speed;
-            const dragAcceleration = dragForce / this.mass;
-            
-            // Apply drag in opposite direction of velocity
-            const dragVector = this.velocity.clone().normalize().multiplyScalar(-dragAcceleration * deltaTime);
-            this.velocity.add(dragVector);
-        }
+        applyFlightForces(this.velocity, this.mesh.position, this, this.windVector, deltaTime);
+    }
+    
+    /**
+     * Split a MIRV into its warheads, fanned out sideways around the current heading
+     * (sim/weaponBehaviors.js)
+     * @returns {Array<Projectile>} Newly created warhead projectiles
+     */
+    splitWarheads() {
+        if (this.hasSplit) return [];
+        this.hasSplit = true;
+        this.readyToSplit = false;
+        this.shouldBeRemoved = true;
         
-        // Apply wind effects (more pronounced at higher altitudes)
-        const altitudeFactor = Math.max(0.1, Math.min(1.0, this.mesh.position.y / 20));
-        const windEffect = this.windVector.clone().multiplyScalar(deltaTime * altitudeFactor);
-        this.velocity.add(windEffect);
+        const warheads = splitWarheads(this.mesh.position, this.velocity, this.weapon).map(({ position, velocity, weapon }) => {
+            const warhead = new Projectile(
+                new THREE.Vector3(position.x, position.y, position.z),
+                new THREE.Vector3(velocity.x, velocity.y, velocity.z),
+                this.firedByPlayer,
+                this.scene,
+                this.shootingTank,
+                weapon
+            );
+            warhead.windVector.copy(this.windVector);
+            return warhead;
+        });
+        
+        console.log(`MIRV SPLIT into ${warheads.length} warheads at height ${this.mesh.position.y.toFixed(1)} m`);
+        return warheads;
+    }
+    
+    /**
+     * Switch a roller round into ground-rolling mode after its first touchdown
+     * @param {number} groundHeight - Terrain height at the touchdown point
+     */
+    startRolling(groundHeight) {
+        this.isRolling = true;
+        this.rollAge = 0;
+        startRolling(this.mesh.position, this.velocity, groundHeight, this.weapon);
+        console.log(`ROLLER TOUCHDOWN at (${this.mesh.position.x.toFixed(1)}, ${this.mesh.position.z.toFixed(1)}) - rolling`);
+    }
+    
+    /**
+     * Roll along the terrain, accelerating downhill, until the roll time runs out or the round
+     * settles (sim/weaponBehaviors.js)
+     * @param {number} deltaTime - Time step in seconds
+     */
+    updateRolling(deltaTime) {
+        const terrain = this.scene.userData.terrain;
+        if (!terrain) {
+            this.detonateNow = true;
+            return;
+        }
         
-        // Apply terminal velocity limit
-        if (this.velocity.y < -TERMINAL_VELOCITY) {
-            this.velocity.y = -TERMINAL_VELOCITY;
+        this.rollAge += deltaTime;
+        const state = rollShell(this.mesh.position, this.velocity, this.rollAge, terrain, this.weapon, deltaTime);
+        if (state === 'stopped') {
+            this.detonateNow = true;
+        } else if (state === 'out') {
+            this.shouldBeRemoved = true;
+            this.logFlightStatistics('OUT_OF_BOUNDS');
         }
     }
     
@@ -191,25 +249,42 @@ export class Projectile {
         return Math.atan2(verticalSpeed, horizontalSpeed) * 180 / Math.PI;
     }
     
-    // Get predicted trajectory points for visualization
-    getPredictedTrajectory(steps = 50) {
-        const points = [];
-        const testVelocity = this.originalVelocity.clone();
-        const testPosition = this.startPosition.clone();
-        const dt = 0.1;
-        
-        for (let i = 0; i < steps; i++) {
-            points.push(testPosition.clone());
-            
-            // Apply simplified physics for prediction
-            testVelocity.y -= GRAVITY * dt;
-            testVelocity.multiplyScalar(AIR_RESISTANCE);
-            testPosition.add(testVelocity.clone().multiplyScalar(dt));
-            
-            // Stop prediction if projectile hits ground level
-            if (testPosition.y <= 0) break;
-        }
-        
-        return points;
+    /**
+     * Predicted flight path of this shell from its launch state
+     * @param {Object} options - See Projectile.predictTrajectory
+     * @returns {Object} { points, impact }
+     */
+    getPredictedTrajectory(options = {}) {
+        return Projectile.predictTrajectory(this.startPosition, this.originalVelocity, {
+            weapon: this.weapon,
+            windVector: this.windVector,
+            ...options
+        });
+    }
+    
+    /**
+     * Fly a shell through the same fixed-step physics as update() without spawning it
+     * @param {THREE.Vector3} startPosition - Launch position (barrel tip)
+     * @param {THREE.Vector3} initialVelocity - Launch velocity
+     * @param {Object} options - { weapon, windVector, step, maxDistance, hitTest }
+     *   hitTest(position, previous) returns an impact point (THREE.Vector3) or null; the path
+     *   stops there. previous is where the step started, for swept checks.
+     *   maxDistance cuts the path after that many meters of flight.
+     * @returns {Object} { points: Array<THREE.Vector3>, impact: THREE.Vector3|null }
+     */
+    static predictTrajectory(startPosition, initialVelocity, options = {}) {
+        const { hitTest, ...flightOptions } = options;
+        const flight = simulateFlight(startPosition, initialVelocity, {
+            ...flightOptions,
+            hitTest: hitTest && ((position, velocity, previous) => {
+                const impact = hitTest(position, previous);
+                return impact ? { position: impact } : null;
+            })
+        });
+
+        return {
+            points: flight.points.map(point => new THREE.Vector3(point.x, point.y, point.z)),
+            impact: flight.hit ? flight.hit.position : null
+        };
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,110 @@
+/**
+ * Seeded Random Number Generation
+ * Lets a whole match (terrain, props, spawns, wind, AI) be recreated from a seed string.
+ */
+
+const SEED_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+/**
+ * Hash a seed string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} seed - Seed string
+ * @returns {number} 32-bit hash
+ */
+export function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a short, human-friendly random seed string
+ * @param {number} length - Number of characters
+ * @returns {string} Seed string
+ */
+export function createRandomSeed(length = 8) {
+    let seed = '';
+    for (let i = 0; i < length; i++) {
+        seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+    }
+    return seed;
+}
+
+/**
+ * Normalize user input into a seed string (trimmed, empty -> null)
+ * @param {string} input - Raw user input
+ * @returns {string|null} Seed string or null when blank
+ */
+export function normalizeSeed(input) {
+    if (input === null || input === undefined) return null;
+    const seed = String(input).trim();
+    return seed.length > 0 ? seed : null;
+}
+
+/**
+ * Deterministic PRNG (mulberry32) with a few convenience helpers.
+ * `next` is bound so it can be passed anywhere a Math.random-style function is expected.
+ */
+export class SeededRandom {
+    /**
+     * @param {string|number} seed - Seed string or number
+     */
+    constructor(seed) {
+        this.seed = String(seed);
+        this.state = hashSeed(this.seed);
+        this.next = this.next.bind(this);
+    }
+
+    /**
+     * Next random number in [0, 1)
+     * @returns {number} Random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Random integer in [min, max] (inclusive)
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Independent stream derived from this seed, so that e.g. AI decisions
+     * never shift the wind or spawn positions
+     * @param {string} label - Stream name
+     * @returns {SeededRandom} Derived generator
+     */
+    fork(label) {
+        return new SeededRandom(`${this.seed}:${label}`);
+    }
+}
@@ -0,0 +1,566 @@
+import * as THREE from 'three';
+import { Projectile } from './projectile.js';
+import { validateMap } from './customMap.js';
+import { validateTerrainSettings } from './biomes.js';
+
+/**
+ * Match Replays
+ * A replay is the match seed plus a compact, step-stamped event log. Because the
+ * seed recreates the battlefield exactly and the world advances in fixed physics
+ * steps, playback only needs to re-apply what the players did (turns, tank poses,
+ * shots); projectiles, explosions and craters are re-simulated by the normal
+ * Game / Projectile / CollisionSystem code. Recorded collisions are kept to
+ * verify the re-simulation. Matches fought on a custom map carry the map as well,
+ * other matches the biome and terrain parameters they were generated with.
+ *
+ * Event types (every event carries `s`, the physics step it happened before):
+ *  - turn : { tank, wind: [direction, strength] }
+ *  - pose : { tank, p: [x, y, z], r, tr, el, pw, w }
+ *  - shot : { tank, player, w, o: [x, y, z], v: [x, y, z] }
+ *  - item : { tank, item } (repair kit, shield; see inventory.js)
+ *  - hit  : { kind, p: [x, y, z], target }
+ *  - end  : { won }
+ */
+
+export const REPLAY_FORMAT_VERSION = 1;
+
+const POSE_SAMPLE_STEPS = 6;            // ~10 Hz at 60 steps per second
+const MAX_TWEEN_STEPS = POSE_SAMPLE_STEPS * 3;
+const END_TAIL_SECONDS = 3;             // Keep playing after the last event so the final shot lands
+const HIT_TOLERANCE = 0.5;              // Metres between recorded and re-simulated impacts
+const MAX_FRAME_TIME = 0.25;
+
+const round = (value, digits = 3) => {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+};
+
+const toArray = (vector, digits = null) => digits === null
+    ? [vector.x, vector.y, vector.z]
+    : [round(vector.x, digits), round(vector.y, digits), round(vector.z, digits)];
+
+/**
+ * Pack a tank pose (from Tank.getPose) into the compact event form
+ * @param {Object} pose - Tank pose
+ * @returns {Object} { p, r, tr, el, pw, w }
+ */
+export function compactPose(pose) {
+    return {
+        p: toArray(pose.position, 3),
+        r: round(pose.rotation, 4),
+        tr: round(pose.turretRotation, 4),
+        el: round(pose.barrelElevation, 4),
+        pw: round(pose.power, 2),
+        w: pose.weaponId
+    };
+}
+
+/**
+ * Unpack a compact pose for Tank.applyPose
+ * @param {Object} compact - { p, r, tr, el, pw, w }
+ * @returns {Object} Tank pose
+ */
+export function expandPose(compact) {
+    return {
+        position: new THREE.Vector3().fromArray(compact.p),
+        rotation: compact.r,
+        turretRotation: compact.tr,
+        barrelElevation: compact.el,
+        power: compact.pw,
+        weaponId: compact.w
+    };
+}
+
+/**
+ * Records the events of a live match
+ */
+export class ReplayRecorder {
+    constructor() {
+        this.data = null;
+        this.lastPoses = new Map();     // tankId -> { key, step }
+    }
+
+    get isRecording() {
+        return this.data !== null;
+    }
+
+    /**
+     * Begin a new recording
+     * @param {Object} meta - Match information ({ seed, difficulty, playerName, stepSize })
+     */
+    start(meta) {
+        this.data = {
+            version: REPLAY_FORMAT_VERSION,
+            ...meta,
+            createdAt: new Date().toISOString(),
+            events: []
+        };
+        this.lastPoses.clear();
+        console.log(`Replay recording started (seed "${meta.seed}")`);
+    }
+
+    /**
+     * Append an event to the log
+     * @param {number} step - Physics step the event happened before
+     * @param {string} type - Event type
+     * @param {Object} data - Event payload
+     */
+    record(step, type, data = {}) {
+        if (!this.data) return;
+        this.data.events.push({ s: step, type, ...data });
+    }
+
+    /**
+     * Record a tank pose if it changed since the last sample
+     * @param {number} step - Current physics step
+     * @param {Tank} tank - Tank to sample
+     * @param {boolean} force - Ignore the sampling rate (used right before shots)
+     */
+    recordPose(step, tank, force = false) {
+        if (!this.data || !tank || tank.isDestroyed) return;
+
+        const compact = { tank: tank.id, ...compactPose(tank.getPose()) };
+
+        const key = JSON.stringify(compact);
+        const last = this.lastPoses.get(tank.id);
+        if (last && last.key === key) return;
+        if (last && !force && step - last.step < POSE_SAMPLE_STEPS) return;
+
+        this.lastPoses.set(tank.id, { key, step });
+        this.record(step, 'pose', compact);
+    }
+
+    /**
+     * Record a fired projectile (the shooter's pose is forced first)
+     * @param {number} step - Current physics step
+     * @param {Projectile} projectile - Newly fired projectile
+     */
+    recordShot(step, projectile) {
+        const tank = projectile.shootingTank;
+        this.recordPose(step, tank, true);
+        this.record(step, 'shot', {
+            tank: tank?.id || null,
+            player: projectile.firedByPlayer,
+            w: projectile.weapon.id,
+            o: toArray(projectile.mesh.position),
+            v: toArray(projectile.velocity)
+        });
+    }
+
+    /**
+     * Record a resolved projectile collision
+     * @param {number} step - Current physics step
+     * @param {Object} collisionResult - Result from CollisionSystem
+     */
+    recordHit(step, collisionResult) {
+        const point = collisionResult.impactPoint;
+        this.record(step, 'hit', {
+            kind: collisionResult.type,
+            p: point ? toArray(point, 2) : null,
+            target: collisionResult.tank?.id || null
+        });
+    }
+
+    /**
+     * Close the recording
+     * @param {number} step - Final physics step
+     * @param {boolean} playerWon - Match result
+     * @returns {Object} Replay data
+     */
+    finish(step, playerWon) {
+        if (!this.data) return null;
+        this.record(step, 'end', { won: playerWon });
+        this.data.steps = step;
+
+        const data = this.data;
+        this.data = null;
+        console.log(`Replay recording finished: ${data.events.length} events`);
+        return data;
+    }
+
+    /**
+     * Save replay data as a JSON file
+     * @param {Object} data - Replay data
+     */
+    static download(data) {
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `scorched-earth-replay-${data.seed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+/**
+ * Check that parsed JSON looks like a replay this version can play
+ * @param {Object} data - Parsed replay
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateReplay(data) {
+    if (!data || typeof data !== 'object') return 'Not a replay file';
+    if (data.version !== REPLAY_FORMAT_VERSION) return `Unsupported replay version: ${data.version}`;
+    if (typeof data.seed !== 'string' || !data.seed) return 'Replay has no battlefield seed';
+    if (!Array.isArray(data.events)) return 'Replay has no events';
+    const mapError = data.map ? validateMap(data.map) : null;
+    if (mapError) return `Replay map is broken (${mapError})`;
+    const terrainError = data.terrain ? validateTerrainSettings(data.terrain) : null;
+    if (terrainError) return `Replay terrain is broken (${terrainError})`;
+    return null;
+}
+
+/**
+ * Plays a recorded match back through the live game systems
+ */
+export class ReplayPlayer {
+    /**
+     * @param {Game} game - Game instance (in 'REPLAY' state)
+     * @param {Object} data - Replay data
+     */
+    constructor(game, data) {
+        this.game = game;
+        this.data = data;
+        this.events = [...data.events].sort((a, b) => a.s - b.s);
+        this.expectedHits = this.events.filter(event => event.type === 'hit');
+
+        const lastStep = this.events.length > 0 ? this.events[this.events.length - 1].s : 0;
+        this.stepSize = data.stepSize || game.getPhysicsStep();
+        this.totalSteps = Math.max(data.steps || 0, lastStep) + Math.round(END_TAIL_SECONDS / this.stepSize);
+
+        this.speed = 1;
+        this.playing = true;
+        this.onChange = null;
+        this.reset();
+    }
+
+    /**
+     * Rewind the cursors (the game must be reloaded separately)
+     */
+    reset() {
+        this.cursor = 0;
+        this.hitIndex = 0;
+        this.tweens = new Map();
+        this.divergences = 0;
+    }
+
+    get currentStep() {
+        return this.game.matchStep;
+    }
+
+    get duration() {
+        return this.totalSteps * this.stepSize;
+    }
+
+    get currentTime() {
+        return this.currentStep * this.stepSize;
+    }
+
+    /**
+     * Advance playback (call every frame)
+     * @param {number} deltaTime - Real frame time in seconds
+     */
+    update(deltaTime) {
+        if (!this.playing) return;
+
+        this.game.updateWorld(Math.min(deltaTime, MAX_FRAME_TIME) * this.speed);
+
+        if (this.currentStep >= this.totalSteps) {
+            this.pause();
+        }
+        this.onChange?.();
+    }
+
+    play() {
+        if (this.currentStep >= this.totalSteps) {
+            this.seek(0);
+        }
+        this.playing = true;
+        this.onChange?.();
+    }
+
+    pause() {
+        this.playing = false;
+        this.onChange?.();
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.onChange?.();
+    }
+
+    /**
+     * Jump to a point in the replay. Seeking backwards reloads the battlefield
+     * and fast-forwards, since craters and damage cannot be undone.
+     * @param {number} time - Target time in seconds
+     */
+    seek(time) {
+        const targetStep = THREE.MathUtils.clamp(Math.round(time / this.stepSize), 0, this.totalSteps);
+
+        if (targetStep < this.currentStep) {
+            this.game.loadReplayMatch(this.data);
+            this.reset();
+        }
+
+        while (this.currentStep < targetStep) {
+            this.game.stepWorld(this.stepSize);
+        }
+        this.onChange?.();
+    }
+
+    /**
+     * Apply every event due before the given step (called by Game.stepWorld)
+     * @param {number} step - Physics step about to run
+     */
+    applyDueEvents(step) {
+        while (this.cursor < this.events.length && this.events[this.cursor].s <= step) {
+            this.applyEvent(this.events[this.cursor], this.cursor);
+            this.cursor++;
+        }
+        this.updateTweens(step);
+    }
+
+    applyEvent(event, index) {
+        switch (event.type) {
+            case 'turn':
+                this.game.setReplayTurn(this.findTank(event.tank), event.wind);
+                break;
+            case 'pose':
+                this.applyPose(event, index);
+                break;
+            case 'shot':
+                this.fireShot(event);
+                break;
+            case 'item':
+                this.game.useTankItem(this.findTank(event.tank), event.item);
+                break;
+            case 'end':
+                this.game.ui.updateActionIndicator(event.won ? 'Replay: Victory' : 'Replay: Defeat');
+                break;
+            case 'hit':
+                // Verified when the re-simulated collision happens
+                break;
+            default:
+                console.warn(`Unknown replay event type: ${event.type}`);
+        }
+    }
+
+    findTank(tankId) {
+        return this.game.collisionSystem?.getAllTanks().find(tank => tank.id === tankId) || null;
+    }
+
+    /**
+     * Snap a tank to a recorded pose and tween towards the next one
+     * @param {Object} event - Pose event
+     * @param {number} index - Index of the event in the log
+     */
+    applyPose(event, index) {
+        const tank = this.findTank(event.tank);
+        if (!tank) return;
+
+        tank.applyPose(expandPose(event));
+        this.tweens.delete(tank.id);
+
+        // Smooth out the 10 Hz sampling until the tank's next pose or shot
+        for (let i = index + 1; i < this.events.length; i++) {
+            const next = this.events[i];
+            if (next.s - event.s > MAX_TWEEN_STEPS) break;
+            if (next.tank !== event.tank) continue;
+            if (next.type === 'shot') break;
+            if (next.type === 'pose') {
+                this.tweens.set(tank.id, { tank, from: event, to: next });
+                break;
+            }
+        }
+    }
+
+    updateTweens(step) {
+        this.tweens.forEach((tween, tankId) => {
+            const { from, to, tank } = tween;
+            if (step >= to.s) {
+                this.tweens.delete(tankId);
+                return;
+            }
+            const alpha = (step - from.s) / (to.s - from.s);
+            const a = expandPose(from);
+            const b = expandPose(to);
+            tank.applyPose({
+                ...a,
+                position: a.position.lerp(b.position, alpha),
+                rotation: THREE.MathUtils.lerp(a.rotation, b.rotation, alpha),
+                turretRotation: THREE.MathUtils.lerp(a.turretRotation, b.turretRotation, alpha),
+                barrelElevation: THREE.MathUtils.lerp(a.barrelElevation, b.barrelElevation, alpha)
+            });
+        });
+    }
+
+    /**
+     * Re-fire a recorded shot with its exact launch state
+     * @param {Object} event - Shot event
+     */
+    fireShot(event) {
+        const tank = this.findTank(event.tank);
+        this.tweens.delete(event.tank);
+
+        const projectile = new Projectile(
+            new THREE.Vector3().fromArray(event.o),
+            new THREE.Vector3().fromArray(event.v),
+            event.player,
+            this.game.scene,
+            tank,
+            event.w
+        );
+        this.game.addProjectile(projectile);
+        this.game.audioManager?.playSound('shoot');
+    }
+
+    /**
+     * Compare a re-simulated collision with the recorded one
+     * @param {Object} collisionResult - Result from CollisionSystem
+     */
+    verifyHit(collisionResult) {
+        const expected = this.expectedHits[this.hitIndex++];
+        const point = collisionResult.impactPoint;
+
+        let matches = !!expected && expected.kind === collisionResult.type;
+        if (matches && expected.p && point) {
+            matches = point.distanceTo(new THREE.Vector3().fromArray(expected.p)) <= HIT_TOLERANCE;
+        }
+
+        if (!matches) {
+            this.divergences++;
+            console.warn(`Replay diverged at step ${this.currentStep}:`, {
+                expected: expected || 'no collision',
+                simulated: { kind: collisionResult.type, point: point ? toArray(point, 2) : null }
+            });
+        }
+    }
+}
+
+/**
+ * Playback controls shown while a replay is running
+ */
+export class ReplayControls {
+    /**
+     * @param {ReplayPlayer} player - Replay player to control
+     * @param {Function} onExit - Called when the user leaves the replay
+     */
+    constructor(player, onExit) {
+        this.player = player;
+        this.onExit = onExit;
+        this.isScrubbing = false;
+        this.createPanel();
+        this.player.onChange = () => this.refresh();
+        this.refresh();
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'replay-controls';
+        this.panel.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 10px 16px;
+        background: rgba(20, 20, 30, 0.9);
+        border: 1px solid #2196F3;
+        border-radius: 12px;
+        color: #FFFFFF;
+        font-family: Arial, sans-serif;
+        z-index: 90;
+        width: min(700px, 92vw);
+        box-sizing: border-box;
+    `;
+
+        const label = document.createElement('span');
+        label.textContent = '🎬 REPLAY';
+        label.style.cssText = 'font-weight: bold; color: #2196F3; white-space: nowrap;';
+
+        this.playButton = this.createButton('⏸', () => this.player.togglePlay());
+
+        this.slider = document.createElement('input');
+        this.slider.type = 'range';
+        this.slider.min = '0';
+        this.slider.max = String(this.player.duration);
+        this.slider.step = '0.1';
+        this.slider.style.cssText = 'flex: 1; min-width: 80px;';
+        this.slider.addEventListener('input', () => {
+            this.isScrubbing = true;
+            this.timeLabel.textContent = this.formatTime(Number(this.slider.value));
+        });
+        this.slider.addEventListener('change', () => {
+            this.isScrubbing = false;
+            this.player.seek(Number(this.slider.value));
+        });
+
+        this.timeLabel = document.createElement('span');
+        this.timeLabel.style.cssText = 'font-family: monospace; white-space: nowrap;';
+
+        this.speedSelect = document.createElement('select');
+        [0.25, 0.5, 1, 2, 4].forEach(speed => {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            option.textContent = `${speed}x`;
+            option.selected = speed === 1;
+            this.speedSelect.appendChild(option);
+        });
+        this.speedSelect.addEventListener('change', () => this.player.setSpeed(Number(this.speedSelect.value)));
+
+        const exitButton = this.createButton('✕', () => this.onExit?.());
+        exitButton.title = 'Exit replay';
+
+        this.panel.append(label, this.playButton, this.slider, this.timeLabel, this.speedSelect, exitButton);
+        document.body.appendChild(this.panel);
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.style.cssText = `
+        background: #2196F3;
+        border: none;
+        color: white;
+        width: 36px;
+        height: 36px;
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 1rem;
+    `;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    refresh() {
+        this.playButton.textContent = this.player.playing ? '⏸' : '▶';
+        if (!this.isScrubbing) {
+            this.slider.value = String(this.player.currentTime);
+            this.timeLabel.textContent = `${this.formatTime(this.player.currentTime)} / ${this.formatTime(this.player.duration)}`;
+        }
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    dispose() {
+        this.player.onChange = null;
+        this.panel.remove();
+    }
+}
@@ -1,18 +1,23 @@
 import * as THREE from 'three';
+import { generateIslandHeightfield, createTerrainHeightfield } from './sim/terrainGenerator.js';
+import { getBiome, DEFAULT_BIOME_ID } from './biomes.js';
+
+export const DEFAULT_FOG_DENSITY = 0.0055;
 
 // Enhanced scene setup with dramatically improved visuals
-export function setupScene(scene) {
+// options: { mapSeed } to reproduce a battlefield, { map } to show a custom map (see customMap.js)
+export function setupScene(scene, options = {}) {
     // Advanced background with dynamic sky system
     scene.background = new THREE.Color(0x87CEEB);
 
     // Enhanced multi-layer fog system for realistic atmospheric depth
-    scene.fog = new THREE.FogExp2(0xFFD700, 0.0055);
+    scene.fog = new THREE.FogExp2(0xFFD700, options.map?.weather?.fogDensity ?? DEFAULT_FOG_DENSITY);
 
-    // Generate deterministic seed for consistent world generation
-    scene.userData.mapSeed = Math.random() * 1000;
+    // Terrain seed - pass options.mapSeed to reproduce a battlefield
+    scene.userData.mapSeed = options.mapSeed ?? Math.random() * 1000;
 
-    // Create advanced island terrain with multiple biomes
-    createAdvancedTerrain(scene);
+    // Create advanced island terrain with multiple biomes (or the custom map's terrain)
+    createAdvancedTerrain(scene, null, options.map ? createTerrainHeightfield(options.map.terrain) : null);
 
     // Setup dynamic ocean system with realistic waves
     createAdvancedOceanSystem(scene);
@@ -31,193 +36,184 @@ export function setupScene(scene) {
 }
 
 /**
- * Creates advanced terrain with multiple biomes and realistic features
+ * Regenerate the terrain (and the props resting on it) from a new seed.
+ * Used at the start of every match so seeded battlefields can be recreated
+ * and craters from the previous match are cleared.
+ * @param {THREE.Scene} scene - The scene
+ * @param {number} mapSeed - Terrain noise seed
+ * @param {Function} random - Random source for terrain props
+ * @param {Heightfield} heightfield - Heights to use instead of the seeded island (custom maps)
  */
-function createAdvancedTerrain(scene) {
-    const groundSize = 270;
-    const segments = 256;
-    const groundGeo = new THREE.PlaneGeometry(groundSize, groundSize, segments, segments);
-
-    const vertices = groundGeo.attributes.position;
-    const seed = scene.userData.mapSeed;
-
-    // Enhanced terrain generation with multiple biomes
-    for (let i = 0; i < vertices.count; i++) {
-        const x_plane = vertices.getX(i);
-        const y_plane = vertices.getY(i);
-
-        const distanceFromCenter = Math.sqrt(x_plane * x_plane + y_plane * y_plane);
-        const maxDistance = groundSize / 2;
-
-        // Multi-octave noise for realistic terrain
-        const baseHeight = generateAdvancedNoise(x_plane, y_plane, seed);
-        let finalHeight = baseHeight;
-
-        // Create island 
-        if (distanceFromCenter > maxDistance * 0.6) {
-            const coastalFactor = Math.max(0, 1 - (distanceFromCenter - maxDistance * 0.6) / (maxDistance * 0.4));
-            const smoothCoast = coastalFactor * coastalFactor * (3 - 2 * coastalFactor);
-            finalHeight = finalHeight * smoothCoast;
-
-            // Add beach areas
-            if (distanceFromCenter > maxDistance * 0.95 && finalHeight > 0.022) {
-                finalHeight = Math.max(0.2, finalHeight * 0.3); // Beach level
-            }
-        }
+export function rebuildTerrain(scene, mapSeed, random = Math.random, heightfield = null) {
+    const oldGround = scene.userData.terrainMesh;
+    const material = oldGround ? oldGround.material : null;
+    if (oldGround) {
+        scene.remove(oldGround);
+        oldGround.geometry.dispose();
+    }
 
-        // Add volcanic features and cliffs
-        addVolcanicFeatures(x_plane, y_plane, seed, finalHeight, i, vertices);
+    scene.userData.mapSeed = mapSeed;
+    createAdvancedTerrain(scene, material, heightfield);
+    createTerrainDetails(scene, random);
+}
 
-        // Create lagoons and inland water features
-        createLagoons(x_plane, y_plane, seed, distanceFromCenter, maxDistance, finalHeight, i, vertices);
+/**
+ * Creates the terrain mesh as a view over the simulation heightfield
+ * @param {THREE.Scene} scene - The scene
+ * @param {THREE.Material} material - Existing terrain material to reuse (optional)
+ * @param {Heightfield} heightfield - Heights to show (optional, defaults to the seeded island)
+ */
+function createAdvancedTerrain(scene, material = null, heightfield = null) {
+    heightfield = heightfield || generateIslandHeightfield(scene.userData.mapSeed);
+    const groundGeo = new THREE.PlaneGeometry(heightfield.size, heightfield.size, heightfield.segments, heightfield.segments);
 
-        finalHeight = Math.max(finalHeight, 0);
-        vertices.setZ(i, finalHeight);
+    // Plane vertices are in the same order as the heightfield grid
+    const vertices = groundGeo.attributes.position;
+    for (let i = 0; i < vertices.count; i++) {
+        vertices.setZ(i, heightfield.heights[i]);
     }
 
     groundGeo.computeVertexNormals();
 
     // Create advanced multi-layered terrain material
-    const terrainMaterial = createAdvancedTerrainMaterial();
+    const terrainMaterial = material || createAdvancedTerrainMaterial();
 
     const ground = new THREE.Mesh(groundGeo, terrainMaterial);
     ground.rotation.x = -Math.PI / 2;
     ground.receiveShadow = true;
     scene.add(ground);
+    scene.userData.terrainMesh = ground;
 
-    // Store enhanced terrain data
+    // Terrain queries go to the heightfield; the mesh mirrors its changes
     scene.userData.terrain = {
         geometry: groundGeo,
-        size: groundSize,
-        segments: segments,
+        heightfield,
+        size: heightfield.size,
+        segments: heightfield.segments,
         getHeightAt: function (worldX, worldZ) {
-            const localX = worldX;
-            const localY = worldZ;
-            if (Math.abs(localX) > this.size / 2 || Math.abs(localY) > this.size / 2) {
-                return 0;
-            }
-            const gridX = Math.floor((localX + this.size / 2) / (this.size / this.segments));
-            const gridY = Math.floor((localY + this.size / 2) / (this.size / this.segments));
-
-            const vertexIndex = gridX + gridY * (this.segments + 1);
-            if (vertexIndex >= 0 && vertexIndex < this.geometry.attributes.position.count) {
-                return this.geometry.attributes.position.getZ(vertexIndex);
-            }
-            return 0;
+            return this.heightfield.getHeightAt(worldX, worldZ);
+        },
+        getNormalAt: function (worldX, worldZ) {
+            return this.heightfield.getNormalAt(worldX, worldZ);
+        },
+        getSlopeAt: function (worldX, worldZ) {
+            return this.heightfield.getSlopeAt(worldX, worldZ);
+        },
+        raycast: function (origin, direction, maxDistance, clearance) {
+            return this.heightfield.raycast(origin, direction, maxDistance, clearance);
+        },
+        intersectSegment: function (from, to, clearance) {
+            return this.heightfield.intersectSegment(from, to, clearance);
         },
         deformTerrain: function (impactPositionWorld, radius, depth) {
-            const localImpact = new THREE.Vector3();
-            localImpact.x = impactPositionWorld.x;
-            localImpact.y = -impactPositionWorld.z;
+            const region = this.heightfield.applyCrater(impactPositionWorld.x, impactPositionWorld.z, radius, depth);
+            if (region) {
+                this.updateRegion(region);
+            }
+        },
+        // Copy changed heightfield vertices ({ minX, maxX, minZ, maxZ }) into the mesh, recompute
+        // the normals around them and upload only the rows that changed
+        updateRegion: function (region) {
             const vertices = this.geometry.attributes.position;
-            let deformed = false;
-
-            for (let i = 0; i < vertices.count; i++) {
-                const planeVertexX = vertices.getX(i);
-                const planeVertexY = vertices.getY(i);
-                const currentPlaneHeight = vertices.getZ(i);
-                const dx = planeVertexX - localImpact.x;
-                const dy = planeVertexY - localImpact.y;
-                const distanceSq = dx * dx + dy * dy;
-
-                if (distanceSq < radius * radius) {
-                    const distFactor = 1.0 - Math.sqrt(distanceSq) / radius;
-                    const deformationAmount = -depth * distFactor * distFactor;
-
-                    let newPlaneHeight = currentPlaneHeight + deformationAmount;
-                    newPlaneHeight = Math.max(newPlaneHeight, 0.0);
-
-                    vertices.setZ(i, newPlaneHeight);
-                    deformed = true;
+            for (let iz = region.minZ; iz <= region.maxZ; iz++) {
+                for (let ix = region.minX; ix <= region.maxX; ix++) {
+                    const index = this.heightfield.getIndex(ix, iz);
+                    vertices.setZ(index, this.heightfield.heights[index]);
                 }
             }
 
-            if (deformed) {
-                this.geometry.attributes.position.needsUpdate = true;
-                this.geometry.computeVertexNormals();
-            }
+            const normalRegion = updateTerrainNormals(this.geometry, this.segments, region);
+            markTerrainRows(vertices, this.segments, region);
+            markTerrainRows(this.geometry.attributes.normal, this.segments, normalRegion);
         }
     };
 }
 
 /**
- * Generates multi-octave noise for realistic terrain
+ * Recompute the terrain normals around changed vertices the way computeVertexNormals
+ * does (area-weighted face normals), visiting only the grid cells next to them
+ * @param {THREE.BufferGeometry} geometry - Terrain plane geometry
+ * @param {number} segments - Cells per side
+ * @param {Object} region - Changed vertex range { minX, maxX, minZ, maxZ } (inclusive)
+ * @returns {Object} Vertex range whose normals were recomputed
  */
-function generateAdvancedNoise(x, y, seed) {
-    // Base elevation
-    const baseHeight = 3.0 + Math.sin(seed + x * 0.01) * 0.8;
-
-    // Large mountain features
-    const mountains = (Math.sin((x + seed * 10) * 0.05) * Math.cos((y + seed * 15) * 0.04) + 1) / 2 * 12.0;
-
-    // Rolling hills
-    const hills = (Math.sin((x + seed * 25) * 0.12) * Math.cos((y + seed * 30) * 0.1) + 1) / 2 * 4.0;
-
-    // Medium ridges
-    const ridges = (Math.sin((x + seed * 50) * 0.2) * Math.cos((y + seed * 75) * 0.18) + 1) / 2 * 2.5;
-
-    // Fine details
-    const details = (Math.sin((x + seed * 100) * 0.3) * Math.cos((y + seed * 125) * 0.25) + 1) / 2 * 0.75;
-
-    // Micro variations
-    const micro = Math.sin((x + seed * 200) * 0.5 + Math.PI / 3) * Math.cos((y + seed * 250) * 0.4 + Math.PI / 4) * 0.25;
+function updateTerrainNormals(geometry, segments, region) {
+    const positions = geometry.attributes.position.array;
+    const normals = geometry.attributes.normal.array;
+    const indices = geometry.index.array;
+    const row = segments + 1;
+
+    // A vertex's normal depends on the faces around it, so the neighbors of changed vertices change too
+    const normalRegion = {
+        minX: Math.max(0, region.minX - 1),
+        maxX: Math.min(segments, region.maxX + 1),
+        minZ: Math.max(0, region.minZ - 1),
+        maxZ: Math.min(segments, region.maxZ + 1)
+    };
+    const isInRegion = vertex => {
+        const ix = vertex % row;
+        const iz = (vertex - ix) / row;
+        return ix >= normalRegion.minX && ix <= normalRegion.maxX && iz >= normalRegion.minZ && iz <= normalRegion.maxZ;
+    };
 
-    return baseHeight + mountains + hills + ridges + details + micro;
-}
+    for (let iz = normalRegion.minZ; iz <= normalRegion.maxZ; iz++) {
+        normals.fill(0, (normalRegion.minX + iz * row) * 3, (normalRegion.maxX + iz * row + 1) * 3);
+    }
 
-/**
- * Adds volcanic features and cliff formations
- */
-function addVolcanicFeatures(x, y, seed, currentHeight, vertexIndex, vertices) {
-    // Create volcanic peaks
-    const volcanoCount = 2;
-    for (let v = 0; v < volcanoCount; v++) {
-        const volcanoX = (seed * (v + 1) * 234.567) % 60 - 30;
-        const volcanoY = (seed * (v + 1) * 876.543) % 60 - 30;
-        const volcanoRadius = 15 + (seed * (v + 1) * 45) % 10;
-
-        const distToVolcano = Math.sqrt((x - volcanoX) ** 2 + (y - volcanoY) ** 2);
-
-        if (distToVolcano < volcanoRadius) {
-            const volcanoStrength = 1.0 - (distToVolcano / volcanoRadius);
-            const volcanoHeight = volcanoStrength * volcanoStrength * 8.0;
-
-            // Create crater at the top
-            if (distToVolcano < volcanoRadius * 0.2) {
-                const craterDepth = (1.0 - distToVolcano / (volcanoRadius * 0.2)) * 2.0;
-                vertices.setZ(vertexIndex, currentHeight + volcanoHeight - craterDepth);
-            } else {
-                vertices.setZ(vertexIndex, currentHeight + volcanoHeight);
+    // Every face touching those vertices lies in the cells around them; PlaneGeometry
+    // lists two triangles per cell, row by row
+    const pA = new THREE.Vector3();
+    const pB = new THREE.Vector3();
+    const pC = new THREE.Vector3();
+    const cb = new THREE.Vector3();
+    const ab = new THREE.Vector3();
+    for (let cz = Math.max(0, normalRegion.minZ - 1); cz <= Math.min(segments - 1, normalRegion.maxZ); cz++) {
+        for (let cx = Math.max(0, normalRegion.minX - 1); cx <= Math.min(segments - 1, normalRegion.maxX); cx++) {
+            const cellStart = (cz * segments + cx) * 6;
+            for (let i = cellStart; i < cellStart + 6; i += 3) {
+                const a = indices[i];
+                const b = indices[i + 1];
+                const c = indices[i + 2];
+                pA.fromArray(positions, a * 3);
+                pB.fromArray(positions, b * 3);
+                pC.fromArray(positions, c * 3);
+                cb.subVectors(pC, pB).cross(ab.subVectors(pA, pB));
+
+                [a, b, c].forEach(vertex => {
+                    if (!isInRegion(vertex)) return;
+                    normals[vertex * 3] += cb.x;
+                    normals[vertex * 3 + 1] += cb.y;
+                    normals[vertex * 3 + 2] += cb.z;
+                });
             }
         }
     }
 
-    // Add cliff faces
-    const cliffNoise = Math.sin(x * 0.08 + seed) * Math.cos(y * 0.06 + seed * 2);
-    if (cliffNoise > 0.6 && currentHeight > 3.0) {
-        const cliffHeight = (cliffNoise - 0.6) * 15.0;
-        vertices.setZ(vertexIndex, currentHeight + cliffHeight);
+    for (let iz = normalRegion.minZ; iz <= normalRegion.maxZ; iz++) {
+        for (let ix = normalRegion.minX; ix <= normalRegion.maxX; ix++) {
+            const offset = (ix + iz * row) * 3;
+            const length = Math.hypot(normals[offset], normals[offset + 1], normals[offset + 2]) || 1;
+            normals[offset] /= length;
+            normals[offset + 1] /= length;
+            normals[offset + 2] /= length;
+        }
     }
+    return normalRegion;
 }
 
 /**
- * Creates lagoons and inland water features
+ * Queue the rows of a vertex range for upload instead of the whole buffer
+ * @param {THREE.BufferAttribute} attribute - Terrain vertex attribute (3 components)
+ * @param {number} segments - Cells per side
+ * @param {Object} region - Vertex range { minX, maxX, minZ, maxZ } (inclusive)
  */
-function createLagoons(x, y, seed, distanceFromCenter, maxDistance, currentHeight, vertexIndex, vertices) {
-    const lagoonCount = 3;
-    for (let l = 0; l < lagoonCount; l++) {
-        const lagoonX = (seed * (l + 1) * 345.678) % 80 - 40;
-        const lagoonY = (seed * (l + 1) * 987.654) % 80 - 40;
-        const lagoonSize = 8 + (seed * (l + 1) * 25) % 12;
-
-        const distToLagoon = Math.sqrt((x - lagoonX) ** 2 + (y - lagoonY) ** 2);
-
-        if (distToLagoon < lagoonSize && distanceFromCenter < maxDistance * 0.7) {
-            const lagoonStrength = 1.0 - (distToLagoon / lagoonSize);
-            const lagoonDepth = lagoonStrength * lagoonStrength * 3.0;
-            vertices.setZ(vertexIndex, Math.max(0.1, currentHeight - lagoonDepth));
-        }
+function markTerrainRows(attribute, segments, region) {
+    const row = segments + 1;
+    const count = (region.maxX - region.minX + 1) * attribute.itemSize;
+    for (let iz = region.minZ; iz <= region.maxZ; iz++) {
+        attribute.addUpdateRange((region.minX + iz * row) * attribute.itemSize, count);
     }
+    attribute.needsUpdate = true;
 }
 
 /**
@@ -1119,14 +1115,33 @@ function createEnvironmentalDetails(scene) {
     // Floating debris in water
     createFloatingDebris(scene);
 
+    // Rocks and driftwood resting on the terrain
+    createTerrainDetails(scene);
+
+    // Seaweed and coral (near water)
+    createMarineLife(scene);
+}
+
+/**
+ * Creates the props that sit on the terrain surface, grouped so they can be
+ * replaced whenever the terrain is regenerated
+ */
+function createTerrainDetails(scene, random = Math.random) {
+    if (scene.userData.terrainDetails) {
+        scene.remove(scene.userData.terrainDetails);
+    }
+
+    const detailsGroup = new THREE.Group();
+    detailsGroup.name = 'terrainDetails';
+
     // Rock formations
-    createRockFormations(scene);
+    createRockFormations(scene, detailsGroup, random);
 
     // Driftwood on beaches
-    createDriftwood(scene);
+    createDriftwood(scene, detailsGroup, random);
 
-    // Seaweed and coral (near water)
-    createMarineLife(scene);
+    scene.add(detailsGroup);
+    scene.userData.terrainDetails = detailsGroup;
 }
 
 /**
@@ -1192,24 +1207,24 @@ function createFloatingDebris(scene) {
 /**
  * Creates rock formations
  */
-function createRockFormations(scene) {
+function createRockFormations(scene, parent = scene, random = Math.random) {
     const terrain = scene.userData.terrain;
 
     for (let i = 0; i < 15; i++) {
-        const x = (Math.random() - 0.5) * 140;
-        const z = (Math.random() - 0.5) * 140;
+        const x = (random() - 0.5) * 140;
+        const z = (random() - 0.5) * 140;
         const terrainHeight = terrain ? terrain.getHeightAt(x, z) : 0;
 
         if (terrainHeight > 2) { // Only place on higher ground
             const rockGroup = new THREE.Group();
 
             // Create cluster of rocks
-            const rockCount = 2 + Math.floor(Math.random() * 4);
+            const rockCount = 2 + Math.floor(random() * 4);
             for (let j = 0; j < rockCount; j++) {
                 const rockGeometry = new THREE.SphereGeometry(
-                    1 + Math.random() * 2,
-                    6 + Math.floor(Math.random() * 6),
-                    4 + Math.floor(Math.random() * 4)
+                    1 + random() * 2,
+                    6 + Math.floor(random() * 6),
+                    4 + Math.floor(random() * 4)
                 );
 
                 const rockMaterial = new THREE.MeshStandardMaterial({
@@ -1220,21 +1235,21 @@ function createRockFormations(scene) {
 
                 const rock = new THREE.Mesh(rockGeometry, rockMaterial);
                 rock.position.set(
-                    (Math.random() - 0.5) * 6,
-                    Math.random() * 1,
-                    (Math.random() - 0.5) * 6
+                    (random() - 0.5) * 6,
+                    random() * 1,
+                    (random() - 0.5) * 6
                 );
 
                 rock.rotation.set(
-                    Math.random() * Math.PI,
-                    Math.random() * Math.PI,
-                    Math.random() * Math.PI
+                    random() * Math.PI,
+                    random() * Math.PI,
+                    random() * Math.PI
                 );
 
                 rock.scale.set(
-                    0.8 + Math.random() * 0.4,
-                    0.6 + Math.random() * 0.8,
-                    0.8 + Math.random() * 0.4
+                    0.8 + random() * 0.4,
+                    0.6 + random() * 0.8,
+                    0.8 + random() * 0.4
                 );
 
                 rock.castShadow = true;
@@ -1243,7 +1258,7 @@ function createRockFormations(scene) {
             }
 
             rockGroup.position.set(x, terrainHeight, z);
-            scene.add(rockGroup);
+            parent.add(rockGroup);
         }
     }
 }
@@ -1251,21 +1266,21 @@ function createRockFormations(scene) {
 /**
  * Creates driftwood on beaches
  */
-function createDriftwood(scene) {
+function createDriftwood(scene, parent = scene, random = Math.random) {
     const terrain = scene.userData.terrain;
 
     for (let i = 0; i < 25; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 60 + Math.random() * 20; // Near the coast
+        const angle = random() * Math.PI * 2;
+        const distance = 60 + random() * 20; // Near the coast
         const x = Math.cos(angle) * distance;
         const z = Math.sin(angle) * distance;
         const terrainHeight = terrain ? terrain.getHeightAt(x, z) : 0;
 
         if (terrainHeight < 2) { // Beach areas
             const driftwoodGeometry = new THREE.CylinderGeometry(
-                0.1 + Math.random() * 0.3,
-                0.15 + Math.random() * 0.4,
-                2 + Math.random() * 4,
+                0.1 + random() * 0.3,
+                0.15 + random() * 0.4,
+                2 + random() * 4,
                 8
             );
 
@@ -1279,14 +1294,14 @@ function createDriftwood(scene) {
             driftwood.position.set(x, terrainHeight + 0.1, z);
 
             driftwood.rotation.set(
-                (Math.random() - 0.5) * 0.5,
-                Math.random() * Math.PI * 2,
-                (Math.random() - 0.5) * 0.8
+                (random() - 0.5) * 0.5,
+                random() * Math.PI * 2,
+                (random() - 0.5) * 0.8
             );
 
             driftwood.castShadow = true;
             driftwood.receiveShadow = true;
-            scene.add(driftwood);
+            parent.add(driftwood);
         }
     }
 }
@@ -1470,6 +1485,27 @@ function createSteamEffects(scene) {
     }
 }
 
+/**
+ * Random float in [min, max) from the given random source
+ */
+function randFloat(random, min, max) {
+    return min + random() * (max - min);
+}
+
+// Pick a key of a { key: weight } mix
+function pickWeighted(random, mix) {
+    const entries = Object.entries(mix);
+    const pick = random() * entries.reduce((total, [, weight]) => total + weight, 0);
+    let cumulativeWeight = 0;
+    for (const [key, weight] of entries) {
+        cumulativeWeight += weight;
+        if (pick <= cumulativeWeight) return key;
+    }
+    return entries[entries.length - 1][0];
+}
+
+export const BUILDING_TYPES = ['house', 'tower', 'warehouse', 'mosque', 'ruins', 'fortress', 'lighthouse'];
+
 // Enhanced building creation functions
 export function createBuilding(position, type = 'house', scale = 1.0, terrainHeight = 0) {
     const buildingGroup = new THREE.Group();
@@ -1727,12 +1763,15 @@ function createLighthouse(parent, scale) {
 }
 
 // Enhanced tree creation
-export function createTree(position, scale = 1.0, terrainHeight = 0) {
+export const TREE_TYPES = ['oak', 'pine', 'palm', 'dead'];
+
+export function createTree(position, scale = 1.0, terrainHeight = 0, type = null, random = Math.random) {
     const treeGroup = new THREE.Group();
 
-    // Varied tree types
-    const treeTypes = ['oak', 'pine', 'palm', 'dead'];
-    const type = treeTypes[Math.floor(Math.random() * treeTypes.length)];
+    // Varied tree types (random unless a specific type is requested)
+    if (!TREE_TYPES.includes(type)) {
+        type = TREE_TYPES[Math.floor(random() * TREE_TYPES.length)];
+    }
 
     switch (type) {
         case 'oak':
@@ -2290,8 +2329,13 @@ function createEnhancedRuins(parent, scale) {
 
 /**
  * Enhanced building and tree generation with better placement algorithms
+ * @param {THREE.Scene} scene - The scene
+ * @param {Array<THREE.Object3D>} existingObstacles - Objects to keep clear of
+ * @param {number} numBuildings - Buildings to place
+ * @param {Function} random - Random source
+ * @param {Object} buildingMix - { type: weight } (a biome's building mix, see biomes.js)
  */
-export function generateBuildings(scene, existingObstacles = [], numBuildings = 18) {
+export function generateBuildings(scene, existingObstacles = [], numBuildings = 18, random = Math.random, buildingMix = getBiome(DEFAULT_BIOME_ID).buildings) {
     const buildings = [];
     const terrain = scene.userData.terrain;
     const terrainSize = terrain ? terrain.size : 180;
@@ -2299,17 +2343,6 @@ export function generateBuildings(scene, existingObstacles = [], numBuildings =
     const minBuildingDistance = 12;
     const occupiedPositions = [];
 
-    // Enhanced building types with new additions
-    const buildingTypes = [
-        { type: 'house', weight: 0.25 },
-        { type: 'warehouse', weight: 0.15 },
-        { type: 'tower', weight: 0.12 },
-        { type: 'mosque', weight: 0.12 },
-        { type: 'ruins', weight: 0.15 },
-        { type: 'fortress', weight: 0.08 },
-        { type: 'lighthouse', weight: 0.13 }
-    ];
-
     // Add existing obstacles to occupied positions
     existingObstacles.forEach(obstacle => {
         occupiedPositions.push({
@@ -2328,22 +2361,12 @@ export function generateBuildings(scene, existingObstacles = [], numBuildings =
         let x, z, selectedType;
 
         // Select building type first for strategic placement
-        const rand = Math.random();
-        let cumulativeWeight = 0;
-        selectedType = 'house';
-
-        for (const buildingType of buildingTypes) {
-            cumulativeWeight += buildingType.weight;
-            if (rand <= cumulativeWeight) {
-                selectedType = buildingType.type;
-                break;
-            }
-        }
+        selectedType = pickWeighted(random, buildingMix);
 
         // Place lighthouses near coast
         if (selectedType === 'lighthouse') {
-            const angle = Math.random() * Math.PI * 2;
-            const distance = terrainSize / 2.5 + Math.random() * 10;
+            const angle = random() * Math.PI * 2;
+            const distance = terrainSize / 2.5 + random() * 10;
             x = Math.cos(angle) * distance;
             z = Math.sin(angle) * distance;
         }
@@ -2354,8 +2377,8 @@ export function generateBuildings(scene, existingObstacles = [], numBuildings =
             let bestX = 0, bestZ = 0;
 
             for (let i = 0; i < 20; i++) {
-                const testX = THREE.MathUtils.randFloat(-terrainSize / 3, terrainSize / 3);
-                const testZ = THREE.MathUtils.randFloat(-terrainSize / 3, terrainSize / 3);
+                const testX = randFloat(random, -terrainSize / 3, terrainSize / 3);
+                const testZ = randFloat(random, -terrainSize / 3, terrainSize / 3);
                 const height = terrain ? terrain.getHeightAt(testX, testZ) : 0;
 
                 if (height > bestHeight) {
@@ -2369,8 +2392,8 @@ export function generateBuildings(scene, existingObstacles = [], numBuildings =
         }
         // Regular random placement for other buildings
         else {
-            x = THREE.MathUtils.randFloat(-terrainSize / 2 + padding, terrainSize / 2 - padding);
-            z = THREE.MathUtils.randFloat(-terrainSize / 2 + padding, terrainSize / 2 - padding);
+            x = randFloat(random, -terrainSize / 2 + padding, terrainSize / 2 - padding);
+            z = randFloat(random, -terrainSize / 2 + padding, terrainSize / 2 - padding);
         }
 
         const position = new THREE.Vector3(x, 0, z);
@@ -2390,15 +2413,16 @@ export function generateBuildings(scene, existingObstacles = [], numBuildings =
         // Get terrain height
         const terrainHeight = terrain ? terrain.getHeightAt(x, z) : 0;
 
-        // Skip if terrain is too low for most buildings (except lighthouses)
+        // Skip if terrain is too low for most buildings (except lighthouses, which still need dry ground)
         if (terrainHeight < 0.8 && selectedType !== 'lighthouse') continue;
+        if (terrainHeight < 0) continue;
 
         // Create building with appropriate scale
         let scale;
         if (selectedType === 'fortress' || selectedType === 'lighthouse') {
-            scale = THREE.MathUtils.randFloat(1.0, 1.4);
+            scale = randFloat(random, 1.0, 1.4);
         } else {
-            scale = THREE.MathUtils.randFloat(0.7, 1.2);
+            scale = randFloat(random, 0.7, 1.2);
         }
 
         const building = createBuilding(position, selectedType, scale, terrainHeight);
@@ -2423,8 +2447,13 @@ export function generateBuildings(scene, existingObstacles = [], numBuildings =
 
 /**
  * Enhanced tree generation with biome-based placement
+ * @param {THREE.Scene} scene - The scene
+ * @param {Array<THREE.Object3D>} existingObstacles - Objects to keep clear of
+ * @param {number} numTrees - Trees to place
+ * @param {Function} random - Random source
+ * @param {Object} treeMix - { type: weight } (a biome's tree mix, see biomes.js)
  */
-export function generateTrees(scene, existingObstacles = [], numTrees = 40) {
+export function generateTrees(scene, existingObstacles = [], numTrees = 40, random = Math.random, treeMix = getBiome(DEFAULT_BIOME_ID).trees) {
     const trees = [];
     const terrain = scene.userData.terrain;
     const terrainSize = terrain ? terrain.size : 180;
@@ -2447,8 +2476,8 @@ export function generateTrees(scene, existingObstacles = [], numTrees = 40) {
     while (trees.length < numTrees && attempts < maxAttempts) {
         attempts++;
 
-        const x = THREE.MathUtils.randFloat(-terrainSize / 2 + padding, terrainSize / 2 - padding);
-        const z = THREE.MathUtils.randFloat(-terrainSize / 2 + padding, terrainSize / 2 - padding);
+        const x = randFloat(random, -terrainSize / 2 + padding, terrainSize / 2 - padding);
+        const z = randFloat(random, -terrainSize / 2 + padding, terrainSize / 2 - padding);
         const position = new THREE.Vector3(x, 0, z);
 
         // Check distance from other objects
@@ -2474,16 +2503,16 @@ export function generateTrees(scene, existingObstacles = [], numTrees = 40) {
         let scale;
         if (terrainHeight > 8) {
             // High altitude - smaller, hardier trees
-            scale = THREE.MathUtils.randFloat(0.6, 1.0);
+            scale = randFloat(random, 0.6, 1.0);
         } else if (distanceFromCenter > terrainSize / 3) {
             // Coastal areas - palm trees and smaller vegetation
-            scale = THREE.MathUtils.randFloat(0.8, 1.3);
+            scale = randFloat(random, 0.8, 1.3);
         } else {
             // Inland areas - full-sized trees
-            scale = THREE.MathUtils.randFloat(0.9, 1.6);
+            scale = randFloat(random, 0.9, 1.6);
         }
 
-        const tree = createTree(position, scale, terrainHeight);
+        const tree = createTree(position, scale, terrainHeight, pickWeighted(random, treeMix), random);
 
         scene.add(tree);
         trees.push(tree);
@@ -2498,6 +2527,48 @@ export function generateTrees(scene, existingObstacles = [], numTrees = 40) {
     return trees;
 }
 
+/**
+ * Place the buildings listed in a custom map
+ * @param {THREE.Scene} scene - The scene (its terrain must already be built)
+ * @param {Array<Object>} list - Buildings ({ type, x, z, scale, rotation, health })
+ * @returns {Array<THREE.Group>} Buildings added to the scene
+ */
+export function placeMapBuildings(scene, list) {
+    const terrain = scene.userData.terrain;
+    const buildings = list.map(({ type, x, z, scale, rotation, health }) => {
+        const building = createBuilding(new THREE.Vector3(x, 0, z), type, scale ?? 1.0, terrain ? terrain.getHeightAt(x, z) : 0);
+        building.rotation.y = rotation ?? 0;
+        if (health) {
+            building.userData.health = health;
+            building.userData.maxHealth = health;
+        }
+        scene.add(building);
+        return building;
+    });
+    console.log(`Placed ${buildings.length} map buildings`);
+    return buildings;
+}
+
+/**
+ * Place the trees listed in a custom map
+ * @param {THREE.Scene} scene - The scene (its terrain must already be built)
+ * @param {Array<Object>} list - Trees ({ type, x, z, scale, rotation })
+ * @param {Function} random - Random source for trees without a known type
+ * @returns {Array<THREE.Group>} Trees added to the scene
+ */
+export function placeMapTrees(scene, list, random = Math.random) {
+    const terrain = scene.userData.terrain;
+    const trees = list.map(({ type, x, z, scale, rotation }) => {
+        const tree = createTree(new THREE.Vector3(x, 0, z), scale ?? 1.0, terrain ? terrain.getHeightAt(x, z) : 0, type, random);
+        tree.rotation.y = rotation ?? 0;
+        tree.userData.originalRotation = tree.rotation.clone();
+        scene.add(tree);
+        return tree;
+    });
+    console.log(`Placed ${trees.length} map trees`);
+    return trees;
+}
+
 /**
  * Creates additional environmental props and details
  */
@@ -0,0 +1,204 @@
+// Tank Shop UI Component
+import { getSelectableWeaponIds, getWeapon } from './weapons.js';
+import {
+    UPGRADE_TYPES,
+    MAX_UPGRADE_LEVEL,
+    getUpgradeLevel,
+    getUpgradeCost,
+    getOwnedWeaponIds,
+    purchaseUpgrade,
+    purchaseWeapon
+} from './progression.js';
+
+export class TankShop {
+    /**
+     * @param {AudioManager} audioManager - For UI sounds
+     * @param {Object} options - { getRecord: () => userRecord, onPurchase: (record, message) => void }
+     */
+    constructor(audioManager, options = {}) {
+        this.audioManager = audioManager;
+        this.getRecord = options.getRecord || (() => null);
+        this.onPurchase = options.onPurchase || null;
+        this.isVisible = false;
+        this.activeTab = 'weapons';
+
+        this.createShopPanel();
+        this.setupEventListeners();
+    }
+
+    createShopPanel() {
+        this.shopPanel = document.createElement('div');
+        this.shopPanel.id = 'tank-shop-panel';
+        this.shopPanel.className = 'tank-shop-panel hidden';
+
+        this.shopPanel.innerHTML = `
+            <div class="settings-content shop-content">
+                <div class="settings-header">
+                    <h3>🛒 Tank Shop</h3>
+                    <span class="shop-credits" id="shop-credits">💰 0</span>
+                    <button class="close-btn" id="close-tank-shop">✕</button>
+                </div>
+                <div class="shop-tabs">
+                    <button class="shop-tab" data-tab="weapons">💣 Weapons</button>
+                    <button class="shop-tab" data-tab="upgrades">🔧 Upgrades</button>
+                </div>
+                <div class="shop-items" id="shop-items"></div>
+                <div class="shop-message" id="shop-message"></div>
+            </div>
+        `;
+
+        document.body.appendChild(this.shopPanel);
+
+        this.creditsLabel = this.shopPanel.querySelector('#shop-credits');
+        this.itemsContainer = this.shopPanel.querySelector('#shop-items');
+        this.messageLabel = this.shopPanel.querySelector('#shop-message');
+    }
+
+    setupEventListeners() {
+        this.shopPanel.querySelector('#close-tank-shop').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.shopPanel.querySelectorAll('.shop-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.activeTab = tab.dataset.tab;
+                this.render();
+            });
+        });
+
+        // Buy buttons are re-rendered, so listen on the container
+        this.itemsContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('.shop-buy-btn');
+            if (!button || button.disabled) return;
+            this.buy(button.dataset.kind, button.dataset.id);
+        });
+
+        // Click outside to close
+        this.shopPanel.addEventListener('click', (e) => {
+            if (e.target === this.shopPanel) {
+                this.hide();
+            }
+        });
+
+        // Keyboard shortcut to close (ESC)
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * Open the shop on a tab
+     * @param {string} tab - 'weapons' or 'upgrades'
+     */
+    show(tab = this.activeTab) {
+        this.activeTab = tab;
+        this.isVisible = true;
+        this.messageLabel.textContent = '';
+        this.render();
+        this.shopPanel.classList.remove('hidden');
+        this.shopPanel.classList.add('visible');
+
+        if (this.audioManager) {
+            this.audioManager.playSound('click', 0.3);
+        }
+    }
+
+    hide() {
+        this.isVisible = false;
+        this.shopPanel.classList.remove('visible');
+        this.shopPanel.classList.add('hidden');
+
+        if (this.audioManager) {
+            this.audioManager.playSound('click', 0.2);
+        }
+    }
+
+    render() {
+        const record = this.getRecord();
+        const credits = record?.resources?.credits || 0;
+        this.creditsLabel.textContent = `💰 ${credits}`;
+
+        this.shopPanel.querySelectorAll('.shop-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === this.activeTab);
+        });
+
+        if (!record) {
+            this.itemsContainer.innerHTML = '<p class="shop-empty">Sign in to earn credits and buy equipment.</p>';
+            return;
+        }
+
+        this.itemsContainer.innerHTML = this.activeTab === 'upgrades' ?
+            this.renderUpgrades(record, credits) :
+            this.renderWeapons(record, credits);
+    }
+
+    renderWeapons(record, credits) {
+        const owned = getOwnedWeaponIds(record);
+
+        return getSelectableWeaponIds().map(weaponId => {
+            const weapon = getWeapon(weaponId);
+            const isOwned = owned.includes(weaponId);
+            const buttonText = isOwned ? 'Owned' : `${weapon.price} 💰`;
+
+            return `
+                <div class="shop-item${isOwned ? ' owned' : ''}">
+                    <span class="shop-item-icon">${weapon.icon}</span>
+                    <div class="shop-item-info">
+                        <strong>${weapon.name}</strong>
+                        <small>Damage ${weapon.damage} · Blast ${weapon.blastRadius}m · ${weapon.ammo ? `${weapon.ammo} rounds per match` : 'Unlimited'}</small>
+                    </div>
+                    <button class="shop-buy-btn" data-kind="weapon" data-id="${weaponId}"
+                        ${isOwned || credits < weapon.price ? 'disabled' : ''}>${buttonText}</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderUpgrades(record, credits) {
+        return Object.values(UPGRADE_TYPES).map(upgrade => {
+            const level = getUpgradeLevel(record.upgrades, upgrade.id);
+            const cost = getUpgradeCost(upgrade.id, level);
+            const buttonText = cost === null ? 'Max' : `${cost} 💰`;
+
+            return `
+                <div class="shop-item">
+                    <span class="shop-item-icon">${upgrade.icon}</span>
+                    <div class="shop-item-info">
+                        <strong>${upgrade.name} <span class="shop-level">Lv ${level}/${MAX_UPGRADE_LEVEL}</span></strong>
+                        <small>${upgrade.description}</small>
+                    </div>
+                    <button class="shop-buy-btn" data-kind="upgrade" data-id="${upgrade.id}"
+                        ${cost === null || credits < cost ? 'disabled' : ''}>${buttonText}</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Attempt a purchase and persist the record on success
+     * @param {string} kind - 'weapon' or 'upgrade'
+     * @param {string} id - Weapon or upgrade id
+     */
+    buy(kind, id) {
+        const record = this.getRecord();
+        if (!record) return;
+
+        const result = kind === 'upgrade' ? purchaseUpgrade(record, id) : purchaseWeapon(record, id);
+        console.log(`Shop: ${result.message}`);
+        this.messageLabel.textContent = result.message;
+        this.messageLabel.classList.toggle('error', !result.success);
+
+        if (result.success) {
+            if (this.onPurchase) {
+                this.onPurchase(record, result.message);
+            }
+            if (this.audioManager) {
+                this.audioManager.playSound('enterTank', 0.4);
+            }
+        }
+
+        this.render();
+    }
+}
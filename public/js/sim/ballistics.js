@@ -0,0 +1,162 @@
+/**
+ * Ballistics
+ * Shell flight physics shared by live projectiles (Projectile), the aiming guide and the
+ * headless SimWorld: gravity, air drag, altitude-scaled wind and a terminal fall speed,
+ * integrated in fixed steps. No Three.js or DOM dependencies.
+ */
+import { getWeapon } from '../weapons.js';
+import { cloneVec, distance, lerpVec } from './vector.js';
+
+export const GRAVITY = 9.81 * 2; // Slightly exaggerated gravity for game feel
+export const TERMINAL_VELOCITY = 60; // Maximum falling speed
+export const AIR_DENSITY = 1.225; // kg/m³ at sea level
+export const PROJECTILE_LIFESPAN = 8; // Seconds before a shell times out
+export const WORLD_LIMIT = 100; // Shells past this |x| / |z| are out of bounds
+export const MIN_WORLD_Y = -10;
+export const DEFAULT_STEP = 1 / 60;
+
+// Power setting -> muzzle speed (Tank defaults)
+export const DEFAULT_LAUNCH_LIMITS = { minPower: 5, maxPower: 100, minSpeed: 15, maxSpeed: 100 };
+
+/**
+ * Drag-relevant properties of a weapon's shell
+ * @param {Object|string} weapon - Weapon definition or id
+ * @returns {Object} { mass, dragCoefficient, crossSectionalArea }
+ */
+export function createBallistics(weapon) {
+    const definition = typeof weapon === 'string' ? getWeapon(weapon) : (weapon || getWeapon());
+    return {
+        mass: definition.mass,
+        dragCoefficient: definition.dragCoefficient,
+        crossSectionalArea: Math.PI * (definition.radius * definition.radius)
+    };
+}
+
+/**
+ * Apply one step of gravity, drag and wind to a shell's velocity
+ * @param {Object} velocity - Velocity to update in place
+ * @param {Object} position - Current position (wind is stronger higher up)
+ * @param {Object} ballistics - { mass, dragCoefficient, crossSectionalArea }
+ * @param {Object} windVector - Horizontal wind acceleration
+ * @param {number} deltaTime - Time step in seconds
+ */
+export function applyFlightForces(velocity, position, ballistics, windVector, deltaTime) {
+    // Apply gravity
+    velocity.y -= GRAVITY * deltaTime;
+
+    // Apply air resistance in the opposite direction of travel
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+    if (speed > 0) {
+        const dragForce = 0.5 * AIR_DENSITY * ballistics.dragCoefficient * ballistics.crossSectionalArea * speed * speed;
+        const dragAcceleration = dragForce / ballistics.mass;
+        const inverseSpeed = 1 / speed;
+        const dragStep = -dragAcceleration * deltaTime;
+        velocity.x += velocity.x * inverseSpeed * dragStep;
+        velocity.y += velocity.y * inverseSpeed * dragStep;
+        velocity.z += velocity.z * inverseSpeed * dragStep;
+    }
+
+    // Apply wind effects (more pronounced at higher altitudes)
+    const altitudeFactor = Math.max(0.1, Math.min(1.0, position.y / 20));
+    const windStep = deltaTime * altitudeFactor;
+    velocity.x += windVector.x * windStep;
+    velocity.y += windVector.y * windStep;
+    velocity.z += windVector.z * windStep;
+
+    // Apply terminal velocity limit
+    if (velocity.y < -TERMINAL_VELOCITY) {
+        velocity.y = -TERMINAL_VELOCITY;
+    }
+}
+
+/**
+ * Move a position along a velocity for one step
+ * @param {Object} position - Position to update in place
+ * @param {Object} velocity - Current velocity
+ * @param {number} deltaTime - Time step in seconds
+ */
+export function integratePosition(position, velocity, deltaTime) {
+    position.x += velocity.x * deltaTime;
+    position.y += velocity.y * deltaTime;
+    position.z += velocity.z * deltaTime;
+}
+
+export function isOutOfBounds(position) {
+    return Math.abs(position.x) > WORLD_LIMIT || Math.abs(position.z) > WORLD_LIMIT || position.y < MIN_WORLD_Y;
+}
+
+/**
+ * Muzzle speed for a power setting
+ * @param {number} power - Power setting
+ * @param {Object} limits - { minPower, maxPower, minSpeed, maxSpeed }
+ * @returns {number} Speed in m/s
+ */
+export function getLaunchSpeed(power, limits = DEFAULT_LAUNCH_LIMITS) {
+    const powerRatio = (power - limits.minPower) / (limits.maxPower - limits.minPower);
+    return limits.minSpeed + powerRatio * (limits.maxSpeed - limits.minSpeed);
+}
+
+/**
+ * Unit firing direction for a heading and barrel elevation
+ * @param {number} azimuth - Heading in radians (0 = +Z, PI/2 = +X, like Tank rotations)
+ * @param {number} elevation - Barrel elevation in radians above the horizon
+ * @returns {Object} { x, y, z }
+ */
+export function getAimDirection(azimuth, elevation) {
+    const horizontal = Math.cos(elevation);
+    return {
+        x: Math.sin(azimuth) * horizontal,
+        y: Math.sin(elevation),
+        z: Math.cos(azimuth) * horizontal
+    };
+}
+
+/**
+ * Fly a shell in fixed steps until it hits something, leaves the world, times out
+ * or has travelled maxDistance
+ * @param {Object} startPosition - Launch position
+ * @param {Object} initialVelocity - Launch velocity
+ * @param {Object} options - { weapon | ballistics, windVector, step, maxDistance, hitTest }
+ *   hitTest(position, velocity, previous) returns a hit ({ position, ... }) or null; the flight
+ *   ends there. previous is the position at the start of the step, so the test can sweep the
+ *   whole segment instead of only the end point.
+ * @returns {Object} { points, hit, position, velocity, time }
+ */
+export function simulateFlight(startPosition, initialVelocity, options = {}) {
+    const ballistics = options.ballistics || createBallistics(options.weapon);
+    const windVector = options.windVector || { x: 0, y: 0, z: 0 };
+    const step = options.step || DEFAULT_STEP;
+    const maxDistance = options.maxDistance ?? Infinity;
+
+    const position = cloneVec(startPosition);
+    const velocity = cloneVec(initialVelocity);
+    const points = [cloneVec(position)];
+    let travelled = 0;
+    let time = 0;
+
+    while (time < PROJECTILE_LIFESPAN && travelled < maxDistance) {
+        const previous = cloneVec(position);
+        applyFlightForces(velocity, position, ballistics, windVector, step);
+        integratePosition(position, velocity, step);
+        time += step;
+
+        const segment = distance(previous, position);
+        if (travelled + segment > maxDistance) {
+            // Stop exactly at the requested length
+            points.push(lerpVec(previous, position, (maxDistance - travelled) / segment));
+            break;
+        }
+        travelled += segment;
+
+        if (isOutOfBounds(position)) break;
+
+        const hit = options.hitTest?.(position, velocity, previous);
+        if (hit) {
+            points.push(cloneVec(hit.position));
+            return { points, hit, position, velocity, time };
+        }
+        points.push(cloneVec(position));
+    }
+
+    return { points, hit: null, position, velocity, time };
+}
@@ -0,0 +1,88 @@
+/**
+ * Damage
+ * Hit and blast damage rules shared by CollisionSystem and the headless SimWorld
+ * (see impact.js for how a shell's hit is resolved with them).
+ */
+import { lerpVec, horizontalDistance } from './vector.js';
+
+export const TANK_RADIUS = 1.5;
+export const TANK_CENTER_HEIGHT = 0.8; // Blast and impact checks aim at the hull center
+export const PROJECTILE_HIT_RADIUS = 0.35;
+
+export const EXPLOSION_SETTINGS = {
+    minFalloff: 0.1,        // Damage multiplier at the edge of the blast
+    terrainOcclusion: 0.35, // Damage multiplier when a hill is in the way
+    buildingOcclusion: 0.5, // Damage multiplier when a building is in the way
+    occlusionSamples: 8
+};
+
+/**
+ * Direct-hit damage: glancing and slow hits do less
+ * @param {number} baseDamage - Shell damage (after firepower upgrades)
+ * @param {number} impactSpeed - Shell speed at impact (m/s)
+ * @param {number} impactAngle - Angle between the flight direction and the target (radians)
+ * @returns {number} Whole damage points
+ */
+export function calculateImpactDamage(baseDamage, impactSpeed, impactAngle) {
+    let damage = baseDamage;
+
+    // Angle modifier
+    damage *= (0.7 + 0.3 * Math.cos(impactAngle));
+
+    // Speed modifier
+    damage *= Math.min(1.5, impactSpeed / 50);
+
+    return Math.round(damage);
+}
+
+/**
+ * Linear damage falloff from full damage at the center to minFalloff at the edge
+ * @param {number} distance - Distance from the blast center
+ * @param {number} blastRadius - Blast radius
+ * @param {number} minFalloff - Multiplier at the edge
+ * @returns {number} Damage multiplier (0 outside the blast)
+ */
+export function calculateSplashFalloff(distance, blastRadius, minFalloff = EXPLOSION_SETTINGS.minFalloff) {
+    if (distance >= blastRadius) return 0;
+    return minFalloff + (1 - minFalloff) * (1 - distance / blastRadius);
+}
+
+/**
+ * How much of a blast reaches a target, sampling the line between them
+ * for hills and buildings in the way
+ * @param {Object} from - Blast origin
+ * @param {Object} to - Target point
+ * @param {Object} world - { getHeightAt(x, z), buildings: [{ position, radius, height, object? }] }
+ * @param {Object} ignoreObject - Building to ignore (the target itself: its object, or the entry if it has none)
+ * @param {Object} settings - Explosion settings
+ * @returns {number} Damage multiplier between 0 and 1
+ */
+export function calculateOcclusion(from, to, world, ignoreObject = null, settings = EXPLOSION_SETTINGS) {
+    const { occlusionSamples, terrainOcclusion, buildingOcclusion } = settings;
+    const buildings = world.buildings || [];
+    let blockedByTerrain = false;
+    let blockedByBuilding = false;
+
+    for (let i = 1; i < occlusionSamples; i++) {
+        const point = lerpVec(from, to, i / occlusionSamples);
+
+        if (!blockedByTerrain && world.getHeightAt(point.x, point.z) > point.y) {
+            blockedByTerrain = true;
+        }
+
+        if (!blockedByBuilding) {
+            blockedByBuilding = buildings.some(building =>
+                (building.object ?? building) !== ignoreObject &&
+                point.y < building.position.y + building.height &&
+                horizontalDistance(point, building.position) < building.radius * 0.8
+            );
+        }
+
+        if (blockedByTerrain && blockedByBuilding) break;
+    }
+
+    let factor = 1.0;
+    if (blockedByTerrain) factor *= terrainOcclusion;
+    if (blockedByBuilding) factor *= buildingOcclusion;
+    return factor;
+}
@@ -0,0 +1,153 @@
+/**
+ * Fire Solution
+ * Finds a heading, barrel elevation and power that land a shell on a target by flying
+ * candidate shots through the real ballistics (drag, wind, obstacles): for each elevation
+ * the power is bisected on the signed range error, the closest landing wins, and the
+ * heading is then corrected for the sideways wind drift. No Three.js or DOM dependencies.
+ */
+import { simulateFlight, DEFAULT_STEP } from './ballistics.js';
+import { cloneVec, distance } from './vector.js';
+
+export const ELEVATION_STEP = Math.PI / 72; // 2.5° between candidate elevations
+const POWER_ITERATIONS = 10;                 // Bisection steps (power resolution ~0.1)
+const HEADING_ITERATIONS = 2;                // Wind drift corrections
+const LATERAL_TOLERANCE = 0.25;              // Sideways miss (m) not worth correcting
+
+/**
+ * Solve a shot at a target
+ * @param {Object} options - Shot problem
+ *   launch(heading, elevation, power) -> { origin, velocity } for a candidate aim
+ *   heading      : initial heading (pointing at the target)
+ *   target       : point to hit
+ *   targetRadius : shells closer than this to the target hit it
+ *   limits       : { minElevation, maxElevation, minPower, maxPower }
+ *   weapon, windVector, step : flight settings (see simulateFlight)
+ *   hitTest(position, velocity, previous) : obstacle / terrain contact ({ position }) or null
+ * @returns {Object} Best shot { heading, elevation, power, impact, hitsTarget, miss, rangeError, lateralError, flightTime }
+ */
+export function solveFireSolution(options) {
+    const { limits } = options;
+    const elevations = [];
+    for (let elevation = limits.maxElevation; elevation >= limits.minElevation; elevation -= ELEVATION_STEP) {
+        elevations.push(elevation);
+    }
+
+    let best = null;
+    let heading = options.heading;
+    elevations.forEach(elevation => {
+        best = pickBetter(best, solvePower(options, heading, elevation), options.targetRadius);
+    });
+
+    // Wind pushes shells sideways: turn into it and re-solve around the best elevation
+    for (let i = 0; i < HEADING_ITERATIONS && !best.hitsTarget && Math.abs(best.lateralError) > LATERAL_TOLERANCE; i++) {
+        const range = Math.max(1, best.range);
+        heading = best.heading - Math.atan2(best.lateralError, range);
+        [best.elevation - ELEVATION_STEP, best.elevation, best.elevation + ELEVATION_STEP]
+            .filter(elevation => elevation >= limits.minElevation && elevation <= limits.maxElevation)
+            .forEach(elevation => {
+                best = pickBetter(best, solvePower(options, heading, elevation), options.targetRadius);
+            });
+    }
+
+    return best;
+}
+
+/**
+ * Fly one candidate shot and measure how it misses
+ * @param {Object} options - Shot problem (see solveFireSolution)
+ * @param {number} heading - Heading
+ * @param {number} elevation - Barrel elevation
+ * @param {number} power - Power setting
+ * @returns {Object} Shot outcome
+ */
+export function evaluateShot(options, heading, elevation, power) {
+    const { target, targetRadius } = options;
+    const { origin, velocity } = options.launch(heading, elevation, power);
+
+    const flight = simulateFlight(origin, velocity, {
+        weapon: options.weapon,
+        windVector: options.windVector,
+        step: options.step || DEFAULT_STEP,
+        hitTest: (position, shellVelocity, previous) => distance(position, target) < targetRadius
+            ? { type: 'target', position: cloneVec(position) }
+            : options.hitTest?.(position, shellVelocity, previous) || null
+    });
+
+    // Shells that never came down count from where they left the world
+    const impact = flight.hit ? flight.hit.position : flight.position;
+    const hitsTarget = flight.hit?.type === 'target';
+
+    const miss = measureMiss(origin, target, impact);
+    return {
+        heading,
+        elevation,
+        power,
+        impact: cloneVec(impact),
+        hitsTarget,
+        miss: hitsTarget ? 0 : distance(impact, target),
+        rangeError: hitsTarget ? 0 : miss.rangeError,
+        lateralError: hitsTarget ? 0 : miss.lateralError,
+        range: miss.range,
+        flightTime: flight.time
+    };
+}
+
+/**
+ * Where a shell landed relative to its target, along and across the line of fire
+ * @param {Object} origin - Where the shot was fired from
+ * @param {Object} target - What it was fired at
+ * @param {Object} impact - Where it landed
+ * @returns {Object} { rangeError (positive = long), lateralError (positive = towards larger headings), range }
+ */
+export function measureMiss(origin, target, impact) {
+    const forwardX = target.x - origin.x;
+    const forwardZ = target.z - origin.z;
+    const range = Math.sqrt(forwardX * forwardX + forwardZ * forwardZ) || 1;
+    const dirX = forwardX / range;
+    const dirZ = forwardZ / range;
+    const offsetX = impact.x - target.x;
+    const offsetZ = impact.z - target.z;
+
+    return {
+        rangeError: offsetX * dirX + offsetZ * dirZ,
+        lateralError: offsetX * dirZ - offsetZ * dirX,
+        range
+    };
+}
+
+/**
+ * Power that lands a shot of one elevation closest to the target
+ */
+function solvePower(options, heading, elevation) {
+    const { minPower, maxPower } = options.limits;
+    let low = evaluateShot(options, heading, elevation, minPower);
+    if (low.hitsTarget || low.rangeError >= 0) return low; // Even the weakest shot flies long
+
+    let high = evaluateShot(options, heading, elevation, maxPower);
+    if (high.hitsTarget || high.rangeError <= 0) return pickBetter(low, high, options.targetRadius); // Out of reach
+
+    for (let i = 0; i < POWER_ITERATIONS; i++) {
+        const middle = evaluateShot(options, heading, elevation, (low.power + high.power) / 2);
+        if (middle.hitsTarget) return middle;
+        if (middle.rangeError < 0) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return pickBetter(low, high, options.targetRadius);
+}
+
+/**
+ * Closer landing wins; among shots that land on the target, the quicker one
+ * (less time for the wind to act)
+ */
+function pickBetter(current, candidate, targetRadius) {
+    if (!current) return candidate;
+    const currentOnTarget = current.miss < targetRadius;
+    const candidateOnTarget = candidate.miss < targetRadius;
+    if (currentOnTarget && candidateOnTarget) {
+        return candidate.flightTime < current.flightTime ? candidate : current;
+    }
+    return candidate.miss < current.miss ? candidate : current;
+}
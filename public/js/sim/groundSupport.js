@@ -0,0 +1,50 @@
+/**
+ * Ground Support
+ * What a crater does to the tanks around it, shared by Tank.checkGroundSupport and the
+ * headless SimWorld: blast the ground away and the tank falls, taking damage for long
+ * falls; push dirt in underneath and it rides up; pile dirt over the hull and it is
+ * buried (it can't drive) until a later crater digs it out.
+ */
+import { horizontalDistance } from './vector.js';
+
+export const SUPPORT_TOLERANCE = 0.35;  // Gap (m) under the tank before it starts to fall
+export const SAFE_FALL_HEIGHT = 1.5;    // Falls shorter than this do no damage
+export const FALL_DAMAGE_PER_METER = 6; // Damage per meter fallen beyond the safe height
+export const MAX_FALL_DAMAGE = 60;
+export const BURIAL_DEPTH = 1.2;        // Dirt this far above the hull origin buries the tank
+export const TRACK_REACH = 2.0;         // Track points reach this far from the tank center
+
+/**
+ * Whether a crater can have changed the ground under a tank
+ * @param {Object} position - Tank hull origin
+ * @param {Object} crater - { position, radius }
+ * @returns {boolean} True when the tank needs to re-check its support
+ */
+export function isNearCrater(position, crater) {
+    return horizontalDistance(position, crater.position) <= crater.radius + TRACK_REACH;
+}
+
+/**
+ * How a tank stands after the ground under it changed
+ * @param {number} hullY - Current hull origin height
+ * @param {number} restY - Hull origin height the ground supports now
+ * @param {number} surfaceHeight - Terrain height at the tank center
+ * @returns {string} 'buried', 'falling' (ground blasted away), 'lifted' (dirt pushed in
+ *   underneath) or 'supported' (close enough, stays put)
+ */
+export function checkSupport(hullY, restY, surfaceHeight) {
+    if (surfaceHeight > hullY + BURIAL_DEPTH) return 'buried';
+    if (hullY > restY + SUPPORT_TOLERANCE) return 'falling';
+    if (hullY < restY) return 'lifted';
+    return 'supported';
+}
+
+/**
+ * Damage for a fall
+ * @param {number} fallHeight - Height fallen in meters
+ * @returns {number} Whole damage points (0 for short falls)
+ */
+export function getFallDamage(fallHeight) {
+    if (fallHeight <= SAFE_FALL_HEIGHT) return 0;
+    return Math.min(MAX_FALL_DAMAGE, Math.round((fallHeight - SAFE_FALL_HEIGHT) * FALL_DAMAGE_PER_METER));
+}
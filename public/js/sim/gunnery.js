@@ -0,0 +1,114 @@
+/**
+ * Gunnery Memory
+ * An AI gunner's notes on the target it is engaging, used to walk shots onto it over
+ * several turns the way an artillery spotter brackets: wherever the last shell landed
+ * relative to the target (along and across the line of fire), the next aim point moves
+ * the other way by a share of that miss. Offsets are kept in the line-of-fire frame so
+ * they still apply after either tank has moved a little. No Three.js or DOM dependencies.
+ */
+import { measureMiss } from './fireSolution.js';
+import { horizontalDistance } from './vector.js';
+
+export const REENGAGE_DISTANCE = 10; // Shooter or target moved this far: the old notes are useless
+
+export class GunneryMemory {
+    /**
+     * @param {number} correctionRate - Share of each observed miss corrected on the next shot (0-1)
+     */
+    constructor(correctionRate = 0.5) {
+        this.correctionRate = Math.max(0, Math.min(1, correctionRate));
+        this.reset(null);
+    }
+
+    /**
+     * Forget the current engagement
+     * @param {string|null} targetId - Target of the new engagement
+     */
+    reset(targetId) {
+        this.targetId = targetId;
+        this.offset = { range: 0, lateral: 0 };
+        this.sightError = null; // Aim bias of this engagement, set by the caller
+        this.shots = 0;
+        this.lastMiss = null;
+        this.pendingShot = null;
+        this.shooterPosition = null;
+        this.targetPosition = null;
+    }
+
+    /**
+     * Start or continue engaging a target
+     * @param {string} targetId - Target identifier
+     * @param {Object} shooterPosition - Where the gunner is now
+     * @param {Object} targetPosition - Where the target is now
+     * @returns {boolean} Whether this is a new engagement (notes were reset)
+     */
+    engage(targetId, shooterPosition, targetPosition) {
+        const isNew = targetId !== this.targetId ||
+            !this.shooterPosition ||
+            horizontalDistance(shooterPosition, this.shooterPosition) > REENGAGE_DISTANCE ||
+            horizontalDistance(targetPosition, this.targetPosition) > REENGAGE_DISTANCE;
+
+        if (isNew) {
+            this.reset(targetId);
+        }
+        this.shooterPosition = { x: shooterPosition.x, y: shooterPosition.y, z: shooterPosition.z };
+        this.targetPosition = { x: targetPosition.x, y: targetPosition.y, z: targetPosition.z };
+        return isNew;
+    }
+
+    /**
+     * Point to aim at so the next shell lands on the target, given the corrections so far
+     * @param {Object} origin - Shooter position
+     * @param {Object} target - Target position
+     * @returns {Object} Aim point { x, y, z }
+     */
+    getAimPoint(origin, target) {
+        const forwardX = target.x - origin.x;
+        const forwardZ = target.z - origin.z;
+        const range = Math.sqrt(forwardX * forwardX + forwardZ * forwardZ) || 1;
+        const dirX = forwardX / range;
+        const dirZ = forwardZ / range;
+
+        return {
+            x: target.x + dirX * this.offset.range + dirZ * this.offset.lateral,
+            y: target.y,
+            z: target.z + dirZ * this.offset.range - dirX * this.offset.lateral
+        };
+    }
+
+    /**
+     * Remember a shell that is on its way, to spot where it lands
+     * @param {Object} origin - Shooter position
+     * @param {Object} target - Target position
+     */
+    fired(origin, target) {
+        this.pendingShot = {
+            origin: { x: origin.x, y: origin.y, z: origin.z },
+            target: { x: target.x, y: target.y, z: target.z }
+        };
+    }
+
+    /**
+     * Watch the shell land and correct the aim for the next shot
+     * @param {Object} impact - Where the shell landed
+     * @returns {Object|null} Miss ({ rangeError, lateralError, range }) or null if no shot was pending
+     */
+    spot(impact) {
+        if (!this.pendingShot) return null;
+
+        const miss = measureMiss(this.pendingShot.origin, this.pendingShot.target, impact);
+        this.offset.range -= miss.rangeError * this.correctionRate;
+        this.offset.lateral -= miss.lateralError * this.correctionRate;
+        this.lastMiss = miss;
+        this.shots++;
+        this.pendingShot = null;
+        return miss;
+    }
+
+    /**
+     * Forget a shell whose landing says nothing about the aim (e.g. it hit a building)
+     */
+    discardShot() {
+        this.pendingShot = null;
+    }
+}
@@ -0,0 +1,276 @@
+/**
+ * Heightfield
+ * Terrain heights on a square grid centered on the origin. Vertex (ix, iz) sits at
+ * world x = ix * cellSize - size / 2, z = iz * cellSize - size / 2, and its index
+ * ix + iz * (segments + 1) matches the vertex order of the terrain PlaneGeometry
+ * (rotated flat), so the scene mesh can mirror the heights one to one.
+ *
+ * Queries treat the ground as bilinear patches between the vertices: heights are
+ * interpolated, normals and slopes are those of the patch, and rays (and shell paths
+ * between two physics steps) are marched across it. Outside the field the ground is
+ * flat at sea level (0).
+ */
+
+export const TERRAIN_SIZE = 270;
+export const TERRAIN_SEGMENTS = 256;
+
+const BASE64_CHUNK_SIZE = 0x8000;
+const RAY_STEPS_PER_CELL = 2;   // Ray marching samples per grid cell
+const RAY_REFINE_STEPS = 12;    // Bisection steps once a ray has gone below the ground
+
+export class Heightfield {
+    /**
+     * @param {number} size - Width/depth in world units
+     * @param {number} segments - Cells per side (segments + 1 vertices per side)
+     * @param {Float32Array} heights - Optional initial heights (copied)
+     */
+    constructor(size = TERRAIN_SIZE, segments = TERRAIN_SEGMENTS, heights = null) {
+        this.size = size;
+        this.segments = segments;
+        this.cellSize = size / segments;
+        this.heights = new Float32Array((segments + 1) * (segments + 1));
+        if (heights) {
+            this.heights.set(heights);
+        }
+    }
+
+    get vertexCount() {
+        return this.heights.length;
+    }
+
+    getIndex(ix, iz) {
+        return ix + iz * (this.segments + 1);
+    }
+
+    getVertexX(ix) {
+        return ix * this.cellSize - this.size / 2;
+    }
+
+    getVertexZ(iz) {
+        return iz * this.cellSize - this.size / 2;
+    }
+
+    /**
+     * Ground height at a world position, interpolated between the four surrounding vertices
+     * @param {number} worldX - World X
+     * @param {number} worldZ - World Z
+     * @returns {number} Height (0 outside the field)
+     */
+    getHeightAt(worldX, worldZ) {
+        const cell = this.getCell(worldX, worldZ);
+        if (!cell) return 0;
+
+        const { h00, h10, h01, h11, fx, fz } = cell;
+        const near = h00 + (h10 - h00) * fx;
+        const far = h01 + (h11 - h01) * fx;
+        return near + (far - near) * fz;
+    }
+
+    /**
+     * Unit surface normal at a world position
+     * @param {number} worldX - World X
+     * @param {number} worldZ - World Z
+     * @returns {Object} { x, y, z } (straight up outside the field)
+     */
+    getNormalAt(worldX, worldZ) {
+        const cell = this.getCell(worldX, worldZ);
+        if (!cell) return { x: 0, y: 1, z: 0 };
+
+        const { h00, h10, h01, h11, fx, fz } = cell;
+        const slopeX = ((h10 - h00) * (1 - fz) + (h11 - h01) * fz) / this.cellSize;
+        const slopeZ = ((h01 - h00) * (1 - fx) + (h11 - h10) * fx) / this.cellSize;
+        const length = Math.sqrt(slopeX * slopeX + 1 + slopeZ * slopeZ);
+        return { x: -slopeX / length, y: 1 / length, z: -slopeZ / length };
+    }
+
+    /**
+     * Steepness of the ground at a world position
+     * @param {number} worldX - World X
+     * @param {number} worldZ - World Z
+     * @returns {number} Angle between the surface and the horizontal, in radians
+     */
+    getSlopeAt(worldX, worldZ) {
+        return Math.acos(Math.min(1, this.getNormalAt(worldX, worldZ).y));
+    }
+
+    /**
+     * First point where a ray meets the ground (or comes within a clearance of it)
+     * @param {Object} origin - Ray start { x, y, z }
+     * @param {Object} direction - Ray direction { x, y, z } (any length)
+     * @param {number} maxDistance - Longest distance to look along the ray
+     * @param {number} clearance - Height above the ground that already counts as a hit (e.g. a shell's radius)
+     * @returns {Object|null} { distance, point, normal }, or null if the ray stays clear
+     */
+    raycast(origin, direction, maxDistance = this.size * 2, clearance = 0) {
+        const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
+        if (length === 0) return null;
+        const dx = direction.x / length;
+        const dy = direction.y / length;
+        const dz = direction.z / length;
+
+        const pointAt = distance => ({ x: origin.x + dx * distance, y: origin.y + dy * distance, z: origin.z + dz * distance });
+        const isBelow = distance => {
+            const point = pointAt(distance);
+            return point.y <= this.getHeightAt(point.x, point.z) + clearance;
+        };
+        const hitAt = distance => {
+            const point = pointAt(distance);
+            return { distance, point, normal: this.getNormalAt(point.x, point.z) };
+        };
+
+        if (isBelow(0)) return hitAt(0);
+
+        // March in steps shorter than a cell, then narrow the crossing down
+        const step = this.cellSize / RAY_STEPS_PER_CELL;
+        let above = 0;
+        while (above < maxDistance) {
+            const next = Math.min(above + step, maxDistance);
+            if (isBelow(next)) {
+                let below = next;
+                for (let i = 0; i < RAY_REFINE_STEPS; i++) {
+                    const middle = (above + below) / 2;
+                    if (isBelow(middle)) {
+                        below = middle;
+                    } else {
+                        above = middle;
+                    }
+                }
+                return hitAt(below);
+            }
+            above = next;
+        }
+        return null;
+    }
+
+    /**
+     * First point of a straight path where it meets the ground (a shell's move between two steps)
+     * @param {Object} from - Path start { x, y, z }
+     * @param {Object} to - Path end { x, y, z }
+     * @param {number} clearance - Height above the ground that already counts as a hit
+     * @returns {Object|null} { distance, point, normal }, or null if the path stays clear
+     */
+    intersectSegment(from, to, clearance = 0) {
+        const direction = { x: to.x - from.x, y: to.y - from.y, z: to.z - from.z };
+        const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
+        if (length === 0) {
+            if (from.y > this.getHeightAt(from.x, from.z) + clearance) return null;
+            return { distance: 0, point: { x: from.x, y: from.y, z: from.z }, normal: this.getNormalAt(from.x, from.z) };
+        }
+        return this.raycast(from, direction, length, clearance);
+    }
+
+    /**
+     * Grid cell under a world position: its corner heights and the position inside it (0..1)
+     */
+    getCell(worldX, worldZ) {
+        const half = this.size / 2;
+        if (!(Math.abs(worldX) <= half && Math.abs(worldZ) <= half)) return null;
+
+        const gridX = (worldX + half) / this.cellSize;
+        const gridZ = (worldZ + half) / this.cellSize;
+        const ix = Math.min(Math.floor(gridX), this.segments - 1);
+        const iz = Math.min(Math.floor(gridZ), this.segments - 1);
+        const index = this.getIndex(ix, iz);
+        const row = this.segments + 1;
+        return {
+            h00: this.heights[index],
+            h10: this.heights[index + 1],
+            h01: this.heights[index + row],
+            h11: this.heights[index + row + 1],
+            fx: gridX - ix,
+            fz: gridZ - iz
+        };
+    }
+
+    /**
+     * Dig (or, with a negative depth, pile up) a bowl-shaped crater. Craters stop at sea level (0);
+     * water carved by the map editor keeps its depth.
+     * Only the vertices inside the crater's bounding square are visited.
+     * @param {number} worldX - Crater center X
+     * @param {number} worldZ - Crater center Z
+     * @param {number} radius - Crater radius
+     * @param {number} depth - Depth at the center
+     * @returns {Object|null} Changed vertex range { minX, maxX, minZ, maxZ } (inclusive), or null
+     */
+    applyCrater(worldX, worldZ, radius, depth) {
+        // Bounding square of the crater, one cell wider to be safe from rounding
+        const half = this.size / 2;
+        const minX = Math.max(0, Math.floor((worldX - radius + half) / this.cellSize));
+        const maxX = Math.min(this.segments, Math.ceil((worldX + radius + half) / this.cellSize));
+        const minZ = Math.max(0, Math.floor((worldZ - radius + half) / this.cellSize));
+        const maxZ = Math.min(this.segments, Math.ceil((worldZ + radius + half) / this.cellSize));
+
+        let region = null;
+        for (let iz = minZ; iz <= maxZ; iz++) {
+            const dz = this.getVertexZ(iz) - worldZ;
+            for (let ix = minX; ix <= maxX; ix++) {
+                const dx = this.getVertexX(ix) - worldX;
+                const distanceSq = dx * dx + dz * dz;
+                if (distanceSq >= radius * radius) continue;
+
+                const distFactor = 1.0 - Math.sqrt(distanceSq) / radius;
+                const index = this.getIndex(ix, iz);
+                const height = this.heights[index];
+                this.heights[index] = Math.max(height - depth * distFactor * distFactor, Math.min(height, 0.0));
+
+                if (!region) {
+                    region = { minX: ix, maxX: ix, minZ: iz, maxZ: iz };
+                } else {
+                    region.minX = Math.min(region.minX, ix);
+                    region.maxX = Math.max(region.maxX, ix);
+                    region.minZ = Math.min(region.minZ, iz);
+                    region.maxZ = Math.max(region.maxZ, iz);
+                }
+            }
+        }
+        return region;
+    }
+
+    clone() {
+        return new Heightfield(this.size, this.segments, this.heights);
+    }
+
+    /**
+     * Exact text form of the heights: base64 of the little-endian float32 values
+     * @returns {string} Encoded heights
+     */
+    toBase64() {
+        const bytes = new Uint8Array(this.heights.length * 4);
+        const view = new DataView(bytes.buffer);
+        this.heights.forEach((height, index) => view.setFloat32(index * 4, height, true));
+
+        // String.fromCharCode takes its arguments on the stack, so convert in chunks
+        let binary = '';
+        for (let offset = 0; offset < bytes.length; offset += BASE64_CHUNK_SIZE) {
+            binary += String.fromCharCode(...bytes.subarray(offset, offset + BASE64_CHUNK_SIZE));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Rebuild a heightfield from toBase64() output
+     * @param {number} size - Width/depth in world units
+     * @param {number} segments - Cells per side
+     * @param {string} data - Encoded heights
+     * @returns {Heightfield|null} Heightfield, or null when the data doesn't fit the grid
+     */
+    static fromBase64(size, segments, data) {
+        let binary;
+        try {
+            binary = atob(data);
+        } catch {
+            return null;
+        }
+        const heightfield = new Heightfield(size, segments);
+        if (binary.length !== heightfield.heights.length * 4) return null;
+
+        const view = new DataView(new ArrayBuffer(binary.length));
+        for (let i = 0; i < binary.length; i++) {
+            view.setUint8(i, binary.charCodeAt(i));
+        }
+        for (let index = 0; index < heightfield.heights.length; index++) {
+            heightfield.heights[index] = view.getFloat32(index * 4, true);
+        }
+        return heightfield;
+    }
+}
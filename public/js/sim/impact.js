@@ -0,0 +1,172 @@
+/**
+ * Impact
+ * What a shell hits and what the hit does, for CollisionSystem in the browser and the
+ * headless SimWorld alike: the hit order (tanks, then buildings and trees, then the
+ * terrain), direct-hit damage, the crater and the blast around the impact.
+ *
+ * Both callers describe their world the same way:
+ *  - terrain     : { getHeightAt(x, z), intersectSegment(from, to, clearance) } (see Heightfield)
+ *  - tanks       : the tanks the shell (or blast) can hurt, skipping the shooter and, without
+ *                  friendly fire, its teammates
+ *  - obstacles   : standing buildings and trees [{ type, position, radius, height, object? }]
+ *  - getPosition : hull origin of a tank (defaults to tank.position)
+ * These functions only work out what happens; applying damage and digging the crater is
+ * left to the caller.
+ */
+import {
+    TANK_RADIUS, TANK_CENTER_HEIGHT, PROJECTILE_HIT_RADIUS, EXPLOSION_SETTINGS,
+    calculateImpactDamage, calculateSplashFalloff, calculateOcclusion
+} from './damage.js';
+import { vec3, cloneVec, distance, horizontalDistance, lengthOf } from './vector.js';
+
+export const DEFAULT_CRATER = { radius: 4, depth: 1.5 };
+
+const BLAST_LIFT = 0.5;             // Blast origin above the impact, so the crater floor doesn't occlude everything
+const OBSTACLE_AIM_HEIGHT = 1.0;    // Blasts aim this far above the base of a building or tree
+
+const defaultPosition = tank => tank.position;
+
+/**
+ * First thing a shell touches during one step of its flight
+ * @param {Object} position - Shell position at the end of the step
+ * @param {Object|null} previous - Shell position at the start of the step, if known; a step that
+ *   dipped into the ground (over a crest, say) is tested from where it first touched
+ * @param {Object} world - { terrain, tanks, obstacles, getPosition, ignoreTerrain }
+ *   ignoreTerrain leaves the ground out (shells rolling along it)
+ * @returns {Object|null} { type: 'tank'|'static'|'terrain', position, distance?, tank?, obstacle?, terrainHeight? },
+ *   where position is the shell's point of contact
+ */
+export function findShellHit(position, previous, world) {
+    const { terrain, tanks = [], obstacles = [], getPosition = defaultPosition, ignoreTerrain = false } = world;
+    const contact = previous && !ignoreTerrain ? terrain.intersectSegment(previous, position, PROJECTILE_HIT_RADIUS) : null;
+    const point = cloneVec(contact ? contact.point : position);
+
+    for (const tank of tanks) {
+        if (tank.isDestroyed) continue;
+        const separation = distance(point, getPosition(tank));
+        if (separation < TANK_RADIUS + PROJECTILE_HIT_RADIUS) {
+            return { type: 'tank', tank, position: point, distance: separation };
+        }
+    }
+
+    for (const obstacle of obstacles) {
+        const separation = distance(point, obstacle.position);
+        if (separation < obstacle.radius + PROJECTILE_HIT_RADIUS) {
+            return { type: 'static', obstacle, position: point, distance: separation };
+        }
+    }
+
+    if (ignoreTerrain) return null;
+    const terrainHeight = terrain.getHeightAt(point.x, point.z);
+    if (contact || point.y <= terrainHeight + PROJECTILE_HIT_RADIUS) {
+        return { type: 'terrain', position: point, terrainHeight };
+    }
+
+    return null;
+}
+
+/**
+ * What a hit does on the spot: the point it explodes at, the damage to what it struck
+ * and, on the ground, the crater it digs
+ * @param {Object} hit - Hit from findShellHit
+ * @param {Object} shell - { damage, velocity, craterRadius, craterDepth } (damage after firepower upgrades)
+ * @param {Function} getPosition - Hull origin of a tank
+ * @returns {Object} { impactPoint, damage, impactAngle?, crater? }
+ */
+export function resolveShellHit(hit, shell, getPosition = defaultPosition) {
+    if (hit.type === 'tank') {
+        const tankPosition = getPosition(hit.tank);
+        const center = vec3(tankPosition.x, tankPosition.y + TANK_CENTER_HEIGHT, tankPosition.z);
+        const outward = normalize(vec3(hit.position.x - center.x, hit.position.y - center.y, hit.position.z - center.z));
+        const impactPoint = vec3(center.x + outward.x * TANK_RADIUS, center.y + outward.y * TANK_RADIUS, center.z + outward.z * TANK_RADIUS);
+
+        const flightDirection = normalize(cloneVec(shell.velocity));
+        const toTarget = normalize(vec3(tankPosition.x - hit.position.x, tankPosition.y - hit.position.y, tankPosition.z - hit.position.z));
+        const dot = flightDirection.x * toTarget.x + flightDirection.y * toTarget.y + flightDirection.z * toTarget.z;
+        const impactAngle = Math.acos(Math.max(-1, Math.min(1, dot)));
+
+        return { impactPoint, impactAngle, damage: calculateImpactDamage(shell.damage, lengthOf(shell.velocity), impactAngle) };
+    }
+
+    if (hit.type === 'static') {
+        return { impactPoint: cloneVec(hit.position), damage: shell.damage };
+    }
+
+    const impactPoint = vec3(hit.position.x, hit.terrainHeight, hit.position.z);
+    return {
+        impactPoint,
+        damage: 0,
+        crater: {
+            position: cloneVec(impactPoint),
+            radius: shell.craterRadius ?? DEFAULT_CRATER.radius,
+            depth: shell.craterDepth ?? DEFAULT_CRATER.depth
+        }
+    };
+}
+
+/**
+ * Blast damage around an impact: full damage at the center falling off towards the edge,
+ * reduced by hills and buildings in between. Work it out after the crater is dug, so the
+ * new ground shelters what it should.
+ * @param {Object} center - Impact point
+ * @param {Object} shell - { damage, blastRadius }
+ * @param {Object} world - { terrain, tanks, obstacles, getPosition, settings } (settings: explosion settings)
+ * @param {Object} directTarget - Tank or obstacle already damaged by the direct hit (skipped)
+ * @returns {Object} { tanks: [{ tank, damage, distance }], obstacles: [{ obstacle, damage, distance }] }
+ */
+export function resolveBlast(center, shell, world, directTarget = null) {
+    const summary = { tanks: [], obstacles: [] };
+    const blastRadius = shell.blastRadius ?? 0;
+    const baseDamage = shell.damage ?? 0;
+    if (blastRadius <= 0 || baseDamage <= 0) return summary;
+
+    const { terrain, tanks = [], obstacles = [], getPosition = defaultPosition, settings = EXPLOSION_SETTINGS } = world;
+    const origin = vec3(center.x, center.y + BLAST_LIFT, center.z);
+    const occluders = {
+        getHeightAt: (x, z) => terrain.getHeightAt(x, z),
+        buildings: obstacles.filter(obstacle => obstacle.type === 'building')
+    };
+    const blastDamage = (distanceToTarget, targetPoint, ignoreObject = null) => Math.round(
+        baseDamage *
+        calculateSplashFalloff(distanceToTarget, blastRadius, settings.minFalloff) *
+        calculateOcclusion(origin, targetPoint, occluders, ignoreObject, settings)
+    );
+
+    tanks.forEach(tank => {
+        if (tank === directTarget || tank.isDestroyed) return;
+
+        const position = getPosition(tank);
+        const targetPoint = vec3(position.x, position.y + TANK_CENTER_HEIGHT, position.z);
+        const distanceToHull = Math.max(0, distance(origin, targetPoint) - TANK_RADIUS);
+        if (distanceToHull > blastRadius) return;
+
+        const damage = blastDamage(distanceToHull, targetPoint);
+        if (damage >= 1) {
+            summary.tanks.push({ tank, damage, distance: distanceToHull });
+        }
+    });
+
+    obstacles.forEach(obstacle => {
+        if (obstacle === directTarget) return;
+
+        const base = Math.max(obstacle.position.y, terrain.getHeightAt(obstacle.position.x, obstacle.position.z));
+        const targetPoint = vec3(obstacle.position.x, base + OBSTACLE_AIM_HEIGHT, obstacle.position.z);
+        const distanceToEdge = Math.max(0, horizontalDistance(center, obstacle.position) - obstacle.radius);
+        if (distanceToEdge > blastRadius) return;
+
+        const damage = blastDamage(distanceToEdge, targetPoint, obstacle.object ?? obstacle);
+        if (damage >= 1) {
+            summary.obstacles.push({ obstacle, damage, distance: distanceToEdge });
+        }
+    });
+
+    return summary;
+}
+
+function normalize(v) {
+    const length = lengthOf(v) || 1;
+    v.x /= length;
+    v.y /= length;
+    v.z /= length;
+    return v;
+}
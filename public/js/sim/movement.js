@@ -0,0 +1,73 @@
+/**
+ * Movement
+ * Where a tank may drive and what driving costs, shared by Tank.move (through
+ * CollisionSystem) and the headless SimWorld. Tanks drive in short hops; each hop costs
+ * fuel and is refused if it would leave the field, run into a building, tree or another
+ * tank, or end on ground too steep or too deep under water.
+ */
+import { TANK_RADIUS } from './damage.js';
+import { distance } from './vector.js';
+
+export const TANK_MOVE_SPEED = 5;               // m/s
+export const FUEL_PER_MOVE_ACTION = 7;          // Cost for one 'tick' of movement
+export const MOVE_LIMIT = 60;                   // Tanks stay within this |x| / |z|
+export const MAX_DRIVE_SLOPE = Math.atan(1.5);  // Steepest ground a tank can stand on (radians)
+export const MIN_DRIVE_HEIGHT = -2.5;           // Tanks don't drive into deeper water
+
+/**
+ * Fuel a hop of driving costs
+ * @param {number} deltaTime - Seconds of driving (distance / TANK_MOVE_SPEED)
+ * @returns {number} Fuel
+ */
+export function getMoveFuelCost(deltaTime) {
+    return FUEL_PER_MOVE_ACTION * deltaTime * 2;
+}
+
+/**
+ * @param {Object} position - Point on the field
+ * @returns {boolean} True when a tank may be there
+ */
+export function isWithinMoveLimit(position) {
+    return Math.abs(position.x) <= MOVE_LIMIT && Math.abs(position.z) <= MOVE_LIMIT;
+}
+
+/**
+ * Whether a tank can stand on the ground at a point
+ * @param {Object} terrain - { getHeightAt(x, z), getSlopeAt(x, z) }
+ * @param {Object} position - Point on the field
+ * @returns {boolean} True unless the ground is too steep or too deep under water
+ */
+export function isStableGround(terrain, position) {
+    if (terrain.getSlopeAt(position.x, position.z) > MAX_DRIVE_SLOPE) return false;
+    return terrain.getHeightAt(position.x, position.z) >= MIN_DRIVE_HEIGHT;
+}
+
+/**
+ * What stops a tank from driving to a point, if anything
+ * @param {Object} tank - Moving tank
+ * @param {Object} position - Hull origin it would move to
+ * @param {Object} world - { terrain, tanks, obstacles, getPosition } (see impact.js)
+ * @returns {Object|null} { type: 'boundary'|'static'|'tank'|'unstable', obstacle?, tank?, distance? },
+ *   or null when the way is clear
+ */
+export function findMoveBlocker(tank, position, world) {
+    const { terrain, tanks = [], obstacles = [], getPosition = other => other.position } = world;
+    if (!isWithinMoveLimit(position)) return { type: 'boundary' };
+
+    for (const obstacle of obstacles) {
+        const separation = distance(position, obstacle.position);
+        if (separation < TANK_RADIUS + obstacle.radius) {
+            return { type: 'static', obstacle, distance: separation };
+        }
+    }
+
+    for (const other of tanks) {
+        if (other === tank || other.isDestroyed) continue;
+        const separation = distance(position, getPosition(other));
+        if (separation < TANK_RADIUS * 2) {
+            return { type: 'tank', tank: other, distance: separation };
+        }
+    }
+
+    return isStableGround(terrain, position) ? null : { type: 'unstable' };
+}
@@ -0,0 +1,158 @@
+/**
+ * Terrain Brushes
+ * Sculpting tools of the map editor. A brush works on the heightfield vertices
+ * inside its radius, weighted by a smooth falloff (1 at the center, 0 at the rim),
+ * so strokes blend into the surrounding terrain. Strength is in world height units
+ * per application; the editor scales it by the frame time while the mouse is held.
+ *
+ * Water is terrain carved below the ocean surface: the ocean plane shows through
+ * and the collision system treats anything below 0 as underwater.
+ */
+
+export const WATER_FLOOR_HEIGHT = -2.0; // Ocean surface sits at -1
+export const DEFAULT_BRUSH_ID = 'raise';
+
+export const TERRAIN_BRUSHES = {
+    raise: {
+        id: 'raise',
+        name: 'Raise',
+        icon: '⛰️',
+        description: 'Pile up earth',
+        apply: (height, weight, strength) => height + strength * weight
+    },
+    lower: {
+        id: 'lower',
+        name: 'Lower',
+        icon: '🕳️',
+        description: 'Dig down to sea level',
+        // Never lifts water back up to the beach
+        apply: (height, weight, strength) => Math.max(height - strength * weight, Math.min(height, 0))
+    },
+    flatten: {
+        id: 'flatten',
+        name: 'Flatten',
+        icon: '➖',
+        description: 'Level the ground to the height where the stroke started',
+        apply: (height, weight, strength, context) => moveTowards(height, context.targetHeight, strength * weight)
+    },
+    smooth: {
+        id: 'smooth',
+        name: 'Smooth',
+        icon: '〰️',
+        description: 'Soften bumps and ridges',
+        apply: (height, weight, strength, context) => moveTowards(height, context.neighborAverage, strength * weight)
+    },
+    water: {
+        id: 'water',
+        name: 'Water',
+        icon: '🌊',
+        description: 'Flood the ground to make lakes and channels',
+        apply: (height, weight, strength) => moveTowards(height, WATER_FLOOR_HEIGHT, strength * weight)
+    }
+};
+
+/**
+ * Get a brush by id
+ * @param {string} brushId - Brush identifier
+ * @returns {Object|null} Brush definition
+ */
+export function getBrush(brushId) {
+    return TERRAIN_BRUSHES[brushId] || null;
+}
+
+/**
+ * Check whether a brush id exists in the registry
+ * @param {string} brushId - Brush identifier
+ * @returns {boolean} Whether the brush is known
+ */
+export function isValidBrush(brushId) {
+    return Object.prototype.hasOwnProperty.call(TERRAIN_BRUSHES, brushId);
+}
+
+/**
+ * Brush weight at a distance from its center
+ * @param {number} distance - Distance from the brush center
+ * @param {number} radius - Brush radius
+ * @returns {number} Weight (0..1)
+ */
+export function brushFalloff(distance, radius) {
+    if (distance >= radius) return 0;
+    const t = 1 - distance / radius;
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Apply one dab of a brush to the heightfield
+ * @param {Heightfield} heightfield - Terrain heights (modified in place)
+ * @param {string} brushId - Brush identifier
+ * @param {number} worldX - Brush center X
+ * @param {number} worldZ - Brush center Z
+ * @param {number} radius - Brush radius
+ * @param {number} strength - Height change at the center
+ * @param {Object} options - { targetHeight } for the flatten brush (defaults to the height at the center)
+ * @returns {Object|null} Changed vertex range { minX, maxX, minZ, maxZ } (inclusive), or null
+ */
+export function applyBrush(heightfield, brushId, worldX, worldZ, radius, strength, options = {}) {
+    const brush = getBrush(brushId);
+    if (!brush || radius <= 0 || strength <= 0) return null;
+
+    const half = heightfield.size / 2;
+    const minX = Math.max(0, Math.floor((worldX - radius + half) / heightfield.cellSize));
+    const maxX = Math.min(heightfield.segments, Math.ceil((worldX + radius + half) / heightfield.cellSize));
+    const minZ = Math.max(0, Math.floor((worldZ - radius + half) / heightfield.cellSize));
+    const maxZ = Math.min(heightfield.segments, Math.ceil((worldZ + radius + half) / heightfield.cellSize));
+    if (minX > maxX || minZ > maxZ) return null;
+
+    // Smoothing reads the heights from before this dab so the result doesn't depend on visiting order
+    const source = brushId === 'smooth' ? heightfield.heights.slice() : heightfield.heights;
+    const context = { targetHeight: options.targetHeight ?? heightfield.getHeightAt(worldX, worldZ), neighborAverage: 0 };
+
+    let region = null;
+    for (let iz = minZ; iz <= maxZ; iz++) {
+        const dz = heightfield.getVertexZ(iz) - worldZ;
+        for (let ix = minX; ix <= maxX; ix++) {
+            const dx = heightfield.getVertexX(ix) - worldX;
+            const weight = brushFalloff(Math.sqrt(dx * dx + dz * dz), radius);
+            if (weight <= 0) continue;
+
+            if (brushId === 'smooth') {
+                context.neighborAverage = averageAround(heightfield, source, ix, iz);
+            }
+            const index = heightfield.getIndex(ix, iz);
+            heightfield.heights[index] = brush.apply(source[index], weight, strength, context);
+
+            if (!region) {
+                region = { minX: ix, maxX: ix, minZ: iz, maxZ: iz };
+            } else {
+                region.minX = Math.min(region.minX, ix);
+                region.maxX = Math.max(region.maxX, ix);
+                region.minZ = Math.min(region.minZ, iz);
+                region.maxZ = Math.max(region.maxZ, iz);
+            }
+        }
+    }
+    return region;
+}
+
+/**
+ * Step a value towards a target without overshooting
+ */
+function moveTowards(value, target, maxStep) {
+    if (Math.abs(target - value) <= maxStep) return target;
+    return value + Math.sign(target - value) * maxStep;
+}
+
+/**
+ * Mean height of a vertex and its (up to eight) neighbors
+ */
+function averageAround(heightfield, heights, ix, iz) {
+    let sum = 0;
+    let count = 0;
+    for (let z = Math.max(0, iz - 1); z <= Math.min(heightfield.segments, iz + 1); z++) {
+        for (let x = Math.max(0, ix - 1); x <= Math.min(heightfield.segments, ix + 1); x++) {
+            sum += heights[heightfield.getIndex(x, z)];
+            count++;
+        }
+    }
+    return sum / count;
+}
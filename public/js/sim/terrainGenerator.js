@@ -0,0 +1,274 @@
+/**
+ * Terrain Generator
+ * Builds the battlefield heightfield for a map seed with one of several generators
+ * (island, hills, canyon, ridge, desert, archipelago, city; biomes.js pairs them with
+ * their parameters and props). Every generator reads the same parameters: roughness
+ * weights the fine detail, heightScale multiplies elevations and waterLevel floods the
+ * ground below it. Same seed and parameters, same terrain. Custom maps either store
+ * their heights or edit a seeded island.
+ */
+import { Heightfield, TERRAIN_SIZE, TERRAIN_SEGMENTS } from './heightfield.js';
+
+const DEFAULT_ROUGHNESS = 0.5; // Roughness the island's classic detail was tuned for
+
+// Flooded ground drops away from the shore under the ocean surface (at -1), deep
+// enough that tanks are never spawned in it (see CollisionSystem.checkSpawnSuitability)
+const SHALLOW_WATER_HEIGHT = -1.3;
+const DEEP_WATER_HEIGHT = -4;
+const FLOOD_SLOPE = 3;
+
+const CANYON_FLOOR_HEIGHT = 1.2;
+const CITY_BLOCK_SIZE = 26;     // Block plus street, in world units
+const CITY_STREET_WIDTH = 8;
+const CITY_TERRACE_STEP = 1.5;  // Blocks are leveled to multiples of this height
+const CITY_CURB_HEIGHT = 0.3;
+
+/**
+ * Terrain generators by id: (x, z, context) => ground height before the height scale
+ * and water level are applied. context is { seed, noiseSeed, roughness, maxDistance }.
+ */
+export const TERRAIN_GENERATORS = {
+    // Peaks and ridges flattened towards the coast, with beaches at the rim
+    island: (x, z, context) => {
+        // The noise was designed on the unrotated terrain plane, whose Y axis is world -Z
+        const planeY = -z;
+        const maxDistance = context.maxDistance;
+        const distanceFromCenter = Math.sqrt(x * x + planeY * planeY);
+
+        // Multi-octave noise for realistic terrain
+        let finalHeight = generateAdvancedNoise(x, planeY, context.seed, context.roughness / DEFAULT_ROUGHNESS);
+
+        // Create island
+        if (distanceFromCenter > maxDistance * 0.6) {
+            const coastalFactor = Math.max(0, 1 - (distanceFromCenter - maxDistance * 0.6) / (maxDistance * 0.4));
+            const smoothCoast = coastalFactor * coastalFactor * (3 - 2 * coastalFactor);
+            finalHeight = finalHeight * smoothCoast;
+
+            // Add beach areas
+            if (distanceFromCenter > maxDistance * 0.95 && finalHeight > 0.022) {
+                finalHeight = Math.max(0.2, finalHeight * 0.3); // Beach level
+            }
+        }
+        return finalHeight;
+    },
+
+    // Broad, smooth hills
+    hills: (x, z, context) => {
+        const land = fractalNoise(x / 55, z / 55, context.noiseSeed, 4);
+        return (1.5 + land * land * 18 + roughDetail(x, z, context)) * coastFalloff(x, z, context);
+    },
+
+    // A gorge winding north-south through a high plateau
+    canyon: (x, z, context) => {
+        const plateau = 9 + fractalNoise(x / 70, z / 70, context.noiseSeed, 3) * 5;
+        const course = Math.sin(z * 0.02 + context.seed) * 30 + (fractalNoise(0.5, z / 45, context.noiseSeed + 1, 2) - 0.5) * 40;
+        const width = 9 + fractalNoise(x / 30, z / 30, context.noiseSeed + 2, 2) * 6;
+        const wall = smoothstep(width, width + 14, Math.abs(x - course));
+        const height = CANYON_FLOOR_HEIGHT + (plateau - CANYON_FLOOR_HEIGHT) * wall;
+        return (height + roughDetail(x, z, context) * (0.4 + 0.6 * wall)) * coastFalloff(x, z, context);
+    },
+
+    // A crest running east-west between the north and south halves, with ridged foothills
+    ridge: (x, z, context) => {
+        const crestLine = Math.sin(x * 0.025 + context.seed) * 14;
+        const crest = Math.exp(-(((z - crestLine) / 24) ** 2)) * 16;
+        const ridged = 1 - Math.abs(2 * fractalNoise(x / 40, z / 40, context.noiseSeed, 4) - 1);
+        return (2 + crest + ridged * ridged * 9 + roughDetail(x, z, context)) * coastFalloff(x, z, context);
+    },
+
+    // Low dunes on open sand
+    desert: (x, z, context) => {
+        const warp = fractalNoise(x / 50, z / 50, context.noiseSeed, 3) * 8;
+        const dune = Math.sin((x * 0.8 + z * 0.6) * 0.09 + warp) * 0.5 + 0.5;
+        return (1.5 + dune * dune * 2.5 + roughDetail(x, z, context) * 0.5) * coastFalloff(x, z, context);
+    },
+
+    // Islands wherever the noise rises out of the sea (pair with a water level above 0)
+    archipelago: (x, z, context) => {
+        const land = fractalNoise(x / 40, z / 40, context.noiseSeed, 4);
+        return ((land - 0.4) * 30 + roughDetail(x, z, context)) * coastFalloff(x, z, context);
+    },
+
+    // Flat terraced blocks between streets that follow the lie of the land
+    city: (x, z, context) => {
+        const ground = (groundX, groundZ) => 2 + fractalNoise(groundX / 90, groundZ / 90, context.noiseSeed, 2) * 6;
+        const blockX = Math.round(x / CITY_BLOCK_SIZE) * CITY_BLOCK_SIZE;
+        const blockZ = Math.round(z / CITY_BLOCK_SIZE) * CITY_BLOCK_SIZE;
+        const blockHalf = (CITY_BLOCK_SIZE - CITY_STREET_WIDTH) / 2;
+        const inBlock = Math.abs(x - blockX) < blockHalf && Math.abs(z - blockZ) < blockHalf;
+
+        const height = inBlock
+            ? Math.round(ground(blockX, blockZ) / CITY_TERRACE_STEP) * CITY_TERRACE_STEP + CITY_CURB_HEIGHT
+            : ground(x, z);
+        return (height + roughDetail(x, z, context) * 0.3) * coastFalloff(x, z, context);
+    }
+};
+
+/**
+ * Check whether a terrain generator id exists
+ * @param {string} generatorId - Generator identifier
+ * @returns {boolean} Whether the generator is known
+ */
+export function isValidGenerator(generatorId) {
+    return Object.prototype.hasOwnProperty.call(TERRAIN_GENERATORS, generatorId);
+}
+
+/**
+ * Generate a battlefield heightfield. Same seed and parameters, same terrain.
+ * @param {number} mapSeed - Terrain noise seed
+ * @param {string} generatorId - Key of TERRAIN_GENERATORS (unknown ids build the island)
+ * @param {Object} params - { roughness, heightScale, waterLevel } (see biomes.js)
+ * @param {number} size - Width/depth in world units
+ * @param {number} segments - Cells per side
+ * @returns {Heightfield} Terrain heights
+ */
+export function generateTerrainHeightfield(mapSeed, generatorId = 'island', params = {}, size = TERRAIN_SIZE, segments = TERRAIN_SEGMENTS) {
+    const generator = TERRAIN_GENERATORS[generatorId] || TERRAIN_GENERATORS.island;
+    const heightScale = params.heightScale ?? 1;
+    const waterLevel = params.waterLevel ?? 0;
+    const context = {
+        seed: mapSeed,
+        noiseSeed: Math.floor(mapSeed * 1000) | 0,
+        roughness: params.roughness ?? DEFAULT_ROUGHNESS,
+        maxDistance: size / 2
+    };
+
+    const heightfield = new Heightfield(size, segments);
+    for (let iz = 0; iz <= segments; iz++) {
+        const z = heightfield.getVertexZ(iz);
+        for (let ix = 0; ix <= segments; ix++) {
+            const height = generator(heightfield.getVertexX(ix), z, context) * heightScale;
+            heightfield.heights[heightfield.getIndex(ix, iz)] = floodBelow(height, waterLevel);
+        }
+    }
+
+    return heightfield;
+}
+
+/**
+ * Generate the classic battlefield island (the default generator and parameters)
+ * @param {number} mapSeed - Terrain noise seed
+ * @param {number} size - Width/depth in world units
+ * @param {number} segments - Cells per side
+ * @returns {Heightfield} Island heights
+ */
+export function generateIslandHeightfield(mapSeed, size = TERRAIN_SIZE, segments = TERRAIN_SEGMENTS) {
+    return generateTerrainHeightfield(mapSeed, 'island', {}, size, segments);
+}
+
+/**
+ * Heightfield of a custom map's terrain (see customMap.js): the stored heights, or the
+ * seeded island with the map's edits on top
+ * @param {Object} terrain - { size, segments, heights } or { size, segments, seed, overrides }
+ * @returns {Heightfield|null} Heights, or null when stored heights don't fit the grid
+ */
+export function createTerrainHeightfield(terrain) {
+    if (typeof terrain.heights === 'string') {
+        return Heightfield.fromBase64(terrain.size, terrain.segments, terrain.heights);
+    }
+    const heightfield = generateIslandHeightfield(terrain.seed, terrain.size, terrain.segments);
+    (terrain.overrides || []).forEach(([index, height]) => {
+        heightfield.heights[index] = height;
+    });
+    return heightfield;
+}
+
+/**
+ * Apply the water level: ground below it sinks under the ocean surface, the rest is
+ * lowered so the shoreline sits at sea level. Without a water level nothing floods and
+ * low ground stays at sea level as beach.
+ */
+function floodBelow(height, waterLevel) {
+    if (waterLevel <= 0) return Math.max(height, 0);
+    const above = height - waterLevel;
+    if (above >= 0) return above;
+    return Math.max(SHALLOW_WATER_HEIGHT + above * FLOOD_SLOPE, DEEP_WATER_HEIGHT);
+}
+
+/**
+ * Shared fine detail layer: +-3 units at roughness 1
+ */
+function roughDetail(x, z, context) {
+    return (fractalNoise(x / 9, z / 9, context.noiseSeed + 99, 3) - 0.5) * 6 * context.roughness;
+}
+
+/**
+ * 1 inland, easing to 0 at the rim so every battlefield is ringed by sea
+ */
+function coastFalloff(x, z, context) {
+    return 1 - smoothstep(context.maxDistance * 0.6, context.maxDistance, Math.sqrt(x * x + z * z));
+}
+
+function smoothstep(edge0, edge1, value) {
+    const t = Math.max(0, Math.min(1, (value - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Seeded value noise summed over octaves (each half the size and weight of the last)
+ * @returns {number} Noise in 0..1
+ */
+function fractalNoise(x, z, seed, octaves) {
+    let sum = 0;
+    let total = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    for (let octave = 0; octave < octaves; octave++) {
+        sum += valueNoise(x * frequency, z * frequency, seed + octave * 131) * amplitude;
+        total += amplitude;
+        amplitude *= 0.5;
+        frequency *= 2;
+    }
+    return sum / total;
+}
+
+/**
+ * Smoothly interpolated random values on the integer lattice
+ */
+function valueNoise(x, z, seed) {
+    const ix = Math.floor(x);
+    const iz = Math.floor(z);
+    const fx = x - ix;
+    const fz = z - iz;
+    const sx = fx * fx * (3 - 2 * fx);
+    const sz = fz * fz * (3 - 2 * fz);
+
+    const a = latticeValue(ix, iz, seed);
+    const b = latticeValue(ix + 1, iz, seed);
+    const c = latticeValue(ix, iz + 1, seed);
+    const d = latticeValue(ix + 1, iz + 1, seed);
+    return a + (b - a) * sx + (c - a) * sz + (a - b - c + d) * sx * sz;
+}
+
+function latticeValue(ix, iz, seed) {
+    let hash = Math.imul(ix, 374761393) ^ Math.imul(iz, 668265263) ^ Math.imul(seed, 1274126177);
+    hash = Math.imul(hash ^ (hash >>> 13), 1103515245);
+    hash ^= hash >>> 16;
+    return (hash >>> 0) / 4294967296;
+}
+
+/**
+ * Generates multi-octave noise for realistic terrain (the island's sum of waves)
+ * @param {number} detailScale - Weight of the fine details (1 at the default roughness)
+ */
+function generateAdvancedNoise(x, y, seed, detailScale = 1) {
+    // Base elevation
+    const baseHeight = 3.0 + Math.sin(seed + x * 0.01) * 0.8;
+
+    // Large mountain features
+    const mountains = (Math.sin((x + seed * 10) * 0.05) * Math.cos((y + seed * 15) * 0.04) + 1) / 2 * 12.0;
+
+    // Rolling hills
+    const hills = (Math.sin((x + seed * 25) * 0.12) * Math.cos((y + seed * 30) * 0.1) + 1) / 2 * 4.0;
+
+    // Medium ridges
+    const ridges = (Math.sin((x + seed * 50) * 0.2) * Math.cos((y + seed * 75) * 0.18) + 1) / 2 * 2.5;
+
+    // Fine details
+    const details = (Math.sin((x + seed * 100) * 0.3) * Math.cos((y + seed * 125) * 0.25) + 1) / 2 * 0.75;
+
+    // Micro variations
+    const micro = Math.sin((x + seed * 200) * 0.5 + Math.PI / 3) * Math.cos((y + seed * 250) * 0.4 + Math.PI / 4) * 0.25;
+
+    return baseHeight + mountains + hills + ridges + details * detailScale + micro * detailScale;
+}
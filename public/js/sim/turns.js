@@ -0,0 +1,50 @@
+/**
+ * Turns
+ * Turn order and end-of-match rules, independent of how tanks are drawn.
+ */
+
+const isDestroyed = tank => tank.isDestroyed;
+
+/**
+ * Next tank still in the fight after the current one, wrapping around
+ * @param {Array} turnOrder - Tanks in seat order
+ * @param {number} currentIndex - Index of the tank whose turn just ended
+ * @param {Function} isOut - Whether a tank is out of the match
+ * @returns {number} Index of the next tank, or -1 if every tank is out
+ */
+export function findNextTurnIndex(turnOrder, currentIndex, isOut = isDestroyed) {
+    for (let i = 1; i <= turnOrder.length; i++) {
+        const index = (currentIndex + i) % turnOrder.length;
+        if (!isOut(turnOrder[index])) {
+            return index;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Teams that still have a tank in the fight
+ * @param {Array} tanks - Every tank in the match
+ * @param {Function} getTeam - Team key of a tank
+ * @param {Function} isOut - Whether a tank is out of the match
+ * @returns {Set} Surviving team keys
+ */
+export function getSurvivingTeams(tanks, getTeam, isOut = isDestroyed) {
+    return new Set(tanks.filter(tank => !isOut(tank)).map(getTeam));
+}
+
+/**
+ * Last-team-standing result
+ * @param {Array} tanks - Every tank in the match
+ * @param {Function} getTeam - Team key of a tank
+ * @param {Function} isOut - Whether a tank is out of the match
+ * @returns {Object} { isOver, winningTeam } (winningTeam is null when nobody survived)
+ */
+export function getLastTeamStanding(tanks, getTeam, isOut = isDestroyed) {
+    const teams = getSurvivingTeams(tanks, getTeam, isOut);
+    if (teams.size > 1) {
+        return { isOver: false, winningTeam: null };
+    }
+    const [winningTeam = null] = teams;
+    return { isOver: true, winningTeam };
+}
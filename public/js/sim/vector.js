@@ -0,0 +1,44 @@
+/**
+ * Minimal vector helpers for the simulation layer.
+ * Work on any { x, y, z } object, so THREE.Vector3 instances can be passed in as well.
+ */
+
+export function vec3(x = 0, y = 0, z = 0) {
+    return { x, y, z };
+}
+
+export function cloneVec(v) {
+    return { x: v.x, y: v.y, z: v.z };
+}
+
+export function lengthOf(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+export function distance(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+export function horizontalDistance(a, b) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dz * dz);
+}
+
+/**
+ * Point between a and b
+ * @param {Object} a - Start
+ * @param {Object} b - End
+ * @param {number} t - 0 = a, 1 = b
+ * @returns {Object} New { x, y, z }
+ */
+export function lerpVec(a, b, t) {
+    return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        z: a.z + (b.z - a.z) * t
+    };
+}
@@ -0,0 +1,199 @@
+/**
+ * Weapon Behaviors
+ * What the special rounds do besides flying and exploding (see the `behavior` field in
+ * weapons.js), shared by the browser (Projectile, CollisionSystem) and the headless SimWorld:
+ *  - mirv   : splits into warheads fanned out sideways at the top of its arc
+ *  - roller : rolls along the ground after its first touchdown and explodes once it stops
+ *  - napalm : leaves a fire that burns the tanks standing in it for a few seconds
+ *  - tunnel : bores on along its flight path after hitting the ground, and flies on if it
+ *             comes out the other side of the hill
+ * Shells are plain { x, y, z } positions and velocities, updated in place; moving meshes,
+ * spawning projectiles and applying damage is left to the caller.
+ */
+import { getWeapon } from '../weapons.js';
+import { GRAVITY, WORLD_LIMIT } from './ballistics.js';
+import { findShellHit } from './impact.js';
+import { vec3, cloneVec, horizontalDistance, lengthOf } from './vector.js';
+
+const ROLL_SETTLE_TIME = 0.5;   // A roller that has rolled at least this long (s)...
+const ROLL_SETTLE_SPEED = 0.3;  // ...and slowed below this (m/s) has stopped
+const FIRE_TICK = 0.5;          // Seconds between two burns of a napalm fire
+const TUNNEL_STEP = 1.0;        // Meters a digger bores between two bites of its tunnel
+
+/**
+ * Whether a shell has just passed the top of its arc (MIRVs split there)
+ * @param {Object} velocity - Velocity after the step
+ * @param {Object} position - Position after the step
+ * @param {Object} previous - Position before the step
+ * @returns {boolean} True once the shell is coming down
+ */
+export function hasReachedApex(velocity, position, previous) {
+    return velocity.y <= 0 && position.y <= previous.y;
+}
+
+/**
+ * Warheads a MIRV releases, fanned out sideways around its heading
+ * @param {Object} position - Where the MIRV splits
+ * @param {Object} velocity - MIRV velocity at that point
+ * @param {Object} weapon - MIRV weapon definition ({ warheads, warheadSpread, warheadWeapon })
+ * @returns {Array<Object>} [{ position, velocity, weapon }], one per warhead
+ */
+export function splitWarheads(position, velocity, weapon) {
+    const warheadWeapon = getWeapon(weapon.warheadWeapon);
+    const count = weapon.warheads || 1;
+
+    let headingX = 1;
+    let headingZ = 0;
+    const headingLength = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+    if (headingLength * headingLength >= 1e-6) {
+        headingX = velocity.x / headingLength;
+        headingZ = velocity.z / headingLength;
+    }
+    const side = vec3(-headingZ, 0, headingX);
+
+    const warheads = [];
+    for (let i = 0; i < count; i++) {
+        const offset = count > 1 ? (i / (count - 1)) * 2 - 1 : 0; // -1 .. 1
+        const push = offset * weapon.warheadSpread;
+        warheads.push({
+            position: cloneVec(position),
+            velocity: vec3(velocity.x + side.x * push, velocity.y + side.y * push, velocity.z + side.z * push),
+            weapon: warheadWeapon
+        });
+    }
+    return warheads;
+}
+
+/**
+ * Put a roller down on the ground at its first touchdown
+ * @param {Object} position - Shell position, updated in place
+ * @param {Object} velocity - Shell velocity, updated in place (keeps only its horizontal part)
+ * @param {number} groundHeight - Terrain height at the touchdown point
+ * @param {Object} weapon - Roller weapon definition
+ */
+export function startRolling(position, velocity, groundHeight, weapon) {
+    velocity.y = 0;
+    position.y = groundHeight + weapon.radius;
+}
+
+/**
+ * One step of a roller along the ground: gravity pulls it down the slope and friction
+ * slowly bleeds its speed
+ * @param {Object} position - Shell position, updated in place
+ * @param {Object} velocity - Shell velocity, updated in place
+ * @param {number} rollAge - Seconds rolled, including this step
+ * @param {Object} terrain - { getHeightAt(x, z), getNormalAt(x, z) }
+ * @param {Object} weapon - Roller weapon definition ({ radius, rollFriction, rollDuration })
+ * @param {number} deltaTime - Time step in seconds
+ * @returns {string} 'rolling', 'stopped' (time to explode) or 'out' (rolled off the world)
+ */
+export function rollShell(position, velocity, rollAge, terrain, weapon, deltaTime) {
+    const normal = terrain.getNormalAt(position.x, position.z);
+    const slopeX = -normal.x / normal.y;
+    const slopeZ = -normal.z / normal.y;
+
+    velocity.x -= GRAVITY * slopeX * deltaTime;
+    velocity.z -= GRAVITY * slopeZ * deltaTime;
+    velocity.y = 0;
+    const friction = Math.pow(weapon.rollFriction ?? 0.8, deltaTime);
+    velocity.x *= friction;
+    velocity.z *= friction;
+
+    position.x += velocity.x * deltaTime;
+    position.z += velocity.z * deltaTime;
+    position.y = terrain.getHeightAt(position.x, position.z) + weapon.radius;
+
+    if (Math.abs(position.x) > WORLD_LIMIT || Math.abs(position.z) > WORLD_LIMIT) return 'out';
+
+    const horizontalSpeed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+    if (rollAge > (weapon.rollDuration ?? 4) || (rollAge > ROLL_SETTLE_TIME && horizontalSpeed < ROLL_SETTLE_SPEED)) {
+        return 'stopped';
+    }
+    return 'rolling';
+}
+
+/**
+ * Start a napalm fire where the shell exploded
+ * @param {Object} position - Fire center
+ * @param {Object} weapon - Napalm weapon definition ({ blastRadius, burnDamagePerSecond, burnDuration })
+ * @param {Object|null} shooter - Tank whose shell started it (credited with the burns)
+ * @returns {Object} Fire { position, radius, damagePerSecond, remaining, sinceTick, shooter }
+ */
+export function igniteFire(position, weapon, shooter = null) {
+    return {
+        position: cloneVec(position),
+        radius: weapon.blastRadius,
+        damagePerSecond: weapon.burnDamagePerSecond || 5,
+        remaining: weapon.burnDuration || 3,    // Seconds of simulation time
+        sinceTick: 0,
+        shooter
+    };
+}
+
+/**
+ * Let a fire burn for one step. Every FIRE_TICK seconds it burns each tank standing in it
+ * for the time since the last burn.
+ * @param {Object} fire - Fire from igniteFire, updated in place
+ * @param {number} deltaTime - Time step in seconds
+ * @param {Array} tanks - Tanks the fire can hurt (alive, and not spared by team rules)
+ * @param {Function} getPosition - Hull origin of a tank
+ * @returns {Object} { burns: [{ tank, damage }], ticked, isOut }
+ */
+export function burnFire(fire, deltaTime, tanks, getPosition = tank => tank.position) {
+    const burns = [];
+    fire.remaining -= deltaTime;
+    fire.sinceTick += deltaTime;
+
+    const ticked = fire.sinceTick >= FIRE_TICK;
+    if (ticked) {
+        const elapsed = fire.sinceTick;
+        fire.sinceTick = 0;
+        const damage = Math.max(1, Math.round(fire.damagePerSecond * elapsed));
+        tanks.forEach(tank => {
+            if (horizontalDistance(getPosition(tank), fire.position) <= fire.radius) {
+                burns.push({ tank, damage });
+            }
+        });
+    }
+
+    return { burns, ticked, isOut: fire.remaining <= 0 };
+}
+
+/**
+ * Bore a digger on through the ground from where it struck, straight along its flight path.
+ * The terrain is a heightfield, so the tunnel is dug as a trench: a row of narrow craters
+ * deep enough to take the ground down below the shell's path.
+ * @param {Object} entry - Where the shell struck the ground
+ * @param {Object} velocity - Shell velocity there (only its direction is used)
+ * @param {Object} weapon - Digger weapon definition ({ tunnelLength, tunnelRadius })
+ * @param {Object} world - { terrain, tanks, obstacles, getPosition } (see impact.js)
+ * @returns {Object} { craters, position, hit, emerged }: the trench craters to dig, where the
+ *   shell ended up, what it ran into underground (a tank or static hit from findShellHit, or
+ *   null) and whether it came out of the ground there. A shell that neither ran into something
+ *   nor came out explodes at position once the trench is dug.
+ */
+export function digTunnel(entry, velocity, weapon, world) {
+    const speed = lengthOf(velocity) || 1;
+    const direction = vec3(velocity.x / speed, velocity.y / speed, velocity.z / speed);
+    const radius = weapon.tunnelRadius ?? 1.5;
+    const craters = [];
+    let position = cloneVec(entry);
+
+    for (let bored = TUNNEL_STEP; bored <= (weapon.tunnelLength ?? 0); bored += TUNNEL_STEP) {
+        position = vec3(entry.x + direction.x * bored, entry.y + direction.y * bored, entry.z + direction.z * bored);
+
+        const hit = findShellHit(position, null, { ...world, ignoreTerrain: true });
+        if (hit) return { craters, position: hit.position, hit, emerged: false };
+
+        const groundHeight = world.terrain.getHeightAt(position.x, position.z);
+        if (position.y > groundHeight) return { craters, position, hit: null, emerged: true };
+
+        craters.push({
+            position: vec3(position.x, groundHeight, position.z),
+            radius,
+            depth: groundHeight - position.y + radius / 2 // Floor just below the shell's path
+        });
+    }
+
+    return { craters, position, hit: null, emerged: false };
+}
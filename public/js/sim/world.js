@@ -0,0 +1,545 @@
+/**
+ * Sim World
+ * A headless match: heightfield terrain, round obstacles (buildings and trees), tanks
+ * with health, fuel and teams, the match wind and the turn order. Everything runs through
+ * the same functions the browser uses:
+ *  - shots fly with the shared ballistics and are resolved like CollisionSystem does
+ *    (sim/impact.js): what the shell hits first, direct-hit damage, the crater, and blast
+ *    damage to tanks, buildings and trees
+ *  - MIRVs split, rollers roll, diggers tunnel and napalm burns as in Projectile and
+ *    CollisionSystem (sim/weaponBehaviors.js)
+ *  - tanks drive and burn fuel under the rules Tank.move checks (sim/movement.js)
+ *  - craters drop, lift or bury the tanks around them as Tank.checkGroundSupport does
+ *    (sim/groundSupport.js)
+ * Runs in Node with no DOM or WebGL, so shots, driving, AI aiming and the turn order can
+ * be checked in tests and CI.
+ */
+import { getWeapon } from '../weapons.js';
+import { refuel } from '../inventory.js';
+import { Heightfield } from './heightfield.js';
+import { generateIslandHeightfield } from './terrainGenerator.js';
+import { DEFAULT_STEP, getAimDirection, getLaunchSpeed, simulateFlight } from './ballistics.js';
+import { findShellHit, resolveShellHit, resolveBlast } from './impact.js';
+import { hasReachedApex, splitWarheads, startRolling, rollShell, igniteFire, burnFire, digTunnel } from './weaponBehaviors.js';
+import { TANK_MOVE_SPEED, getMoveFuelCost, findMoveBlocker } from './movement.js';
+import { isNearCrater, checkSupport, getFallDamage } from './groundSupport.js';
+import { findNextTurnIndex, getLastTeamStanding } from './turns.js';
+import { vec3, cloneVec } from './vector.js';
+
+export const TANK_GROUND_CLEARANCE = 0.55; // Hull origin above the ground (tracks + margin)
+export const MUZZLE_HEIGHT = 0.9; // Barrel pivot above the hull origin
+export const MUZZLE_LENGTH = 2.25; // Pivot to barrel tip
+export const DEFAULT_TANK_HEALTH = 100;
+export const DEFAULT_TANK_FUEL = 100;
+
+const OBSTACLE_HEIGHTS = { building: 6, tree: 4 };
+const OBSTACLE_HEALTH = { building: 100, tree: 50 }; // As placed by sceneSetup
+
+export class SimWorld {
+    /**
+     * @param {Object} options - { heightfield, wind, obstacles, step, friendlyFire }
+     *   obstacles: [{ id, type: 'building'|'tree', x, z, radius, height, health }]
+     *   friendlyFire: shells and blasts hurt teammates too (off: they pass through them, as in Game)
+     */
+    constructor(options = {}) {
+        this.heightfield = options.heightfield || new Heightfield();
+        this.wind = cloneVec(options.wind || vec3());
+        this.step = options.step || DEFAULT_STEP;
+        this.friendlyFire = options.friendlyFire ?? false;
+        this.obstacles = (options.obstacles || []).map((obstacle, index) => {
+            const type = obstacle.type || 'building';
+            return {
+                id: obstacle.id ?? index,
+                type,
+                position: vec3(obstacle.x, this.heightfield.getHeightAt(obstacle.x, obstacle.z), obstacle.z),
+                radius: obstacle.radius ?? (type === 'tree' ? 2 : 4),
+                height: obstacle.height ?? OBSTACLE_HEIGHTS[type] ?? OBSTACLE_HEIGHTS.building,
+                health: obstacle.health ?? OBSTACLE_HEALTH[type] ?? OBSTACLE_HEALTH.building,
+                isDestroyed: false
+            };
+        });
+
+        this.tanks = []; // Turn order
+        this.turnIndex = 0;
+        this.turnNumber = 1;
+    }
+
+    /**
+     * World on the island generated from a map seed
+     * @param {number} mapSeed - Terrain noise seed
+     * @param {Object} options - Other SimWorld options
+     * @returns {SimWorld} New world
+     */
+    static fromMapSeed(mapSeed, options = {}) {
+        return new SimWorld({ ...options, heightfield: generateIslandHeightfield(mapSeed) });
+    }
+
+    /**
+     * Place a tank on the ground; tanks take turns in the order they are added
+     * @param {Object} options - { id, team, x, z, health, fuel, maxFuel, damageMultiplier, windSensitivity }
+     * @returns {Object} Tank state
+     */
+    addTank(options) {
+        const health = options.health ?? DEFAULT_TANK_HEALTH;
+        const maxFuel = options.maxFuel ?? DEFAULT_TANK_FUEL;
+        const tank = {
+            id: options.id,
+            team: options.team ?? options.id,
+            position: vec3(options.x, 0, options.z),
+            health,
+            maxHealth: options.maxHealth ?? health,
+            fuel: options.fuel ?? maxFuel,
+            maxFuel,
+            damageMultiplier: options.damageMultiplier ?? 1,
+            windSensitivity: options.windSensitivity ?? 1,
+            isBuried: false,
+            isDestroyed: false
+        };
+        this.settleTank(tank);
+        this.tanks.push(tank);
+        return tank;
+    }
+
+    getTank(id) {
+        return this.tanks.find(tank => tank.id === id) || null;
+    }
+
+    get activeTank() {
+        return this.tanks[this.turnIndex] || null;
+    }
+
+    getHeightAt(x, z) {
+        return this.heightfield.getHeightAt(x, z);
+    }
+
+    settleTank(tank) {
+        tank.position.y = this.getRestHeight(tank.position);
+    }
+
+    getRestHeight(position) {
+        return this.getHeightAt(position.x, position.z) + TANK_GROUND_CLEARANCE;
+    }
+
+    /**
+     * Drive the active tank in a straight line, hop by hop as Tank.move does, until it has
+     * covered the distance, runs out of fuel or something blocks the next hop
+     * @param {Object} move - { heading, distance } (heading in radians, as an aim azimuth; meters)
+     * @returns {Object} { tankId, distance, fuelUsed, blockedBy } (blockedBy: null, 'buried', 'fuel'
+     *   or a blocker type from findMoveBlocker)
+     */
+    drive(move) {
+        const tank = this.activeTank;
+        if (!tank || tank.isDestroyed) {
+            throw new Error('No tank can drive');
+        }
+
+        const result = { tankId: tank.id, distance: 0, fuelUsed: 0, blockedBy: null };
+        if (tank.isBuried) {
+            result.blockedBy = 'buried';
+            return result;
+        }
+
+        const direction = getAimDirection(move.heading ?? 0, 0);
+        const hop = TANK_MOVE_SPEED * this.step;
+        const fuelCost = getMoveFuelCost(this.step);
+        const world = this.getImpactWorld(this.tanks);
+        while (result.distance + hop <= (move.distance ?? 0) + 1e-9) {
+            if (tank.fuel < fuelCost) {
+                result.blockedBy = 'fuel';
+                break;
+            }
+            const next = vec3(tank.position.x + direction.x * hop, tank.position.y, tank.position.z + direction.z * hop);
+            const blocker = findMoveBlocker(tank, next, world);
+            if (blocker) {
+                result.blockedBy = blocker.type;
+                break;
+            }
+
+            tank.position = next;
+            this.settleTank(tank);
+            tank.fuel = Math.max(0, tank.fuel - fuelCost);
+            result.distance += hop;
+            result.fuelUsed += fuelCost;
+        }
+        return result;
+    }
+
+    /**
+     * Launch state of a shot from a tank
+     * @param {Object} tank - Tank state
+     * @param {Object} aim - { azimuth, elevation, power } (radians, radians, Tank power units)
+     * @returns {Object} { origin, velocity }
+     */
+    getLaunch(tank, aim) {
+        const direction = getAimDirection(aim.azimuth ?? 0, aim.elevation ?? 0);
+        const speed = getLaunchSpeed(aim.power ?? 50);
+        return {
+            origin: vec3(
+                tank.position.x + direction.x * MUZZLE_LENGTH,
+                tank.position.y + MUZZLE_HEIGHT + direction.y * MUZZLE_LENGTH,
+                tank.position.z + direction.z * MUZZLE_LENGTH
+            ),
+            velocity: vec3(direction.x * speed, direction.y * speed, direction.z * speed)
+        };
+    }
+
+    /**
+     * Fire the active tank's shot and play it out: the flight, MIRV warheads, a roller's roll,
+     * a digger's tunnel, every impact with its damage and crater, napalm fires until they burn out, and the
+     * tanks dropped, lifted or buried by the craters
+     * @param {Object} aim - { azimuth, elevation, power, weaponId }
+     * @returns {Object} Shot result:
+     *   - hit, targetId, impactPoint, flightTime, path, crater: the fired shell ('split' for a MIRV,
+     *     with its warheads in warheads: [{ weaponId, hit, targetId, impactPoint, flightTime, path, crater }])
+     *   - craters: every crater dug (tunnel trenches too), fires: [{ position, radius }] every fire started
+     *   - damage: [{ tankId, amount, cause: 'hit'|'blast'|'fire'|'fall' }], destroyed,
+     *     obstacleDamage, destroyedObstacles, buried (tanks newly buried)
+     */
+    fire(aim) {
+        const shooter = this.activeTank;
+        if (!shooter || shooter.isDestroyed) {
+            throw new Error('No tank can fire');
+        }
+
+        const weapon = getWeapon(aim.weaponId);
+        const { origin, velocity } = this.getLaunch(shooter, aim);
+        const result = SimWorld.createShotResult();
+        const shell = this.flyShell(origin, velocity, weapon, shooter, result);
+        return { shooterId: shooter.id, ...shell, ...result };
+    }
+
+    /**
+     * Empty collections for what a shot does (see fire)
+     * @returns {Object} { damage, destroyed, obstacleDamage, destroyedObstacles, craters, fires, buried, warheads }
+     */
+    static createShotResult() {
+        return {
+            damage: [],
+            destroyed: [],
+            obstacleDamage: [],
+            destroyedObstacles: [],
+            craters: [],
+            fires: [],
+            buried: [],
+            warheads: []
+        };
+    }
+
+    /**
+     * Fly one shell and resolve what it does; MIRVs fly their warheads from the split
+     * @param {Object} origin - Launch position
+     * @param {Object} velocity - Launch velocity
+     * @param {Object} weapon - Weapon definition
+     * @param {Object} shooter - Firing tank
+     * @param {Object} result - Shot result, collects damage, craters and warheads
+     * @returns {Object} { weaponId, hit, targetId, impactPoint, flightTime, path, crater }
+     */
+    flyShell(origin, velocity, weapon, shooter, result) {
+        const windScale = shooter.windSensitivity;
+        const flightOptions = {
+            weapon,
+            windVector: vec3(this.wind.x * windScale, this.wind.y * windScale, this.wind.z * windScale),
+            step: this.step
+        };
+        const isMirv = weapon.behavior === 'mirv';
+        const flight = simulateFlight(origin, velocity, {
+            ...flightOptions,
+            hitTest: (position, velocity, previous) => (isMirv && hasReachedApex(velocity, position, previous))
+                ? { type: 'split', position: cloneVec(position) }
+                : this.checkShellHit(position, shooter, previous)
+        });
+
+        const shell = {
+            weaponId: weapon.id,
+            hit: null,
+            targetId: null,
+            impactPoint: null,
+            flightTime: flight.time,
+            path: flight.points,
+            crater: null
+        };
+
+        if (flight.hit?.type === 'split') {
+            shell.hit = 'split';
+            shell.impactPoint = flight.hit.position;
+            splitWarheads(flight.position, flight.velocity, weapon).forEach(warhead => {
+                result.warheads.push(this.flyShell(warhead.position, warhead.velocity, warhead.weapon, shooter, result));
+            });
+            return shell;
+        }
+
+        if (flight.hit?.type === 'terrain' && weapon.behavior === 'roller') {
+            flight.hit = this.rollToStop(flight, weapon, shooter, shell);
+        } else if (flight.hit?.type === 'terrain' && weapon.behavior === 'tunnel') {
+            flight.hit = this.boreTunnel(flight, flightOptions, shooter, shell, result);
+        }
+        shell.hit = flight.hit?.type ?? null;
+        shell.targetId = flight.hit?.tank?.id ?? null;
+
+        if (flight.hit) {
+            const { impactPoint, crater } = this.resolveImpact(flight, shooter, weapon, result);
+            shell.impactPoint = impactPoint;
+            shell.crater = crater;
+            if (weapon.behavior === 'napalm') {
+                this.burnNapalm(igniteFire(impactPoint, weapon, shooter), result);
+            }
+        }
+        return shell;
+    }
+
+    /**
+     * Roll a roller from its touchdown until it runs into a tank or obstacle, stops, or
+     * rolls off the world
+     * @param {Object} flight - Flight from simulateFlight, ending on the ground
+     * @param {Object} weapon - Roller weapon definition
+     * @param {Object} shooter - Firing tank
+     * @param {Object} shell - Shell summary; the roll is added to its path and flight time
+     * @returns {Object|null} Hit where it explodes, or null if it left the world
+     */
+    rollToStop(flight, weapon, shooter, shell) {
+        const position = cloneVec(flight.hit.position);
+        const velocity = flight.velocity;
+        startRolling(position, velocity, flight.hit.terrainHeight, weapon);
+
+        const targets = this.tanks.filter(tank => tank !== shooter && this.canDamage(shooter, tank));
+        let rollAge = 0;
+        for (;;) {
+            rollAge += this.step;
+            shell.flightTime += this.step;
+            const state = rollShell(position, velocity, rollAge, this.heightfield, weapon, this.step);
+            shell.path.push(cloneVec(position));
+            if (state === 'out') return null;
+
+            const hit = findShellHit(position, null, { ...this.getImpactWorld(targets), ignoreTerrain: true });
+            if (hit) return hit;
+            if (state === 'stopped') {
+                const terrainHeight = this.getHeightAt(position.x, position.z);
+                return { type: 'terrain', position: vec3(position.x, terrainHeight, position.z), terrainHeight };
+            }
+        }
+    }
+
+    /**
+     * Bore a digger on from its touchdown (see CollisionSystem.boreTunnel), digging the trench
+     * as it goes; if it comes out of the hill it flies on until it hits something else
+     * @param {Object} flight - Flight from simulateFlight, ending on the ground; its velocity is
+     *   updated if the shell flies on
+     * @param {Object} flightOptions - { weapon, windVector, step }
+     * @param {Object} shooter - Firing tank
+     * @param {Object} shell - Shell summary; the tunnel and any further flight are added to its path
+     * @param {Object} result - Shot result
+     * @returns {Object|null} Hit where it explodes, or null if it flew off the world
+     */
+    boreTunnel(flight, flightOptions, shooter, shell, result) {
+        const targets = this.tanks.filter(tank => tank !== shooter && this.canDamage(shooter, tank));
+        const tunnel = digTunnel(flight.hit.position, flight.velocity, flightOptions.weapon, this.getImpactWorld(targets));
+        tunnel.craters.forEach(crater => {
+            this.digCrater(crater, result);
+            this.checkGroundSupport(crater, result);
+        });
+        shell.path.push(cloneVec(tunnel.position));
+
+        if (tunnel.hit) return tunnel.hit;
+        if (!tunnel.emerged) {
+            const terrainHeight = this.getHeightAt(tunnel.position.x, tunnel.position.z);
+            return { type: 'terrain', position: vec3(tunnel.position.x, terrainHeight, tunnel.position.z), terrainHeight };
+        }
+
+        const onward = simulateFlight(tunnel.position, flight.velocity, {
+            ...flightOptions,
+            hitTest: (position, velocity, previous) => this.checkShellHit(position, shooter, previous)
+        });
+        shell.path.push(...onward.points.slice(1));
+        shell.flightTime += onward.time;
+        flight.velocity = onward.velocity;
+        return onward.hit;
+    }
+
+    /**
+     * Let a napalm fire burn out, hurting the tanks standing in it
+     * @param {Object} fire - Fire from igniteFire
+     * @param {Object} result - Shot result
+     */
+    burnNapalm(fire, result) {
+        result.fires.push({ position: cloneVec(fire.position), radius: fire.radius });
+        const { shooter } = fire;
+        let isOut = false;
+        while (!isOut) {
+            const flammable = this.tanks.filter(tank => !tank.isDestroyed && this.canDamage(shooter, tank));
+            const burn = burnFire(fire, this.step, flammable);
+            burn.burns.forEach(({ tank, damage }) => this.applyDamage(tank, damage, 'fire', result));
+            isOut = burn.isOut;
+        }
+    }
+
+    /**
+     * What a shell touches at a point of its flight
+     * @param {Object} position - Shell position
+     * @param {Object} shooter - Firing tank (its own shells fly through it, and its teammates'
+     *   hulls too unless friendly fire is on)
+     * @param {Object} previous - Shell position at the start of the step, if known; a step
+     *   that dipped into the ground (over a crest, say) is tested from where it first touched
+     * @returns {Object|null} Hit (see findShellHit); terrain hits are placed on the ground
+     */
+    checkShellHit(position, shooter, previous = null) {
+        const targets = this.tanks.filter(tank => tank !== shooter && this.canDamage(shooter, tank));
+        const hit = findShellHit(position, previous, this.getImpactWorld(targets));
+        if (hit?.type === 'terrain') {
+            hit.position = vec3(hit.position.x, hit.terrainHeight, hit.position.z);
+        }
+        return hit;
+    }
+
+    /**
+     * Whether a tank's shells and blasts hurt another tank: always itself and opponents,
+     * teammates only with friendly fire on (see Game.canDamage)
+     * @param {Object} shooter - Firing tank
+     * @param {Object} tank - Tank in the way
+     * @returns {boolean} True when the tank takes damage
+     */
+    canDamage(shooter, tank) {
+        return this.friendlyFire || tank === shooter || tank.team !== shooter.team;
+    }
+
+    /**
+     * The world as the shared impact and movement rules see it
+     * @param {Array} tanks - Tanks the shell or blast can hurt (or a driving tank can run into)
+     * @returns {Object} { terrain, tanks, obstacles }
+     */
+    getImpactWorld(tanks) {
+        return {
+            terrain: this.heightfield,
+            tanks,
+            obstacles: this.obstacles.filter(obstacle => !obstacle.isDestroyed)
+        };
+    }
+
+    /**
+     * Apply one shell's hit: direct damage, the crater, the blast and what the crater does to
+     * the tanks around it
+     * @param {Object} flight - { hit, velocity }
+     * @param {Object} shooter - Firing tank
+     * @param {Object} weapon - Weapon definition
+     * @param {Object} result - Shot result (see createShotResult)
+     * @returns {Object} { impactPoint, crater } (crater null unless the shell hit the ground)
+     */
+    resolveImpact(flight, shooter, weapon, result) {
+        const { hit } = flight;
+        const shell = {
+            damage: weapon.damage * shooter.damageMultiplier,
+            velocity: flight.velocity,
+            blastRadius: weapon.blastRadius,
+            craterRadius: weapon.craterRadius,
+            craterDepth: weapon.craterDepth
+        };
+        const { impactPoint, damage, crater } = resolveShellHit(hit, shell);
+
+        if (hit.type === 'tank') {
+            this.applyDamage(hit.tank, damage, 'hit', result);
+        } else if (hit.type === 'static') {
+            // A direct hit fells a tree outright
+            const { obstacle } = hit;
+            this.damageObstacle(obstacle, obstacle.type === 'tree' ? obstacle.health : damage, true, result);
+        } else {
+            this.digCrater(crater, result);
+        }
+
+        const exposed = this.tanks.filter(tank => this.canDamage(shooter, tank));
+        const blast = resolveBlast(impactPoint, shell, this.getImpactWorld(exposed), hit.tank || hit.obstacle || null);
+        blast.tanks.forEach(({ tank, damage }) => this.applyDamage(tank, damage, 'blast', result));
+        blast.obstacles.forEach(({ obstacle, damage }) => this.damageObstacle(obstacle, damage, false, result));
+
+        if (crater) {
+            this.checkGroundSupport(crater, result);
+        }
+        return { impactPoint, crater: crater ?? null };
+    }
+
+    /**
+     * @param {Object} crater - { position, radius, depth }
+     * @param {Object} result - Shot result
+     */
+    digCrater(crater, result) {
+        result.craters.push(crater);
+        this.heightfield.applyCrater(crater.position.x, crater.position.z, crater.radius, crater.depth);
+    }
+
+    /**
+     * Drop, lift or bury the tanks around a fresh crater (see Tank.checkGroundSupport); a
+     * dropped tank lands at once and takes its fall damage
+     * @param {Object} crater - { position, radius }
+     * @param {Object} result - Shot result
+     */
+    checkGroundSupport(crater, result) {
+        this.tanks.forEach(tank => {
+            if (tank.isDestroyed || !isNearCrater(tank.position, crater)) return;
+
+            const restY = this.getRestHeight(tank.position);
+            const surfaceHeight = this.getHeightAt(tank.position.x, tank.position.z);
+            const support = checkSupport(tank.position.y, restY, surfaceHeight);
+            const wasBuried = tank.isBuried;
+            tank.isBuried = support === 'buried';
+            if (tank.isBuried) {
+                if (!wasBuried) result.buried.push(tank.id);
+                return;
+            }
+
+            if (support === 'falling') {
+                const fallHeight = tank.position.y - restY;
+                tank.position.y = restY;
+                this.applyDamage(tank, getFallDamage(fallHeight), 'fall', result);
+            } else if (support === 'lifted') {
+                tank.position.y = restY;
+            }
+        });
+    }
+
+    /**
+     * @param {Object} tank - Tank state
+     * @param {number} amount - Damage points
+     * @param {string} cause - 'hit', 'blast', 'fire' or 'fall'
+     * @param {Object} result - Shot result
+     */
+    applyDamage(tank, amount, cause, result) {
+        if (tank.isDestroyed || !(amount > 0)) return;
+        tank.health = Math.max(0, tank.health - amount);
+        result.damage.push({ tankId: tank.id, amount, cause });
+        if (tank.health === 0) {
+            tank.isDestroyed = true;
+            result.destroyed.push(tank.id);
+        }
+    }
+
+    damageObstacle(obstacle, amount, direct, result) {
+        if (obstacle.isDestroyed || !(amount > 0)) return;
+        obstacle.health = Math.max(0, obstacle.health - amount);
+        result.obstacleDamage.push({ obstacleId: obstacle.id, amount, direct });
+        if (obstacle.health === 0) {
+            obstacle.isDestroyed = true;
+            result.destroyedObstacles.push(obstacle.id);
+        }
+    }
+
+    /**
+     * Hand the turn to the next tank still in the fight, which gets part of its fuel back
+     * (see Tank.resetTurnStats)
+     * @returns {Object|null} The new active tank
+     */
+    endTurn() {
+        const nextIndex = findNextTurnIndex(this.tanks, this.turnIndex);
+        if (nextIndex === -1) return null;
+        this.turnIndex = nextIndex;
+        this.turnNumber++;
+        const tank = this.activeTank;
+        tank.fuel = refuel(tank.fuel, tank.maxFuel);
+        return tank;
+    }
+
+    /**
+     * Last team standing
+     * @returns {Object} { isOver, winningTeam }
+     */
+    getResult() {
+        return getLastTeamStanding(this.tanks, tank => tank.team);
+    }
+}
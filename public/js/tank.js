@@ -1,13 +1,21 @@
 import * as THREE from 'three';
 import { Projectile } from './projectile.js';
+import { DEFAULT_WEAPON_ID, getWeapon, getSelectableWeaponIds } from './weapons.js';
+import { GRAVITY, getLaunchSpeed } from './sim/ballistics.js';
+import { ACTIONS_PER_TURN, createInventory, getAmmo, consumeAmmo, getItemType, getItemCount, consumeItem, refuel } from './inventory.js';
+import { TANK_MOVE_SPEED, getMoveFuelCost, isWithinMoveLimit } from './sim/movement.js';
+import { checkSupport, getFallDamage } from './sim/groundSupport.js';
 
-const FUEL_PER_MOVE_ACTION = 7; // Cost for one 'tick' of movement
 const FUEL_PER_ROTATE_ACTION = 1; // Cost for one 'tick' of rotation
 
+const SHIELD_COLOR = 0x44aaff;
+const SHIELD_RADIUS = 2.2;
+
 export class Tank {
-    constructor(id, isPlayer, scene, initialPosition, color, gameInstance) {
+    constructor(id, isPlayer, scene, initialPosition, color, gameInstance, displayName = null) {
         this.id = id;
         this.isPlayer = isPlayer;
+        this.displayName = displayName; // Seat name in hot-seat matches (defaults to the profile name)
         this.scene = scene;
         this.game = gameInstance; // Reference to the game instance
 
@@ -22,14 +30,25 @@ export class Tank {
         this.currentHealth = this.maxHealth;
         this.isDestroyed = false;
 
+        // Side and combat record (kill attribution, AI targeting, objectives)
+        this.team = null;
+        this.isAlly = false;      // AI tank on the player's team (team battles)
+        this.lastAttacker = null; // Last other tank that damaged this one
+        this.damageDealt = 0;     // Damage done to other tanks
+        this.kills = 0;
+        this.shotsFired = 0;      // Shells launched this match (shot-limit objectives)
+
         this.maxFuel = 100;
         this.currentFuel = this.maxFuel;
         
-        this.moveSpeed = 5; // units per second
+        this.moveSpeed = TANK_MOVE_SPEED; // units per second
         this.rotateSpeed = Math.PI;
         this.turretRotateSpeed = Math.PI / 9; 
 
         this.hasFiredThisTurn = false;
+        this.actionsLeft = ACTIONS_PER_TURN; // Firing and items each spend one (see inventory.js)
+        this.shield = 0; // Damage the active shield still absorbs
+        this.shieldMesh = null;
         this.collisionRadius = 1.1; // For collision detection
         
         // Gravity physics for tank spawning
@@ -38,6 +57,9 @@ export class Tank {
         this.isGrounded = false; // Whether tank is on ground
         this.groundY = -0.2; // Ground level cache
         this.fallDamping = 0.8; // Reduce velocity on ground impact for realistic landing
+        this.isSpawnDrop = true; // The initial spawn drop never causes fall damage
+        this.fallStartY = null; // Height the current fall started from
+        this.isBuried = false; // Dirt piled on top of the tank
         
         // Firing properties
         this.minPower = 5;
@@ -46,12 +68,19 @@ export class Tank {
         this.powerIncrement = 1;
         this.minProjectileSpeed = 15; // m/s at minPower
         this.maxProjectileSpeed = 100; // m/s at maxPower
+        this.damageMultiplier = 1; // Firepower upgrade
+        this.windSensitivity = 1; // Fraction of the match wind felt by this tank's shells
           // Barrel elevation - Fixed ranges for proper aiming
         this.barrelElevation = Math.PI / 36; // Approx 5 degrees (slightly up)
         this.minBarrelElevation = -Math.PI / 12; // Approx -15 degrees (depression/down)
         this.maxBarrelElevation = Math.PI / 3;   // Approx 60 degrees (elevation/up)
         this.barrelElevateSpeed = Math.PI / 6; // Faster elevation adjustment
         
+        // Weapon loadout
+        this.availableWeaponIds = getSelectableWeaponIds();
+        this.selectedWeaponId = DEFAULT_WEAPON_ID;
+        this.inventory = createInventory(this.availableWeaponIds);
+        
         this.createAdvancedTank(color);
         this.mesh.position.copy(initialPosition);
         
@@ -446,13 +475,14 @@ export class Tank {
         
         // Health percentage
         const healthPercent = this.currentHealth / this.maxHealth;
+        const isFriendly = this.isPlayer || this.isAlly;
         
         // Background (black with border)
         context.fillStyle = 'rgba(0, 0, 0, 0.8)';
         context.fillRect(10, 10, canvas.width - 20, canvas.height - 20);
         
         // Border
-        context.strokeStyle = this.isPlayer ? '#00ff41' : '#ff4444';
+        context.strokeStyle = isFriendly ? '#00ff41' : '#ff4444';
         context.lineWidth = 3;
         context.strokeRect(10, 10, canvas.width - 20, canvas.height - 20);
         
@@ -471,7 +501,7 @@ export class Tank {
         // Color based on health percentage
         let healthColor;
         if (healthPercent > 0.6) {
-            healthColor = this.isPlayer ? '#00ff41' : '#ff6b6b';
+            healthColor = isFriendly ? '#00ff41' : '#ff6b6b';
         } else if (healthPercent > 0.3) {
             healthColor = '#ffaa00';
         } else {
@@ -502,12 +532,14 @@ export class Tank {
         
         // Tank identifier (small text above bar)
         context.font = 'bold 10px "Rajdhani", monospace';
-        context.fillStyle = this.isPlayer ? '#00ff41' : '#ff4444';
+        context.fillStyle = isFriendly ? '#00ff41' : '#ff4444';
         context.textAlign = 'center';
         
         let tankName;
         if (this.isPlayer) {
-            tankName = this.game.ui.getPlayerName() || 'PLAYER';
+            tankName = this.displayName || this.game.ui.getPlayerName() || 'PLAYER';
+        } else if (this.displayName) {
+            tankName = this.displayName.toUpperCase();
         } else {
             const enemyIndex = this.id.replace('enemy_', '');
             tankName = `ENEMY ${parseInt(enemyIndex) + 1}`;
@@ -530,9 +562,14 @@ export class Tank {
         }
     }
     
-    createNameLabel() {
-        // Get player name from game UI
-        const playerName = this.game.ui.getPlayerName() || 'COMMANDER';
+    /**
+     * Floating name tag above the tank
+     * @param {string} text - Label text (players default to their seat or profile name)
+     * @param {string} color - Text color
+     */
+    createNameLabel(text = null, color = '#00ff41') {
+        // Seat name in hot-seat matches, otherwise the player name from game UI
+        const playerName = text || this.displayName || this.game.ui.getPlayerName() || 'COMMANDER';
         
         // Create canvas for text texture
         const canvas = document.createElement('canvas');
@@ -544,14 +581,19 @@ export class Tank {
         context.fillStyle = 'rgba(0, 0, 0, 0.8)';
         context.fillRect(0, 0, canvas.width, canvas.height);
         
-        // Text styling
-        context.fillStyle = '#00ff41';
-        context.font = 'bold 48px "Orbitron", monospace';
+        // Text styling (long labels shrink to fit)
+        context.fillStyle = color;
+        let fontSize = 48;
+        context.font = `bold ${fontSize}px "Orbitron", monospace`;
+        while (fontSize > 20 && context.measureText(playerName).width > canvas.width - 32) {
+            fontSize -= 4;
+            context.font = `bold ${fontSize}px "Orbitron", monospace`;
+        }
         context.textAlign = 'center';
         context.textBaseline = 'middle';
         
         // Add glow effect
-        context.shadowColor = '#00ff41';
+        context.shadowColor = color;
         context.shadowBlur = 10;
         context.shadowOffsetX = 0;
         context.shadowOffsetY = 0;
@@ -579,7 +621,7 @@ export class Tank {
         // Create sprite
         this.nameLabel = new THREE.Sprite(spriteMaterial);
         this.nameLabel.scale.set(4, 1, 1);
-        this.nameLabel.position.set(0, 3.5, 0);
+        this.nameLabel.position.set(0, this.isPlayer ? 3.5 : 3.9, 0); // Above the health bar
         
         // Add to tank mesh
         this.mesh.add(this.nameLabel);
@@ -646,9 +688,9 @@ export class Tank {
      */
     move(direction, deltaTime) {
         if (this.isDestroyed || this.currentFuel <= 0) return;
+        if (this.isBuried || !this.isGrounded) return;
 
-        // Reduced fuel cost for better movement
-        const fuelCost = FUEL_PER_MOVE_ACTION * deltaTime * 2;
+        const fuelCost = getMoveFuelCost(deltaTime);
         if (this.currentFuel < fuelCost) return;
 
         const moveDistance = this.moveSpeed * deltaTime;
@@ -694,7 +736,7 @@ export class Tank {
             
         } else {
             // Fallback to old boundary check if collision system not available
-            if (newPosition.x < -70 || newPosition.x > 70 || newPosition.z < -70 || newPosition.z > 70) {
+            if (!isWithinMoveLimit(newPosition)) {
                 return; // Hit boundary
             }
               // Apply movement without collision checking
@@ -741,6 +783,23 @@ export class Tank {
         this.turretGroup.rotation.y += angle;
     }
     
+    /**
+     * Set turret, barrel and power directly (within the tank's limits)
+     * @param {Object} aim - { turretRotation, elevation, power } (any subset)
+     */
+    setAim(aim) {
+        if (aim.turretRotation !== undefined) {
+            this.turretGroup.rotation.y = aim.turretRotation;
+        }
+        if (aim.elevation !== undefined) {
+            this.barrelElevation = Math.max(this.minBarrelElevation, Math.min(this.maxBarrelElevation, aim.elevation));
+            this.barrelGroup.rotation.x = -this.barrelElevation;
+        }
+        if (aim.power !== undefined) {
+            this.currentPower = Math.max(this.minPower, Math.min(this.maxPower, aim.power));
+        }
+    }
+
     aimTowards(targetPosition) {
         if (this.isDestroyed) return;
         
@@ -759,13 +818,27 @@ export class Tank {
         this.turretGroup.rotation.y = angleToTarget;
     }
 
-    shoot() {
-        if (this.isDestroyed || this.hasFiredThisTurn) return;
+    /**
+     * Where and how fast a shell would leave the barrel with the current aim and power,
+     * or with a candidate aim (the tank is left as it was)
+     * @param {Object} aim - Optional { turretRotation, elevation, power }
+     * @returns {Object} { barrelTip, barrelDirection, initialSpeed, initialVelocity }
+     */
+    getLaunchState(aim = null) {
+        if (aim) {
+            const current = { turretRotation: this.turretGroup.rotation.y, elevation: this.barrelElevation, power: this.currentPower };
+            this.setAim(aim);
+            const launchState = this.getLaunchState();
+            this.setAim(current);
+            return launchState;
+        }
+
+        // Aim may have changed since the last render (AI turns aim and fire at once)
+        this.mesh.updateMatrixWorld(true);
 
         // Get the world position of the barrel tip
         const barrelTip = new THREE.Vector3(0, 1, 1.125);
         this.barrel.localToWorld(barrelTip);
-        this.barrel.updateMatrixWorld(true);
         
         // Get barrel direction
         const localForward = new THREE.Vector3(0, 1, 0);
@@ -774,16 +847,28 @@ export class Tank {
         barrelDirection.normalize();
         
         // Calculate initial speed based on current power
-        const powerRatio = (this.currentPower - this.minPower) / (this.maxPower - this.minPower);
-        const initialSpeed = this.minProjectileSpeed + powerRatio * (this.maxProjectileSpeed - this.minProjectileSpeed);
+        const initialSpeed = getLaunchSpeed(this.currentPower, {
+            minPower: this.minPower,
+            maxPower: this.maxPower,
+            minSpeed: this.minProjectileSpeed,
+            maxSpeed: this.maxProjectileSpeed
+        });
         const initialVelocity = barrelDirection.clone().multiplyScalar(initialSpeed);
         
+        return { barrelTip, barrelDirection, initialSpeed, initialVelocity };
+    }
+
+    shoot() {
+        if (!this.canFire()) return;
+
+        const { barrelTip, barrelDirection, initialSpeed, initialVelocity } = this.getLaunchState();
+        
         // Log shooting details
         const tankPosition = this.mesh.position.clone();
         const tankName = this.isPlayer ? 'PLAYER' : this.id;
         
         // Calculate theoretical range for this shot
-        const g = 9.81 * 2;
+        const g = GRAVITY;
         const v0 = initialSpeed;
         const angle = this.barrelElevation;
         const theoreticalRange = (v0 * v0 * Math.sin(2 * angle)) / g;
@@ -793,6 +878,7 @@ export class Tank {
         console.log(`${tankName} SHOOTING:`, {
             tankPosition: `(${tankPosition.x.toFixed(2)}, ${tankPosition.y.toFixed(2)}, ${tankPosition.z.toFixed(2)})`,
             barrelTip: `(${barrelTip.x.toFixed(2)}, ${barrelTip.y.toFixed(2)}, ${barrelTip.z.toFixed(2)})`,
+            weapon: this.getSelectedWeapon().name,
             power: `${this.currentPower}%`,
             elevation: `${(this.barrelElevation * 180 / Math.PI).toFixed(1)}°`,
             turretRotation: `${(this.turretGroup.rotation.y * 180 / Math.PI).toFixed(1)}°`,
@@ -808,13 +894,12 @@ export class Tank {
             barrelTip,
             initialVelocity,
             this.isPlayer,
-            this.scene
+            this.scene,
+            this,
+            this.getSelectedWeapon()
         );
         
-        // Store reference to shooting tank for impact logging
-        projectile.shootingTank = this;
         this.game.addProjectile(projectile);
-        this.hasFiredThisTurn = true;
         
         // Play shooting sound effect
         if (this.game.audioManager) {
@@ -871,11 +956,205 @@ export class Tank {
         }
     }
     
-    takeDamage(amount) {
+    /**
+     * Get the definition of the currently selected weapon
+     * @returns {Object} Weapon definition
+     */
+    getSelectedWeapon() {
+        return getWeapon(this.selectedWeaponId);
+    }
+    
+    /**
+     * Select a weapon from this tank's loadout
+     * @param {string} weaponId - Weapon identifier
+     * @returns {boolean} Whether the weapon was selected
+     */
+    selectWeapon(weaponId) {
+        if (!this.availableWeaponIds.includes(weaponId) || this.getAmmo(weaponId) <= 0) return false;
+        
+        this.selectedWeaponId = weaponId;
+        if (this.isPlayer && this.game.ui) {
+            this.game.ui.updateWeaponIndicator(this.getSelectedWeapon(), this.getAmmo());
+        }
+        return true;
+    }
+    
+    /**
+     * Cycle through the available weapons, skipping those out of ammo
+     * @param {number} direction - 1 for next, -1 for previous
+     * @returns {Object} Newly selected weapon definition
+     */
+    cycleWeapon(direction = 1) {
+        const weapons = this.availableWeaponIds;
+        if (weapons.length === 0) return this.getSelectedWeapon();
+        
+        const currentIndex = Math.max(0, weapons.indexOf(this.selectedWeaponId));
+        for (let offset = 1; offset < weapons.length; offset++) {
+            const nextIndex = (currentIndex + direction * offset + weapons.length * offset) % weapons.length;
+            if (this.selectWeapon(weapons[nextIndex])) break;
+        }
+        return this.getSelectedWeapon();
+    }
+
+    /**
+     * Rounds left for a weapon
+     * @param {string} weaponId - Weapon identifier (defaults to the selected one)
+     * @returns {number} Rounds (Infinity when unlimited)
+     */
+    getAmmo(weaponId = this.selectedWeaponId) {
+        return getAmmo(this.inventory, weaponId);
+    }
+
+    /**
+     * Whether the tank can still fire this turn
+     * @returns {boolean} True with an action, a round and no shot fired yet
+     */
+    canFire() {
+        return !this.isDestroyed && !this.hasFiredThisTurn && this.actionsLeft > 0 && this.getAmmo() > 0;
+    }
+
+    /**
+     * Pay for a shell that just left the barrel (called by the Game for every launch,
+     * including replayed and network shots): one round and this turn's shot
+     * @param {string} weaponId - Weapon fired
+     */
+    spendShot(weaponId) {
+        consumeAmmo(this.inventory, weaponId);
+        if (!this.hasFiredThisTurn) {
+            this.hasFiredThisTurn = true;
+            this.actionsLeft = Math.max(0, this.actionsLeft - 1);
+        }
+
+        // Fall back to the standard shell once a weapon runs dry
+        if (this.getAmmo() <= 0) {
+            console.log(`Tank ${this.id}: out of ${this.getSelectedWeapon().name}`);
+            this.selectWeapon(DEFAULT_WEAPON_ID);
+        }
+        this.updateInventoryHud();
+    }
+
+    /**
+     * Use an item from the inventory (spends an action)
+     * @param {string} itemId - Item identifier (see inventory.js)
+     * @returns {boolean} Whether the item was used
+     */
+    useItem(itemId) {
+        const item = getItemType(itemId);
+        if (!item || this.isDestroyed || this.actionsLeft <= 0 || !consumeItem(this.inventory, itemId)) return false;
+
+        this.actionsLeft--;
+        if (item.heal) {
+            this.heal(item.heal);
+        }
+        if (item.shield) {
+            this.shield = Math.max(this.shield, item.shield);
+            this.updateShieldVisual();
+        }
+        console.log(`Tank ${this.id}: used ${item.name} (${getItemCount(this.inventory, itemId)} left, ${this.actionsLeft} actions left)`);
+        this.updateInventoryHud();
+        return true;
+    }
+
+    /**
+     * Ammo, items and actions left, as shown in the HUD
+     * @returns {Object} { actionsLeft, actionsPerTurn, canFire, items: [{ id, name, icon, keyLabel, count }] }
+     */
+    getInventorySummary() {
+        return {
+            actionsLeft: this.actionsLeft,
+            actionsPerTurn: ACTIONS_PER_TURN,
+            canFire: this.canFire(),
+            items: Object.keys(this.inventory.items).map(itemId => {
+                const { id, name, icon, keyLabel } = getItemType(itemId);
+                return { id, name, icon, keyLabel, count: getItemCount(this.inventory, itemId) };
+            })
+        };
+    }
+
+    /**
+     * Refresh the weapon and inventory readouts (human tanks only)
+     */
+    updateInventoryHud() {
+        if (!this.isPlayer || !this.game.ui) return;
+        this.game.ui.updateWeaponIndicator(this.getSelectedWeapon(), this.getAmmo());
+        this.game.ui.updateInventory(this.getInventorySummary());
+    }
+
+    /**
+     * Show or hide the shield bubble
+     */
+    updateShieldVisual() {
+        if (this.shield > 0 && !this.shieldMesh) {
+            this.shieldMesh = new THREE.Mesh(
+                new THREE.SphereGeometry(SHIELD_RADIUS, 20, 14),
+                new THREE.MeshBasicMaterial({ color: SHIELD_COLOR, transparent: true, opacity: 0.25, depthWrite: false })
+            );
+            this.shieldMesh.position.y = 0.8;
+            this.mesh.add(this.shieldMesh);
+        }
+        if (this.shieldMesh) {
+            this.shieldMesh.visible = this.shield > 0;
+        }
+    }
+
+    /**
+     * Snapshot of everything a player controls (used by match replays)
+     * @returns {Object} Pose data
+     */
+    getPose() {
+        return {
+            position: this.mesh.position.clone(),
+            rotation: this.mesh.rotation.y,
+            turretRotation: this.turretGroup.rotation.y,
+            barrelElevation: this.barrelElevation,
+            power: this.currentPower,
+            weaponId: this.selectedWeaponId
+        };
+    }
+
+    /**
+     * Restore a pose captured by getPose (no fuel cost, no collision checks)
+     * @param {Object} pose - Pose data
+     */
+    applyPose(pose) {
         if (this.isDestroyed) return;
+
+        this.mesh.position.copy(pose.position);
+        this.mesh.rotation.y = pose.rotation;
+        this.turretGroup.rotation.y = pose.turretRotation;
+        this.barrelElevation = pose.barrelElevation;
+        if (this.barrelGroup) {
+            this.barrelGroup.rotation.x = -this.barrelElevation;
+        }
+        this.currentPower = pose.power;
+        if (pose.weaponId && pose.weaponId !== this.selectedWeaponId) {
+            this.selectWeapon(pose.weaponId);
+        }
+    }
+
+    /**
+     * @param {number} amount - Damage
+     * @param {Tank|null} attacker - Tank whose shell, blast or fire did it (null if unknown)
+     */
+    takeDamage(amount, attacker = null) {
+        if (this.isDestroyed) return;
+
+        // An active shield soaks up damage first
+        if (this.shield > 0 && amount > 0) {
+            const absorbed = Math.min(this.shield, amount);
+            this.shield -= absorbed;
+            amount -= absorbed;
+            this.updateShieldVisual();
+            console.log(`Tank ${this.id}: Shield absorbed ${absorbed} damage (${this.shield} left)`);
+            if (amount <= 0) return;
+        }
         
         const oldHealth = this.currentHealth;
         this.currentHealth -= amount;
+        if (attacker && attacker !== this) {
+            this.lastAttacker = attacker;
+            attacker.damageDealt += Math.min(amount, oldHealth);
+        }
         
         console.log(`Tank ${this.id}: Taking ${amount} damage. Health: ${oldHealth} -> ${this.currentHealth}`);
         
@@ -884,10 +1163,9 @@ export class Tank {
             this.currentHealth = 0;
             this.isDestroyed = true;
             
-            // Track tank destruction for statistics (only count enemy tanks destroyed by player)
-            if (this.game && this.game.gameStats && !this.isPlayer) {
-                this.game.gameStats.tanksDestroyed++;
-            }
+            // Whoever dealt the final blow (or hit it last, for falls) gets the kill
+            const killer = attacker || this.lastAttacker;
+            this.game?.recordKill?.(this, killer);
             
             // Play explosion sound for destroyed tank
             if (this.game.audioManager) {
@@ -970,12 +1248,19 @@ export class Tank {
     }
     
     resetTurnStats() {
-        this.currentFuel = this.maxFuel;
+        // Fuel carries over and only partly refills; shields last until the owner's next turn
+        this.currentFuel = refuel(this.currentFuel, this.maxFuel);
         this.hasFiredThisTurn = false;
+        this.actionsLeft = ACTIONS_PER_TURN;
+        if (this.shield > 0) {
+            this.shield = 0;
+            this.updateShieldVisual();
+        }
         
         if (this.isPlayer) {
             this.game.ui.updateActionIndicator("Move/Aim/Fire");
             this.game.ui.updatePowerIndicator(this.currentPower, this.minPower, this.maxPower);
+            this.updateInventoryHud();
         }
     }
     
@@ -993,6 +1278,10 @@ export class Tank {
     updateGravityPhysics(deltaTime) {
         if (this.isDestroyed || this.isGrounded) return;
         
+        if (this.fallStartY === null) {
+            this.fallStartY = this.mesh.position.y;
+        }
+        
         // Apply gravity to velocity
         this.velocity.y -= this.gravity * deltaTime;
         
@@ -1031,12 +1320,87 @@ export class Tank {
             }
             
             console.log(`Tank ${this.id} landed at ground level: ${groundLevel.toFixed(2)}`);
+            
+            // Fall damage (not for the spawn drop)
+            const fallHeight = this.fallStartY - groundLevel;
+            this.fallStartY = null;
+            if (this.isSpawnDrop) {
+                this.isSpawnDrop = false;
+            } else {
+                this.applyFallDamage(fallHeight);
+            }
         } else {
             // Tank is still falling, update position
             this.mesh.position.copy(newPosition);
         }
     }
     
+    /**
+     * Re-check what is under (and on top of) the tank after the terrain changed.
+     * Starts a fall if the ground dropped away, lifts the tank if dirt was added
+     * underneath, and buries it if dirt covers the hull.
+     */
+    checkGroundSupport() {
+        if (this.isDestroyed || !this.isGrounded) return;
+        
+        const position = this.mesh.position;
+        let groundLevel;
+        if (this.game.collisionSystem) {
+            groundLevel = this.game.collisionSystem.checkTerrainCollision(position, this).groundY + 0.25;
+        } else if (this.scene.userData.terrain) {
+            groundLevel = this.scene.userData.terrain.getHeightAt(position.x, position.z) + 0.25;
+        } else {
+            return;
+        }
+        
+        const surfaceHeight = this.scene.userData.terrain?.getHeightAt(position.x, position.z) ?? groundLevel;
+        const support = checkSupport(position.y, groundLevel, surfaceHeight);
+        const wasBuried = this.isBuried;
+        this.isBuried = support === 'buried';
+        
+        if (this.isBuried) {
+            if (!wasBuried) {
+                console.log(`Tank ${this.id} is buried (${(surfaceHeight - position.y).toFixed(2)}m of dirt)`);
+                if (this.isPlayer) {
+                    this.game.ui.updateActionIndicator("Buried! Blast your way out");
+                }
+            }
+            return;
+        }
+        
+        if (wasBuried) {
+            console.log(`Tank ${this.id} dug out`);
+            if (this.isPlayer) {
+                this.game.ui.updateActionIndicator("Dug out! Move/Aim/Fire");
+            }
+        }
+        
+        if (support === 'falling') {
+            // Ground was blasted away - start falling
+            this.isGrounded = false;
+            this.velocity.set(0, 0, 0);
+            this.fallStartY = position.y;
+            console.log(`Tank ${this.id} lost support, falling ${(position.y - groundLevel).toFixed(2)}m`);
+        } else if (support === 'lifted') {
+            // Dirt pushed in underneath - ride up onto it
+            position.y = groundLevel;
+            this.groundY = groundLevel;
+        }
+    }
+    
+    /**
+     * Apply damage proportional to how far the tank fell
+     * @param {number} fallHeight - Height fallen in meters
+     */
+    applyFallDamage(fallHeight) {
+        const damage = getFallDamage(fallHeight);
+        if (damage <= 0) return;
+        
+        console.log(`Tank ${this.id} fell ${fallHeight.toFixed(2)}m: ${damage} fall damage`);
+        this.takeDamage(damage);
+        this.game.ui?.updateHealth(this.id, this.currentHealth, this.maxHealth);
+    }
+    
     heal(amount) {
         if (this.isDestroyed) return false;
         
@@ -1096,7 +1460,7 @@ export class Tank {
         this.updateGravityPhysics(deltaTime);
         
         // Update name label to face camera
-        if (this.isPlayer && this.nameLabel && camera) {
+        if (this.nameLabel && camera) {
             this.updateNameLabel(camera);
         }
         
@@ -0,0 +1,81 @@
+/**
+ * AI Targeting
+ * How a computer tank picks whom to shoot when several tanks are fair game
+ * (free-for-all, hot-seat, team battles). Each strategy scores the candidates the
+ * Game offers; the highest score wins and ties go to the nearest tank.
+ *
+ * Candidate fields (see Game.getAITargetCandidates):
+ *  - tank           : the tank itself
+ *  - distance       : distance from the shooter
+ *  - health         : current health
+ *  - damageDealt    : damage it has done this match
+ *  - isLastAttacker : it was the last tank to hurt the shooter
+ */
+
+export const DEFAULT_TARGETING_ID = 'nearest';
+
+export const TARGETING_STRATEGIES = {
+    nearest: {
+        id: 'nearest',
+        name: 'Nearest',
+        description: 'Shoots at whoever is closest',
+        score: () => 0
+    },
+    weakest: {
+        id: 'weakest',
+        name: 'Weakest',
+        description: 'Finishes off the most damaged tank',
+        score: candidate => -candidate.health
+    },
+    threat: {
+        id: 'threat',
+        name: 'Biggest Threat',
+        description: 'Goes after the tank that has dealt the most damage',
+        score: candidate => candidate.damageDealt
+    },
+    lastAttacker: {
+        id: 'lastAttacker',
+        name: 'Last Attacker',
+        description: 'Shoots back at whoever hit it last',
+        score: candidate => candidate.isLastAttacker ? 1 : 0
+    }
+};
+
+/**
+ * Get a targeting strategy by id, falling back to the nearest tank
+ * @param {string} strategyId - Strategy identifier
+ * @returns {Object} Strategy definition
+ */
+export function getTargetingStrategy(strategyId) {
+    return TARGETING_STRATEGIES[strategyId] || TARGETING_STRATEGIES[DEFAULT_TARGETING_ID];
+}
+
+/**
+ * Check whether a targeting strategy id exists in the registry
+ * @param {string} strategyId - Strategy identifier
+ * @returns {boolean} Whether the strategy is known
+ */
+export function isValidTargetingStrategy(strategyId) {
+    return Object.prototype.hasOwnProperty.call(TARGETING_STRATEGIES, strategyId);
+}
+
+/**
+ * Pick a target among the candidates
+ * @param {string} strategyId - Strategy identifier
+ * @param {Array<Object>} candidates - Candidate descriptions (see above)
+ * @returns {Object|null} The chosen candidate's tank, or null when there is none
+ */
+export function chooseTarget(strategyId, candidates) {
+    const strategy = getTargetingStrategy(strategyId);
+    let best = null;
+    let bestScore = -Infinity;
+
+    candidates.forEach(candidate => {
+        const score = strategy.score(candidate);
+        if (score > bestScore || (score === bestScore && candidate.distance < best.distance)) {
+            best = candidate;
+            bestScore = score;
+        }
+    });
+    return best?.tank ?? null;
+}
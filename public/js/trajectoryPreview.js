@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+import { Projectile } from './projectile.js';
+import { PROJECTILE_LIFESPAN, DEFAULT_STEP } from './sim/ballistics.js';
+
+const MAX_POINTS = Math.round(PROJECTILE_LIFESPAN / DEFAULT_STEP) + 1; // A full flight, plus the launch point
+const LINE_COLOR = 0xffffff;
+const IMPACT_COLOR = 0xff4444;
+
+/**
+ * Aiming guide: a dashed arc from the barrel tip along the predicted flight path.
+ * The path comes from Projectile.predictTrajectory (same physics as live shells) and
+ * stops at the first terrain or building/tree contact reported by the CollisionSystem.
+ * It is only re-simulated when the launch state, wind or terrain changes.
+ */
+export class TrajectoryPreview {
+    /**
+     * @param {THREE.Scene} scene - Scene to draw the guide in
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.lastKey = null;
+        this.revision = 0; // Bumped when the battlefield changes under a cached path
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_POINTS * 3), 3));
+        geometry.setDrawRange(0, 0);
+        this.line = new THREE.Line(geometry, new THREE.LineDashedMaterial({
+            color: LINE_COLOR,
+            dashSize: 0.6,
+            gapSize: 0.4,
+            transparent: true,
+            opacity: 0.8,
+            depthWrite: false
+        }));
+        this.line.frustumCulled = false;
+        this.line.visible = false;
+
+        // Ring on the ground (or wall) where the guide ends in an impact
+        this.impactMarker = new THREE.Mesh(
+            new THREE.RingGeometry(0.5, 0.8, 24),
+            new THREE.MeshBasicMaterial({ color: IMPACT_COLOR, side: THREE.DoubleSide, transparent: true, opacity: 0.8, depthWrite: false })
+        );
+        this.impactMarker.rotation.x = -Math.PI / 2;
+        this.impactMarker.visible = false;
+
+        this.scene.add(this.line);
+        this.scene.add(this.impactMarker);
+    }
+
+    /**
+     * Draw the guide for a launch
+     * @param {THREE.Vector3} origin - Barrel tip
+     * @param {THREE.Vector3} velocity - Launch velocity
+     * @param {Object} options - { weapon, windVector, maxDistance, step, hitTest } (see Projectile.predictTrajectory)
+     */
+    show(origin, velocity, options = {}) {
+        const key = [
+            ...origin.toArray(), ...velocity.toArray(), ...(options.windVector?.toArray() || []),
+            options.weapon?.id, options.maxDistance, this.revision
+        ].join('|');
+
+        if (key !== this.lastKey) {
+            this.lastKey = key;
+            const { points, impact } = Projectile.predictTrajectory(origin, velocity, options);
+            this.setPoints(points);
+
+            this.impactMarker.visible = !!impact;
+            if (impact) {
+                this.impactMarker.position.copy(impact).y += 0.05;
+            }
+        }
+
+        this.line.visible = true;
+    }
+
+    hide() {
+        this.line.visible = false;
+        this.impactMarker.visible = false;
+        this.lastKey = null;
+    }
+
+    /**
+     * Force a re-simulation on the next show() (e.g. after a crater)
+     */
+    invalidate() {
+        this.revision++;
+        this.lastKey = null;
+    }
+
+    setPoints(points) {
+        const attribute = this.line.geometry.getAttribute('position');
+        const count = Math.min(points.length, MAX_POINTS);
+        for (let i = 0; i < count; i++) {
+            attribute.setXYZ(i, points[i].x, points[i].y, points[i].z);
+        }
+        attribute.needsUpdate = true;
+        this.line.geometry.setDrawRange(0, count);
+        this.line.computeLineDistances();
+    }
+
+    dispose() {
+        this.scene.remove(this.line);
+        this.scene.remove(this.impactMarker);
+        this.line.geometry.dispose();
+        this.line.material.dispose();
+        this.impactMarker.geometry.dispose();
+        this.impactMarker.material.dispose();
+    }
+}
@@ -1,4 +1,14 @@
 import { SoundSettings } from './soundSettings.js';
+import { createRandomSeed, normalizeSeed } from './random.js';
+import { validateReplay } from './replay.js';
+import { validateMap } from './customMap.js';
+import { MAX_HOTSEAT_SEATS, MAX_TEAM_SIZE, SEAT_COLORS, TEAM_IDS, createHotSeatConfig, createFreeForAllConfig, createTeamBattleConfig, createCampaignConfig, validateMatchConfig } from './matchSetup.js';
+import { CAMPAIGN_STAGES, getStage, getCompletedStageIds, isStageUnlocked } from './campaign.js';
+import { loadUserRecord } from './progression.js';
+import { AI_PERSONALITIES, DEFAULT_PERSONALITY_ID, RANDOM_PERSONALITY_ID } from './aiPersonalities.js';
+import { CUSTOM_MISSIONS, DEFAULT_MISSION_ID } from './objectives.js';
+import { formatAmmo } from './inventory.js';
+import { BIOMES, DEFAULT_BIOME_ID, TERRAIN_PARAMETERS, getBiome, createTerrainSettings } from './biomes.js';
 
 export class UI {
     constructor(audioManager) {
@@ -10,6 +20,14 @@ export class UI {
         this.healthIndicator = document.getElementById('health-indicator');
         this.actionIndicator = document.getElementById('action-indicator'); 
         this.powerIndicator = document.getElementById('power-indicator');
+        this.weaponIndicator = document.getElementById('weapon-indicator');
+        this.windArrow = document.getElementById('wind-arrow');
+        this.windText = document.getElementById('wind-text');
+        this.allyRoster = document.getElementById('ally-roster');
+        this.objectiveList = document.getElementById('objective-list');
+        this.inventoryBar = document.getElementById('inventory-bar');
+        this.fireAmmoCount = document.getElementById('fire-ammo-count');
+        this.lastWindArrowDegrees = null;
         this.endTurnButton = document.getElementById('end-turn-button');
         this.messageOverlay = document.getElementById('message-overlay');
 
@@ -20,7 +38,17 @@ export class UI {
 
         this.playerName = '';
 
+        // Callback fired when the weapon indicator is clicked/tapped
+        this.onWeaponCycle = null;
+        // Callback fired when an item button is clicked/tapped (itemId)
+        this.onItemUse = null;
+        this.onReplayImport = null;
+        // Callback fired when the map editor is opened from the menu (map to edit, or null)
+        this.onMapEditorOpen = null;
+
         this.setupTurnIndicatorClick();
+        this.setupWeaponIndicatorClick();
+        this.setupInventoryBarClick();
         this.setupDifficultySelector();
         this.setupSoundSettings();
     }
@@ -56,6 +84,46 @@ export class UI {
         this.difficultyOverlay.innerHTML = `
             <div class="difficulty-content">
                 <h2>Select Difficulty Level</h2>
+                <div class="match-mode-options">
+                    <button class="match-mode-btn active" type="button" data-mode="single">👤 Single Player</button>
+                    <button class="match-mode-btn" type="button" data-mode="hotseat">👥 Hot-Seat</button>
+                    <button class="match-mode-btn" type="button" data-mode="ffa" title="Every enemy fights everyone">⚔️ Free-for-All</button>
+                    <button class="match-mode-btn" type="button" data-mode="team" title="You and AI allies against an enemy team">🤝 Team Battle</button>
+                    <button class="match-mode-btn" type="button" data-mode="campaign" title="Five stages, unlocked in order">🎖️ Campaign</button>
+                </div>
+                <div class="campaign-stages" hidden></div>
+                <div class="team-battle-options" hidden>
+                    <label>Allies
+                        <select id="team-allies-select">
+                            ${Array.from({ length: MAX_TEAM_SIZE - 1 }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Enemies
+                        <select id="team-enemies-select">
+                            ${Array.from({ length: MAX_TEAM_SIZE }, (_, i) => `<option value="${i + 1}"${i === 1 ? ' selected' : ''}>${i + 1}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="hotseat-friendly-fire"><input id="team-friendly-fire-toggle" type="checkbox" checked> Friendly fire</label>
+                </div>
+                <div class="hotseat-seats" hidden>
+                    ${SEAT_COLORS.slice(0, MAX_HOTSEAT_SEATS).map((color, index) => `
+                        <div class="hotseat-seat" data-seat="${index}">
+                            <span class="hotseat-swatch" style="background: ${color.css};" title="${color.name}"></span>
+                            <input class="hotseat-name" type="text" maxlength="16" value="Player ${index + 1}" autocomplete="off" spellcheck="false">
+                            <select class="hotseat-type">
+                                <option value="human"${index < 2 ? ' selected' : ''}>Human</option>
+                                <option value="ai">AI</option>
+                                <option value="off"${index >= 2 ? ' selected' : ''}>Off</option>
+                            </select>
+                            <select class="hotseat-team" title="Tanks on the same team don't target each other">
+                                <option value="">Solo</option>
+                                ${TEAM_IDS.map(teamId => `<option value="${teamId}">Team ${teamId}</option>`).join('')}
+                            </select>
+                        </div>
+                    `).join('')}
+                    <label class="hotseat-friendly-fire"><input id="friendly-fire-toggle" type="checkbox" checked> Friendly fire <small>(shells hurt teammates)</small></label>
+                    <span id="hotseat-status" class="hotseat-status"></span>
+                </div>
                 <div class="difficulty-options">
                     <button class="difficulty-btn" data-difficulty="sargent">
                         <h3>🟢 Sargent</h3>
@@ -79,11 +147,89 @@ export class UI {
                         <p>• Maximum challenge!</p>
                     </button>
                 </div>
+                <div class="seed-options">
+                    <label for="seed-input">Battlefield Seed</label>
+                    <input id="seed-input" type="text" maxlength="32" placeholder="Random" autocomplete="off" spellcheck="false">
+                    <button id="seed-random-btn" type="button" title="Roll a random seed">🎲</button>
+                </div>
+                <div class="terrain-option">
+                    <label for="terrain-select">Terrain</label>
+                    <select id="terrain-select">
+                        ${Object.values(BIOMES).map(biome => `
+                            <option value="${biome.id}"${biome.id === DEFAULT_BIOME_ID ? ' selected' : ''}>${biome.icon} ${biome.name}</option>
+                        `).join('')}
+                    </select>
+                    ${Object.entries(TERRAIN_PARAMETERS).map(([key, range]) => `
+                        <label class="terrain-parameter">${range.name}
+                            <input type="range" data-parameter="${key}" min="${range.min}" max="${range.max}" step="${range.step}">
+                            <output></output>
+                        </label>
+                    `).join('')}
+                    <span id="terrain-description" class="personality-description"></span>
+                </div>
+                <div class="hardcore-option">
+                    <label><input id="hardcore-toggle" type="checkbox"> ☠️ Hardcore <small>(no aiming guide)</small></label>
+                </div>
+                <div class="personality-option">
+                    <label for="ai-personality-select">Enemy AI</label>
+                    <select id="ai-personality-select">
+                        ${Object.values(AI_PERSONALITIES).map(personality => `
+                            <option value="${personality.id}"${personality.id === DEFAULT_PERSONALITY_ID ? ' selected' : ''}>${personality.icon} ${personality.name}</option>
+                        `).join('')}
+                        <option value="${RANDOM_PERSONALITY_ID}">🎲 Random Mix</option>
+                    </select>
+                    <span id="ai-personality-description" class="personality-description"></span>
+                </div>
+                <div class="mission-option">
+                    <label for="mission-select">Mission</label>
+                    <select id="mission-select">
+                        ${Object.values(CUSTOM_MISSIONS).map(mission => `
+                            <option value="${mission.id}"${mission.id === DEFAULT_MISSION_ID ? ' selected' : ''}>${mission.name}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="replay-options">
+                    <button id="replay-load-btn" type="button">🎬 Load Replay</button>
+                    <input id="replay-file-input" type="file" accept=".json,application/json" hidden>
+                    <span id="replay-load-status" class="replay-load-status"></span>
+                </div>
+                <div class="map-options">
+                    <button id="map-load-btn" type="button">🗺️ Load Map</button>
+                    <button id="map-editor-btn" type="button">🛠️ Map Editor</button>
+                    <input id="map-file-input" type="file" accept=".json,application/json" hidden>
+                    <span id="map-name" class="map-name" hidden></span>
+                    <button id="map-clear-btn" type="button" title="Play on the seeded island" hidden>✕</button>
+                    <span id="map-load-status" class="replay-load-status"></span>
+                </div>
             </div>
         `;
 
         document.body.appendChild(this.difficultyOverlay);
 
+        this.seedInput = this.difficultyOverlay.querySelector('#seed-input');
+        this.hardcoreToggle = this.difficultyOverlay.querySelector('#hardcore-toggle');
+        this.personalitySelect = this.difficultyOverlay.querySelector('#ai-personality-select');
+        this.missionOption = this.difficultyOverlay.querySelector('.mission-option');
+        this.missionSelect = this.difficultyOverlay.querySelector('#mission-select');
+        const personalityDescription = this.difficultyOverlay.querySelector('#ai-personality-description');
+        const describePersonality = () => {
+            personalityDescription.textContent = AI_PERSONALITIES[this.personalitySelect.value]?.description
+                || 'Every enemy gets a different personality';
+        };
+        this.personalitySelect.addEventListener('change', describePersonality);
+        describePersonality();
+        this.difficultyOverlay.querySelector('#seed-random-btn').addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSound('click', 0.5);
+            }
+            this.seedInput.value = createRandomSeed();
+        });
+
+        this.setupTerrainOptions();
+        this.setupReplayImport();
+        this.setupMapOptions();
+        this.setupMatchModeSelector();
+
         // Initially hide it
         this.difficultyOverlay.style.display = 'none';
         // Add event listeners
@@ -101,8 +247,320 @@ export class UI {
         });
     }
 
+    /**
+     * Biome picker with its terrain parameters; picking a biome resets the sliders to its defaults
+     */
+    setupTerrainOptions() {
+        this.terrainOption = this.difficultyOverlay.querySelector('.terrain-option');
+        this.terrainSelect = this.difficultyOverlay.querySelector('#terrain-select');
+        this.terrainInputs = Array.from(this.terrainOption.querySelectorAll('input[data-parameter]'));
+        const description = this.difficultyOverlay.querySelector('#terrain-description');
+
+        const showValue = input => {
+            input.nextElementSibling.textContent = Number(input.value).toFixed(2);
+        };
+        const resetParameters = () => {
+            const biome = getBiome(this.terrainSelect.value);
+            description.textContent = biome.description;
+            this.terrainInputs.forEach(input => {
+                input.value = biome.terrain[input.dataset.parameter];
+                showValue(input);
+            });
+        };
+
+        this.terrainInputs.forEach(input => input.addEventListener('input', () => showValue(input)));
+        this.terrainSelect.addEventListener('change', resetParameters);
+        resetParameters();
+    }
+
+    /**
+     * Terrain settings picked in the menu
+     * @returns {Object} { biome, roughness, heightScale, waterLevel } (see biomes.js)
+     */
+    getTerrainSettings() {
+        const overrides = {};
+        this.terrainInputs.forEach(input => {
+            overrides[input.dataset.parameter] = Number(input.value);
+        });
+        return createTerrainSettings(this.terrainSelect.value, overrides);
+    }
+
+    /**
+     * Let the user pick a replay file from the difficulty menu
+     */
+    setupReplayImport() {
+        const fileInput = this.difficultyOverlay.querySelector('#replay-file-input');
+        const status = this.difficultyOverlay.querySelector('#replay-load-status');
+
+        this.difficultyOverlay.querySelector('#replay-load-btn').addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSound('click', 0.5);
+            }
+            status.textContent = '';
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const data = JSON.parse(await file.text());
+                const error = validateReplay(data);
+                if (error) {
+                    status.textContent = error;
+                    return;
+                }
+
+                this.difficultyOverlay.style.display = 'none';
+                if (this.onReplayImport) {
+                    this.onReplayImport(data);
+                }
+            } catch (e) {
+                console.error('Failed to load replay:', e);
+                status.textContent = 'Could not read replay file';
+            }
+        });
+    }
+
+    /**
+     * Let the user load a custom map for the next matches, or open the map editor
+     * (on the loaded map, if there is one)
+     */
+    setupMapOptions() {
+        this.customMap = null;
+        this.mapNameLabel = this.difficultyOverlay.querySelector('#map-name');
+        this.mapClearButton = this.difficultyOverlay.querySelector('#map-clear-btn');
+        const fileInput = this.difficultyOverlay.querySelector('#map-file-input');
+        const status = this.difficultyOverlay.querySelector('#map-load-status');
+
+        this.difficultyOverlay.querySelector('#map-load-btn').addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSound('click', 0.5);
+            }
+            status.textContent = '';
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const data = JSON.parse(await file.text());
+                const error = validateMap(data);
+                if (error) {
+                    status.textContent = error;
+                    return;
+                }
+                this.setCustomMap(data);
+            } catch (e) {
+                console.error('Failed to load map:', e);
+                status.textContent = 'Could not read map file';
+            }
+        });
+
+        this.difficultyOverlay.querySelector('#map-editor-btn').addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSound('click', 0.5);
+            }
+            status.textContent = '';
+            this.difficultyOverlay.style.display = 'none';
+            if (this.onMapEditorOpen) {
+                this.onMapEditorOpen(this.customMap);
+            }
+        });
+
+        this.mapClearButton.addEventListener('click', () => this.setCustomMap(null));
+    }
+
+    /**
+     * Map the next matches are played on (campaign stages keep their own)
+     * @param {Object|null} map - Map data (already validated), null for the seeded island
+     */
+    setCustomMap(map) {
+        this.customMap = map;
+        this.mapNameLabel.textContent = map ? `🗺️ ${map.name}` : '';
+        this.mapNameLabel.hidden = !map;
+        this.mapClearButton.hidden = !map;
+
+        // A loaded map brings its own terrain and props
+        this.terrainOption.classList.toggle('disabled', !!map);
+        this.terrainOption.title = map ? 'The loaded map brings its own terrain' : '';
+        [this.terrainSelect, ...this.terrainInputs].forEach(control => {
+            control.disabled = !!map;
+        });
+    }
+
+    /**
+     * Single player / hot-seat / free-for-all / team battle toggle, the hot-seat seat rows
+     * and the team battle options
+     */
+    setupMatchModeSelector() {
+        this.matchMode = 'single';
+        this.hotSeatPanel = this.difficultyOverlay.querySelector('.hotseat-seats');
+        this.teamBattlePanel = this.difficultyOverlay.querySelector('.team-battle-options');
+        this.campaignPanel = this.difficultyOverlay.querySelector('.campaign-stages');
+        this.hotSeatStatus = this.difficultyOverlay.querySelector('#hotseat-status');
+        this.friendlyFireToggle = this.difficultyOverlay.querySelector('#friendly-fire-toggle');
+
+        this.difficultyOverlay.querySelectorAll('.match-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.audioManager) {
+                    this.audioManager.playSound('click', 0.5);
+                }
+                this.matchMode = btn.dataset.mode;
+                this.difficultyOverlay.querySelectorAll('.match-mode-btn').forEach(other => {
+                    other.classList.toggle('active', other === btn);
+                });
+                this.hotSeatPanel.hidden = this.matchMode !== 'hotseat';
+                this.teamBattlePanel.hidden = this.matchMode !== 'team';
+                this.updateCampaignPanel();
+                // Hot-seat matches have no player tank to give a mission; stages bring their own
+                this.missionOption.hidden = this.matchMode === 'hotseat' || this.matchMode === 'campaign';
+                this.hotSeatStatus.textContent = '';
+            });
+        });
+
+        // Default names follow the seat type so AI seats read as AI
+        this.hotSeatPanel.querySelectorAll('.hotseat-seat').forEach(row => {
+            const nameInput = row.querySelector('.hotseat-name');
+            const typeSelect = row.querySelector('.hotseat-type');
+            const teamSelect = row.querySelector('.hotseat-team');
+            typeSelect.addEventListener('change', () => {
+                const seatNumber = Number(row.dataset.seat) + 1;
+                if (/^(Player|AI) \d$/.test(nameInput.value)) {
+                    nameInput.value = typeSelect.value === 'ai' ? `AI ${seatNumber}` : `Player ${seatNumber}`;
+                }
+                nameInput.disabled = typeSelect.value === 'off';
+                teamSelect.disabled = typeSelect.value === 'off';
+                this.hotSeatStatus.textContent = '';
+            });
+            nameInput.disabled = typeSelect.value === 'off';
+            teamSelect.disabled = typeSelect.value === 'off';
+            teamSelect.addEventListener('change', () => {
+                this.hotSeatStatus.textContent = '';
+            });
+        });
+    }
+
+    /**
+     * Show the stage select instead of the difficulty buttons in campaign mode; stages
+     * set their own difficulty, seed and enemies
+     */
+    updateCampaignPanel() {
+        const isCampaign = this.matchMode === 'campaign';
+        this.campaignPanel.hidden = !isCampaign;
+        ['.difficulty-options', '.seed-options', '.terrain-option', '.personality-option'].forEach(selector => {
+            this.difficultyOverlay.querySelector(selector).hidden = isCampaign;
+        });
+        if (!isCampaign) return;
+
+        const record = loadUserRecord();
+        const completed = getCompletedStageIds(record);
+        this.campaignPanel.replaceChildren();
+        CAMPAIGN_STAGES.forEach(stage => {
+            const unlocked = isStageUnlocked(record, stage.id);
+            const card = document.createElement('button');
+            card.type = 'button';
+            card.className = 'campaign-stage-card';
+            card.classList.toggle('locked', !unlocked);
+            card.disabled = !unlocked;
+            card.title = unlocked ? stage.description : `Clear stage ${stage.number - 1} to unlock`;
+
+            const image = document.createElement('img');
+            image.src = stage.image;
+            image.alt = stage.name;
+
+            const name = document.createElement('span');
+            name.className = 'campaign-stage-name';
+            name.textContent = `${stage.number}. ${stage.name}`;
+
+            const status = document.createElement('span');
+            status.className = 'campaign-stage-status';
+            if (!unlocked) {
+                status.textContent = '🔒 Locked';
+            } else {
+                const difficulty = stage.difficulty.charAt(0).toUpperCase() + stage.difficulty.slice(1);
+                status.textContent = completed.includes(stage.id) ? `✅ Cleared · ${difficulty}` : `⚔️ ${difficulty}`;
+            }
+
+            card.append(image, name, status);
+            card.addEventListener('click', () => {
+                if (this.audioManager) {
+                    this.audioManager.playSound('enterTank', 0.5);
+                }
+                this.onStageSelected(stage.id);
+            });
+            this.campaignPanel.appendChild(card);
+        });
+    }
+
+    /**
+     * Match config for the selected mode
+     * @returns {Object|null} Hot-seat, free-for-all or team battle config, or null for single player
+     */
+    getMatchConfig() {
+        if (this.matchMode === 'ffa') {
+            return createFreeForAllConfig({ playerName: this.getPlayerName() });
+        }
+        if (this.matchMode === 'team') {
+            const panel = this.teamBattlePanel;
+            return createTeamBattleConfig({
+                playerName: this.getPlayerName(),
+                allies: Number(panel.querySelector('#team-allies-select').value),
+                enemies: Number(panel.querySelector('#team-enemies-select').value),
+                friendlyFire: panel.querySelector('#team-friendly-fire-toggle').checked
+            });
+        }
+        if (this.matchMode !== 'hotseat') return null;
+
+        const seats = [...this.hotSeatPanel.querySelectorAll('.hotseat-seat')].map(row => ({
+            name: row.querySelector('.hotseat-name').value,
+            type: row.querySelector('.hotseat-type').value,
+            team: row.querySelector('.hotseat-team').value || undefined
+        }));
+        return createHotSeatConfig(seats, { friendlyFire: !!this.friendlyFireToggle?.checked });
+    }
+
     onDifficultySelected(difficulty) {
+        const matchConfig = this.getMatchConfig();
+        const configError = validateMatchConfig(matchConfig);
+        if (configError) {
+            this.hotSeatStatus.textContent = configError;
+            return;
+        }
+
+        this.launchMatch(difficulty, normalizeSeed(this.seedInput?.value), matchConfig);
+    }
+
+    /**
+     * Start a campaign stage (its difficulty and seed come with it)
+     * @param {string} stageId - Stage identifier
+     */
+    onStageSelected(stageId) {
+        const stage = getStage(stageId);
+        if (!stage || !isStageUnlocked(loadUserRecord(), stageId)) return;
+        this.launchMatch(stage.difficulty, stage.seed, createCampaignConfig(stage, { playerName: this.getPlayerName() }));
+    }
+
+    /**
+     * Close the menu and hand the chosen match to the game
+     * @param {string} difficulty - Difficulty key
+     * @param {string|null} seed - Battlefield seed (null for a random one)
+     * @param {Object|null} matchConfig - Match config
+     */
+    launchMatch(difficulty, seed, matchConfig) {
         this.selectedDifficulty = difficulty;
+        const options = {
+            hardcore: !!this.hardcoreToggle?.checked,
+            aiPersonality: this.personalitySelect?.value || DEFAULT_PERSONALITY_ID,
+            objectives: CUSTOM_MISSIONS[this.missionSelect?.value]?.objectives ?? null,
+            map: this.customMap,
+            terrain: this.getTerrainSettings()
+        };
 
         // Add exit animation
         this.difficultyOverlay.style.transform = 'scale(0.95)';
@@ -114,12 +572,13 @@ export class UI {
 
             // Trigger game start with selected difficulty
             if (this.onDifficultyChange) {
-                this.onDifficultyChange(difficulty);
+                this.onDifficultyChange(difficulty, seed, matchConfig, options);
             }
         }, 500);
     }
 
     showDifficultySelector() {
+        this.updateCampaignPanel(); // A won stage may have unlocked the next one
         this.difficultyOverlay.style.display = 'flex';
         this.difficultyOverlay.style.transform = 'scale(1)';
         this.difficultyOverlay.style.opacity = '1';        
@@ -173,10 +632,91 @@ export class UI {
         // Use shorter format for mobile - just show current value
         this.fuelIndicator.textContent = `Fuel: ${Math.floor(current)}`;
     } updateHealth(tankId, current, max) {
+        // Allies have their own rows; the HP readout belongs to the tank in play
+        if (this.updateAllyHealth(tankId, current, max)) return;
         // Simplified format for mobile - just show HP value
         this.healthIndicator.textContent = `HP: ${current}`;
     }
 
+    /**
+     * Show the allied tanks' names and health bars (hidden when there are none)
+     * @param {Array<{id: string, name: string, current: number, max: number}>} allies - Allied tanks
+     */
+    showAllyRoster(allies) {
+        if (!this.allyRoster) return;
+        this.allyRoster.replaceChildren();
+        this.allyRoster.hidden = allies.length === 0;
+
+        allies.forEach(ally => {
+            const row = document.createElement('div');
+            row.className = 'ally-row';
+            row.dataset.tankId = ally.id;
+
+            const name = document.createElement('span');
+            name.className = 'ally-name';
+            name.textContent = ally.name;
+
+            const bar = document.createElement('span');
+            bar.className = 'ally-health-bar';
+            const fill = document.createElement('span');
+            fill.className = 'ally-health-fill';
+            bar.appendChild(fill);
+
+            const value = document.createElement('span');
+            value.className = 'ally-health-value';
+
+            row.append(name, bar, value);
+            this.allyRoster.appendChild(row);
+            this.updateAllyHealth(ally.id, ally.current, ally.max);
+        });
+    }
+
+    /**
+     * Refresh one ally's row
+     * @param {string} tankId - Tank identifier
+     * @param {number} current - Current health
+     * @param {number} max - Maximum health
+     * @returns {boolean} True when the tank is a listed ally
+     */
+    updateAllyHealth(tankId, current, max) {
+        const row = [...(this.allyRoster?.children || [])].find(child => child.dataset.tankId === tankId);
+        if (!row) return false;
+
+        const percent = max > 0 ? Math.max(0, Math.min(1, current / max)) : 0;
+        const fill = row.querySelector('.ally-health-fill');
+        fill.style.width = `${Math.round(percent * 100)}%`;
+        fill.style.background = percent > 0.6 ? '#00ff41' : (percent > 0.3 ? '#ffaa00' : '#ff4444');
+        row.querySelector('.ally-health-value').textContent = current > 0 ? `${current}` : '☠️';
+        row.classList.toggle('destroyed', current <= 0);
+        return true;
+    }
+
+    /**
+     * Show the mission objectives and their progress (hidden when there are none)
+     * @param {Array<{icon: string, text: string, progress: string, status: string}>} objectives - Evaluated objectives
+     */
+    showObjectives(objectives) {
+        if (!this.objectiveList) return;
+        this.objectiveList.replaceChildren();
+        this.objectiveList.hidden = objectives.length === 0;
+
+        objectives.forEach(objective => {
+            const row = document.createElement('div');
+            row.className = `objective-row ${objective.status}`;
+
+            const text = document.createElement('span');
+            text.className = 'objective-text';
+            text.textContent = `${objective.icon} ${objective.text}`;
+
+            const progress = document.createElement('span');
+            progress.className = 'objective-progress';
+            progress.textContent = objective.progress;
+
+            row.append(text, progress);
+            this.objectiveList.appendChild(row);
+        });
+    }
+
     updateActionIndicator(text) {
         this.actionIndicator.textContent = `Actions: ${text}`;
     }
@@ -184,6 +724,100 @@ export class UI {
         // Simplified format for mobile - just show current power
         this.powerIndicator.textContent = `Power: ${current}%`;
     }
+    /**
+     * Show the selected weapon and its rounds left (also on the mobile fire button)
+     * @param {Object} weapon - Weapon definition
+     * @param {number} ammo - Rounds left (Infinity when unlimited)
+     */
+    updateWeaponIndicator(weapon, ammo = Infinity) {
+        if (!this.weaponIndicator || !weapon) return;
+        const rounds = Number.isFinite(ammo) ? ` ${formatAmmo(ammo)}` : '';
+        this.weaponIndicator.textContent = `${weapon.icon} ${weapon.name}${rounds}`;
+        this.weaponIndicator.title = `Damage ${weapon.damage} · Blast ${weapon.blastRadius}m (R / 1-9 to switch)`;
+        if (this.fireAmmoCount) {
+            this.fireAmmoCount.textContent = formatAmmo(ammo);
+        }
+    }
+
+    /**
+     * Show the actions left this turn and the item buttons (HUD and mobile controls)
+     * @param {Object} summary - From Tank.getInventorySummary
+     */
+    updateInventory(summary) {
+        if (!this.inventoryBar) return;
+        this.inventoryBar.hidden = false;
+        this.inventoryBar.replaceChildren();
+
+        const actions = document.createElement('span');
+        actions.className = 'inventory-actions';
+        actions.textContent = `⚡ ${summary.actionsLeft}/${summary.actionsPerTurn}`;
+        actions.title = 'Actions left this turn (firing and items use one each)';
+        this.inventoryBar.appendChild(actions);
+
+        summary.items.forEach(item => {
+            const disabled = item.count === 0 || summary.actionsLeft === 0;
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'inventory-item';
+            button.dataset.itemId = item.id;
+            button.disabled = disabled;
+            button.textContent = `${item.icon} ${item.count}`;
+            button.title = `${item.name} (${item.keyLabel})`;
+            this.inventoryBar.appendChild(button);
+
+            const mobileButton = document.querySelector(`#mobile-controls [data-item-id="${item.id}"]`);
+            if (mobileButton) {
+                mobileButton.disabled = disabled;
+                mobileButton.querySelector('.button-count').textContent = item.count;
+            }
+        });
+    }
+
+    updateWindIndicator(strength, presetName = '') {
+        if (!this.windText) return;
+        const label = strength < 0.05 ? 'Calm' : strength.toFixed(1);
+        this.windText.textContent = `Wind: ${label}`;
+        if (this.windArrow) {
+            this.windArrow.style.visibility = strength < 0.05 ? 'hidden' : 'visible';
+        }
+        if (this.windText.parentNode) {
+            this.windText.parentNode.title = presetName ? `${presetName} wind` : 'Wind';
+        }
+    }
+
+    updateWindArrow(screenAngleRadians) {
+        if (!this.windArrow) return;
+        const degrees = Math.round(screenAngleRadians * 180 / Math.PI);
+        if (degrees === this.lastWindArrowDegrees) return;
+        this.lastWindArrowDegrees = degrees;
+        this.windArrow.style.transform = `rotate(${degrees}deg)`;
+    }
+
+    setupWeaponIndicatorClick() {
+        if (!this.weaponIndicator) return;
+        this.weaponIndicator.addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSound('click', 0.5);
+            }
+            if (this.onWeaponCycle) {
+                this.onWeaponCycle();
+            }
+        });
+    }
+
+    setupInventoryBarClick() {
+        if (!this.inventoryBar) return;
+        // Item buttons are re-rendered, so listen on the bar
+        this.inventoryBar.addEventListener('click', (e) => {
+            const button = e.target.closest('.inventory-item');
+            if (!button || button.disabled) return;
+            if (this.audioManager) {
+                this.audioManager.playSound('click', 0.5);
+            }
+            this.onItemUse?.(button.dataset.itemId);
+        });
+    }
+
     updateBarrelElevation(elevationRadians) {
         // Convert radians to degrees for display
         const elevationDegrees = Math.round(elevationRadians * 180 / Math.PI);
@@ -0,0 +1,220 @@
+/**
+ * Weapon Registry
+ * Defines every projectile type a tank can fire. Each entry describes the
+ * ballistic properties (mass, drag, radius), the damage it deals, the blast
+ * and crater it leaves behind, and how the round looks in flight.
+ *
+ * Optional `behavior` flags enable special handling (see WEAPON_BEHAVIORS):
+ *  - 'mirv'   : splits into several warheads at the top of its arc
+ *  - 'roller' : rolls downhill after touching the ground, then detonates
+ *  - 'napalm' : leaves a burning patch that damages tanks over time
+ *  - 'tunnel' : bores on through the ground along its flight path (up to tunnelLength
+ *               meters) and flies on if it comes out the other side of the hill
+ * Other weapons are plain shells told apart by their numbers alone: the Dirt Clod's
+ * mound is a negative craterDepth, which raises the ground instead of digging.
+ *
+ * `ammo` is the number of rounds a tank carries into a match (null = unlimited,
+ * see inventory.js).
+ */
+
+export const DEFAULT_WEAPON_ID = 'basic';
+export const WEAPON_BEHAVIORS = ['mirv', 'roller', 'napalm', 'tunnel'];
+
+export const WEAPON_TYPES = {
+    basic: {
+        id: 'basic',
+        name: 'Standard Shell',
+        icon: '●',
+        price: 0,                   // Tank Shop price in credits (0 = always owned)
+        ammo: null,                 // Rounds per match (null = unlimited)
+        damage: 55,
+        blastRadius: 4,
+        craterRadius: 4,
+        craterDepth: 1.5,
+        mass: 5.0,
+        dragCoefficient: 0.47,
+        radius: 0.25,
+        color: null,                // Tinted by shooter (cyan player, orange AI)
+        behavior: null
+    },
+    babyMissile: {
+        id: 'babyMissile',
+        name: 'Baby Missile',
+        icon: '•',
+        price: 0,
+        ammo: 10,
+        damage: 30,
+        blastRadius: 3,
+        craterRadius: 3,
+        craterDepth: 1.0,
+        mass: 3.0,
+        dragCoefficient: 0.3,
+        radius: 0.18,
+        color: 0xffffff,
+        behavior: null
+    },
+    heavyShell: {
+        id: 'heavyShell',
+        name: 'Heavy Shell',
+        icon: '⬤',
+        price: 600,
+        ammo: 5,
+        damage: 80,
+        blastRadius: 5,
+        craterRadius: 5,
+        craterDepth: 2.2,
+        mass: 9.0,
+        dragCoefficient: 0.5,
+        radius: 0.35,
+        color: 0xffaa00,
+        behavior: null
+    },
+    nuke: {
+        id: 'nuke',
+        name: 'Nuke',
+        icon: '☢',
+        price: 2500,
+        ammo: 1,
+        damage: 120,
+        blastRadius: 12,
+        craterRadius: 10,
+        craterDepth: 5.0,
+        mass: 12.0,
+        dragCoefficient: 0.45,
+        radius: 0.45,
+        color: 0x66ff33,
+        behavior: null
+    },
+    mirv: {
+        id: 'mirv',
+        name: 'MIRV',
+        icon: '⁂',
+        price: 1800,
+        ammo: 2,
+        damage: 20,
+        blastRadius: 3,
+        craterRadius: 3,
+        craterDepth: 1.0,
+        mass: 8.0,
+        dragCoefficient: 0.47,
+        radius: 0.3,
+        color: 0xff44ff,
+        behavior: 'mirv',
+        warheads: 5,
+        warheadSpread: 6,           // Lateral velocity (m/s) given to each warhead
+        warheadWeapon: 'mirvWarhead'
+    },
+    mirvWarhead: {
+        id: 'mirvWarhead',
+        name: 'MIRV Warhead',
+        icon: '∙',
+        damage: 35,
+        blastRadius: 4,
+        craterRadius: 3.5,
+        craterDepth: 1.2,
+        mass: 3.0,
+        dragCoefficient: 0.47,
+        radius: 0.18,
+        color: 0xff88ff,
+        behavior: null,
+        hidden: true                // Not selectable, only spawned by a MIRV
+    },
+    roller: {
+        id: 'roller',
+        name: 'Roller',
+        icon: '◍',
+        price: 900,
+        ammo: 3,
+        damage: 60,
+        blastRadius: 5,
+        craterRadius: 4,
+        craterDepth: 1.5,
+        mass: 6.0,
+        dragCoefficient: 0.47,
+        radius: 0.3,
+        color: 0xdddd22,
+        behavior: 'roller',
+        rollDuration: 4,            // Seconds of rolling before detonating
+        rollFriction: 0.8           // Fraction of speed kept per second on flat ground
+    },
+    digger: {
+        id: 'digger',
+        name: 'Digger',
+        icon: '⛏',
+        price: 700,
+        ammo: 3,
+        damage: 20,
+        blastRadius: 2.5,
+        craterRadius: 2.5,
+        craterDepth: 5.0,
+        mass: 7.0,
+        dragCoefficient: 0.35,
+        radius: 0.22,
+        color: 0x996633,
+        behavior: 'tunnel',
+        tunnelLength: 14,           // Meters of ground it bores through
+        tunnelRadius: 1.5           // Half-width of the trench it leaves
+    },
+    napalm: {
+        id: 'napalm',
+        name: 'Napalm',
+        icon: '🔥',
+        price: 1200,
+        ammo: 2,
+        damage: 25,
+        blastRadius: 6,
+        craterRadius: 3,
+        craterDepth: 0.4,
+        mass: 5.0,
+        dragCoefficient: 0.55,
+        radius: 0.28,
+        color: 0xff3300,
+        behavior: 'napalm',
+        burnDuration: 4,            // Seconds the fire keeps burning
+        burnDamagePerSecond: 8
+    },
+    dirtClod: {
+        id: 'dirtClod',
+        name: 'Dirt Clod',
+        icon: '▲',
+        price: 400,
+        ammo: 4,
+        damage: 0,
+        blastRadius: 5,
+        craterRadius: 5,
+        craterDepth: -3.0,          // Negative depth raises the terrain
+        mass: 6.0,
+        dragCoefficient: 0.5,
+        radius: 0.3,
+        color: 0x8b5a2b,
+        behavior: null
+    }
+};
+
+/**
+ * Get a weapon definition by id, falling back to the standard shell
+ * @param {string} weaponId - Weapon identifier
+ * @returns {Object} Weapon definition
+ */
+export function getWeapon(weaponId) {
+    return WEAPON_TYPES[weaponId] || WEAPON_TYPES[DEFAULT_WEAPON_ID];
+}
+
+/**
+ * Check whether a weapon id exists in the registry
+ * @param {string} weaponId - Weapon identifier
+ * @returns {boolean} Whether the weapon is known
+ */
+export function isValidWeapon(weaponId) {
+    return Object.prototype.hasOwnProperty.call(WEAPON_TYPES, weaponId);
+}
+
+/**
+ * Get the ids of all weapons a player can select
+ * @returns {Array<string>} Selectable weapon ids in display order
+ */
+export function getSelectableWeaponIds() {
+    return Object.values(WEAPON_TYPES)
+        .filter(weapon => !weapon.hidden)
+        .map(weapon => weapon.id);
+}
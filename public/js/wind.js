@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+
+/**
+ * Wind presets selectable by difficulty.
+ * Strength is the horizontal acceleration (m/s²) applied to projectiles at altitude.
+ */
+export const WIND_PRESETS = {
+    calm: {
+        name: 'Calm',
+        minStrength: 0,
+        maxStrength: 0.5,
+        changeChance: 0,            // Chance per turn that the wind shifts
+        maxDirectionShift: 0,       // Radians
+        maxStrengthShift: 0
+    },
+    variable: {
+        name: 'Variable',
+        minStrength: 0.3,
+        maxStrength: 1.5,
+        changeChance: 0.5,
+        maxDirectionShift: Math.PI / 4,
+        maxStrengthShift: 0.4
+    },
+    gusty: {
+        name: 'Gusty',
+        minStrength: 1.0,
+        maxStrength: 3.0,
+        changeChance: 1.0,
+        maxDirectionShift: Math.PI / 2,
+        maxStrengthShift: 1.0
+    }
+};
+
+export const DEFAULT_WIND_PRESET = 'variable';
+
+/**
+ * Match wind state owned by the Game.
+ * Rolled once at match start, optionally shifts between turns,
+ * and is shared by every projectile fired during the match.
+ */
+export class WindSystem {
+    /**
+     * @param {string} presetName - Key of WIND_PRESETS
+     * @param {Function} random - Random number source returning [0, 1)
+     */
+    constructor(presetName = DEFAULT_WIND_PRESET, random = Math.random) {
+        this.random = random;
+        this.presetName = presetName;
+        this.preset = WIND_PRESETS[presetName] || WIND_PRESETS[DEFAULT_WIND_PRESET];
+        this.direction = 0; // Radians, 0 = +X, PI/2 = +Z
+        this.strength = 0;
+        this.vector = new THREE.Vector3();
+    }
+
+    /**
+     * Roll a fresh wind for a new match
+     * @param {string} presetName - Key of WIND_PRESETS
+     * @param {Function} random - Optional new random source
+     */
+    reset(presetName = this.presetName, random = this.random) {
+        this.random = random;
+        this.presetName = WIND_PRESETS[presetName] ? presetName : DEFAULT_WIND_PRESET;
+        this.preset = WIND_PRESETS[this.presetName];
+
+        this.direction = this.random() * Math.PI * 2;
+        this.strength = THREE.MathUtils.lerp(this.preset.minStrength, this.preset.maxStrength, this.random());
+        this.updateVector();
+
+        console.log(`Wind reset (${this.preset.name}): ${this.strength.toFixed(2)} toward ${(this.direction * 180 / Math.PI).toFixed(0)}°`);
+    }
+
+    /**
+     * Possibly shift the wind between turns, depending on the preset
+     * @returns {boolean} Whether the wind changed
+     */
+    advanceTurn() {
+        if (this.random() >= this.preset.changeChance) return false;
+
+        this.direction += (this.random() * 2 - 1) * this.preset.maxDirectionShift;
+        this.direction = THREE.MathUtils.euclideanModulo(this.direction, Math.PI * 2);
+        this.strength += (this.random() * 2 - 1) * this.preset.maxStrengthShift;
+        this.strength = THREE.MathUtils.clamp(this.strength, this.preset.minStrength, this.preset.maxStrength);
+        this.updateVector();
+
+        console.log(`Wind shifted: ${this.strength.toFixed(2)} toward ${(this.direction * 180 / Math.PI).toFixed(0)}°`);
+        return true;
+    }
+
+    /**
+     * Restore a recorded wind (used by match replays)
+     * @param {number} direction - Radians
+     * @param {number} strength - Acceleration in m/s²
+     */
+    setState(direction, strength) {
+        this.direction = direction;
+        this.strength = strength;
+        this.updateVector();
+    }
+
+    updateVector() {
+        this.vector.set(
+            Math.cos(this.direction) * this.strength,
+            0,
+            Math.sin(this.direction) * this.strength
+        );
+    }
+
+    /**
+     * Get the current wind as an acceleration vector
+     * @returns {THREE.Vector3} Copy of the wind vector
+     */
+    getVector() {
+        return this.vector.clone();
+    }
+
+    /**
+     * Angle of the wind as seen from a camera, for drawing a HUD arrow.
+     * 0 means blowing away from the camera, positive angles turn clockwise.
+     * @param {THREE.Camera} camera - Viewing camera
+     * @returns {number} Screen angle in radians
+     */
+    getScreenAngle(camera) {
+        const forward = new THREE.Vector3();
+        camera.getWorldDirection(forward);
+        forward.y = 0;
+        if (forward.lengthSq() < 1e-6) forward.set(0, 0, -1);
+        forward.normalize();
+        const right = new THREE.Vector3(-forward.z, 0, forward.x);
+
+        return Math.atan2(this.vector.dot(right), this.vector.dot(forward));
+    }
+}
@@ -0,0 +1,368 @@
+/**
+ * Game Server
+ * WebSocket server for networked matches: rooms, turn authority, shot broadcast and
+ * terrain-deformation sync. Every client simulates shots itself from the broadcast launch
+ * state; the room host is authoritative for craters and eliminations.
+ *
+ * Messages are JSON objects with a `type` field (see MULTIPLAYER.md, "Local Game Server").
+ */
+import { randomInt } from 'node:crypto';
+import { WebSocketServer, WebSocket } from 'ws';
+import { Room } from './room.js';
+
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 4;
+const MAX_NAME_LENGTH = 16;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+export class GameServer {
+    /**
+     * @param {Object} options - { port, host } (port 0 picks a free port)
+     */
+    constructor(options = {}) {
+        this.port = options.port ?? 8080;
+        this.host = options.host;
+        this.wss = null;
+        this.clients = new Map(); // playerId -> { id, socket, name, roomId }
+        this.rooms = new Map(); // roomId -> Room
+        this.nextClientId = 1;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<number>} Port the server listens on
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.wss = new WebSocketServer({ port: this.port, host: this.host, maxPayload: MAX_MESSAGE_BYTES });
+            this.wss.once('error', reject);
+            this.wss.once('listening', () => {
+                this.port = this.wss.address().port;
+                console.log(`Game server listening on ws://${this.host || 'localhost'}:${this.port}`);
+                resolve(this.port);
+            });
+            this.wss.on('connection', socket => this.handleConnection(socket));
+        });
+    }
+
+    /**
+     * Close every connection and stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.wss) return Promise.resolve();
+        this.clients.forEach(client => client.socket.terminate());
+        this.clients.clear();
+        this.rooms.clear();
+
+        return new Promise(resolve => {
+            this.wss.close(() => resolve());
+            this.wss = null;
+        });
+    }
+
+    handleConnection(socket) {
+        const client = { id: `p${this.nextClientId++}`, socket, name: 'Commander', roomId: null };
+        this.clients.set(client.id, client);
+        this.send(client, 'welcome', { playerId: client.id });
+
+        socket.on('message', raw => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (error) {
+                this.sendError(client, 'Malformed message');
+                return;
+            }
+            this.handleMessage(client, message);
+        });
+
+        socket.on('close', () => {
+            this.leaveRoom(client);
+            this.clients.delete(client.id);
+        });
+    }
+
+    /**
+     * Route one client message
+     * @param {Object} client - Sending client
+     * @param {Object} message - Parsed message
+     */
+    handleMessage(client, message) {
+        const room = client.roomId ? this.rooms.get(client.roomId) : null;
+
+        switch (message?.type) {
+            case 'create_room':
+                this.createRoom(client, message.name);
+                break;
+            case 'join_room':
+                this.joinRoom(client, message.roomId, message.name);
+                break;
+            case 'leave_room':
+                this.leaveRoom(client);
+                break;
+            case 'start_match':
+                this.startMatch(client, room, message);
+                break;
+            case 'pose':
+                this.relayPose(client, room, message.pose);
+                break;
+            case 'shot':
+                this.relayShot(client, room, message.shot);
+                break;
+            case 'item':
+                this.relayItem(client, room, message.itemId);
+                break;
+            case 'end_turn':
+                this.endTurn(client, room);
+                break;
+            case 'collision':
+                this.relayCollision(client, room, message);
+                break;
+            case 'terrain':
+                this.syncTerrain(client, room, message.crater);
+                break;
+            case 'eliminated':
+                this.eliminate(client, room, message.playerIds);
+                break;
+            default:
+                this.sendError(client, `Unknown message type: ${message?.type}`);
+        }
+    }
+
+    createRoom(client, name) {
+        this.leaveRoom(client);
+        client.name = cleanName(name, client.name);
+
+        const room = new Room(this.createRoomCode());
+        this.rooms.set(room.id, room);
+        room.addPlayer(client.id, client.name);
+        client.roomId = room.id;
+
+        console.log(`Room ${room.id} created by ${client.name} (${client.id})`);
+        this.send(client, 'room_joined', { playerId: client.id, room: room.toJSON() });
+    }
+
+    joinRoom(client, roomId, name) {
+        const room = this.rooms.get(String(roomId || '').trim().toUpperCase());
+        if (!room) {
+            this.sendError(client, 'Room not found');
+            return;
+        }
+        if (client.roomId === room.id) return;
+
+        this.leaveRoom(client);
+        client.name = cleanName(name, client.name);
+        const error = room.addPlayer(client.id, client.name);
+        if (error) {
+            this.sendError(client, error);
+            return;
+        }
+        client.roomId = room.id;
+
+        console.log(`${client.name} (${client.id}) joined room ${room.id}`);
+        this.send(client, 'room_joined', { playerId: client.id, room: room.toJSON() });
+        this.broadcast(room, 'room_update', { room: room.toJSON() }, client.id);
+    }
+
+    leaveRoom(client) {
+        const room = client.roomId ? this.rooms.get(client.roomId) : null;
+        client.roomId = null;
+        if (!room) return;
+
+        const result = room.removePlayer(client.id);
+        if (room.isEmpty) {
+            this.rooms.delete(room.id);
+            console.log(`Room ${room.id} closed`);
+            return;
+        }
+
+        this.broadcast(room, 'player_left', { playerId: client.id, room: room.toJSON() });
+        if (result.finished) {
+            this.broadcast(room, 'match_over', { winnerId: room.winnerId });
+        } else if (result.turnChanged) {
+            this.broadcast(room, 'turn', { playerId: room.currentTurnId });
+        }
+    }
+
+    startMatch(client, room, options) {
+        if (!room) {
+            this.sendError(client, 'Not in a room');
+            return;
+        }
+
+        const error = room.start(client.id, { difficulty: options.difficulty, seed: options.seed });
+        if (error) {
+            this.sendError(client, error);
+            return;
+        }
+
+        console.log(`Room ${room.id}: match started (seed "${room.seed}", ${room.players.length} players)`);
+        this.broadcast(room, 'match_started', {
+            seed: room.seed,
+            difficulty: room.difficulty,
+            room: room.toJSON(),
+            turn: room.currentTurnId
+        });
+    }
+
+    relayPose(client, room, pose) {
+        if (!isValidPose(pose)) {
+            this.sendError(client, 'Invalid pose');
+            return;
+        }
+        // Only the active player's tank moves; stale poses are dropped quietly
+        if (room?.currentTurnId === client.id) {
+            this.broadcast(room, 'pose', { playerId: client.id, pose }, client.id);
+        }
+    }
+
+    relayShot(client, room, shot) {
+        if (!room) {
+            this.sendError(client, 'Not in a room');
+            return;
+        }
+        if (!isValidShot(shot)) {
+            this.sendError(client, 'Invalid shot');
+            return;
+        }
+
+        const error = room.recordShot(client.id);
+        if (error) {
+            this.sendError(client, error);
+            return;
+        }
+        this.broadcast(room, 'shot', { playerId: client.id, shot }, client.id);
+    }
+
+    relayItem(client, room, itemId) {
+        if (!room) {
+            this.sendError(client, 'Not in a room');
+            return;
+        }
+        if (typeof itemId !== 'string' || !itemId) {
+            this.sendError(client, 'Invalid item');
+            return;
+        }
+        if (room.currentTurnId !== client.id) {
+            this.sendError(client, 'Not your turn');
+            return;
+        }
+        this.broadcast(room, 'item', { playerId: client.id, itemId }, client.id);
+    }
+
+    endTurn(client, room) {
+        const error = room ? room.endTurn(client.id) : 'Not in a room';
+        if (error) {
+            this.sendError(client, error);
+            return;
+        }
+        this.broadcast(room, 'turn', { playerId: room.currentTurnId });
+    }
+
+    relayCollision(client, room, { projectileId, data }) {
+        if (!this.requireHost(client, room)) return;
+        if (!isValidCollision(projectileId, data)) {
+            this.sendError(client, 'Invalid collision');
+            return;
+        }
+        this.broadcast(room, 'collision', { projectileId, data }, client.id);
+    }
+
+    syncTerrain(client, room, crater) {
+        const error = room ? room.addCrater(client.id, crater) : 'Not in a room';
+        if (error) {
+            this.sendError(client, error);
+            return;
+        }
+        this.broadcast(room, 'terrain', { crater }, client.id);
+    }
+
+    eliminate(client, room, playerIds) {
+        const previousTurn = room?.currentTurnId;
+        const error = room ? room.eliminate(client.id, playerIds) : 'Not in a room';
+        if (error) {
+            this.sendError(client, error);
+            return;
+        }
+
+        this.broadcast(room, 'room_update', { room: room.toJSON() });
+        if (room.state === 'finished') {
+            console.log(`Room ${room.id}: match over after ${room.craterCount} craters, winner ${room.winnerId || 'none'}`);
+            this.broadcast(room, 'match_over', { winnerId: room.winnerId });
+        } else if (room.currentTurnId !== previousTurn) {
+            this.broadcast(room, 'turn', { playerId: room.currentTurnId });
+        }
+    }
+
+    requireHost(client, room) {
+        if (room && room.hostId === client.id && room.state === 'playing') return true;
+        this.sendError(client, 'Only the host can sync match results');
+        return false;
+    }
+
+    createRoomCode() {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+                code += ROOM_CODE_ALPHABET[randomInt(ROOM_CODE_ALPHABET.length)];
+            }
+        } while (this.rooms.has(code));
+        return code;
+    }
+
+    send(client, type, payload = {}) {
+        if (client.socket.readyState === WebSocket.OPEN) {
+            client.socket.send(JSON.stringify({ type, ...payload }));
+        }
+    }
+
+    sendError(client, message) {
+        this.send(client, 'error', { message });
+    }
+
+    /**
+     * Send a message to everyone in a room
+     * @param {Room} room - Target room
+     * @param {string} type - Message type
+     * @param {Object} payload - Message body
+     * @param {string|null} exceptId - Player to skip (usually the sender)
+     */
+    broadcast(room, type, payload = {}, exceptId = null) {
+        room.players.forEach(player => {
+            const client = this.clients.get(player.id);
+            if (client && player.id !== exceptId) {
+                this.send(client, type, payload);
+            }
+        });
+    }
+}
+
+function cleanName(name, fallback) {
+    const cleaned = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    return cleaned || fallback;
+}
+
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+// Compact tank pose ({ p, r, tr, el, pw, w }, see compactPose in replay.js)
+function isValidPose(pose) {
+    return !!pose && typeof pose === 'object' && isVector(pose.p)
+        && [pose.r, pose.tr, pose.el, pose.pw].every(Number.isFinite)
+        && (pose.w === undefined || typeof pose.w === 'string');
+}
+
+function isValidShot(shot) {
+    return !!shot && isVector(shot.origin) && isVector(shot.velocity) && typeof shot.weaponId === 'string'
+        && (shot.pose === undefined || isValidPose(shot.pose));
+}
+
+// Host collision result (see CollisionSystem.prepareCollisionData)
+function isValidCollision(projectileId, data) {
+    const isId = projectileId === null || typeof projectileId === 'string' || Number.isFinite(projectileId);
+    return isId && !!data && typeof data === 'object' && typeof data.type === 'string'
+        && (data.collisionPoint === null || isVector(data.collisionPoint));
+}
@@ -0,0 +1,22 @@
+/**
+ * Local game server entry point
+ * Usage: npm start (PORT and HOST environment variables are optional)
+ */
+import { GameServer } from './gameServer.js';
+
+const server = new GameServer({
+    port: Number(process.env.PORT) || 8080,
+    host: process.env.HOST || undefined
+});
+
+server.start().catch(error => {
+    console.error('Failed to start game server:', error);
+    process.exit(1);
+});
+
+const shutdown = () => {
+    console.log('Shutting down game server...');
+    server.stop().then(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,232 @@
+/**
+ * Game Room
+ * Lobby membership and turn authority for one networked match. Pure state, no sockets,
+ * so the GameServer decides what to broadcast from the values returned here.
+ */
+import { randomInt } from 'node:crypto';
+
+export const MAX_ROOM_PLAYERS = 4;
+export const MIN_ROOM_PLAYERS = 2;
+
+const SEED_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const DIFFICULTIES = ['sargent', 'lieutenant', 'colonel'];
+
+/**
+ * Random match seed in the same alphabet the client uses
+ * @param {number} length - Number of characters
+ * @returns {string} Seed string
+ */
+export function createMatchSeed(length = 8) {
+    let seed = '';
+    for (let i = 0; i < length; i++) {
+        seed += SEED_ALPHABET[randomInt(SEED_ALPHABET.length)];
+    }
+    return seed;
+}
+
+export class Room {
+    /**
+     * @param {string} id - Room code players type to join
+     */
+    constructor(id) {
+        this.id = id;
+        this.players = []; // { id, name, seat, eliminated } in seat order
+        this.hostId = null;
+        this.state = 'lobby'; // 'lobby' | 'playing' | 'finished'
+        this.seed = null;
+        this.difficulty = 'lieutenant';
+        this.turnIndex = 0;
+        this.hasFiredThisTurn = false;
+        this.craterCount = 0;
+        this.winnerId = null;
+    }
+
+    get isEmpty() {
+        return this.players.length === 0;
+    }
+
+    get currentTurnId() {
+        return this.state === 'playing' ? this.players[this.turnIndex]?.id || null : null;
+    }
+
+    getPlayer(playerId) {
+        return this.players.find(player => player.id === playerId) || null;
+    }
+
+    /**
+     * Public view of the room sent to clients
+     * @returns {Object} Room summary
+     */
+    toJSON() {
+        return {
+            roomId: this.id,
+            hostId: this.hostId,
+            state: this.state,
+            players: this.players.map(({ id, name, seat, eliminated }) => ({ id, name, seat, eliminated }))
+        };
+    }
+
+    /**
+     * Seat a player in the lobby
+     * @param {string} playerId - Connection id
+     * @param {string} name - Display name
+     * @returns {string|null} Error message, or null when seated
+     */
+    addPlayer(playerId, name) {
+        if (this.state !== 'lobby') return 'Match already in progress';
+        if (this.players.length >= MAX_ROOM_PLAYERS) return 'Room is full';
+        if (this.getPlayer(playerId)) return 'Already in this room';
+
+        this.players.push({ id: playerId, name, seat: this.players.length, eliminated: false });
+        if (!this.hostId) this.hostId = playerId;
+        return null;
+    }
+
+    /**
+     * Remove a player (left or disconnected)
+     * @param {string} playerId - Connection id
+     * @returns {{hostChanged: boolean, turnChanged: boolean, finished: boolean}} What the server must announce
+     */
+    removePlayer(playerId) {
+        const index = this.players.findIndex(player => player.id === playerId);
+        const result = { hostChanged: false, turnChanged: false, finished: false };
+        if (index === -1) return result;
+
+        const wasTurn = this.currentTurnId === playerId;
+        this.players.splice(index, 1);
+        if (this.state === 'lobby') {
+            this.players.forEach((player, seat) => { player.seat = seat; });
+        }
+
+        if (this.hostId === playerId) {
+            this.hostId = this.players.find(player => !player.eliminated)?.id || this.players[0]?.id || null;
+            result.hostChanged = this.hostId !== null;
+        }
+
+        if (this.state !== 'playing') return result;
+
+        // Keep the turn pointer on the same player when someone earlier in the order leaves
+        if (index < this.turnIndex) this.turnIndex--;
+        if (this.checkFinished()) {
+            result.finished = true;
+        } else if (wasTurn) {
+            this.turnIndex = (this.turnIndex - 1 + this.players.length) % this.players.length;
+            this.advanceTurn();
+            result.turnChanged = true;
+        }
+        return result;
+    }
+
+    /**
+     * Start the match (host only)
+     * @param {string} playerId - Requesting player
+     * @param {Object} options - { difficulty, seed }
+     * @returns {string|null} Error message, or null when started
+     */
+    start(playerId, options = {}) {
+        if (playerId !== this.hostId) return 'Only the host can start the match';
+        if (this.state === 'playing') return 'Match already in progress';
+        if (this.players.length < MIN_ROOM_PLAYERS) return `Need at least ${MIN_ROOM_PLAYERS} players`;
+
+        this.state = 'playing';
+        this.seed = typeof options.seed === 'string' && options.seed.trim() ? options.seed.trim().slice(0, 32) : createMatchSeed();
+        this.difficulty = DIFFICULTIES.includes(options.difficulty) ? options.difficulty : 'lieutenant';
+        this.players.forEach(player => { player.eliminated = false; });
+        this.turnIndex = 0;
+        this.hasFiredThisTurn = false;
+        this.craterCount = 0;
+        this.winnerId = null;
+        return null;
+    }
+
+    /**
+     * Accept a shot from the player whose turn it is (one launch per turn)
+     * @param {string} playerId - Shooting player
+     * @returns {string|null} Error message, or null when accepted
+     */
+    recordShot(playerId) {
+        if (this.currentTurnId !== playerId) return 'Not your turn';
+        if (this.hasFiredThisTurn) return 'Already fired this turn';
+        this.hasFiredThisTurn = true;
+        return null;
+    }
+
+    /**
+     * End the current player's turn
+     * @param {string} playerId - Requesting player
+     * @returns {string|null} Error message, or null when the turn moved on
+     */
+    endTurn(playerId) {
+        if (this.currentTurnId !== playerId) return 'Not your turn';
+        this.advanceTurn();
+        return null;
+    }
+
+    advanceTurn() {
+        for (let i = 1; i <= this.players.length; i++) {
+            const index = (this.turnIndex + i) % this.players.length;
+            if (!this.players[index].eliminated) {
+                this.turnIndex = index;
+                break;
+            }
+        }
+        this.hasFiredThisTurn = false;
+    }
+
+    /**
+     * Accept a crater reported by the host
+     * @param {string} playerId - Reporting player
+     * @param {Object} crater - { position: [x, y, z], radius, depth }
+     * @returns {string|null} Error message, or null when accepted
+     */
+    addCrater(playerId, crater) {
+        if (playerId !== this.hostId) return 'Only the host syncs terrain';
+        if (this.state !== 'playing') return 'No match in progress';
+        if (!isVector(crater?.position) || !isFiniteNumber(crater.radius)) return 'Invalid crater';
+
+        this.craterCount++;
+        return null;
+    }
+
+    /**
+     * Mark tanks destroyed (reported by the host)
+     * @param {string} playerId - Reporting player
+     * @param {Array<string>} playerIds - Destroyed players
+     * @returns {string|null} Error message, or null when applied
+     */
+    eliminate(playerId, playerIds) {
+        if (playerId !== this.hostId) return 'Only the host reports eliminations';
+        if (this.state !== 'playing') return 'No match in progress';
+
+        (Array.isArray(playerIds) ? playerIds : []).forEach(id => {
+            const player = this.getPlayer(id);
+            if (player) player.eliminated = true;
+        });
+        if (!this.checkFinished() && this.players[this.turnIndex]?.eliminated) {
+            this.advanceTurn();
+        }
+        return null;
+    }
+
+    /**
+     * Finish the match when at most one tank is left
+     * @returns {boolean} True when the match just finished
+     */
+    checkFinished() {
+        if (this.state !== 'playing') return false;
+        const survivors = this.players.filter(player => !player.eliminated);
+        if (survivors.length > 1) return false;
+
+        this.state = 'finished';
+        this.winnerId = survivors[0]?.id || null;
+        return true;
+    }
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(isFiniteNumber);
+}
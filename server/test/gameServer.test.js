@@ -0,0 +1,208 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocket } from 'ws';
+import { GameServer } from '../gameServer.js';
+import { GameSynchronizer } from '../../public/js/gameSynchronizer.js';
+
+// Two headless game clients (the browser synchronizer running on `ws`) against a local server
+let server;
+let clients;
+
+async function connectClient() {
+    const client = new GameSynchronizer({ WebSocket });
+    await client.connect(`ws://127.0.0.1:${server.port}`);
+    clients.push(client);
+    return client;
+}
+
+async function startRoom(options = {}) {
+    const host = await connectClient();
+    const guest = await connectClient();
+
+    const { room } = await host.createRoom('Host');
+    const hostSeesGuest = host.waitFor('room_update');
+    await guest.joinRoom(room.roomId, 'Guest');
+    await hostSeesGuest;
+
+    if (options.startMatch) {
+        const started = Promise.all([host.waitFor('match_started'), guest.waitFor('match_started')]);
+        host.startMatch({ difficulty: 'colonel', seed: 'dune42' });
+        await started;
+    }
+    return { host, guest };
+}
+
+beforeEach(async () => {
+    server = new GameServer({ port: 0, host: '127.0.0.1' });
+    await server.start();
+    clients = [];
+});
+
+afterEach(async () => {
+    clients.forEach(client => client.disconnect());
+    await server.stop();
+});
+
+test('two clients share a room and start the same match', async () => {
+    const host = await connectClient();
+    const guest = await connectClient();
+
+    const { room } = await host.createRoom('Host');
+    assert.match(room.roomId, /^[A-Z0-9]{4}$/);
+    assert.equal(host.isHost, true);
+
+    const hostSeesGuest = host.waitFor('room_update');
+    await guest.joinRoom(room.roomId.toLowerCase(), 'Guest');
+    const update = await hostSeesGuest;
+    assert.deepEqual(update.room.players.map(player => player.name), ['Host', 'Guest']);
+    assert.equal(guest.isHost, false);
+
+    const started = Promise.all([host.waitFor('match_started'), guest.waitFor('match_started')]);
+    host.startMatch({ difficulty: 'colonel', seed: 'dune42' });
+    const [hostStart, guestStart] = await started;
+
+    assert.equal(hostStart.seed, 'dune42');
+    assert.equal(guestStart.seed, 'dune42');
+    assert.equal(guestStart.difficulty, 'colonel');
+    assert.equal(guestStart.turn, host.playerId);
+    assert.equal(host.isOurTurn(), true);
+    assert.equal(guest.isOurTurn(), false);
+});
+
+test('only the host can start a match', async () => {
+    const { guest } = await startRoom();
+
+    const rejected = guest.waitFor('match_started', 1000);
+    guest.startMatch({});
+    await assert.rejects(rejected, /Only the host can start the match/);
+});
+
+test('the server enforces turn order for shots and turn ends', async () => {
+    const { host, guest } = await startRoom({ startMatch: true });
+
+    // Out-of-turn shot is refused even when the client skips its own check
+    const outOfTurn = guest.waitFor('shot', 1000);
+    guest.send('shot', { shot: { origin: [0, 1, 0], velocity: [1, 1, 1], weaponId: 'basic' } });
+    await assert.rejects(outOfTurn, /Not your turn/);
+
+    const shot = { origin: [1.5, 2.25, -3], velocity: [10.125, 8.5, -0.75], weaponId: 'heavyShell' };
+    const relayed = guest.waitFor('shot');
+    host.sendShot(shot);
+    const message = await relayed;
+    assert.equal(message.playerId, host.playerId);
+    assert.deepEqual(message.shot, shot);
+
+    const secondShot = host.waitFor('shot', 1000);
+    host.send('shot', { shot });
+    await assert.rejects(secondShot, /Already fired this turn/);
+
+    const turnChanges = Promise.all([host.waitFor('turn'), guest.waitFor('turn')]);
+    host.endTurn();
+    const [hostTurn, guestTurn] = await turnChanges;
+    assert.equal(hostTurn.playerId, guest.playerId);
+    assert.equal(guestTurn.playerId, guest.playerId);
+    assert.equal(guest.isOurTurn(), true);
+});
+
+test('poses are relayed only for the active player', async () => {
+    const { host, guest } = await startRoom({ startMatch: true });
+    const pose = { p: [4, 1, 2], r: 0.5, tr: 0.25, el: 0.3, pw: 40, w: 'basic' };
+
+    const received = guest.waitFor('pose');
+    host.sendPose(pose, true);
+    assert.deepEqual((await received).pose, pose);
+
+    const ignored = host.waitFor('pose', 300);
+    guest.send('pose', { pose });
+    await assert.rejects(ignored, /Timed out/);
+});
+
+test('malformed poses, shots and collisions are never relayed', async () => {
+    const { host, guest } = await startRoom({ startMatch: true });
+    const relayed = [];
+    ['pose', 'shot', 'collision'].forEach(type => guest.on(type, message => relayed.push(type === 'pose' ? message.pose : type)));
+
+    const badPose = host.waitFor('pose', 1000);
+    host.send('pose', { pose: { p: [4, 1], r: 0.5, tr: 0.25, el: 0.3, pw: 40, w: 'basic' } });
+    await assert.rejects(badPose, /Invalid pose/);
+
+    const badShot = host.waitFor('shot', 1000);
+    host.send('shot', { shot: { origin: [0, 1, 0], velocity: [1, 1, 1], weaponId: 'basic', pose: { p: null } } });
+    await assert.rejects(badShot, /Invalid shot/);
+
+    const badCollision = host.waitFor('collision', 1000);
+    host.send('collision', { projectileId: 'p1-1', data: { collisionPoint: 'here', type: 'tank' } });
+    await assert.rejects(badCollision, /Invalid collision/);
+
+    // Messages arrive in order, so by the next valid pose the guest would have seen the rest
+    const pose = { p: [4, 1, 2], r: 0.5, tr: 0.25, el: 0.3, pw: 40, w: 'basic' };
+    const received = guest.waitFor('pose');
+    host.sendPose(pose, true);
+    await received;
+    assert.deepEqual(relayed, [pose]);
+});
+
+test('items are relayed only for the active player', async () => {
+    const { host, guest } = await startRoom({ startMatch: true });
+
+    const received = guest.waitFor('item');
+    host.sendItem('repairKit');
+    const message = await received;
+    assert.equal(message.playerId, host.playerId);
+    assert.equal(message.itemId, 'repairKit');
+
+    const outOfTurn = guest.waitFor('item', 1000);
+    guest.send('item', { itemId: 'shield' });
+    await assert.rejects(outOfTurn, /Not your turn/);
+});
+
+test('the host syncs craters and collisions to the other players', async () => {
+    const { host, guest } = await startRoom({ startMatch: true });
+
+    const terrain = guest.waitFor('terrain');
+    host.syncTerrainDestruction({ x: 3, y: -1, z: 7 }, 4, 123, 2);
+    const { crater } = await terrain;
+    assert.deepEqual(crater.position, [3, -1, 7]);
+    assert.equal(crater.radius, 4);
+    assert.equal(crater.depth, 2);
+
+    const collision = guest.waitFor('collision');
+    await host.syncProjectileCollision('p1-1', { collisionPoint: { x: 1, y: 2, z: 3 }, type: 'tank', damage: 30 });
+    const message = await collision;
+    assert.equal(message.projectileId, 'p1-1');
+    assert.deepEqual(message.data.collisionPoint, [1, 2, 3]);
+
+    // Guests cannot deform the shared terrain
+    const refused = guest.waitFor('terrain', 1000);
+    guest.send('terrain', { crater: { position: [0, 0, 0], radius: 3 } });
+    await assert.rejects(refused, /Only the host syncs terrain/);
+});
+
+test('eliminations reported by the host end the match', async () => {
+    const { host, guest } = await startRoom({ startMatch: true });
+
+    const over = Promise.all([host.waitFor('match_over'), guest.waitFor('match_over')]);
+    host.reportEliminations([guest.playerId]);
+    const [hostOver, guestOver] = await over;
+    assert.equal(hostOver.winnerId, host.playerId);
+    assert.equal(guestOver.winnerId, host.playerId);
+    assert.equal(guest.isMultiplayer, false);
+});
+
+test('the room is handed over when the host leaves', async () => {
+    const { host, guest } = await startRoom();
+
+    const left = guest.waitFor('player_left');
+    host.disconnect();
+    const message = await left;
+    assert.equal(message.room.hostId, guest.playerId);
+    assert.equal(guest.isHost, true);
+});
+
+test('a player leaving mid-match ends it for the rest', async () => {
+    const { host, guest } = await startRoom({ startMatch: true });
+
+    const over = host.waitFor('match_over');
+    guest.disconnect();
+    assert.equal((await over).winnerId, host.playerId);
+});
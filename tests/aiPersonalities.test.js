@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createTank } from './helpers/fixtures.js';
+import {
+    AI_PERSONALITIES, DEFAULT_PERSONALITY_ID, RANDOM_PERSONALITY_ID, getPersonality, resolvePersonalityIds
+} from '../public/js/aiPersonalities.js';
+import { SeededRandom } from '../public/js/random.js';
+
+const LIEUTENANT = { aimAccuracy: 0.7, aggressiveness: 0.6, coverUsage: 0.7 };
+
+function planFor(personalityId, facts = {}) {
+    const personality = getPersonality(personalityId);
+    const enemy = createTank({ id: 'enemy', position: [0, 0, 0] });
+    const targetPosition = new THREE.Vector3(0, 0, facts.distance ?? 50);
+    return personality.planTurn({
+        game: facts.game ?? {},
+        enemy,
+        targetPosition,
+        distance: targetPosition.length(),
+        config: personality.tune(LIEUTENANT),
+        lineOfSight: true,
+        terrainBlocked: facts.terrainBlocked ?? false,
+        inCover: facts.inCover ?? false,
+        lowHealth: false,
+        random: Math.random
+    });
+}
+
+test('resolvePersonalityIds gives every enemy the chosen personality', () => {
+    assert.deepEqual(resolvePersonalityIds('sniper', 3), ['sniper', 'sniper', 'sniper']);
+    assert.deepEqual(resolvePersonalityIds(['bruiser', 'coward'], 2), ['bruiser', 'coward']);
+    assert.deepEqual(resolvePersonalityIds('nonsense', 1), [DEFAULT_PERSONALITY_ID]);
+});
+
+test('resolvePersonalityIds draws a random mix from the seeded source', () => {
+    const first = resolvePersonalityIds(RANDOM_PERSONALITY_ID, 8, new SeededRandom('mix').next);
+    const second = resolvePersonalityIds(RANDOM_PERSONALITY_ID, 8, new SeededRandom('mix').next);
+
+    assert.deepEqual(first, second);
+    assert.ok(first.every(id => id in AI_PERSONALITIES));
+    assert.ok(new Set(first).size > 1);
+});
+
+test('personalities retune the difficulty preset without changing it', () => {
+    const sniper = getPersonality('sniper').tune(LIEUTENANT);
+    assert.ok(sniper.aimAccuracy > LIEUTENANT.aimAccuracy);
+    assert.equal(getPersonality('sniper').tune({ ...LIEUTENANT, aimAccuracy: 0.95 }).aimAccuracy, 1);
+    assert.equal(getPersonality('bruiser').tune(LIEUTENANT).aggressiveness, 1);
+    assert.equal(LIEUTENANT.aimAccuracy, 0.7);
+});
+
+test('sniper backs off from close targets before shooting', () => {
+    assert.deepEqual(planFor('sniper', { distance: 20 }).map(step => step.type), ['move', 'shoot']);
+    const retreat = planFor('sniper', { distance: 20 })[0].target;
+    assert.ok(retreat.z < 0, 'retreats away from the target');
+
+    assert.deepEqual(planFor('sniper', { distance: 60 }).map(step => step.type), ['shoot']);
+});
+
+test('bruiser charges and brings heavy shells up close', () => {
+    const plan = planFor('bruiser', { distance: 35 });
+    assert.deepEqual(plan.map(step => step.type), ['move', 'shoot']);
+    assert.equal(plan[0].target.z, 25); // Stops short of the target
+    assert.equal(plan[1].weaponId, 'heavyShell');
+
+    assert.equal(planFor('bruiser', { distance: 80 })[1].weaponId, null);
+});
+
+test('digger tunnels with digger rounds only when a hill is in the way', () => {
+    assert.equal(planFor('digger', { terrainBlocked: true })[0].weaponId, 'digger');
+    assert.equal(planFor('digger', { terrainBlocked: false })[0].weaponId, null);
+});
+
+test('coward shoots first, then hides behind the nearest building', () => {
+    const game = { findBestCover: () => new THREE.Vector3(10, 0, 10) };
+    const plan = planFor('coward', { game, distance: 50 });
+
+    assert.deepEqual(plan.map(step => step.type), ['shoot', 'move']);
+    // Hiding spot is on the far side of the building from the target at z = 50
+    assert.ok(plan[1].target.z < 10);
+
+    assert.deepEqual(planFor('coward', { game, inCover: true }).map(step => step.type), ['shoot']);
+});
+
+test('soldier plays the classic decision matrix', () => {
+    const decision = { type: 'shoot', action: 'engaging target', accuracy: 0.56 };
+    const game = { makeAIDecision: () => decision };
+    assert.deepEqual(planFor('soldier', { game }), [decision]);
+});
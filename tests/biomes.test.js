@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/environment.js';
+import * as THREE from 'three';
+import { rebuildTerrain, generateBuildings, generateTrees, BUILDING_TYPES, TREE_TYPES } from '../public/js/sceneSetup.js';
+import { SeededRandom } from '../public/js/random.js';
+import { generateTerrainHeightfield, generateIslandHeightfield, isValidGenerator } from '../public/js/sim/terrainGenerator.js';
+import {
+    BIOMES, TERRAIN_PARAMETERS, DEFAULT_BIOME_ID, getBiome, createTerrainSettings, validateTerrainSettings
+} from '../public/js/biomes.js';
+
+const MAP_SEED = 321.5;
+const SIZE = 270;
+const SEGMENTS = 32; // Coarse grid keeps the tests quick
+
+function generate(biomeId, overrides = {}) {
+    const settings = createTerrainSettings(biomeId, overrides);
+    return generateTerrainHeightfield(MAP_SEED, getBiome(biomeId).generator, settings, SIZE, SEGMENTS);
+}
+
+test('every biome has a generator, in-range defaults and known props', () => {
+    Object.values(BIOMES).forEach(biome => {
+        assert.ok(isValidGenerator(biome.generator), biome.id);
+        assert.equal(validateTerrainSettings(createTerrainSettings(biome.id)), null, biome.id);
+        assert.deepEqual(createTerrainSettings(biome.id), { biome: biome.id, ...biome.terrain }, `${biome.id} defaults are in range`);
+        Object.keys(biome.buildings).forEach(type => assert.ok(BUILDING_TYPES.includes(type), `${biome.id}: ${type}`));
+        Object.keys(biome.trees).forEach(type => assert.ok(TREE_TYPES.includes(type), `${biome.id}: ${type}`));
+        assert.ok(biome.props.buildings > 0 && biome.props.trees > 0);
+    });
+});
+
+test('generators are deterministic per seed and build different landscapes', () => {
+    assert.deepEqual(generate('canyon').heights, generate('canyon').heights);
+    assert.deepEqual(
+        generateTerrainHeightfield(MAP_SEED, 'island', createTerrainSettings(DEFAULT_BIOME_ID), SIZE, SEGMENTS).heights,
+        generateIslandHeightfield(MAP_SEED, SIZE, SEGMENTS).heights,
+        'the default biome is the classic island'
+    );
+
+    const fields = Object.keys(BIOMES).map(id => generate(id).heights);
+    fields.forEach((heights, i) => fields.slice(i + 1).forEach(other => assert.notDeepEqual(heights, other)));
+
+    const desert = generate('desert');
+    const ridge = generate('ridge');
+    assert.ok(Math.max(...desert.heights) < Math.max(...ridge.heights) / 3, 'the desert stays flat next to the ridge');
+});
+
+test('height scale, roughness and water level work the same for every generator', () => {
+    Object.keys(BIOMES).forEach(id => {
+        const base = generate(id, { waterLevel: 0 });
+        const doubled = generate(id, { waterLevel: 0, heightScale: 2 });
+        base.heights.forEach((height, index) => {
+            assert.ok(Math.abs(doubled.heights[index] - height * 2) < 1e-4, `${id} height scale`);
+        });
+
+        assert.notDeepEqual(generate(id, { roughness: 0 }).heights, generate(id, { roughness: 1 }).heights, `${id} roughness`);
+
+        const flooded = generate(id, { waterLevel: 3 });
+        base.heights.forEach((height, index) => {
+            if (height >= 3) {
+                assert.ok(Math.abs(flooded.heights[index] - (height - 3)) < 1e-4, `${id} dry land is lowered`);
+            } else {
+                assert.ok(flooded.heights[index] < -1, `${id} low ground sinks under the ocean`);
+            }
+        });
+    });
+});
+
+test('terrain settings are clamped to their ranges and checked when read from a file', () => {
+    const settings = createTerrainSettings('archipelago', { roughness: 5, heightScale: 0.5 });
+    assert.deepEqual(settings, { biome: 'archipelago', roughness: 1, heightScale: 0.5, waterLevel: 2 });
+    assert.equal(createTerrainSettings('moon').biome, DEFAULT_BIOME_ID);
+
+    assert.equal(validateTerrainSettings(settings), null);
+    assert.equal(validateTerrainSettings({ ...settings, biome: 'moon' }), 'unknown biome "moon"');
+    const { min, max } = TERRAIN_PARAMETERS.waterLevel;
+    assert.equal(validateTerrainSettings({ ...settings, waterLevel: -1 }), `waterLevel: must be a number from ${min} to ${max}`);
+});
+
+test('generated buildings and trees follow the biome mix', () => {
+    const scene = new THREE.Scene();
+    scene.userData.terrainMesh = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial());
+    const random = new SeededRandom(MAP_SEED).next;
+    rebuildTerrain(scene, MAP_SEED, random, generateTerrainHeightfield(MAP_SEED, 'hills', createTerrainSettings('hills')));
+
+    const buildings = generateBuildings(scene, [], 6, random, { tower: 3, ruins: 1 });
+    assert.ok(buildings.length > 0);
+    buildings.forEach(building => assert.ok(['tower', 'ruins'].includes(building.userData.type)));
+
+    const trees = generateTrees(scene, buildings, 12, random, getBiome('desert').trees);
+    assert.ok(trees.length > 0);
+    trees.forEach(tree => assert.ok(['palm', 'dead'].includes(tree.userData.type)));
+});
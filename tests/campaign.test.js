@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CAMPAIGN_STAGES, completeStage, getCompletedStageIds, isStageUnlocked } from '../public/js/campaign.js';
+import { createCampaignConfig, validateMatchConfig } from '../public/js/matchSetup.js';
+import { isValidPersonality } from '../public/js/aiPersonalities.js';
+import { WIND_PRESETS } from '../public/js/wind.js';
+
+test('every stage is playable: known enemies and weather, a valid match config', () => {
+    CAMPAIGN_STAGES.forEach((stage, index) => {
+        assert.equal(stage.number, index + 1);
+        assert.ok(stage.enemies.every(isValidPersonality), `${stage.id} enemies`);
+        assert.ok(WIND_PRESETS[stage.weather.wind], `${stage.id} wind`);
+
+        const config = createCampaignConfig(stage, { playerName: 'Ace' });
+        assert.equal(validateMatchConfig(config), null, stage.id);
+        assert.equal(config.seats.length, stage.enemies.length + 1);
+    });
+    assert.equal(validateMatchConfig({ ...createCampaignConfig(CAMPAIGN_STAGES[0]), stageId: 'moon' }), 'Unknown campaign stage');
+});
+
+test('stages unlock one after another as they are cleared', () => {
+    const [first, second, third] = CAMPAIGN_STAGES;
+    const record = { resources: { credits: 100 } };
+
+    assert.equal(isStageUnlocked(record, first.id), true);
+    assert.equal(isStageUnlocked(record, second.id), false);
+    assert.equal(completeStage(record, second.id), null, 'locked stages cannot be cleared');
+
+    assert.equal(completeStage(record, first.id), second);
+    assert.equal(isStageUnlocked(record, second.id), true);
+    assert.equal(isStageUnlocked(record, third.id), false);
+    assert.equal(completeStage(record, first.id), null, 'clearing it again unlocks nothing new');
+
+    assert.deepEqual(getCompletedStageIds(record), [first.id]);
+    assert.equal(record.resources.credits, 100);
+});
+
+test('clearing the last stage completes the campaign', () => {
+    const record = {};
+    CAMPAIGN_STAGES.slice(0, -1).forEach(stage => completeStage(record, stage.id));
+    const last = CAMPAIGN_STAGES.at(-1);
+
+    assert.equal(isStageUnlocked(record, last.id), true);
+    assert.equal(completeStage(record, last.id), null);
+    assert.deepEqual(getCompletedStageIds(record), CAMPAIGN_STAGES.map(stage => stage.id));
+});
@@ -0,0 +1,179 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createTank, createBuilding, createFlatScene, createMatch } from './helpers/fixtures.js';
+import { CollisionSystem } from '../public/js/collisionSystem.js';
+import { Projectile } from '../public/js/projectile.js';
+import { getWeapon } from '../public/js/weapons.js';
+
+const GROUND = 2;
+
+// A player shell against one enemy tank and one building, all around the origin
+function createCollisionScene() {
+    const scene = createFlatScene(GROUND);
+    const player = createTank({ id: 'player', isPlayer: true, position: [0, GROUND, -40] });
+    const enemy = createTank({ id: 'enemy', position: [0, GROUND, 0] });
+    const building = createBuilding([0, GROUND, 0]);
+    const game = {
+        scene,
+        playerTank: player,
+        enemyTanks: [enemy],
+        turnOrder: [player, enemy],
+        buildings: [building],
+        trees: []
+    };
+    return { game, player, enemy, building, collisions: new CollisionSystem(game) };
+}
+
+function createShell(game, position, velocity = [0, -20, 10]) {
+    return new Projectile(
+        new THREE.Vector3(...position), new THREE.Vector3(...velocity), true, game.scene, game.playerTank
+    );
+}
+
+test('checkProjectileCollisions reports a tank before a building or the ground', () => {
+    const { game, enemy, collisions } = createCollisionScene();
+    // Inside the tank, the building and below the ground all at once
+    const shell = createShell(game, [0, GROUND - 0.5, 0.5]);
+
+    const result = collisions.checkProjectileCollisions(shell);
+    assert.equal(result.hasCollision, true);
+    assert.equal(result.type, 'tank');
+    assert.equal(result.tank, enemy);
+});
+
+test('checkProjectileCollisions reports a building before the ground', () => {
+    const { game, enemy, building, collisions } = createCollisionScene();
+    enemy.isDestroyed = true; // Wrecks don't stop shells
+    const shell = createShell(game, [0, GROUND - 0.5, 0.5]);
+
+    const result = collisions.checkProjectileCollisions(shell);
+    assert.equal(result.type, 'static');
+    assert.equal(result.objectType, 'building');
+    assert.equal(result.object, building);
+});
+
+test('checkProjectileCollisions falls through to the terrain and plans a crater', () => {
+    const { game, enemy, collisions } = createCollisionScene();
+    enemy.isDestroyed = true;
+    game.buildings = [];
+    collisions.updateStaticObjects();
+    const shell = createShell(game, [0, GROUND + 0.2, 0.5]);
+
+    const result = collisions.checkProjectileCollisions(shell);
+    assert.equal(result.type, 'terrain');
+    assert.deepEqual(result.impactPoint.toArray(), [0, GROUND, 0.5]);
+    assert.equal(result.crater.radius, getWeapon('basic').craterRadius);
+    assert.equal(result.crater.depth, getWeapon('basic').craterDepth);
+});
+
+test('checkProjectileCollisions ignores the shooter and open air', () => {
+    const { game, player, collisions } = createCollisionScene();
+    assert.equal(collisions.checkProjectileCollisions(createShell(game, [0, GROUND + 20, 0])).hasCollision, false);
+
+    // A shell leaving the barrel overlaps its own tank
+    const ownShell = createShell(game, player.mesh.position.clone().add(new THREE.Vector3(0, 1, 0.5)).toArray());
+    assert.equal(collisions.checkProjectileCollisions(ownShell).hasCollision, false);
+});
+
+test('calculateDamage scales with impact angle and speed', () => {
+    const { game, enemy, collisions } = createCollisionScene();
+    const base = getWeapon('basic').damage;
+
+    // Head-on at 50 m/s deals the shell's base damage
+    const headOn = createShell(game, [0, GROUND, -1], [0, 0, 50]);
+    assert.equal(collisions.calculateDamage(headOn, enemy, 0), base);
+
+    // A grazing hit keeps 70%
+    assert.equal(collisions.calculateDamage(headOn, enemy, Math.PI / 2), Math.round(base * 0.7));
+
+    // Slow shells hit softer; fast ones are capped at 150%
+    const slow = createShell(game, [0, GROUND, -1], [0, 0, 25]);
+    assert.equal(collisions.calculateDamage(slow, enemy, 0), Math.round(base * 0.5));
+    const fast = createShell(game, [0, GROUND, -1], [0, 0, 200]);
+    assert.equal(collisions.calculateDamage(fast, enemy, 0), Math.round(base * 1.5));
+});
+
+test('calculateDamage applies the shooter firepower upgrade', () => {
+    const { game, enemy, collisions } = createCollisionScene();
+    game.playerTank.damageMultiplier = 1.2;
+    const shell = createShell(game, [0, GROUND, -1], [0, 0, 50]);
+
+    assert.equal(collisions.calculateDamage(shell, enemy, 0), Math.round(getWeapon('basic').damage * 1.2));
+});
+
+test('direct hits carry the calculated damage and a point on the hull', () => {
+    const { game, enemy, collisions } = createCollisionScene();
+    const shell = createShell(game, [0, GROUND + 0.8, -1.5], [0, 0, 50]);
+
+    const result = collisions.checkProjectileCollisions(shell);
+    assert.equal(result.type, 'tank');
+    assert.equal(result.damage, collisions.calculateDamage(shell, enemy, result.impactAngle));
+    const hullCenter = enemy.mesh.position.clone().setY(GROUND + 0.8);
+    assert.ok(Math.abs(result.impactPoint.distanceTo(hullCenter) - collisions.config.tank.radius) < 1e-9);
+});
+
+test('shells pass through teammates unless friendly fire is on', () => {
+    const shooter = createTank({ id: 'enemy1', position: [0, GROUND, -40] });
+    const teammate = createTank({ id: 'enemy2', position: [0, GROUND, 0] });
+    const player = createTank({ id: 'player', isPlayer: true, position: [10, GROUND, 0] });
+    const game = createMatch([player, shooter, teammate]);
+    Object.assign(game, { scene: createFlatScene(GROUND), buildings: [], trees: [] });
+    const collisions = new CollisionSystem(game);
+    const shell = new Projectile(new THREE.Vector3(0, GROUND + 0.5, 0.5), new THREE.Vector3(0, -20, 10), false, game.scene, shooter);
+
+    assert.deepEqual(collisions.getValidTargets(shell), [player]);
+    assert.notEqual(collisions.checkProjectileCollisions(shell).type, 'tank');
+
+    game.friendlyFire = true;
+    assert.deepEqual(collisions.getValidTargets(shell), [player, teammate]);
+    assert.equal(collisions.checkProjectileCollisions(shell).tank, teammate);
+});
+
+// One row of vertices raised into a thin ridge across the field at z = 20
+function raiseRidge(scene, height) {
+    const { heightfield } = scene.userData.terrain;
+    const iz = Math.round((20 + heightfield.size / 2) / heightfield.cellSize);
+    for (let ix = 0; ix <= heightfield.segments; ix++) {
+        heightfield.heights[heightfield.getIndex(ix, iz)] = height;
+    }
+    return heightfield.getVertexZ(iz);
+}
+
+test('fast shells are swept between steps and cannot tunnel through a ridge', () => {
+    const { game, collisions } = createCollisionScene();
+    const ridgeZ = raiseRidge(game.scene, GROUND + 10);
+
+    // 5 m per step carries the shell from one side of the crest to the other
+    const shell = createShell(game, [60, GROUND + 4, ridgeZ - 2.5], [0, 0, 300]);
+    shell.update(1 / 60);
+    assert.ok(shell.mesh.position.z > ridgeZ + 2);
+    assert.ok(shell.mesh.position.y > GROUND + 3, 'the step ends in open air');
+
+    const result = collisions.checkProjectileCollisions(shell);
+    assert.equal(result.type, 'terrain');
+    assert.ok(result.impactPoint.z < ridgeZ && result.impactPoint.z > ridgeZ - 1.1, 'stopped on the near face');
+    assert.ok(shell.mesh.position.z < ridgeZ, 'the shell is moved back to the contact');
+
+    // The aiming guide sweeps its steps the same way
+    const from = new THREE.Vector3(60, GROUND + 4, ridgeZ - 2.5);
+    const to = new THREE.Vector3(60, GROUND + 4, ridgeZ + 2.5);
+    assert.equal(collisions.checkTrajectoryObstruction(to), null);
+    assert.ok(collisions.checkTrajectoryObstruction(to, from).z < ridgeZ);
+});
+
+test('spawn and stability limits are slope angles from the terrain normal', () => {
+    const { game, collisions } = createCollisionScene();
+    const { heightfield } = game.scene.userData.terrain;
+    const position = new THREE.Vector3(60, GROUND, 60);
+    assert.equal(collisions.getTerrainSlope(position), 0);
+
+    // Ground rising 1.2 m per meter along x: about 50 degrees
+    heightfield.heights.forEach((_, index) => {
+        heightfield.heights[index] = GROUND + (index % (heightfield.segments + 1)) * heightfield.cellSize * 1.2;
+    });
+    assert.ok(Math.abs(collisions.getTerrainSlope(position) - Math.atan(1.2)) < 1e-9);
+    const spawn = collisions.checkSpawnSuitability(position);
+    assert.equal(spawn.reason, 'too_steep');
+    assert.equal(collisions.isTankStable(position), true, 'steeper than a spawn, still drivable');
+});
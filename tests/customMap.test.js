@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/environment.js';
+import * as THREE from 'three';
+import { rebuildTerrain, placeMapBuildings, placeMapTrees } from '../public/js/sceneSetup.js';
+import { Heightfield, TERRAIN_SIZE, TERRAIN_SEGMENTS } from '../public/js/sim/heightfield.js';
+import { generateIslandHeightfield } from '../public/js/sim/terrainGenerator.js';
+import {
+    createMapData, createMapHeightfield, getMapSpawns, validateMap, MAP_FORMAT_VERSION
+} from '../public/js/customMap.js';
+
+// Sculpted field with heights that don't fit in a short decimal
+function createHeightfield() {
+    const heightfield = new Heightfield();
+    heightfield.heights.forEach((_, index) => {
+        heightfield.heights[index] = index * 0.123456 - 1;
+    });
+    return heightfield;
+}
+
+function createMap(heightfield = createHeightfield(), baseSeed = null) {
+    return createMapData({
+        name: '  Twin Hills ',
+        heightfield,
+        baseSeed,
+        buildings: [{ type: 'fortress', x: 5.004, z: -3, scale: 1.2, rotation: Math.PI / 3, health: 250 }],
+        trees: [{ type: 'palm', x: -8, z: 8, scale: 0.9, rotation: 0.1 }],
+        spawns: [
+            { side: 'enemy', x: 10, z: 10 },
+            { side: 'player', x: -10, z: -10 },
+            { side: 'enemy', x: 12, z: -12 }
+        ],
+        weather: { wind: 'gusty', fogDensity: 0.009 }
+    });
+}
+
+// Scene with a map's terrain, the way a match builds it; the placeholder mesh lends its material
+function createMapScene(map) {
+    const scene = new THREE.Scene();
+    scene.userData.terrainMesh = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial());
+    rebuildTerrain(scene, 1, Math.random, createMapHeightfield(map));
+    return scene;
+}
+
+test('maps round-trip exactly through JSON and back into a heightfield', () => {
+    const heightfield = createHeightfield();
+    const map = createMap(heightfield);
+    const loaded = JSON.parse(JSON.stringify(map));
+
+    assert.equal(validateMap(loaded), null);
+    assert.deepEqual(loaded, map);
+    assert.equal(loaded.version, MAP_FORMAT_VERSION);
+    assert.equal(loaded.name, 'Twin Hills');
+    assert.equal(typeof loaded.terrain.heights, 'string');
+    assert.deepEqual(createMapHeightfield(loaded).heights, heightfield.heights);
+
+    // Saving what was loaded gives the same file
+    assert.deepEqual(createMap(createMapHeightfield(loaded)), map);
+});
+
+test('maps sculpted from a seeded island store the seed and only the edited heights', () => {
+    const seed = 7.25;
+    const heightfield = generateIslandHeightfield(seed);
+    heightfield.heights[10] += 3.3;
+    heightfield.heights[42] = -2;
+
+    const map = JSON.parse(JSON.stringify(createMap(heightfield, seed)));
+    assert.equal(validateMap(map), null);
+    assert.equal(map.terrain.seed, seed);
+    assert.deepEqual(map.terrain.overrides.map(([index]) => index), [10, 42]);
+    assert.deepEqual(createMapHeightfield(map).heights, heightfield.heights);
+
+    // Once most of the island has changed the whole heightfield is stored instead
+    heightfield.heights.fill(4);
+    const reshaped = createMap(heightfield, seed);
+    assert.equal(reshaped.terrain.seed, undefined);
+    assert.deepEqual(createMapHeightfield(reshaped).heights, heightfield.heights);
+});
+
+test('spawn points are handed out per side in placement order', () => {
+    const map = createMap();
+    assert.deepEqual(getMapSpawns(map, 'player'), [{ x: -10, z: -10 }]);
+    assert.deepEqual(getMapSpawns(map, 'enemy'), [{ x: 10, z: 10 }, { x: 12, z: -12 }]);
+    assert.deepEqual(getMapSpawns(null, 'enemy'), []);
+});
+
+test('malformed map files are rejected with a readable reason', () => {
+    const map = createMap();
+    const building = map.buildings[0];
+    const fieldSize = { size: TERRAIN_SIZE, segments: TERRAIN_SEGMENTS };
+    const cases = [
+        [null, 'Not a map file'],
+        [{ ...map, version: 1 }, 'Unsupported map version: 1'],
+        [{ ...map, terrain: { ...map.terrain, heights: map.terrain.heights.slice(8) } }, 'terrain.heights: must encode 66049 heights'],
+        [{ ...map, terrain: { ...fieldSize, seed: 1, overrides: [[66049, 1]] } }, 'terrain.overrides[0]: must be [vertex index, height]'],
+        [{ ...map, terrain: fieldSize }, 'terrain: needs either heights or a seed'],
+        [{ ...map, buildings: [{ ...building, type: 'castle' }] }, 'buildings[0].type: unknown building type "castle"'],
+        [{ ...map, buildings: [building, { ...building, health: 0 }] }, 'buildings[1].health: must be a number above 0'],
+        [{ ...map, buildings: [{ ...building, x: 500 }] }, 'buildings[0]: lies outside the terrain'],
+        [{ ...map, trees: [{ type: 'oak', x: 0, z: 0, scale: 1 }] }, 'trees[0].rotation: must be a number (radians)'],
+        [{ ...map, spawns: [{ side: 'neutral', x: 0, z: 0 }] }, 'spawns[0].side: must be one of player, enemy'],
+        [{ ...map, weather: { wind: 'hurricane', fogDensity: 0 } }, 'weather.wind: unknown wind preset "hurricane" (use calm, variable, gusty)'],
+        [{ ...map, weather: { wind: 'calm', fogDensity: -1 } }, 'weather.fogDensity: must be a number of 0 or more']
+    ];
+    cases.forEach(([data, error]) => assert.equal(validateMap(data), error));
+    assert.equal(validateMap({ ...map, weather: null }), null);
+});
+
+test('maps must use the battlefield\'s terrain size and resolution', () => {
+    // World bounds, spawn padding and shell limits are all tuned to the standard field
+    const map = createMap();
+    assert.equal(validateMap({ ...map, terrain: { ...map.terrain, size: 400 } }), `terrain.size: must be ${TERRAIN_SIZE}`);
+    assert.equal(validateMap({ ...map, terrain: { ...map.terrain, size: 40 } }), `terrain.size: must be ${TERRAIN_SIZE}`);
+
+    const coarse = JSON.parse(JSON.stringify(createMap(new Heightfield(TERRAIN_SIZE, 4))));
+    assert.equal(validateMap(coarse), `terrain.segments: must be ${TERRAIN_SEGMENTS}`);
+});
+
+test('a match on a custom map uses its terrain and props as saved', () => {
+    const map = createMap();
+    const scene = createMapScene(map);
+
+    const { terrain } = scene.userData;
+    assert.equal(terrain.size, TERRAIN_SIZE);
+    assert.equal(terrain.geometry.attributes.position.getZ(7), terrain.heightfield.heights[7]);
+
+    const [fortress] = placeMapBuildings(scene, map.buildings);
+    const [palm] = placeMapTrees(scene, map.trees);
+    assert.equal(fortress.userData.type, 'fortress');
+    assert.equal(fortress.userData.scale, 1.2);
+    assert.equal(fortress.userData.maxHealth, 250);
+    assert.equal(fortress.rotation.y, Math.PI / 3);
+    assert.equal(fortress.position.y, terrain.getHeightAt(5.004, -3));
+    assert.equal(palm.userData.type, 'palm');
+    assert.equal(palm.rotation.y, 0.1);
+    assert.ok(scene.children.includes(fortress) && scene.children.includes(palm));
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimWorld } from '../public/js/sim/world.js';
+import { Heightfield } from '../public/js/sim/heightfield.js';
+import { solveFireSolution, evaluateShot } from '../public/js/sim/fireSolution.js';
+import { TANK_RADIUS, PROJECTILE_HIT_RADIUS } from '../public/js/sim/damage.js';
+import { getWeapon } from '../public/js/weapons.js';
+
+function createDuel(options = {}) {
+    const heightfield = new Heightfield();
+    heightfield.heights.fill(0);
+    const world = new SimWorld({ heightfield, wind: options.wind, obstacles: options.obstacles });
+    const shooter = world.addTank({ id: 'shooter', x: 0, z: 0 });
+    const target = world.addTank({ id: 'target', x: options.targetX ?? 0, z: options.targetZ ?? 50 });
+    return { world, shooter, target };
+}
+
+function createProblem({ world, shooter, target }) {
+    return {
+        launch: (heading, elevation, power) => world.getLaunch(shooter, { azimuth: heading, elevation, power }),
+        heading: Math.atan2(target.position.x - shooter.position.x, target.position.z - shooter.position.z),
+        target: target.position,
+        targetRadius: TANK_RADIUS + PROJECTILE_HIT_RADIUS,
+        limits: { minElevation: -Math.PI / 12, maxElevation: Math.PI / 3, minPower: 5, maxPower: 100 },
+        weapon: getWeapon(),
+        windVector: world.wind,
+        step: world.step,
+        hitTest: position => world.checkShellHit(position, shooter)
+    };
+}
+
+function fireSolution(duel, solution) {
+    return duel.world.fire({ azimuth: solution.heading, elevation: solution.elevation, power: solution.power });
+}
+
+test('evaluateShot measures long shots as positive and short shots as negative', () => {
+    const problem = createProblem(createDuel());
+
+    assert.ok(evaluateShot(problem, problem.heading, Math.PI / 8, 5).rangeError < 0);
+    assert.ok(evaluateShot(problem, problem.heading, Math.PI / 8, 100).rangeError > 0);
+});
+
+test('solveFireSolution lands the shell on a target in still air', () => {
+    const duel = createDuel({ targetX: 20, targetZ: 45 });
+    const solution = solveFireSolution(createProblem(duel));
+
+    assert.equal(solution.hitsTarget, true);
+    assert.equal(fireSolution(duel, solution).targetId, 'target');
+});
+
+test('solveFireSolution turns a lob into a crosswind', () => {
+    const duel = createDuel({ wind: { x: 6, y: 0, z: 0 }, targetZ: 60 });
+    const problem = createProblem(duel);
+    problem.limits.minElevation = Math.PI / 4; // Only high arcs, which drift with the wind
+    const solution = solveFireSolution(problem);
+
+    assert.equal(solution.hitsTarget, true);
+    assert.ok(solution.heading < problem.heading, 'aims upwind of the target');
+    assert.equal(fireSolution(duel, solution).targetId, 'target');
+});
+
+test('solveFireSolution lobs over a building in the way', () => {
+    const duel = createDuel({ obstacles: [{ type: 'building', x: 0, z: 25, radius: 3 }] });
+    const solution = solveFireSolution(createProblem(duel));
+
+    assert.equal(solution.hitsTarget, true);
+    assert.equal(fireSolution(duel, solution).targetId, 'target');
+});
+
+test('solveFireSolution reports the closest miss when the target is out of reach', () => {
+    const duel = createDuel({ targetZ: 95 });
+    const problem = createProblem(duel);
+    problem.limits.maxPower = 20;
+
+    const solution = solveFireSolution(problem);
+    assert.equal(solution.hitsTarget, false);
+    assert.ok(solution.rangeError < 0);
+    assert.equal(solution.power, 20);
+});
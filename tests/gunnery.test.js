@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimWorld } from '../public/js/sim/world.js';
+import { Heightfield } from '../public/js/sim/heightfield.js';
+import { solveFireSolution, measureMiss } from '../public/js/sim/fireSolution.js';
+import { GunneryMemory, REENGAGE_DISTANCE } from '../public/js/sim/gunnery.js';
+import { TANK_RADIUS, PROJECTILE_HIT_RADIUS } from '../public/js/sim/damage.js';
+import { getWeapon } from '../public/js/weapons.js';
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+const TARGET = { x: 0, y: 0, z: 50 };
+
+test('spotting a long, wide shot moves the next aim point short and back across', () => {
+    const gunnery = new GunneryMemory(0.5);
+    gunnery.engage('target', ORIGIN, TARGET);
+    gunnery.fired(ORIGIN, TARGET);
+
+    const miss = gunnery.spot({ x: 4, y: 0, z: 58 });
+    assert.deepEqual(miss, measureMiss(ORIGIN, TARGET, { x: 4, y: 0, z: 58 }));
+    assert.equal(miss.rangeError, 8);
+
+    const aimPoint = gunnery.getAimPoint(ORIGIN, TARGET);
+    assert.equal(aimPoint.z, 46);
+    assert.equal(aimPoint.x, -2);
+    assert.equal(gunnery.spot({ x: 0, y: 0, z: 0 }), null, 'each shot is spotted once');
+});
+
+test('the notes are kept for the same target and dropped for a new one or a big move', () => {
+    const gunnery = new GunneryMemory(1);
+    assert.equal(gunnery.engage('target', ORIGIN, TARGET), true);
+    gunnery.fired(ORIGIN, TARGET);
+    gunnery.spot({ x: 0, y: 0, z: 44 });
+
+    assert.equal(gunnery.engage('target', { x: 2, y: 0, z: 0 }, TARGET), false);
+    assert.equal(gunnery.offset.range, 6);
+
+    assert.equal(gunnery.engage('target', ORIGIN, { x: REENGAGE_DISTANCE + 1, y: 0, z: 50 }), true);
+    assert.equal(gunnery.offset.range, 0);
+    assert.equal(gunnery.engage('other', ORIGIN, TARGET), true);
+});
+
+test('a biased gunner walks its shells onto the target over turns', () => {
+    const heightfield = new Heightfield();
+    heightfield.heights.fill(0);
+    const world = new SimWorld({ heightfield, wind: { x: 3, y: 0, z: 0 } });
+    const shooter = world.addTank({ id: 'shooter', x: 0, z: 0 });
+    const target = world.addTank({ id: 'target', x: 0, z: 60 });
+    const gunnery = new GunneryMemory(0.6);
+    gunnery.engage(target.id, shooter.position, target.position);
+
+    const misses = [];
+    for (let turn = 0; turn < 6 && !misses.includes(0); turn++) {
+        const aimPoint = gunnery.getAimPoint(shooter.position, target.position);
+        const solution = solveFireSolution({
+            launch: (heading, elevation, power) => world.getLaunch(shooter, { azimuth: heading, elevation, power }),
+            heading: 0,
+            target: aimPoint,
+            targetRadius: TANK_RADIUS + PROJECTILE_HIT_RADIUS,
+            limits: { minElevation: 0, maxElevation: Math.PI / 3, minPower: 5, maxPower: 100 },
+            weapon: getWeapon(),
+            windVector: world.wind,
+            step: world.step
+        });
+
+        // Same sighting error every turn: too much power, a little to the left
+        world.turnIndex = 0;
+        gunnery.fired(shooter.position, target.position);
+        const shot = world.fire({ azimuth: solution.heading + 0.04, elevation: solution.elevation, power: solution.power + 6 });
+        const miss = gunnery.spot(shot.impactPoint);
+        misses.push(shot.targetId === target.id ? 0 : Math.hypot(miss.rangeError, miss.lateralError));
+    }
+
+    assert.ok(misses[0] > TANK_RADIUS * 2, `first shot misses (${misses[0].toFixed(1)} m)`);
+    assert.ok(misses.at(-1) === 0, `zeroes in: ${misses.map(miss => miss.toFixed(1)).join(', ')}`);
+});
@@ -0,0 +1,37 @@
+/**
+ * Test Environment
+ * The bare minimum of browser globals the game modules touch while loading, so they can
+ * be imported in Node. Import this before any module from public/js.
+ * Three.js itself comes from node_modules (a devDependency pinned to the version in the
+ * index.html import map); no renderer or WebGL context is ever created.
+ */
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+globalThis.window ??= globalThis;
+globalThis.localStorage ??= new MemoryStorage();
+
+// The game logs every shot and hit; set TEST_VERBOSE=1 to see it
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+}
@@ -0,0 +1,144 @@
+/**
+ * Test Fixtures
+ * Stand-ins for the pieces of a running Game that the code under test reads,
+ * built around real Three.js objects so positions behave exactly as in the browser.
+ */
+import './environment.js';
+import * as THREE from 'three';
+import { Game } from '../../public/js/game.js';
+import { Heightfield } from '../../public/js/sim/heightfield.js';
+import { getWeapon } from '../../public/js/weapons.js';
+import { createObjectives } from '../../public/js/objectives.js';
+import { ACTIONS_PER_TURN, refuel } from '../../public/js/inventory.js';
+
+// Accepts any UI call the game makes and does nothing
+const silentUI = new Proxy({}, { get: () => () => {} });
+
+/**
+ * Tank with the fields collisions and turn flow use
+ * @param {Object} options - { id, isPlayer, isAlly, team, position: [x, y, z], health, damageMultiplier }
+ * @returns {Object} Tank stand-in
+ */
+export function createTank(options = {}) {
+    const mesh = new THREE.Object3D();
+    mesh.position.fromArray(options.position || [0, 0, 0]);
+    const maxHealth = options.health ?? 100;
+
+    return {
+        id: options.id ?? 'tank',
+        isPlayer: options.isPlayer ?? false,
+        isRemote: false,
+        team: options.team ?? null,
+        isAlly: options.isAlly ?? false,
+        lastAttacker: null,
+        damageDealt: 0,
+        kills: 0,
+        shotsFired: 0,
+        mesh,
+        currentHealth: maxHealth,
+        maxHealth,
+        isDestroyed: false,
+        hasFired: false,
+        hasFiredThisTurn: false,
+        actionsLeft: ACTIONS_PER_TURN,
+        currentFuel: 100,
+        maxFuel: 100,
+        damageMultiplier: options.damageMultiplier ?? 1,
+        currentPower: 50,
+        minPower: 5,
+        maxPower: 100,
+        getSelectedWeapon: () => getWeapon(),
+        resetTurnStats() {
+            this.currentFuel = refuel(this.currentFuel, this.maxFuel);
+            this.hasFiredThisTurn = false;
+            this.actionsLeft = ACTIONS_PER_TURN;
+        },
+        takeDamage(amount) {
+            if (this.isDestroyed) return;
+            this.currentHealth = Math.max(0, this.currentHealth - amount);
+            this.isDestroyed = this.currentHealth === 0;
+        }
+    };
+}
+
+/**
+ * Building the way sceneSetup places them (collision radius in userData)
+ * @param {Array<number>} position - [x, y, z]
+ * @param {number} collisionRadius - Collision radius
+ * @returns {THREE.Object3D} Building stand-in
+ */
+export function createBuilding(position, collisionRadius = 4) {
+    const building = new THREE.Object3D();
+    building.position.fromArray(position);
+    building.userData = { collisionRadius, isDestroyed: false };
+    return building;
+}
+
+/**
+ * Scene with a flat terrain at a given height
+ * @param {number} groundHeight - Terrain height everywhere on the island
+ * @returns {THREE.Scene} Scene
+ */
+export function createFlatScene(groundHeight = 0) {
+    const heightfield = new Heightfield();
+    heightfield.heights.fill(groundHeight);
+
+    const scene = new THREE.Scene();
+    scene.userData.terrain = {
+        heightfield,
+        getHeightAt: (x, z) => heightfield.getHeightAt(x, z),
+        getNormalAt: (x, z) => heightfield.getNormalAt(x, z),
+        getSlopeAt: (x, z) => heightfield.getSlopeAt(x, z),
+        raycast: (...args) => heightfield.raycast(...args),
+        intersectSegment: (...args) => heightfield.intersectSegment(...args),
+        deformTerrain: (position, radius, depth) => heightfield.applyCrater(position.x, position.z, radius, depth)
+    };
+    return scene;
+}
+
+/**
+ * Game instance in the middle of a single-player or hot-seat match, without the
+ * renderer, DOM or audio. Game over is recorded instead of played out.
+ * @param {Array} tanks - Tanks in turn order
+ * @param {Object} options - { matchConfig, turnIndex, objectives }
+ * @returns {Game} Game
+ */
+export function createMatch(tanks, options = {}) {
+    const game = Object.create(Game.prototype);
+    const turnIndex = options.turnIndex ?? 0;
+    const playerTank = tanks.find(tank => tank.isPlayer) || null;
+    const sharedDevice = ['hotseat', 'network'].includes(options.matchConfig?.mode);
+
+    Object.assign(game, {
+        scene: new THREE.Scene(),
+        ui: silentUI,
+        audioManager: null,
+        wind: { advanceTurn: () => false },
+        replayRecorder: { record() {}, finish: () => null },
+        difficultyConfig: { name: 'Test', aiReactionTime: 0 },
+        matchConfig: options.matchConfig ?? null,
+        friendlyFire: options.matchConfig?.friendlyFire ?? !!options.matchConfig,
+        killLog: [],
+        objectives: sharedDevice ? [] : createObjectives(options.objectives),
+        round: 1,
+        projectiles: [],
+        matchStep: 0,
+        gameState: tanks[turnIndex].isPlayer ? 'PLAYER_TURN' : 'ENEMY_TURN',
+        turnOrder: tanks,
+        turnIndex,
+        activeTank: tanks[turnIndex],
+        playerTank,
+        humanTanks: tanks.filter(tank => tank.isPlayer),
+        enemyTanks: tanks.filter(tank => !tank.isPlayer),
+        gameStats: { shotsFired: 0, tanksDestroyed: 0, gameStartTime: null },
+        enemyTurns: [],
+        gameOverCalls: []
+    });
+
+    game.executeEnemyTurn = tank => game.enemyTurns.push(tank.id);
+    game.gameOver = (playerWon, gameStats, winner = null) => {
+        game.gameState = 'GAME_OVER';
+        game.gameOverCalls.push({ playerWon, winner });
+    };
+    return game;
+}
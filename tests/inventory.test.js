@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ITEM_TYPES,
+    createInventory,
+    getAmmo,
+    consumeAmmo,
+    getItemCount,
+    consumeItem,
+    refuel,
+    formatAmmo
+} from '../public/js/inventory.js';
+import { getSelectableWeaponIds, getWeapon } from '../public/js/weapons.js';
+
+test('a new inventory carries every loadout weapon and the item stock', () => {
+    const inventory = createInventory(getSelectableWeaponIds());
+
+    getSelectableWeaponIds().forEach(weaponId => {
+        const ammo = getWeapon(weaponId).ammo;
+        assert.equal(getAmmo(inventory, weaponId), ammo ?? Infinity, weaponId);
+    });
+    assert.equal(getAmmo(inventory, 'basic'), Infinity, 'the standard shell never runs out');
+    Object.values(ITEM_TYPES).forEach(item => {
+        assert.equal(getItemCount(inventory, item.id), item.stock, item.id);
+    });
+});
+
+test('rounds run out; weapons outside the loadout have none', () => {
+    const inventory = createInventory(['basic', 'nuke']);
+
+    assert.equal(consumeAmmo(inventory, 'nuke'), true);
+    assert.equal(getAmmo(inventory, 'nuke'), 0);
+    assert.equal(consumeAmmo(inventory, 'nuke'), false);
+
+    assert.equal(consumeAmmo(inventory, 'basic'), true);
+    assert.equal(getAmmo(inventory, 'basic'), Infinity);
+    assert.equal(getAmmo(inventory, 'mirv'), 0);
+    assert.equal(consumeAmmo(inventory, 'mirv'), false);
+
+    assert.equal(formatAmmo(3), '×3');
+    assert.equal(formatAmmo(Infinity), '∞');
+});
+
+test('items are used up one at a time', () => {
+    const inventory = createInventory(['basic']);
+    const stock = ITEM_TYPES.repairKit.stock;
+
+    for (let i = 0; i < stock; i++) {
+        assert.equal(consumeItem(inventory, 'repairKit'), true);
+    }
+    assert.equal(consumeItem(inventory, 'repairKit'), false);
+    assert.equal(getItemCount(inventory, 'repairKit'), 0);
+    assert.equal(consumeItem(inventory, 'jetpack'), false);
+});
+
+test('fuel carries over and only partly refills', () => {
+    assert.equal(refuel(10, 100), 60);
+    assert.equal(refuel(80, 100), 100);
+    assert.equal(refuel(0, 130), 65);
+});
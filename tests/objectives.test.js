@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CUSTOM_MISSIONS, createObjectives, evaluateObjectives, isValidObjective } from '../public/js/objectives.js';
+import { CAMPAIGN_STAGES } from '../public/js/campaign.js';
+
+function createState(overrides = {}) {
+    return {
+        round: 1,
+        shotsFired: 0,
+        shellsInFlight: false,
+        enemiesTotal: 3,
+        enemiesLeft: 3,
+        playerPosition: { x: 20, z: 0 },
+        ...overrides
+    };
+}
+
+test('every mission and stage objective is valid; bad definitions fall back to the default mission', () => {
+    Object.values(CUSTOM_MISSIONS).forEach(mission => {
+        assert.ok(mission.objectives.every(isValidObjective), mission.id);
+    });
+    CAMPAIGN_STAGES.forEach(stage => {
+        assert.ok(stage.objectives.every(isValidObjective), stage.id);
+    });
+
+    assert.equal(isValidObjective({ type: 'shotLimit', shots: 0 }), false);
+    assert.equal(isValidObjective({ type: 'protectBuilding' }), false);
+    assert.deepEqual(createObjectives([{ type: 'capture' }]).map(objective => objective.definition.type), ['destroyAll']);
+    assert.deepEqual(createObjectives(null).map(objective => objective.definition.type), ['destroyAll']);
+});
+
+test('the mission is won once every goal is complete', () => {
+    const objectives = createObjectives([{ type: 'destroyAll' }, { type: 'destroyBuilding', building: 'fortress' }]);
+    objectives[1].target = { userData: { health: 50, maxHealth: 200, isDestroyed: false } };
+
+    let mission = evaluateObjectives(objectives, createState({ enemiesLeft: 0 }));
+    assert.deepEqual(mission.results.map(result => result.status), ['complete', 'active']);
+    assert.equal(mission.results[1].progress, '25%');
+    assert.equal(mission.won, false);
+
+    objectives[1].target.userData.isDestroyed = true;
+    mission = evaluateObjectives(objectives, createState({ enemiesLeft: 0 }));
+    assert.equal(mission.won, true);
+    assert.equal(mission.lost, false);
+});
+
+test('constraints fail the mission: shot limit once the last shell lands, protected buildings once destroyed', () => {
+    const objectives = createObjectives([{ type: 'destroyAll' }, { type: 'shotLimit', shots: 3 }]);
+
+    assert.equal(evaluateObjectives(objectives, createState({ shotsFired: 3, shellsInFlight: true })).lost, false);
+    assert.equal(evaluateObjectives(objectives, createState({ shotsFired: 3, enemiesLeft: 0 })).won, true, 'the last shell can win');
+    const mission = evaluateObjectives(objectives, createState({ shotsFired: 3 }));
+    assert.equal(mission.lost, true);
+    assert.equal(mission.results[1].progress, '3/3 shots');
+
+    const guarded = createObjectives([{ type: 'destroyAll' }, { type: 'protectBuilding', building: 'lighthouse' }]);
+    guarded[1].target = { userData: { health: 0, maxHealth: 100, isDestroyed: true } };
+    assert.equal(evaluateObjectives(guarded, createState({ enemiesLeft: 0 })).lost, true);
+});
+
+test('survival counts rounds and zones stay reached once the player gets there', () => {
+    const survive = createObjectives([{ type: 'surviveTurns', turns: 4 }]);
+    assert.equal(evaluateObjectives(survive, createState({ round: 4 })).won, false);
+    assert.equal(evaluateObjectives(survive, createState({ round: 5 })).won, true);
+
+    const zone = createObjectives([{ type: 'reachZone', x: 0, z: 0, radius: 5 }]);
+    assert.equal(evaluateObjectives(zone, createState()).results[0].progress, '15 m');
+    assert.equal(evaluateObjectives(zone, createState({ playerPosition: { x: 3, z: 0 } })).won, true);
+    assert.equal(evaluateObjectives(zone, createState({ playerPosition: { x: 40, z: 0 } })).won, true);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/environment.js';
+import * as THREE from 'three';
+import { Projectile } from '../public/js/projectile.js';
+import { GRAVITY } from '../public/js/sim/ballistics.js';
+import { WEAPON_TYPES, WEAPON_BEHAVIORS, getWeapon } from '../public/js/weapons.js';
+
+const STEP = 1 / 60;
+const LAUNCH_HEIGHT = 20;
+
+function launch(speed, elevation, options = {}) {
+    const velocity = new THREE.Vector3(Math.cos(elevation) * speed, Math.sin(elevation) * speed, 0);
+    const projectile = new Projectile(new THREE.Vector3(-60, LAUNCH_HEIGHT, 0), velocity, true, new THREE.Scene());
+    if (options.vacuum) {
+        projectile.dragCoefficient = 0;
+    }
+    if (options.wind) {
+        projectile.windVector.set(...options.wind);
+    }
+    return projectile;
+}
+
+// Step updatePhysics and the position like Projectile.update does, until the shell
+// comes back down to its launch height
+function fly(projectile) {
+    const position = projectile.mesh.position;
+    const start = position.clone();
+    let apex = position.y;
+    let time = 0;
+
+    do {
+        projectile.updatePhysics(STEP);
+        position.addScaledVector(projectile.velocity, STEP);
+        apex = Math.max(apex, position.y);
+        time += STEP;
+    } while (position.y > start.y && time < 20);
+
+    return { range: position.x - start.x, height: apex - start.y, time };
+}
+
+test('updatePhysics matches the drag-free ballistic range, apex and flight time', () => {
+    const speed = 40;
+    const elevation = Math.PI / 4;
+    const { range, height, time } = fly(launch(speed, elevation, { vacuum: true }));
+
+    const vy = speed * Math.sin(elevation);
+    const expectedRange = speed * speed * Math.sin(2 * elevation) / GRAVITY;
+    const expectedHeight = vy * vy / (2 * GRAVITY);
+    const expectedTime = 2 * vy / GRAVITY;
+
+    // Fixed steps land within a step or two of the analytic curve
+    const horizontalStep = speed * Math.cos(elevation) * STEP;
+    assert.ok(Math.abs(range - expectedRange) < 2 * horizontalStep, `range ${range} vs ${expectedRange}`);
+    assert.ok(Math.abs(height - expectedHeight) < vy * STEP, `apex ${height} vs ${expectedHeight}`);
+    assert.ok(Math.abs(time - expectedTime) < 2 * STEP, `time ${time} vs ${expectedTime}`);
+});
+
+test('updatePhysics gives the longest drag-free range at 45 degrees', () => {
+    const ranges = [30, 45, 60].map(degrees => fly(launch(35, THREE.MathUtils.degToRad(degrees), { vacuum: true })).range);
+    assert.ok(ranges[1] > ranges[0]);
+    assert.ok(ranges[1] > ranges[2]);
+    // 30 and 60 degrees share a range in a vacuum
+    assert.ok(Math.abs(ranges[0] - ranges[2]) < 1);
+});
+
+test('updatePhysics loses range and height to air drag', () => {
+    const vacuum = fly(launch(40, Math.PI / 4, { vacuum: true }));
+    const withDrag = fly(launch(40, Math.PI / 4));
+
+    assert.ok(withDrag.range < vacuum.range);
+    assert.ok(withDrag.height < vacuum.height);
+});
+
+test('updatePhysics carries shells further with a tailwind and shorter into a headwind', () => {
+    const calm = fly(launch(40, Math.PI / 4)).range;
+    const tailwind = fly(launch(40, Math.PI / 4, { wind: [4, 0, 0] })).range;
+    const headwind = fly(launch(40, Math.PI / 4, { wind: [-4, 0, 0] })).range;
+
+    assert.ok(tailwind > calm);
+    assert.ok(headwind < calm);
+});
+
+test('updatePhysics caps the falling speed at terminal velocity', () => {
+    const projectile = launch(0, 0, { vacuum: true });
+    for (let i = 0; i < 600; i++) {
+        projectile.updatePhysics(STEP);
+    }
+    assert.equal(projectile.velocity.y, -60);
+});
+
+test('weapon behaviors are all handled, the digger tunnels and the dirt clod comes from its crater', () => {
+    Object.values(WEAPON_TYPES).forEach(weapon => {
+        assert.ok(weapon.behavior === null || WEAPON_BEHAVIORS.includes(weapon.behavior), weapon.id);
+    });
+
+    const basic = getWeapon('basic');
+    const digger = getWeapon('digger');
+    assert.equal(digger.behavior, 'tunnel');
+    assert.ok(digger.tunnelLength > 0 && digger.tunnelRadius > 0);
+    assert.ok(digger.craterRadius < basic.craterRadius && digger.craterDepth > basic.craterDepth, 'deep and narrow');
+    assert.ok(getWeapon('dirtClod').craterDepth < 0, 'piles earth up');
+});
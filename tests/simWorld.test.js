@@ -0,0 +1,339 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createTank, createBuilding, createFlatScene } from './helpers/fixtures.js';
+import { SimWorld, TANK_GROUND_CLEARANCE } from '../public/js/sim/world.js';
+import { Heightfield } from '../public/js/sim/heightfield.js';
+import { resolveShellHit } from '../public/js/sim/impact.js';
+import { TANK_RADIUS } from '../public/js/sim/damage.js';
+import { getMoveFuelCost, findMoveBlocker } from '../public/js/sim/movement.js';
+import { getFallDamage } from '../public/js/sim/groundSupport.js';
+import { igniteFire } from '../public/js/sim/weaponBehaviors.js';
+import { distance } from '../public/js/sim/vector.js';
+import { refuel } from '../public/js/inventory.js';
+import { CollisionSystem } from '../public/js/collisionSystem.js';
+import { Projectile } from '../public/js/projectile.js';
+import { getWeapon } from '../public/js/weapons.js';
+
+const GROUND = 2;
+
+function createWorld(options = {}) {
+    const heightfield = new Heightfield();
+    heightfield.heights.fill(GROUND);
+    return new SimWorld({ heightfield, ...options });
+}
+
+test('shells hit a tank before a building, and a building before the ground', () => {
+    const world = createWorld({ obstacles: [{ type: 'building', x: 0, z: 0, radius: 4 }] });
+    const shooter = world.addTank({ id: 'shooter', x: 0, z: -40 });
+    const target = world.addTank({ id: 'target', x: 0, z: 0 });
+    const inside = { x: 0, y: GROUND, z: 0.5 }; // Inside the tank, the building and the ground
+
+    assert.equal(world.checkShellHit(inside, shooter).tank, target);
+    assert.equal(world.checkShellHit(inside, target).type, 'static', 'a tank\'s own shells fly through it');
+    target.isDestroyed = true;
+    assert.equal(world.checkShellHit(inside, shooter).type, 'static');
+    world.obstacles[0].isDestroyed = true;
+    assert.deepEqual(world.checkShellHit(inside, shooter), { type: 'terrain', position: { x: 0, y: GROUND, z: 0.5 }, terrainHeight: GROUND });
+    assert.equal(world.checkShellHit({ x: 0, y: GROUND + 20, z: 0 }, shooter), null);
+});
+
+test('a ground hit digs a crater, settles the tanks and hurts those in the blast', () => {
+    const world = createWorld();
+    world.addTank({ id: 'shooter', x: 0, z: -40 });
+    const target = world.addTank({ id: 'target', x: 0, z: 20 });
+
+    // Straight down just short of the target
+    const shot = world.fire({ azimuth: 0, elevation: -Math.PI / 2, power: 10, weaponId: 'basic' });
+    const weapon = getWeapon('basic');
+    assert.equal(shot.hit, 'terrain');
+    assert.deepEqual(shot.crater, { position: shot.impactPoint, radius: weapon.craterRadius, depth: weapon.craterDepth });
+    assert.ok(world.getHeightAt(shot.impactPoint.x, shot.impactPoint.z) < GROUND);
+    assert.equal(target.health, 100, 'the blast stops short of the target');
+
+    const blastWorld = createWorld();
+    const shooter = blastWorld.addTank({ id: 'shooter', x: 0, z: 0 });
+    const near = blastWorld.addTank({ id: 'near', x: 0, z: 4.5 });
+    const blast = blastWorld.fire({ azimuth: 0, elevation: -Math.PI / 2, power: 10, weaponId: 'basic' });
+    assert.equal(blast.hit, 'terrain');
+    assert.ok(near.health < 100 && shooter.health < 100, 'the blast hurts the shooter too');
+    assert.deepEqual(blast.damage.map(({ tankId, cause }) => [tankId, cause]).sort(), [['near', 'blast'], ['shooter', 'blast']]);
+    assert.equal(shooter.position.y, blastWorld.getHeightAt(0, 0) + 0.55, 'the shooter sits in its own crater');
+});
+
+test('buildings wear down under direct hits and trees fall to one', () => {
+    const world = createWorld({
+        obstacles: [
+            { id: 'house', type: 'building', x: 0, z: 0, radius: 3, health: 60 },
+            { id: 'oak', type: 'tree', x: 30, z: 0, radius: 2 }
+        ]
+    });
+    const shooter = world.addTank({ id: 'shooter', x: 0, z: -40 });
+    const hit = world.checkShellHit({ x: 0, y: GROUND + 3, z: -1 }, shooter);
+    const flight = { hit, velocity: { x: 0, y: 0, z: 50 } };
+
+    const first = SimWorld.createShotResult();
+    world.resolveImpact(flight, shooter, getWeapon('basic'), first);
+    assert.deepEqual(first.obstacleDamage, [{ obstacleId: 'house', amount: getWeapon('basic').damage, direct: true }]);
+    assert.deepEqual(first.destroyedObstacles, []);
+
+    const second = SimWorld.createShotResult();
+    world.resolveImpact(flight, shooter, getWeapon('basic'), second);
+    assert.deepEqual(second.destroyedObstacles, ['house']);
+    assert.equal(world.checkShellHit({ x: 0, y: GROUND + 3, z: -1 }, shooter), null, 'rubble no longer stops shells');
+
+    const treeHit = world.checkShellHit({ x: 30, y: GROUND + 1, z: 0 }, shooter);
+    const felled = SimWorld.createShotResult();
+    world.resolveImpact({ hit: treeHit, velocity: { x: 0, y: 0, z: 50 } }, shooter, getWeapon('babyMissile'), felled);
+    assert.deepEqual(felled.destroyedObstacles, ['oak']);
+});
+
+test('the browser and the headless world resolve the same shell the same way', () => {
+    const world = createWorld({ obstacles: [{ type: 'building', x: 0, z: 12, radius: 4 }] });
+    const simShooter = world.addTank({ id: 'shooter', x: 0, z: -40 });
+    const simTarget = world.addTank({ id: 'target', x: 0, z: 0 });
+
+    const scene = createFlatScene(GROUND);
+    const player = createTank({ id: 'shooter', isPlayer: true, position: [0, simShooter.position.y, -40] });
+    const enemy = createTank({ id: 'target', position: [0, simTarget.position.y, 0] });
+    const game = { scene, playerTank: player, enemyTanks: [enemy], turnOrder: [player, enemy], buildings: [createBuilding([0, GROUND, 12])], trees: [] };
+    const collisions = new CollisionSystem(game);
+
+    const cases = [
+        { position: [0.4, simTarget.position.y + 1, -1.2], velocity: [0, -10, 45] },  // Tank
+        { position: [1, GROUND + 2, 9.5], velocity: [0, -20, 30] },                    // Building
+        { position: [20, GROUND + 0.1, 20], velocity: [5, -30, 0] }                    // Ground
+    ];
+    cases.forEach(({ position, velocity }) => {
+        const shell = new Projectile(new THREE.Vector3(...position), new THREE.Vector3(...velocity), true, scene, player);
+        const browser = collisions.checkProjectileCollisions(shell);
+
+        const point = { x: position[0], y: position[1], z: position[2] };
+        const hit = world.checkShellHit(point, simShooter);
+        const headless = resolveShellHit(hit, { ...shell, velocity: { x: velocity[0], y: velocity[1], z: velocity[2] } });
+
+        assert.equal(browser.type, hit.type);
+        assert.equal(browser.damage ?? 0, headless.damage);
+        assert.deepEqual(browser.impactPoint.toArray(), [headless.impactPoint.x, headless.impactPoint.y, headless.impactPoint.z]);
+    });
+});
+
+test('turns skip destroyed tanks and the last team standing wins', () => {
+    const world = createWorld();
+    world.addTank({ id: 'a', team: 'red', x: -20, z: 0 });
+    const b = world.addTank({ id: 'b', team: 'blue', x: 0, z: 0 });
+    world.addTank({ id: 'c', team: 'red', x: 20, z: 0 });
+
+    assert.equal(world.activeTank.id, 'a');
+    b.isDestroyed = true;
+    assert.equal(world.endTurn().id, 'c');
+    assert.equal(world.endTurn().id, 'a');
+    assert.deepEqual(world.getResult(), { isOver: true, winningTeam: 'red' });
+});
+
+test('shells and blasts spare teammates unless friendly fire is on', () => {
+    const createTeams = friendlyFire => {
+        const world = createWorld({ friendlyFire });
+        const shooter = world.addTank({ id: 'shooter', team: 'red', x: 0, z: -40 });
+        const teammate = world.addTank({ id: 'teammate', team: 'red', x: 0, z: 0 });
+        const enemy = world.addTank({ id: 'enemy', team: 'blue', x: 0, z: 4 });
+        return { world, shooter, teammate, enemy };
+    };
+    const onTeammate = { x: 0, y: GROUND + 1.5, z: 0 };
+
+    const safe = createTeams(false);
+    assert.equal(safe.world.checkShellHit(onTeammate, safe.shooter), null, 'the shell flies through a teammate');
+    const groundHit = safe.world.checkShellHit({ x: 0, y: GROUND, z: 1 }, safe.shooter);
+    const result = SimWorld.createShotResult();
+    safe.world.resolveImpact({ hit: groundHit, velocity: { x: 0, y: -30, z: 0 } }, safe.shooter, getWeapon('basic'), result);
+    assert.deepEqual(result.damage.map(({ tankId }) => tankId), ['enemy'], 'the blast skips the teammate');
+    assert.equal(safe.teammate.health, 100);
+
+    const reckless = createTeams(true);
+    assert.equal(reckless.world.checkShellHit(onTeammate, reckless.shooter).tank, reckless.teammate);
+    assert.equal(reckless.world.canDamage(reckless.shooter, reckless.shooter), true);
+});
+
+test('tanks drive until something blocks them or the fuel runs out, and refuel between turns', () => {
+    const world = createWorld({ obstacles: [{ type: 'building', x: 20, z: 9, radius: 4 }] });
+    const driver = world.addTank({ id: 'driver', x: 0, z: 0 });
+    const other = world.addTank({ id: 'other', x: 0, z: 12 });
+
+    const forward = world.drive({ heading: 0, distance: 20 });
+    assert.equal(forward.blockedBy, 'tank');
+    assert.ok(forward.distance > 5 && distance(driver.position, other.position) >= TANK_RADIUS * 2);
+    assert.equal(driver.position.y, GROUND + TANK_GROUND_CLEARANCE);
+    assert.ok(Math.abs(driver.fuel - (100 - forward.fuelUsed)) < 1e-9);
+
+    assert.equal(world.drive({ heading: Math.PI / 2, distance: 30 }).blockedBy, 'static');
+    const west = world.drive({ heading: -Math.PI / 2, distance: 100 });
+    assert.equal(west.blockedBy, 'fuel');
+    assert.ok(driver.fuel < getMoveFuelCost(world.step));
+
+    const fuelLeft = driver.fuel;
+    world.endTurn();
+    world.endTurn();
+    assert.equal(driver.fuel, refuel(fuelLeft, driver.maxFuel));
+
+    const edge = createWorld();
+    edge.addTank({ id: 'edge', x: 58, z: 0 });
+    assert.deepEqual(edge.drive({ heading: Math.PI / 2, distance: 5 }).blockedBy, 'boundary');
+});
+
+test('the browser and the headless world block the same moves', () => {
+    const world = createWorld({ obstacles: [{ type: 'building', x: 0, z: 12, radius: 4 }] });
+    const simDriver = world.addTank({ id: 'driver', x: 0, z: 0 });
+    const simOther = world.addTank({ id: 'other', x: 10, z: 0 });
+    const y = simDriver.position.y;
+
+    const scene = createFlatScene(GROUND);
+    const driver = createTank({ id: 'driver', isPlayer: true, position: [0, y, 0] });
+    const other = createTank({ id: 'other', position: [10, simOther.position.y, 0] });
+    const game = { scene, playerTank: driver, enemyTanks: [other], turnOrder: [driver, other], buildings: [createBuilding([0, GROUND, 12])], trees: [] };
+    const collisions = new CollisionSystem(game);
+
+    [[0, y, 2], [0, y, 7], [7, y, 0], [-61, y, 0]].forEach(([x, y, z]) => {
+        const browser = collisions.checkTankMovement(driver, new THREE.Vector3(x, y, z));
+        const headless = findMoveBlocker(simDriver, { x, y, z }, world.getImpactWorld(world.tanks));
+        assert.equal(browser.canMove ? null : browser.collisionInfo.type, headless?.type ?? null);
+    });
+});
+
+test('a tank dropped into a crater takes fall damage, and dirt piled over it buries it', () => {
+    const heightfield = new Heightfield();
+    heightfield.heights.fill(10);
+    const world = new SimWorld({ heightfield });
+    const tank = world.addTank({ id: 'tank', x: 0, z: 0 });
+
+    heightfield.applyCrater(0, 0, 8, 6);
+    const fall = SimWorld.createShotResult();
+    world.checkGroundSupport({ position: { x: 0, y: 10, z: 0 }, radius: 8 }, fall);
+    assert.equal(tank.position.y, 4 + TANK_GROUND_CLEARANCE);
+    assert.deepEqual(fall.damage, [{ tankId: 'tank', amount: getFallDamage(6), cause: 'fall' }]);
+
+    // A dirt clod straight down piles a mound over the shooter
+    const buried = world.fire({ azimuth: 0, elevation: -Math.PI / 2, power: 10, weaponId: 'dirtClod' });
+    assert.deepEqual(buried.buried, ['tank']);
+    assert.equal(world.drive({ heading: 0, distance: 5 }).blockedBy, 'buried');
+
+    // Blasting the mound away digs it out
+    heightfield.applyCrater(0, 0, 6, 4);
+    world.checkGroundSupport({ position: { x: 0, y: 4, z: 0 }, radius: 6 }, SimWorld.createShotResult());
+    assert.equal(tank.isBuried, false);
+    assert.notEqual(world.drive({ heading: 0, distance: 1 }).blockedBy, 'buried');
+});
+
+test('a MIRV splits at the top of its arc where the browser round does', () => {
+    const world = createWorld();
+    const shooter = world.addTank({ id: 'shooter', x: 0, z: -40 });
+    const aim = { azimuth: 0, elevation: 0.8, power: 40, weaponId: 'mirv' };
+    const { origin, velocity } = world.getLaunch(shooter, aim);
+    const shot = world.fire(aim);
+
+    assert.equal(shot.hit, 'split');
+    assert.equal(shot.warheads.length, getWeapon('mirv').warheads);
+    assert.ok(shot.warheads.every(warhead => warhead.weaponId === 'mirvWarhead' && warhead.hit === 'terrain'));
+    assert.deepEqual(shot.craters, shot.warheads.map(warhead => warhead.crater));
+
+    const mirv = new Projectile(new THREE.Vector3(origin.x, origin.y, origin.z), new THREE.Vector3(velocity.x, velocity.y, velocity.z), true, createFlatScene(GROUND), null, 'mirv');
+    while (!mirv.readyToSplit) mirv.update(world.step);
+    assert.deepEqual(mirv.mesh.position.toArray(), [shot.impactPoint.x, shot.impactPoint.y, shot.impactPoint.z]);
+    mirv.splitWarheads().forEach((warhead, i) => {
+        warhead.update(world.step);
+        const { x, y, z } = shot.warheads[i].path[1];
+        assert.deepEqual(warhead.mesh.position.toArray(), [x, y, z]);
+    });
+});
+
+test('a roller rolls on from its touchdown until it stops or runs into a tank', () => {
+    const aim = { azimuth: 0, elevation: 0.3, power: 15, weaponId: 'roller' };
+    const open = createWorld();
+    open.addTank({ id: 'shooter', x: 0, z: -40 });
+    const rolled = open.fire(aim);
+    const touchdown = rolled.path.find(point => point.y === GROUND);
+    assert.equal(rolled.hit, 'terrain');
+    assert.ok(rolled.impactPoint.z > touchdown.z + 10, 'it explodes well past where it landed');
+
+    const blocked = createWorld();
+    blocked.addTank({ id: 'shooter', x: 0, z: -40 });
+    const target = blocked.addTank({ id: 'target', x: 0, z: (touchdown.z + rolled.impactPoint.z) / 2 });
+    const stopped = blocked.fire(aim);
+    assert.equal(stopped.targetId, 'target');
+    assert.ok(target.health < 100);
+});
+
+test('the browser and the headless world burn napalm the same way', () => {
+    const napalm = getWeapon('napalm');
+    const world = createWorld();
+    const simShooter = world.addTank({ id: 'shooter', x: 0, z: -40 });
+    const simTarget = world.addTank({ id: 'target', x: 0, z: 4 });
+    world.addTank({ id: 'bystander', x: 0, z: 12 });
+    const result = SimWorld.createShotResult();
+    world.burnNapalm(igniteFire({ x: 0, y: GROUND, z: 0 }, napalm, simShooter), result);
+
+    assert.ok(simTarget.health < 100);
+    assert.ok(result.damage.every(({ tankId, cause }) => tankId === 'target' && cause === 'fire'), 'only tanks in the fire burn');
+
+    const scene = createFlatScene(GROUND);
+    const player = createTank({ id: 'shooter', isPlayer: true, position: [0, simShooter.position.y, -40] });
+    const enemy = createTank({ id: 'target', position: [0, simTarget.position.y, 4] });
+    const collisions = new CollisionSystem({ scene, playerTank: player, enemyTanks: [enemy], turnOrder: [player, enemy], buildings: [], trees: [] });
+    collisions.igniteFire(new THREE.Vector3(0, GROUND, 0), napalm, { shootingTank: player });
+    while (collisions.activeFires.length > 0) collisions.updateFires(world.step);
+    assert.equal(enemy.currentHealth, simTarget.health);
+});
+
+function createRidgeWorld() {
+    // A 6 m ridge across the field at z = 0, 10 m wide at the base
+    const heightfield = new Heightfield();
+    for (let iz = 0; iz <= heightfield.segments; iz++) {
+        const ridge = GROUND + 6 * Math.max(0, 1 - Math.abs(heightfield.getVertexZ(iz)) / 5);
+        for (let ix = 0; ix <= heightfield.segments; ix++) {
+            heightfield.heights[heightfield.getIndex(ix, iz)] = ridge;
+        }
+    }
+    return new SimWorld({ heightfield });
+}
+
+test('a digger tunnels through a ridge and flies on to the tank behind it', () => {
+    const aim = { azimuth: 0, elevation: 0.15, power: 70, weaponId: 'digger' };
+    const world = createRidgeWorld();
+    const shooter = world.addTank({ id: 'shooter', x: 0, z: -40 });
+    const target = world.addTank({ id: 'target', x: 0, z: 30 });
+    const { origin, velocity } = world.getLaunch(shooter, aim);
+    const shot = world.fire(aim);
+
+    assert.ok(shot.craters.length > 1 && shot.craters.every(crater => Math.abs(crater.position.z) < 5), 'the trench runs through the ridge');
+    assert.ok(world.getHeightAt(0, shot.craters[0].position.z) < shot.craters[0].position.y);
+    assert.equal(shot.targetId, 'target');
+    assert.ok(target.health < 100);
+
+    // The same shot in the browser
+    const scene = createFlatScene(GROUND);
+    scene.userData.terrain.heightfield.heights.set(createRidgeWorld().heightfield.heights);
+    const player = createTank({ id: 'shooter', isPlayer: true, position: [0, shooter.position.y, -40] });
+    const enemy = createTank({ id: 'target', position: [0, target.position.y, 30] });
+    const collisions = new CollisionSystem({ scene, playerTank: player, enemyTanks: [enemy], turnOrder: [player, enemy], buildings: [], trees: [] });
+    const digger = new Projectile(new THREE.Vector3(origin.x, origin.y, origin.z), new THREE.Vector3(velocity.x, velocity.y, velocity.z), true, scene, player, 'digger');
+    let collision = { hasCollision: false };
+    while (!collision.hasCollision && !digger.shouldBeRemoved) {
+        digger.update(world.step);
+        collision = collisions.checkProjectileCollisions(digger);
+    }
+    assert.equal(collision.tank, enemy);
+    assert.deepEqual(collision.impactPoint.toArray(), [shot.impactPoint.x, shot.impactPoint.y, shot.impactPoint.z]);
+});
+
+test('a digger that stays underground explodes at the end of its tunnel', () => {
+    const world = createWorld();
+    world.addTank({ id: 'shooter', x: 0, z: -40 });
+    const shot = world.fire({ azimuth: 0, elevation: 0.2, power: 40, weaponId: 'digger' });
+    const digger = getWeapon('digger');
+
+    assert.equal(shot.hit, 'terrain');
+    assert.equal(shot.craters.length, digger.tunnelLength + 1, 'one bite per meter, then the blast');
+    const [entry] = shot.craters;
+    const end = shot.craters[shot.craters.length - 1];
+    assert.deepEqual(end, shot.crater);
+    assert.ok(end.position.z - entry.position.z > digger.tunnelLength / 2, 'it bored on along its flight path');
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseTarget, getTargetingStrategy, DEFAULT_TARGETING_ID } from '../public/js/targeting.js';
+
+// Near and healthy, far and battered, mid-range and dangerous
+const near = { tank: 'near', distance: 10, health: 100, damageDealt: 0, isLastAttacker: false };
+const weak = { tank: 'weak', distance: 60, health: 20, damageDealt: 10, isLastAttacker: false };
+const deadly = { tank: 'deadly', distance: 30, health: 80, damageDealt: 70, isLastAttacker: true };
+const candidates = [weak, deadly, near];
+
+test('each strategy picks its kind of target', () => {
+    assert.equal(chooseTarget('nearest', candidates), 'near');
+    assert.equal(chooseTarget('weakest', candidates), 'weak');
+    assert.equal(chooseTarget('threat', candidates), 'deadly');
+    assert.equal(chooseTarget('lastAttacker', candidates), 'deadly');
+});
+
+test('ties go to the nearest tank', () => {
+    const untouched = candidates.map(candidate => ({ ...candidate, damageDealt: 0, isLastAttacker: false }));
+    assert.equal(chooseTarget('threat', untouched), 'near');
+    assert.equal(chooseTarget('lastAttacker', untouched), 'near');
+});
+
+test('unknown strategies fall back to the nearest tank and empty fields give no target', () => {
+    assert.equal(getTargetingStrategy('nonsense').id, DEFAULT_TARGETING_ID);
+    assert.equal(chooseTarget('nonsense', candidates), 'near');
+    assert.equal(chooseTarget('weakest', []), null);
+});
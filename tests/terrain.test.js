@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/environment.js';
+import * as THREE from 'three';
+import { rebuildTerrain } from '../public/js/sceneSetup.js';
+import { SeededRandom } from '../public/js/random.js';
+import { Heightfield } from '../public/js/sim/heightfield.js';
+
+const MAP_SEED = 1234;
+
+// Build the island the way a match does; the placeholder mesh lends its material,
+// so no texture has to be loaded
+function createTerrain(mapSeed = MAP_SEED) {
+    const scene = new THREE.Scene();
+    scene.userData.terrainMesh = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial());
+    rebuildTerrain(scene, mapSeed, new SeededRandom(mapSeed).next);
+    return scene.userData.terrain;
+}
+
+// Vertex (ix, iz) as a world position and its index
+function vertexAt(terrain, ix, iz) {
+    const { heightfield } = terrain;
+    return {
+        x: heightfield.getVertexX(ix),
+        z: heightfield.getVertexZ(iz),
+        index: heightfield.getIndex(ix, iz)
+    };
+}
+
+test('the same map seed builds the same island', () => {
+    assert.deepEqual(createTerrain().heightfield.heights, createTerrain().heightfield.heights);
+    assert.notDeepEqual(createTerrain().heightfield.heights, createTerrain(99).heightfield.heights);
+});
+
+test('deformTerrain digs a bowl: full depth at the center, nothing at the rim', () => {
+    const terrain = createTerrain();
+    const center = vertexAt(terrain, 128, 128); // World origin
+    const before = terrain.heightfield.heights.slice();
+    const radius = 4;
+    const depth = 1.5;
+    assert.ok(before[center.index] > depth, 'crater site should be above the crater depth');
+
+    terrain.deformTerrain(new THREE.Vector3(center.x, before[center.index], center.z), radius, depth);
+    const after = terrain.heightfield.heights;
+
+    assert.ok(Math.abs(before[center.index] - after[center.index] - depth) < 1e-5);
+
+    // Depth falls off towards the rim
+    const near = vertexAt(terrain, 129, 128).index;
+    const far = vertexAt(terrain, 131, 128).index;
+    const nearDepth = before[near] - after[near];
+    const farDepth = before[far] - after[far];
+    assert.ok(nearDepth > farDepth && farDepth > 0);
+
+    // Only vertices inside the radius change
+    const { segments } = terrain.heightfield;
+    for (let iz = 0; iz <= segments; iz++) {
+        for (let ix = 0; ix <= segments; ix++) {
+            const vertex = vertexAt(terrain, ix, iz);
+            if (Math.hypot(vertex.x - center.x, vertex.z - center.z) >= radius) {
+                assert.equal(after[vertex.index], before[vertex.index]);
+            }
+        }
+    }
+});
+
+test('deformTerrain updates height queries and the rendered mesh', () => {
+    const terrain = createTerrain();
+    const site = vertexAt(terrain, 100, 140);
+    const before = terrain.getHeightAt(site.x, site.z);
+
+    terrain.deformTerrain(new THREE.Vector3(site.x, before, site.z), 3, 1);
+
+    assert.ok(terrain.getHeightAt(site.x, site.z) < before);
+    const vertices = terrain.geometry.attributes.position;
+    for (let i = 0; i < vertices.count; i++) {
+        if (vertices.getZ(i) !== terrain.heightfield.heights[i]) {
+            assert.fail(`mesh vertex ${i} out of sync with the heightfield`);
+        }
+    }
+});
+
+test('deformTerrain never digs below sea level and can pile earth up', () => {
+    const terrain = createTerrain();
+    const site = vertexAt(terrain, 128, 128);
+
+    terrain.deformTerrain(new THREE.Vector3(site.x, 0, site.z), 6, 500);
+    assert.equal(terrain.getHeightAt(site.x, site.z), 0);
+
+    // Dirt rounds use a negative depth
+    terrain.deformTerrain(new THREE.Vector3(site.x, 0, site.z), 6, -2);
+    assert.ok(Math.abs(terrain.getHeightAt(site.x, site.z) - 2) < 1e-6);
+});
+
+test('deformTerrain recomputes only the local normals and uploads only the changed rows', () => {
+    const terrain = createTerrain();
+    const { geometry } = terrain;
+    const site = vertexAt(terrain, 60, 200);
+    const normals = geometry.attributes.normal;
+    const untouched = vertexAt(terrain, 10, 10).index;
+    normals.setXYZ(untouched, 0, 0, 1); // A full recompute would overwrite this
+
+    terrain.deformTerrain(new THREE.Vector3(site.x, 0, site.z), 4, 2);
+
+    const reference = geometry.clone();
+    reference.computeVertexNormals();
+    const expected = reference.attributes.normal;
+    for (let i = 0; i < normals.count; i++) {
+        if (i === untouched) continue;
+        const difference = Math.abs(normals.getX(i) - expected.getX(i)) + Math.abs(normals.getY(i) - expected.getY(i))
+            + Math.abs(normals.getZ(i) - expected.getZ(i));
+        if (difference > 1e-5) {
+            assert.fail(`normal ${i} differs from a full recompute`);
+        }
+    }
+    assert.deepEqual([normals.getX(untouched), normals.getY(untouched), normals.getZ(untouched)], [0, 0, 1]);
+
+    // One upload range per changed row, each covering only the crater's columns
+    const rows = geometry.attributes.position.updateRanges;
+    assert.ok(rows.length > 0 && rows.length < 10);
+    rows.forEach(range => assert.ok(range.count <= 10 * 3));
+    assert.ok(normals.updateRanges.length === rows.length + 2, 'normals of the neighboring rows change too');
+});
+
+// 40 m field of 10 m cells, tilted as the plane y = 0.2 (x + 20) + 0.1 (z + 20)
+function createTiltedField() {
+    const heightfield = new Heightfield(40, 4);
+    for (let iz = 0; iz <= 4; iz++) {
+        for (let ix = 0; ix <= 4; ix++) {
+            heightfield.heights[heightfield.getIndex(ix, iz)] = ix * 2 + iz;
+        }
+    }
+    return heightfield;
+}
+
+test('heights, normals and slopes are those of the surface between the vertices', () => {
+    const heightfield = createTiltedField();
+    assert.ok(Math.abs(heightfield.getHeightAt(-15, -15) - 1.5) < 1e-9);
+    assert.ok(Math.abs(heightfield.getHeightAt(3, 7) - 7.3) < 1e-9);
+    assert.equal(heightfield.getHeightAt(20, 20), 12);
+    assert.equal(heightfield.getHeightAt(25, 0), 0, 'flat sea level outside the field');
+
+    const length = Math.sqrt(0.2 * 0.2 + 1 + 0.1 * 0.1);
+    const normal = heightfield.getNormalAt(3, 7);
+    assert.ok(Math.abs(normal.x + 0.2 / length) < 1e-9);
+    assert.ok(Math.abs(normal.y - 1 / length) < 1e-9);
+    assert.ok(Math.abs(normal.z + 0.1 / length) < 1e-9);
+    assert.ok(Math.abs(heightfield.getSlopeAt(3, 7) - Math.acos(1 / length)) < 1e-9);
+
+    // A single raised vertex: the ground rises smoothly towards it instead of in a step
+    const bump = new Heightfield(40, 4);
+    bump.heights[bump.getIndex(2, 2)] = 4;
+    assert.equal(bump.getHeightAt(-5, -5), 1);
+    assert.equal(bump.getHeightAt(-2.5, 0), 3);
+});
+
+test('terrain raycasts find the first contact along the ray', () => {
+    const heightfield = createTiltedField();
+    const down = heightfield.raycast({ x: 3, y: 50, z: 7 }, { x: 0, y: -2, z: 0 });
+    assert.ok(Math.abs(down.point.y - 7.3) < 0.01);
+    assert.ok(Math.abs(down.distance - 42.7) < 0.01);
+    assert.deepEqual(down.normal, heightfield.getNormalAt(down.point.x, down.point.z));
+
+    // Flying level into the rising ground, with and without a clearance
+    const level = heightfield.raycast({ x: -20, y: 6, z: 0 }, { x: 1, y: 0, z: 0 });
+    assert.ok(Math.abs(level.point.x - 0) < 0.01, 'y = 6 is reached at x = 0');
+    const padded = heightfield.raycast({ x: -20, y: 6, z: 0 }, { x: 1, y: 0, z: 0 }, 100, 1);
+    assert.ok(Math.abs(padded.point.x + 5) < 0.01);
+
+    assert.equal(heightfield.raycast({ x: -20, y: 6, z: 0 }, { x: 1, y: 0, z: 0 }, 10), null, 'stops at maxDistance');
+    assert.equal(heightfield.intersectSegment({ x: 0, y: 30, z: 0 }, { x: 10, y: 30, z: 10 }), null);
+    assert.equal(heightfield.intersectSegment({ x: 0, y: 1, z: 0 }, { x: 10, y: 30, z: 10 }).distance, 0, 'starting underground');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Heightfield } from '../public/js/sim/heightfield.js';
+import { applyBrush, brushFalloff, WATER_FLOOR_HEIGHT } from '../public/js/sim/terrainBrushes.js';
+
+// Small flat field: 64 units across, one vertex every 2 units, vertex (16, 16) at the origin
+function createField(height = 5) {
+    const heightfield = new Heightfield(64, 32);
+    heightfield.heights.fill(height);
+    return heightfield;
+}
+
+function heightAtVertex(heightfield, ix, iz) {
+    return heightfield.heights[heightfield.getIndex(ix, iz)];
+}
+
+test('raise and lower change the center most and leave the ground beyond the radius alone', () => {
+    const heightfield = createField();
+    const region = applyBrush(heightfield, 'raise', 0, 0, 6, 2);
+
+    assert.equal(heightAtVertex(heightfield, 16, 16), 7);
+    assert.ok(heightAtVertex(heightfield, 17, 16) > 5 && heightAtVertex(heightfield, 17, 16) < 7);
+    assert.equal(heightAtVertex(heightfield, 19, 16), 5, 'vertex 6 units away sits on the rim');
+    assert.deepEqual(region, { minX: 14, maxX: 18, minZ: 14, maxZ: 18 });
+
+    applyBrush(heightfield, 'lower', 0, 0, 6, 100);
+    assert.equal(heightAtVertex(heightfield, 16, 16), 0, 'lowering stops at sea level');
+});
+
+test('flatten levels the ground to the height the stroke started at', () => {
+    const heightfield = createField();
+    heightfield.heights[heightfield.getIndex(17, 16)] = 9;
+
+    applyBrush(heightfield, 'flatten', 0, 0, 8, 100, { targetHeight: 5 });
+    assert.equal(heightAtVertex(heightfield, 17, 16), 5);
+});
+
+test('smooth pulls a spike towards its neighbors without overshooting', () => {
+    const heightfield = createField();
+    heightfield.heights[heightfield.getIndex(16, 16)] = 14;
+
+    applyBrush(heightfield, 'smooth', 0, 0, 4, 100);
+    const center = heightAtVertex(heightfield, 16, 16);
+    assert.equal(center, 6, 'mean of the spike and its eight neighbors');
+    assert.ok(heightAtVertex(heightfield, 17, 16) >= 5);
+});
+
+test('water floods below the ocean and craters keep its depth', () => {
+    const heightfield = createField();
+    applyBrush(heightfield, 'water', 0, 0, 8, 100);
+    assert.equal(heightAtVertex(heightfield, 16, 16), WATER_FLOOR_HEIGHT);
+
+    heightfield.applyCrater(0, 0, 4, 3);
+    assert.equal(heightAtVertex(heightfield, 16, 16), WATER_FLOOR_HEIGHT);
+});
+
+test('falloff is 1 at the center, 0 at the rim, and brushes off the field change nothing', () => {
+    assert.equal(brushFalloff(0, 5), 1);
+    assert.equal(brushFalloff(5, 5), 0);
+    assert.ok(brushFalloff(2.5, 5) === 0.5);
+
+    const heightfield = createField();
+    assert.equal(applyBrush(heightfield, 'raise', 500, 500, 5, 1), null);
+    assert.equal(applyBrush(heightfield, 'volcano', 0, 0, 5, 1), null);
+});
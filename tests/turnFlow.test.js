@@ -0,0 +1,279 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTank, createMatch } from './helpers/fixtures.js';
+import { createTeamBattleConfig, validateMatchConfig } from '../public/js/matchSetup.js';
+import { ACTIONS_PER_TURN, FUEL_REFILL_FRACTION } from '../public/js/inventory.js';
+
+function createSkirmish() {
+    return [
+        createTank({ id: 'player', isPlayer: true }),
+        createTank({ id: 'enemy1' }),
+        createTank({ id: 'enemy2' }),
+        createTank({ id: 'enemy3' })
+    ];
+}
+
+test('nextTurn hands the turn to the next tank in order', () => {
+    const tanks = createSkirmish();
+    const game = createMatch(tanks);
+
+    game.nextTurn();
+
+    assert.equal(game.turnIndex, 1);
+    assert.equal(game.activeTank, tanks[1]);
+    assert.equal(game.gameState, 'ENEMY_TURN');
+});
+
+test('nextTurn skips destroyed tanks', () => {
+    const tanks = createSkirmish();
+    tanks[1].isDestroyed = true;
+    tanks[2].isDestroyed = true;
+    const game = createMatch(tanks);
+
+    game.nextTurn();
+
+    assert.equal(game.activeTank, tanks[3]);
+    assert.equal(game.gameOverCalls.length, 0);
+});
+
+test('nextTurn wraps around to the player, tops up their fuel and restores their actions', () => {
+    const tanks = createSkirmish();
+    const game = createMatch(tanks, { turnIndex: 3 });
+    tanks[0].currentFuel = 10;
+    tanks[0].actionsLeft = 0;
+
+    game.nextTurn();
+
+    assert.equal(game.turnIndex, 0);
+    assert.equal(game.playerTank, tanks[0]);
+    assert.equal(game.gameState, 'PLAYER_TURN');
+    assert.equal(tanks[0].currentFuel, 10 + tanks[0].maxFuel * FUEL_REFILL_FRACTION);
+    assert.equal(tanks[0].actionsLeft, ACTIONS_PER_TURN);
+});
+
+test('nextTurn starts the AI turn for computer tanks', async () => {
+    const tanks = createSkirmish();
+    const game = createMatch(tanks);
+
+    game.nextTurn();
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.deepEqual(game.enemyTurns, ['enemy1']);
+});
+
+test('nextTurn ends the game with a win once every enemy is destroyed', () => {
+    const tanks = createSkirmish();
+    tanks.slice(1).forEach(tank => { tank.isDestroyed = true; });
+    const game = createMatch(tanks);
+
+    game.nextTurn();
+
+    assert.equal(game.gameState, 'GAME_OVER');
+    assert.deepEqual(game.gameOverCalls.map(call => call.playerWon), [true]);
+    assert.equal(game.turnIndex, 0); // Nobody else got a turn
+});
+
+test('nextTurn ends the game with a loss once the player is destroyed', () => {
+    const tanks = createSkirmish();
+    tanks[0].isDestroyed = true;
+    const game = createMatch(tanks, { turnIndex: 2 });
+
+    game.nextTurn();
+
+    assert.equal(game.gameState, 'GAME_OVER');
+    assert.deepEqual(game.gameOverCalls.map(call => call.playerWon), [false]);
+});
+
+test('nextTurn does nothing after the game is over', () => {
+    const tanks = createSkirmish();
+    const game = createMatch(tanks);
+    game.gameState = 'GAME_OVER';
+
+    game.nextTurn();
+
+    assert.equal(game.activeTank, tanks[0]);
+    assert.equal(game.gameOverCalls.length, 0);
+});
+
+test('hot-seat nextTurn passes between the surviving humans and crowns the last one', () => {
+    const tanks = [
+        createTank({ id: 'seat1', isPlayer: true }),
+        createTank({ id: 'seat2', isPlayer: true }),
+        createTank({ id: 'seat3', isPlayer: true })
+    ];
+    const game = createMatch(tanks, { matchConfig: { mode: 'hotseat' } });
+    tanks[1].isDestroyed = true;
+
+    game.nextTurn();
+    assert.equal(game.playerTank, tanks[2]);
+    assert.equal(game.gameState, 'PLAYER_TURN');
+
+    tanks[0].isDestroyed = true;
+    game.nextTurn();
+    assert.equal(game.gameState, 'GAME_OVER');
+    assert.deepEqual(game.gameOverCalls, [{ playerWon: true, winner: tanks[2] }]);
+});
+
+test('classic enemies are one side; free-for-all tanks each fight alone', () => {
+    const classic = createSkirmish();
+    const classicGame = createMatch(classic);
+    assert.equal(classicGame.isTeammate(classic[1], classic[2]), true);
+    assert.equal(classicGame.canDamage(classic[1], classic[2]), false);
+    assert.equal(classicGame.canDamage(classic[1], classic[0]), true);
+
+    const ffa = createSkirmish();
+    const ffaGame = createMatch(ffa, { matchConfig: { mode: 'ffa' } });
+    assert.equal(ffaGame.isTeammate(ffa[1], ffa[2]), false);
+    assert.equal(ffaGame.canDamage(ffa[1], ffa[2]), true);
+});
+
+test('free-for-all AI tanks pick targets among every other tank', () => {
+    const tanks = createSkirmish();
+    tanks[0].mesh.position.set(0, 0, 50);
+    tanks[2].mesh.position.set(0, 0, 10);
+    tanks[3].mesh.position.set(0, 0, 30);
+    tanks[3].currentHealth = 15;
+    const game = createMatch(tanks, { matchConfig: { mode: 'ffa' } });
+    const enemy = tanks[1];
+
+    enemy.aiPersonality = { targeting: 'nearest' };
+    assert.equal(game.getAITarget(enemy), tanks[2]);
+    enemy.aiPersonality = { targeting: 'weakest' };
+    assert.equal(game.getAITarget(enemy), tanks[3]);
+    enemy.aiPersonality = { targeting: 'lastAttacker' };
+    enemy.lastAttacker = tanks[0];
+    assert.equal(game.getAITarget(enemy), tanks[0]);
+
+    // Classic enemies only ever go after the player
+    const classicGame = createMatch(tanks);
+    enemy.aiPersonality = { targeting: 'nearest' };
+    assert.equal(classicGame.getAITarget(enemy), tanks[0]);
+});
+
+test('free-for-all is won once the player is the last tank standing', () => {
+    const tanks = createSkirmish();
+    const game = createMatch(tanks, { matchConfig: { mode: 'ffa' } });
+    tanks[1].isDestroyed = true;
+    tanks[2].isDestroyed = true;
+
+    game.nextTurn();
+    assert.equal(game.gameOverCalls.length, 0);
+
+    tanks[3].isDestroyed = true;
+    game.nextTurn();
+    assert.deepEqual(game.gameOverCalls.map(call => call.playerWon), [true]);
+});
+
+test('hot-seat teams win together and kills are credited to the shooter', () => {
+    const tanks = [
+        createTank({ id: 'seat1', isPlayer: true, team: 'A' }),
+        createTank({ id: 'seat2', isPlayer: true, team: 'B' }),
+        createTank({ id: 'seat3', isPlayer: true, team: 'A' })
+    ];
+    const game = createMatch(tanks, { matchConfig: { mode: 'hotseat', friendlyFire: false } });
+    assert.equal(game.canDamage(tanks[0], tanks[2]), false);
+
+    tanks[1].isDestroyed = true;
+    game.recordKill(tanks[1], tanks[2]);
+    game.nextTurn();
+
+    assert.deepEqual(game.gameOverCalls, [{ playerWon: true, winner: tanks[0] }]);
+    assert.equal(tanks[2].kills, 1);
+    assert.deepEqual(game.killLog.map(kill => [kill.killer.id, kill.victim.id]), [['seat3', 'seat2']]);
+});
+
+test('only enemies a player destroys count towards the match statistics', () => {
+    const tanks = [
+        createTank({ id: 'player', isPlayer: true, team: 'A' }),
+        createTank({ id: 'ally_0', isAlly: true, team: 'A' }),
+        createTank({ id: 'enemy_0', team: 'B' })
+    ];
+    const game = createMatch(tanks, { matchConfig: { mode: 'team', friendlyFire: true } });
+
+    game.recordKill(tanks[1], tanks[0]);
+    assert.equal(game.gameStats.tanksDestroyed, 0, 'friendly fire on a teammate is no kill');
+    game.recordKill(tanks[2], null);
+    assert.equal(game.gameStats.tanksDestroyed, 0, 'nor is a death nobody caused');
+    game.recordKill(tanks[2], tanks[0]);
+    assert.equal(game.gameStats.tanksDestroyed, 1);
+});
+
+function createTeamBattle() {
+    return [
+        createTank({ id: 'player', isPlayer: true, team: 'A', position: [0, 0, 0] }),
+        createTank({ id: 'ally_0', isAlly: true, team: 'A', position: [0, 0, 5] }),
+        createTank({ id: 'enemy_0', team: 'B', position: [0, 0, 40] }),
+        createTank({ id: 'enemy_1', team: 'B', position: [0, 0, 60] })
+    ];
+}
+
+test('team battle configs put the player and allies against the enemy team', () => {
+    const config = createTeamBattleConfig({ playerName: 'Ace', allies: 2, enemies: 3, friendlyFire: false });
+    assert.equal(validateMatchConfig(config), null);
+    assert.deepEqual(config.seats.map(seat => [seat.type, seat.team]), [
+        ['human', 'A'], ['ai', 'A'], ['ai', 'A'], ['ai', 'B'], ['ai', 'B'], ['ai', 'B']
+    ]);
+    assert.equal(config.friendlyFire, false);
+    assert.equal(validateMatchConfig({ ...config, seats: config.seats.map(seat => ({ ...seat, team: 'A' })) }),
+        'Every tank is on the same team');
+});
+
+test('allied AI tanks go after the enemy team, never the player', () => {
+    const tanks = createTeamBattle();
+    const game = createMatch(tanks, { matchConfig: { mode: 'team', friendlyFire: true } });
+    tanks[1].aiPersonality = { targeting: 'nearest' };
+
+    assert.equal(game.getAITarget(tanks[1]), tanks[2]);
+    assert.deepEqual(game.getAllyTanks(), [tanks[1]]);
+    assert.equal(game.canDamage(tanks[1], tanks[0]), true, 'friendly fire is on');
+});
+
+test('team battles go on after the player falls and end with the last team standing', () => {
+    const tanks = createTeamBattle();
+    const game = createMatch(tanks, { matchConfig: { mode: 'team' } });
+    tanks[0].isDestroyed = true;
+
+    game.nextTurn();
+    assert.equal(game.gameOverCalls.length, 0);
+    assert.equal(game.activeTank, tanks[1], 'the ally takes its turn');
+
+    tanks[2].isDestroyed = true;
+    tanks[3].isDestroyed = true;
+    game.nextTurn();
+    assert.deepEqual(game.gameOverCalls.map(call => call.playerWon), [true]);
+});
+
+test('team battles are lost once the player and every ally are destroyed', () => {
+    const tanks = createTeamBattle();
+    const game = createMatch(tanks, { matchConfig: { mode: 'team' } });
+    tanks[0].isDestroyed = true;
+    tanks[1].isDestroyed = true;
+
+    game.nextTurn();
+    assert.deepEqual(game.gameOverCalls.map(call => call.playerWon), [false]);
+});
+
+test('a failed mission constraint ends the match in a loss', () => {
+    const tanks = createSkirmish();
+    const game = createMatch(tanks, { objectives: [{ type: 'destroyAll' }, { type: 'shotLimit', shots: 2 }] });
+    tanks[0].shotsFired = 2;
+    tanks[1].isDestroyed = true;
+
+    game.nextTurn();
+
+    assert.deepEqual(game.gameOverCalls.map(call => call.playerWon), [false]);
+    assert.deepEqual(game.updateObjectives().results.map(result => result.status), ['active', 'failed']);
+});
+
+test('survival missions are won once the last round comes back to the player', () => {
+    const tanks = createSkirmish();
+    const game = createMatch(tanks, { turnIndex: 3, objectives: [{ type: 'surviveTurns', turns: 2 }] });
+
+    game.nextTurn();
+    assert.equal(game.round, 2);
+    assert.equal(game.gameOverCalls.length, 0);
+
+    game.turnIndex = 3;
+    game.nextTurn();
+    assert.deepEqual(game.gameOverCalls.map(call => call.playerWon), [true]);
+});